@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {ERC20Votes} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
+
+/// @title GovernanceToken - Voting token of the DefiApp Governor
+/// @notice Fixed supply, minted to the deployer. Holders must delegate, to themselves or
+///         someone else, before their balance counts as votes.
+contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes {
+    constructor() ERC20("DefiApp Governance", "DAG") ERC20Permit("DefiApp Governance") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+}
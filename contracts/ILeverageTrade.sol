@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ILeverageTrade - The part of LeverageTrade its TradingVault reads
+interface ILeverageTrade {
+    /// @notice Net open P&L of all positions against the assets backing it
+    /// @return openPnl Unrealized P&L of all positions at current prices, positive when traders are up
+    /// @return assets Vault assets plus the insurance fund
+    /// @return surplus Assets left once the open P&L is paid, negative when the vault is insolvent
+    function solvency() external view returns (int256 openPnl, uint256 assets, int256 surplus);
+}
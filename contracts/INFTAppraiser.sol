@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title INFTAppraiser - Per-token valuation source for NFT collateral
+interface INFTAppraiser {
+    /// @notice Value of a single NFT
+    /// @param collection ERC721 collection
+    /// @param tokenId Token to value
+    /// @return value Value in USD with 18 decimals
+    function appraise(address collection, uint256 tokenId) external view returns (uint256 value);
+}
@@ -2,158 +2,693 @@
     pragma solidity ^0.8.20;
 
     import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+    import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
     import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+    import {OracleLib} from "./OracleLib.sol";
+    import {TradingVault} from "./TradingVault.sol";
+    import {PriceCircuitBreaker} from "./PriceCircuitBreaker.sol";
     // import  "hardhat/console.sol";
 
     /// @title LeverageTrade - A contract for 2x leverage long/short trading
-    /// @notice Enables users to open, close, and liquidate leveraged positions with Chainlink price feeds
-    contract LeverageTrade {
+    /// @notice Enables users to open, close, and liquidate leveraged positions with Chainlink price feeds.
+    ///         Each market has its own price feed, max leverage, maintenance margin and fee, and a
+    ///         user can hold any number of positions, each identified by a position id.
+    ///         Limit, stop-loss and take-profit orders are filled by anyone calling `executeOrder`
+    ///         once the price reaches their trigger, for an execution fee escrowed by the user.
+    ///         Stop-loss and take-profit orders left on a position are cancelled when it is closed
+    ///         or liquidated, and their execution fees refunded to its owner.
+    ///         A TradingVault is the counterparty of every position: it receives trader losses and
+    ///         pays trader profits. Losses beyond a position's margin are bad debt, covered by an
+    ///         insurance fund that takes a share of every fee. The rest of the fees accrue to the
+    ///         fee reserve, which pays liquidation rewards and which the treasury can withdraw.
+    ///         Risk parameters are changed through the timelock of ProtocolAccess. While paused by
+    ///         the guardian or by a price jump, no position can be opened or increased; closes,
+    ///         margin changes, close orders and liquidations go on.
+    contract LeverageTrade is PriceCircuitBreaker {
+        using EnumerableSet for EnumerableSet.UintSet;
+
         // Custom errors
-        error NotOwner();
+        error NotPositionOwner();
         error InsufficientBalance(uint256 required, uint256 available);
         error InsufficientAllowance(uint256 required, uint256 allowed);
         error InvalidMarginAmount();
         error NoPosition();
         error NotLiquidatable();
-        error InvalidPrice();
         error InvalidLeverage(uint256 leverage);
         error InsufficientLiquidity(uint256 required, uint256 available);
         error TransferFailed();
         error FeeReserveAlreadyInitialized();
+        error InvalidOracleConfig();
+        error RateTooHigh(uint256 rate);
+        error InvalidAddress();
+        error InvalidMarket(uint256 marketId);
+        error MarketNotListed(uint256 marketId);
+        error InvalidMarketConfig(uint256 maxLeverage, uint256 maintenanceMargin, uint256 feeRate);
+        error NoOrder();
+        error NotOrderOwner();
+        error InvalidTriggerPrice();
+        error OrderNotTriggered(uint256 triggerPrice, uint256 price);
+        error ExecutionFeeTooHigh(uint256 fee);
+        error InvalidSizeDelta(uint256 sizeDelta);
+        error PositionUnhealthy(uint256 equity, uint256 requiredMargin);
+        error OppositePosition(uint256 positionId);
+        error VaultNotSet();
+        error VaultAlreadySet();
+        error InvalidFeeShare(uint256 share);
+        error InvalidLiquidationReward(uint256 reward);
+        error TooManyCloseOrders(uint256 positionId);
+
+        enum OrderType {
+            Limit, // Opens a position once the price is at or better than the trigger
+            StopLoss, // Closes a position once the price moves against it to the trigger
+            TakeProfit // Closes a position once the price moves in its favour to the trigger
+        }
+
+        // Market struct
+        struct Market {
+            bool listed; // Accepts new positions
+            uint16 maxLeverage; // Leverage cap of new positions
+            uint16 maintenanceMargin; // Min equity, basis points of the margin
+            uint16 feeRate; // Open and close fee, basis points of the size
+            AggregatorV3Interface priceFeed; // Chainlink price feed
+            AggregatorV3Interface fallbackFeed; // Secondary price source, optional
+            uint32 maxPriceAge; // Max age of a price feed answer
+            uint16 maxPriceDeviation; // Max primary/fallback difference (10000 = 100%), 0 = fallback only
+            uint256 longOpenInterest; // Sum of long position sizes
+            uint256 shortOpenInterest; // Sum of short position sizes
+            uint256 cumulativeFundingLong; // Funding paid per unit of long size, 1e18 precision
+            uint256 cumulativeFundingShort; // Funding paid per unit of short size, 1e18 precision
+            uint256 fundingReceivedLong; // Funding credited per unit of long size, 1e18 precision
+            uint256 fundingReceivedShort; // Funding credited per unit of short size, 1e18 precision
+            uint256 unmatchedFundingLong; // Part of cumulativeFundingLong accrued while no short was open
+            uint256 unmatchedFundingShort; // Part of cumulativeFundingShort accrued while no long was open
+            uint256 cumulativeBorrowFee; // Borrow fee per unit of borrowed size, 1e18 precision
+            uint256 lastFeeAccrual;
+        }
+
+        // Sums of size / open price of a market, 1e18 precision, to price the open P&L of all positions
+        struct EntryUnits {
+            uint256 longUnits;
+            uint256 shortUnits;
+        }
+
+        // Funding and borrow fee indices of a market brought up to the current block
+        struct FeeIndices {
+            uint256 fundingLong;
+            uint256 fundingShort;
+            uint256 receivedLong;
+            uint256 receivedShort;
+            uint256 unmatchedLong;
+            uint256 unmatchedShort;
+            uint256 borrowFee;
+        }
 
         // Position struct
         struct Position {
+            address owner; // address(0) = no position
+            uint64 marketId;
             bool isLong; // Long or short
             uint128 margin; // Margin in tokenB
             uint128 size; // Position size (margin * leverage)
             uint256 openPrice; // Average opening price
-            uint256 lastUpdated; // Timestamp of last update
+            uint256 lastUpdated; // Timestamp of the last fee settlement
+            uint256 fundingIndex; // Cumulative funding paid by its side at the last settlement
+            uint256 fundingReceivedIndex; // Cumulative funding received by its side at the last settlement
+            uint256 unmatchedFundingIndex; // Cumulative unmatched funding of its side at the last settlement
+            uint256 borrowFeeIndex; // Cumulative borrow fee at the last settlement
+        }
+
+        // Order struct
+        struct Order {
+            address owner; // address(0) = no order
+            uint64 marketId;
+            OrderType orderType;
+            bool isLong; // Side of the position opened or closed
+            uint16 leverage; // Limit orders only
+            uint128 margin; // Escrowed margin including fee, limit orders only
+            uint128 executionFee; // Escrowed fee paid to the executor
+            uint256 triggerPrice; // 18 decimals
+            uint256 positionId; // Position closed by a stop-loss or take-profit order
         }
 
         // Constants
-        uint256 public constant FEE_RATE = 10; // 0.1% (10000 = 100%)
-        uint256 public constant MAINTENANCE_MARGIN = 500; // 5% (10000 = 100%)
-        uint256 public constant LIQUIDATION_REWARD = 500; // 5% (10000 = 100%)
+        uint256 public constant FEE_RATE = 10; // 0.1% (10000 = 100%), fee of the first market
+        uint256 public constant MAINTENANCE_MARGIN = 500; // 5% (10000 = 100%), maintenance margin of the first market
+        uint256 public constant MAX_LIQUIDATION_REWARD = 2000; // 20% (10000 = 100%)
         uint256 private constant PRECISION = 1e18; // Precision for calculations
         uint256 private constant MIN_LEVERAGE = 2; // Minimum leverage
         uint256 private constant MAX_LEVERAGE = 50; // Maximum leverage
+        uint256 public constant MAX_FEE_RATE = 100; // 1%
+        uint256 public constant MAX_MAINTENANCE_MARGIN = 5000; // 50%
+        uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 hours;
+        uint256 public constant MAX_PRICE_DEVIATION = 1000; // 10% (10000 = 100%)
+        uint256 public constant RATE_PRECISION = 1e6; // Hourly rates (1000000 = 100%)
+        uint256 public constant MAX_HOURLY_RATE = 10000; // 1% per hour
+        uint256 public constant MAX_EXECUTION_FEE = 10 ether; // 10 tokenB
+        uint256 public constant MAX_CLOSE_ORDERS = 10; // Stop-loss and take-profit orders per position
 
         // Immutables
         IERC20 public immutable tokenA; // ETH-like token
         IERC20 public immutable tokenB; // USDC-like token
-        AggregatorV3Interface public immutable priceFeed;
 
         // State
-        mapping(address => Position) private positions;
+        mapping(uint256 => Market) public markets;
+        uint256 public marketCount;
+        mapping(uint256 => EntryUnits) public entryUnits;
+        mapping(uint256 => Position) public positions;
+        mapping(address => EnumerableSet.UintSet) private userPositions;
+        uint256 public nextPositionId = 1;
+        mapping(address => bool) public oneWayMode; // Opposite-side opens in a market with an open position revert
+        mapping(uint256 => Order) public orders;
+        mapping(address => EnumerableSet.UintSet) private userOrders;
+        mapping(uint256 => EnumerableSet.UintSet) private positionOrders; // positionId => its close orders
+        uint256 public nextOrderId = 1;
+        uint256 public executionFee = 1 ether; // Paid in tokenB to whoever executes an order
         uint256 public feeReserve; // Accumulated fees in tokenB
+        address public treasury; // Receives withdrawn fees
+        uint256 public liquidationReward = 500; // Paid to the liquidator from the fee reserve, 5% of the margin
+        TradingVault public vault; // Counterparty of all positions
+        uint256 public insuranceFund; // Covers bad debt, in tokenB
+        uint256 public insuranceFeeShare = 2000; // Share of every fee paid into the insurance fund, 20%
+        uint256 public badDebt; // Losses beyond margin the insurance fund could not cover
+        uint256 public totalMargin; // Sum of position margins
+        uint256 public fundingPool; // Funding collected from payers that the receiving positions have not settled yet
+        uint256 public fundingAdvance; // Funding the insurance fund paid to receivers ahead of the payers
         bool public isFeeReserveInitialized;
-        address public owner;
+
+        // Funding and borrow fees, accrued lazily into cumulative per-size indices of each market
+        uint256 public fundingRateFactor = 100; // Hourly funding at 100% skew, 0.01% (RATE_PRECISION)
+        uint256 public borrowFeeRate = 30; // Hourly fee on the borrowed size (size - margin), 0.003%
 
         // Events
         event PositionOpened(
+            uint256 indexed positionId,
             address indexed user,
-            bool indexed isLong,
+            uint256 indexed marketId,
+            bool isLong,
             uint256 margin,
             uint256 size,
             uint256 price,
             uint256 leverage
         );
-        event PositionIncreased(address indexed user, uint256 margin, uint256 size, uint256 avgPrice);
-        event PositionClosed(address indexed user, uint256 profit, uint256 loss);
-        event PositionLiquidated(address indexed user, uint256 margin, address indexed liquidator);
+        event PositionIncreased(uint256 indexed positionId, address indexed user, uint256 margin, uint256 size, uint256 avgPrice);
+        event PositionDecreased(
+            uint256 indexed positionId,
+            address indexed user,
+            uint256 sizeDelta,
+            uint256 marginDelta,
+            uint256 profit,
+            uint256 loss
+        );
+        event PositionClosed(uint256 indexed positionId, address indexed user, uint256 profit, uint256 loss);
+        event MarginAdded(uint256 indexed positionId, address indexed user, uint256 amount);
+        event MarginRemoved(uint256 indexed positionId, address indexed user, uint256 amount);
+        event OneWayModeSet(address indexed user, bool enabled);
+        event PositionLiquidated(uint256 indexed positionId, address indexed user, uint256 margin, address indexed liquidator);
+        event FeesSettled(uint256 indexed positionId, int256 funding, uint256 borrowFee);
+        event FeeRatesUpdated(uint256 fundingRateFactor, uint256 borrowFeeRate);
+        event MarketListed(uint256 indexed marketId, address priceFeed, uint256 maxLeverage, uint256 maintenanceMargin, uint256 feeRate);
+        event MarketUpdated(uint256 indexed marketId, uint256 maxLeverage, uint256 maintenanceMargin, uint256 feeRate);
+        event MarketDelisted(uint256 indexed marketId);
+        event OracleConfigUpdated(uint256 indexed marketId, address fallbackFeed, uint256 maxPriceAge, uint256 maxPriceDeviation);
+        event OrderPlaced(
+            uint256 indexed orderId,
+            address indexed user,
+            uint256 indexed marketId,
+            OrderType orderType,
+            bool isLong,
+            uint256 triggerPrice,
+            uint256 positionId
+        );
+        event OrderCancelled(uint256 indexed orderId, address indexed user);
+        event OrderExecuted(uint256 indexed orderId, address indexed user, address indexed executor, uint256 price, uint256 positionId);
+        event ExecutionFeeUpdated(uint256 executionFee);
+        event VaultSet(address indexed vault);
+        event InsuranceFeeShareUpdated(uint256 share);
+        event InsuranceFunded(address indexed from, uint256 amount);
+        event BadDebtRecorded(uint256 indexed positionId, uint256 shortfall, uint256 covered);
+        event LiquidationRewardUpdated(uint256 reward);
+        event FeeReserveInitialized(uint256 amount);
+        event TreasuryUpdated(address indexed treasury);
+        event FeesWithdrawn(address indexed treasury, uint256 amount);
         event DebugPosition(address indexed user, uint256 margin, bool isLong, uint256 size, uint256 openPrice);
 
-        modifier onlyOwner() {
-            if(msg.sender != owner) { revert NotOwner(); }
-            _;
-        }
-
-        /// @notice Constructor to initialize tokens and price feed
+        /// @notice Constructor to initialize tokens and the first market
         /// @param _tokenA Address of tokenA (ETH-like)
         /// @param _tokenB Address of tokenB (USDC-like)
-        /// @param _priceFeed Address of Chainlink price feed
+        /// @param _priceFeed Address of Chainlink price feed of market 0 (TokenA/USD)
         constructor(address _tokenA, address _tokenB, address _priceFeed) {
             tokenA = IERC20(_tokenA);
             tokenB = IERC20(_tokenB);
-            priceFeed = AggregatorV3Interface(_priceFeed);
-            owner = msg.sender;
+            treasury = msg.sender;
+            _listMarket(_priceFeed, MAX_LEVERAGE, MAINTENANCE_MARGIN, FEE_RATE);
+        }
+
+        /// @notice Add a market
+        /// @param priceFeed Chainlink price feed of the market
+        /// @param maxLeverage Leverage cap (2-50)
+        /// @param maintenanceMargin Min equity in basis points of the margin
+        /// @param feeRate Open and close fee in basis points of the size
+        /// @return marketId Id of the new market
+        function listMarket(
+            address priceFeed,
+            uint256 maxLeverage,
+            uint256 maintenanceMargin,
+            uint256 feeRate
+        ) external onlyRole(RISK_MANAGER_ROLE) returns (uint256 marketId) {
+            return _listMarket(priceFeed, maxLeverage, maintenanceMargin, feeRate);
+        }
+
+        /// @notice Change the risk parameters of a market, open positions included; timelocked
+        function updateMarket(
+            uint256 marketId,
+            uint256 maxLeverage,
+            uint256 maintenanceMargin,
+            uint256 feeRate
+        ) external {
+            Market storage market = _market(marketId);
+            _validateMarket(maxLeverage, maintenanceMargin, feeRate);
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            market.maxLeverage = uint16(maxLeverage);
+            market.maintenanceMargin = uint16(maintenanceMargin);
+            market.feeRate = uint16(feeRate);
+            emit MarketUpdated(marketId, maxLeverage, maintenanceMargin, feeRate);
+        }
+
+        /// @notice Stop new positions in a market, open positions can still be closed and liquidated
+        function delistMarket(uint256 marketId) external onlyRole(RISK_MANAGER_ROLE) {
+            Market storage market = _market(marketId);
+            if (!market.listed) revert MarketNotListed(marketId);
+            market.listed = false;
+            emit MarketDelisted(marketId);
+        }
+
+        /// @notice Set the hourly funding and borrow fee rates of every market; timelocked, then applied from then on
+        /// @param _fundingRateFactor Hourly funding paid by the larger side at 100% skew (1000000 = 100%)
+        /// @param _borrowFeeRate Hourly fee on the borrowed part of a position (1000000 = 100%)
+        function setFeeRates(uint256 _fundingRateFactor, uint256 _borrowFeeRate) external {
+            if (_fundingRateFactor > MAX_HOURLY_RATE) revert RateTooHigh(_fundingRateFactor);
+            if (_borrowFeeRate > MAX_HOURLY_RATE) revert RateTooHigh(_borrowFeeRate);
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            for (uint256 i = 0; i < marketCount; i++) {
+                _accrueFees(i);
+            }
+            fundingRateFactor = _fundingRateFactor;
+            borrowFeeRate = _borrowFeeRate;
+            emit FeeRatesUpdated(_fundingRateFactor, _borrowFeeRate);
+        }
+
+        /// @notice Configure the price checks of a market's Chainlink feed, timelocked
+        /// @param _fallbackFeed Secondary feed, address(0) for none
+        /// @param _maxPriceAge Max age of an answer in seconds
+        /// @param _maxPriceDeviation Max difference to the fallback feed, 0 to use it only as a fallback
+        function setOracleConfig(
+            uint256 marketId,
+            address _fallbackFeed,
+            uint32 _maxPriceAge,
+            uint16 _maxPriceDeviation
+        ) external {
+            Market storage market = _market(marketId);
+            if (_maxPriceAge == 0 || _maxPriceDeviation > MAX_PRICE_DEVIATION) revert InvalidOracleConfig();
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            market.fallbackFeed = AggregatorV3Interface(_fallbackFeed);
+            market.maxPriceAge = _maxPriceAge;
+            market.maxPriceDeviation = _maxPriceDeviation;
+            emit OracleConfigUpdated(marketId, _fallbackFeed, _maxPriceAge, _maxPriceDeviation);
         }
-    
-        function initializeFeeReserve(uint256 amount) external onlyOwner {
+
+        /// @notice Set the fee escrowed by new orders and paid to their executor, timelocked
+        function setExecutionFee(uint256 _executionFee) external {
+            if (_executionFee > MAX_EXECUTION_FEE) revert ExecutionFeeTooHigh(_executionFee);
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            executionFee = _executionFee;
+            emit ExecutionFeeUpdated(_executionFee);
+        }
+
+        /// @notice Connect the counterparty vault, once; positions cannot be opened before
+        function setVault(address _vault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+            if (address(vault) != address(0)) revert VaultAlreadySet();
+            if (_vault == address(0) || TradingVault(_vault).leverageTrade() != address(this)) revert InvalidAddress();
+            vault = TradingVault(_vault);
+            // the vault pulls realized losses
+            if (!tokenB.approve(_vault, type(uint256).max)) {
+                revert TransferFailed();
+            }
+            emit VaultSet(_vault);
+        }
+
+        /// @notice Set the share of fees paid into the insurance fund, timelocked
+        /// @param share Basis points of every fee (10000 = 100%)
+        function setInsuranceFeeShare(uint256 share) external {
+            if (share > 10000) revert InvalidFeeShare(share);
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            insuranceFeeShare = share;
+            emit InsuranceFeeShareUpdated(share);
+        }
+
+        /// @notice Set the reward paid to liquidators from the fee reserve, timelocked
+        /// @param reward Basis points of the liquidated margin (max 20%)
+        function setLiquidationReward(uint256 reward) external {
+            if (reward > MAX_LIQUIDATION_REWARD) revert InvalidLiquidationReward(reward);
+            if (_timelocked(RISK_MANAGER_ROLE)) return;
+            liquidationReward = reward;
+            emit LiquidationRewardUpdated(reward);
+        }
+
+        /// @notice Set the address withdrawn fees are sent to
+        function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+            if (_treasury == address(0)) revert InvalidAddress();
+            treasury = _treasury;
+            emit TreasuryUpdated(_treasury);
+        }
+
+        /// @notice Send accumulated fees from the fee reserve to the treasury
+        /// @param amount TokenB to withdraw
+        function withdrawFees(uint256 amount) external onlyRole(TREASURY_ROLE) {
+            if (amount == 0) revert InvalidMarginAmount();
+            if (amount > feeReserve) revert InsufficientBalance(amount, feeReserve);
+            feeReserve -= amount;
+            if (!tokenB.transfer(treasury, amount)) {
+                revert TransferFailed();
+            }
+            emit FeesWithdrawn(treasury, amount);
+        }
+
+        /// @notice Add tokenB to the insurance fund
+        function fundInsurance(uint256 amount) external {
+            if (amount == 0) revert InvalidMarginAmount();
+            _pullTokens(amount);
+            insuranceFund += amount;
+            emit InsuranceFunded(msg.sender, amount);
+        }
+
+        function initializeFeeReserve(uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
             if (isFeeReserveInitialized) revert FeeReserveAlreadyInitialized();
             if (!tokenB.transferFrom(msg.sender, address(this), amount)) {
                 revert TransferFailed();
             }
             feeReserve += amount;
             isFeeReserveInitialized = true;
+            emit FeeReserveInitialized(amount);
         }
 
-        /// @notice Open or increase a leveraged position
+        /// @notice Open a new leveraged position
+        /// @param marketId Market to trade
         /// @param marginAmount Total margin including fee
         /// @param isLong True for long, false for short
-        /// @param leverage Leverage multiplier (2-50)
-        function openPosition(uint256 marginAmount, bool isLong, uint256 leverage) external {
-            if (marginAmount == 0) revert InvalidMarginAmount();
-            if (leverage < MIN_LEVERAGE || leverage > MAX_LEVERAGE) revert InvalidLeverage(leverage);
-            uint256 balance = tokenB.balanceOf(msg.sender);
-            if (balance < marginAmount) revert InsufficientBalance(marginAmount, balance);
-            uint256 allowance = tokenB.allowance(msg.sender, address(this));
-            if (allowance < marginAmount) revert InsufficientAllowance(marginAmount, allowance);
+        /// @param leverage Leverage multiplier (2 up to the market's max leverage)
+        /// @return positionId Id of the new position
+        function openPosition(uint256 marketId, uint256 marginAmount, bool isLong, uint256 leverage)
+            external
+            whenNotPaused
+            returns (uint256 positionId)
+        {
+            Market storage market = _market(marketId);
+            if (!market.listed) revert MarketNotListed(marketId);
 
             // Cache price
-            uint256 price = getPrice();
+            uint256 price = _readOpenPrice(marketId);
+            _accrueFees(marketId);
+            (uint256 netMargin, uint256 size) = _collectMargin(market, marginAmount, leverage);
 
-            // Calculate fee and net margin
-            uint256 size = marginAmount * leverage;
-            uint256 fee = (size * FEE_RATE) / 10000;
-            uint256 netMargin = marginAmount - fee;
-            size = netMargin * leverage; // Adjust size
+            positionId = nextPositionId++;
+            _openNewPosition(positionId, msg.sender, marketId, isLong, netMargin, size, price, leverage);
+        }
 
-            // Update position before external call
-            Position storage pos = positions[msg.sender];
-            if (pos.margin == 0) {
-                _openNewPosition(msg.sender, isLong, netMargin, size, price, leverage);
-            } else if (pos.isLong == isLong) {
-                _increasePosition(msg.sender, netMargin, size, price);
-            } else {
-                _closePosition(msg.sender, price);
-                _openNewPosition(msg.sender, isLong, netMargin, size, price, leverage);
+        /// @notice Add margin and size to a position at the current price
+        /// @param positionId Position to increase
+        /// @param marginAmount Total margin including fee
+        /// @param leverage Leverage of the added margin
+        function increasePosition(uint256 positionId, uint256 marginAmount, uint256 leverage) external whenNotPaused {
+            Position storage pos = _ownPosition(positionId);
+            uint256 marketId = pos.marketId;
+            Market storage market = markets[marketId];
+            if (!market.listed) revert MarketNotListed(marketId);
+
+            uint256 price = _readOpenPrice(marketId);
+            _accrueFees(marketId);
+            _settleFees(positionId);
+            (uint256 netMargin, uint256 size) = _collectMargin(market, marginAmount, leverage);
+
+            _increasePosition(positionId, netMargin, size, price);
+        }
+
+        /// @notice Close part of a position, realizing its P&L in proportion to the size closed
+        /// @dev The margin shrinks with the size, so the leverage stays the same. Closing the whole
+        ///      size is the same as `closePosition`.
+        /// @param positionId Position to decrease
+        /// @param sizeDelta Size to close
+        function decreasePosition(uint256 positionId, uint256 sizeDelta) external {
+            Position storage pos = _ownPosition(positionId);
+            uint256 marketId = pos.marketId;
+            uint256 size = pos.size;
+            if (sizeDelta == 0 || sizeDelta > size) revert InvalidSizeDelta(sizeDelta);
+
+            uint256 price = _readPrice(marketId);
+            _accrueFees(marketId);
+            if (sizeDelta == size) {
+                _closePosition(positionId, price);
+                return;
             }
+            _settleFees(positionId);
 
-            // Transfer margin (includes fee)
-            if (!tokenB.transferFrom(msg.sender, address(this), marginAmount)) {
+            // Realize the P&L and margin of the closed part against the vault
+            Market storage market = markets[marketId];
+            uint256 marginDelta = (uint256(pos.margin) * sizeDelta) / size;
+            int256 pnl = _calculatePnL(pos.isLong, sizeDelta, price, pos.openPrice);
+            uint256 payout = _settlePnL(positionId, marginDelta, pnl);
+            uint256 fee = (sizeDelta * market.feeRate) / 10000;
+            if (fee > payout) fee = payout;
+            payout -= fee;
+            _collectFee(fee);
+
+            _removeOpenInterest(marketId, pos.isLong, size, pos.openPrice);
+            pos.margin -= uint128(marginDelta);
+            pos.size = uint128(size - sizeDelta);
+            totalMargin -= marginDelta;
+            _addOpenInterest(marketId, pos.isLong, pos.size, pos.openPrice);
+            // a loss beyond the closed margin leaves the rest of the position under water
+            _requireHealthy(pos, price);
+
+            emit PositionDecreased(
+                positionId,
+                msg.sender,
+                sizeDelta,
+                marginDelta,
+                pnl > 0 ? uint256(pnl) : 0,
+                pnl < 0 ? uint256(-pnl) : 0
+            );
+
+            if (payout > 0) {
+                uint256 available = tokenB.balanceOf(address(this));
+                if (available < payout) revert InsufficientLiquidity(payout, available);
+                if (!tokenB.transfer(msg.sender, payout)) {
+                    revert TransferFailed();
+                }
+            }
+        }
+
+        /// @notice Add margin to a position, lowering its leverage
+        function addMargin(uint256 positionId, uint256 amount) external {
+            Position storage pos = _ownPosition(positionId);
+            if (amount == 0) revert InvalidMarginAmount();
+            _accrueFees(pos.marketId);
+            _settleFees(positionId);
+
+            _pullTokens(amount);
+            pos.margin += uint128(amount);
+            totalMargin += amount;
+            emit MarginAdded(positionId, msg.sender, amount);
+        }
+
+        /// @notice Take margin out of a position, raising its leverage
+        /// @dev Reverts when the position would exceed the max leverage of its market or fall to
+        ///      its maintenance margin at the current price
+        function removeMargin(uint256 positionId, uint256 amount) external {
+            Position storage pos = _ownPosition(positionId);
+            uint256 marketId = pos.marketId;
+            uint256 price = _readPrice(marketId);
+            _accrueFees(marketId);
+            _settleFees(positionId);
+            if (amount == 0 || amount >= pos.margin) revert InvalidMarginAmount();
+
+            uint256 margin = pos.margin - amount;
+            uint256 leverage = pos.size / margin;
+            if (pos.size > margin * markets[marketId].maxLeverage) revert InvalidLeverage(leverage);
+            pos.margin = uint128(margin);
+            totalMargin -= amount;
+            _requireHealthy(pos, price);
+
+            if (!tokenB.transfer(msg.sender, amount)) {
+                revert TransferFailed();
+            }
+            emit MarginRemoved(positionId, msg.sender, amount);
+        }
+
+        /// @notice Make opens on the opposite side of an open position in the same market revert,
+        ///         instead of opening a separate, hedging position
+        function setOneWayMode(bool enabled) external {
+            oneWayMode[msg.sender] = enabled;
+            emit OneWayModeSet(msg.sender, enabled);
+        }
+
+        /// @notice Close a position
+        function closePosition(uint256 positionId) external {
+            Position storage pos = _ownPosition(positionId);
+            uint256 marketId = pos.marketId;
+            uint256 price = _readPrice(marketId);
+            _accrueFees(marketId);
+            _closePosition(positionId, price);
+        }
+
+        /// @notice Place an order that opens a position once the price reaches the trigger
+        /// @dev Longs fill at or below the trigger price, shorts at or above it. The margin and the
+        ///      execution fee are escrowed until the order is executed or cancelled.
+        /// @param marketId Market to trade
+        /// @param marginAmount Total margin including fee
+        /// @param isLong True for long, false for short
+        /// @param leverage Leverage multiplier (2 up to the market's max leverage)
+        /// @param triggerPrice Price with 18 decimals
+        /// @return orderId Id of the new order
+        function placeLimitOrder(
+            uint256 marketId,
+            uint256 marginAmount,
+            bool isLong,
+            uint256 leverage,
+            uint256 triggerPrice
+        ) external whenNotPaused returns (uint256 orderId) {
+            Market storage market = _market(marketId);
+            if (!market.listed) revert MarketNotListed(marketId);
+            if (marginAmount == 0) revert InvalidMarginAmount();
+            if (leverage < MIN_LEVERAGE || leverage > market.maxLeverage) revert InvalidLeverage(leverage);
+            if (triggerPrice == 0) revert InvalidTriggerPrice();
+
+            uint256 fee = executionFee;
+            _pullTokens(marginAmount + fee);
+
+            orderId = nextOrderId++;
+            Order storage order = orders[orderId];
+            order.owner = msg.sender;
+            order.marketId = uint64(marketId);
+            order.orderType = OrderType.Limit;
+            order.isLong = isLong;
+            order.leverage = uint16(leverage);
+            order.margin = uint128(marginAmount);
+            order.executionFee = uint128(fee);
+            order.triggerPrice = triggerPrice;
+            userOrders[msg.sender].add(orderId);
+
+            emit OrderPlaced(orderId, msg.sender, marketId, OrderType.Limit, isLong, triggerPrice, 0);
+        }
+
+        /// @notice Place a stop-loss or take-profit order that closes a position at the trigger price
+        /// @dev A long stop-loss fills at or below the trigger, a long take-profit at or above it, and
+        ///      the other way round for shorts. The execution fee is escrowed until the order is
+        ///      executed or cancelled.
+        /// @param positionId Position to close
+        /// @param orderType StopLoss or TakeProfit
+        /// @param triggerPrice Price with 18 decimals
+        /// @return orderId Id of the new order
+        function placeCloseOrder(uint256 positionId, OrderType orderType, uint256 triggerPrice)
+            external
+            returns (uint256 orderId)
+        {
+            Position storage pos = _ownPosition(positionId);
+            if (orderType == OrderType.Limit || triggerPrice == 0) revert InvalidTriggerPrice();
+            if (positionOrders[positionId].length() >= MAX_CLOSE_ORDERS) revert TooManyCloseOrders(positionId);
+
+            uint256 fee = executionFee;
+            _pullTokens(fee);
+
+            orderId = nextOrderId++;
+            Order storage order = orders[orderId];
+            order.owner = msg.sender;
+            order.marketId = pos.marketId;
+            order.orderType = orderType;
+            order.isLong = pos.isLong;
+            order.executionFee = uint128(fee);
+            order.triggerPrice = triggerPrice;
+            order.positionId = positionId;
+            userOrders[msg.sender].add(orderId);
+            positionOrders[positionId].add(orderId);
+
+            emit OrderPlaced(orderId, msg.sender, pos.marketId, orderType, pos.isLong, triggerPrice, positionId);
+        }
+
+        /// @notice Cancel an order and get its escrowed margin and execution fee back
+        function cancelOrder(uint256 orderId) external {
+            Order storage order = orders[orderId];
+            if (order.owner == address(0)) revert NoOrder();
+            if (order.owner != msg.sender) revert NotOrderOwner();
+
+            uint256 refund = uint256(order.margin) + order.executionFee;
+            _removeOrder(orderId);
+
+            if (refund > 0 && !tokenB.transfer(msg.sender, refund)) {
                 revert TransferFailed();
             }
-            feeReserve += fee;
+            emit OrderCancelled(orderId, msg.sender);
         }
 
-        /// @notice Close user's position
-        function closePosition() external {
-            Position storage pos = positions[msg.sender];
-            if (pos.margin == 0) revert NoPosition();
-            _closePosition(msg.sender, getPrice());
+        /// @notice Fill a triggered order and collect its execution fee
+        /// @param orderId Id of the order
+        /// @dev Limit orders are not filled while the contract is paused, close orders are
+        /// @return positionId Position opened by a limit order, or closed by a stop-loss or take-profit order
+        function executeOrder(uint256 orderId) external returns (uint256 positionId) {
+            Order memory order = orders[orderId];
+            if (order.owner == address(0)) revert NoOrder();
+            bool isLimit = order.orderType == OrderType.Limit;
+            if (isLimit) _requireNotPaused();
+
+            uint256 marketId = order.marketId;
+            uint256 price = isLimit ? _readOpenPrice(marketId) : _readPrice(marketId);
+            if (!_isTriggered(order, price)) revert OrderNotTriggered(order.triggerPrice, price);
+            _accrueFees(marketId);
+            _removeOrder(orderId);
+
+            if (isLimit) {
+                Market storage market = markets[marketId];
+                if (!market.listed) revert MarketNotListed(marketId);
+                (uint256 netMargin, uint256 size) = _applyOpenFee(market, order.margin, order.leverage);
+                positionId = nextPositionId++;
+                _openNewPosition(positionId, order.owner, marketId, order.isLong, netMargin, size, price, order.leverage);
+            } else {
+                positionId = order.positionId;
+                if (positions[positionId].owner != order.owner) revert NoPosition();
+                _closePosition(positionId, price);
+            }
+
+            if (order.executionFee > 0 && !tokenB.transfer(msg.sender, order.executionFee)) {
+                revert TransferFailed();
+            }
+            emit OrderExecuted(orderId, order.owner, msg.sender, price, positionId);
         }
 
         /// @notice Liquidate underfunded position
-        /// @param user Address of the user
-        function liquidate(address user) external {
-            Position storage pos = positions[user];
-            if (pos.margin == 0) revert NoPosition();
+        /// @param positionId Id of the position
+        function liquidate(uint256 positionId) external {
+            Position storage pos = positions[positionId];
+            if (pos.owner == address(0)) revert NoPosition();
+            uint256 marketId = pos.marketId;
 
-            // Check liquidation
-            uint256 price = getPrice();
-            int256 pnl = _calculatePnL(pos.isLong, pos.size, price, pos.openPrice);
-            uint256 equity = pnl >= 0 ? pos.margin + uint256(pnl) : (pos.margin > uint256(-pnl) ? pos.margin - uint256(-pnl) : 0);
+            // Check liquidation, funding and borrow fees included
+            uint256 price = _readPrice(marketId);
+            _accrueFees(marketId);
+            _settleFees(positionId);
+            uint256 equity = _equity(pos.isLong, pos.margin, pos.size, price, pos.openPrice);
 
-            uint256 requiredMargin = (pos.margin * MAINTENANCE_MARGIN) / 10000;
+            uint256 requiredMargin = (pos.margin * markets[marketId].maintenanceMargin) / 10000;
             if (equity > requiredMargin) revert NotLiquidatable();
 
-            // Calculate final margin
-            uint256 finalMargin = equity;
-            uint256 reward = (pos.margin * LIQUIDATION_REWARD) / 10000;
+            // Calculate final margin, the vault takes the loss
+            address user = pos.owner;
+            uint256 margin = pos.margin;
+            int256 pnl = _calculatePnL(pos.isLong, pos.size, price, pos.openPrice);
+            uint256 finalMargin = _settlePnL(positionId, margin, pnl);
+            uint256 reward = (margin * liquidationReward) / 10000;
 
             // Clear position
-            delete positions[user];
+            _removePosition(positionId);
 
             // Transfer equity and reward
             if (finalMargin > 0) {
@@ -174,61 +709,319 @@
                 }
             }
 
-            emit PositionLiquidated(user, pos.margin, msg.sender);
+            emit PositionLiquidated(positionId, user, margin, msg.sender);
         }
 
         /// @notice Get position details
-        /// @param user Address of the user
+        /// @param positionId Id of the position
         /// @return isLong True if position is long
         /// @return margin Margin in tokenB
         /// @return size Position size in USD
         /// @return openPrice Average opening price
-        /// @return equity Current equity in tokenB
-        function getPosition(address user) external view returns (
+        /// @return equity Current equity in tokenB, net of funding and borrow fees, 0 when wiped out
+        /// @return funding Funding accrued since the last settlement less the funding collected for its side,
+        ///         negative when it receives more than it pays
+        /// @return borrowFee Borrow fee accrued since the last settlement
+        function getPosition(uint256 positionId) external view returns (
             bool isLong,
             uint256 margin,
             uint256 size,
             uint256 openPrice,
-            uint256 equity
+            uint256 equity,
+            int256 funding,
+            uint256 borrowFee
         ) {
-            Position storage pos = positions[user];
-            if (pos.margin == 0) revert NoPosition();
-            
-            uint256 price = getPrice();
-            uint256 equityValue = pos.margin + uint256(_calculatePnL(pos.isLong, pos.size, price, pos.openPrice));
-            return (pos.isLong, pos.margin, uint256(pos.size), pos.openPrice, equityValue);
+            Position storage pos = positions[positionId];
+            if (pos.owner == address(0)) revert NoPosition();
+
+            (uint256 owed, , uint256 received, uint256 pendingBorrowFee) = _pendingFees(pos);
+            funding = int256(owed) - int256(received);
+            borrowFee = pendingBorrowFee;
+            uint256 settledMargin = _marginAfterFees(pos.margin, owed, received, borrowFee);
+            equity = _equity(pos.isLong, settledMargin, pos.size, getPrice(pos.marketId), pos.openPrice);
+            return (pos.isLong, pos.margin, uint256(pos.size), pos.openPrice, equity, funding, borrowFee);
+        }
+
+        /// @notice Whether a position is at or below the maintenance margin, funding and borrow fees included
+        function isLiquidatable(uint256 positionId) external view returns (bool) {
+            Position storage pos = positions[positionId];
+            if (pos.owner == address(0)) revert NoPosition();
+
+            (uint256 funding, , uint256 received, uint256 borrowFee) = _pendingFees(pos);
+            uint256 margin = _marginAfterFees(pos.margin, funding, received, borrowFee);
+            uint256 equity = _equity(pos.isLong, margin, pos.size, getPrice(pos.marketId), pos.openPrice);
+            return equity <= (margin * markets[pos.marketId].maintenanceMargin) / 10000;
+        }
+
+        /// @notice Whether an order can be executed at the current price
+        function isOrderTriggered(uint256 orderId) external view returns (bool) {
+            Order memory order = orders[orderId];
+            if (order.owner == address(0)) revert NoOrder();
+            return _isTriggered(order, getPrice(order.marketId));
+        }
+
+        /// @notice Ids of the open orders of a user
+        function getUserOrders(address user) external view returns (uint256[] memory) {
+            return userOrders[user].values();
+        }
+
+        /// @notice Number of open orders of a user
+        function userOrderCount(address user) external view returns (uint256) {
+            return userOrders[user].length();
         }
 
-        /// @notice Get latest price from Chainlink
+        /// @notice Ids of the open positions of a user
+        function getUserPositions(address user) external view returns (uint256[] memory) {
+            return userPositions[user].values();
+        }
+
+        /// @notice Number of open positions of a user
+        function userPositionCount(address user) external view returns (uint256) {
+            return userPositions[user].length();
+        }
+
+        /// @notice Id of the open position of a user at an index, for paging through `userPositionCount`
+        function userPositionAt(address user, uint256 index) external view returns (uint256) {
+            return userPositions[user].at(index);
+        }
+
+        /// @notice Current hourly funding rate paid by longs of a market, negative when shorts pay (1000000 = 100%)
+        function fundingRate(uint256 marketId) external view returns (int256) {
+            Market storage market = _market(marketId);
+            uint256 totalOpenInterest = market.longOpenInterest + market.shortOpenInterest;
+            if (totalOpenInterest == 0) return 0;
+            int256 skew = int256(market.longOpenInterest) - int256(market.shortOpenInterest);
+            return (skew * int256(fundingRateFactor)) / int256(totalOpenInterest);
+        }
+
+        /// @notice Net open P&L of all positions against the assets backing it
+        /// @return openPnl Unrealized P&L of all positions at current prices, positive when traders are up
+        /// @return assets Vault assets plus the insurance fund
+        /// @return surplus Assets left once the open P&L is paid, negative when the vault is insolvent
+        function solvency() external view returns (int256 openPnl, uint256 assets, int256 surplus) {
+            for (uint256 i = 0; i < marketCount; i++) {
+                Market storage market = markets[i];
+                if (market.longOpenInterest == 0 && market.shortOpenInterest == 0) continue;
+                uint256 price = getPrice(i);
+                EntryUnits storage units = entryUnits[i];
+                openPnl += int256((units.longUnits * price) / PRECISION) - int256(market.longOpenInterest);
+                openPnl += int256(market.shortOpenInterest) - int256((units.shortUnits * price) / PRECISION);
+            }
+            assets = insuranceFund;
+            if (address(vault) != address(0)) assets += vault.totalAssets();
+            surplus = int256(assets) - openPnl;
+        }
+
+        /// @notice Get latest price of a market from Chainlink, checked for staleness and incomplete rounds
         /// @return price Price in USD, adjusted to 18 decimals
-        function getPrice() public view returns (uint256 price) {
-            (, int256 priceData,,,) = priceFeed.latestRoundData();
-            if (priceData <= 0) revert InvalidPrice();
-            price = uint256(priceData) * (PRECISION / 1e8); // Adjust to 18 decimals
+        function getPrice(uint256 marketId) public view returns (uint256 price) {
+            Market storage market = _market(marketId);
+            return OracleLib.getPrice(OracleLib.Feed({
+                primary: market.priceFeed,
+                secondary: market.fallbackFeed,
+                maxStaleness: market.maxPriceAge,
+                maxDeviation: market.maxPriceDeviation
+            }));
+        }
+
+        /// @notice Record the price of a market with the circuit breaker, pausing on a jump
+        /// @dev For keepers: opens revert with `PriceJumped` rather than pause
+        /// @return tripped True when the price paused the contract
+        function checkPrice(uint256 marketId) external returns (bool tripped) {
+            return _checkPriceJump(address(markets[marketId].priceFeed), getPrice(marketId));
+        }
+
+        /// @dev Price of a state-changing call, recorded by the circuit breaker
+        function _readPrice(uint256 marketId) internal returns (uint256 price) {
+            price = getPrice(marketId);
+            _checkPriceJump(address(markets[marketId].priceFeed), price);
+        }
+
+        /// @dev Price of a call that opens exposure, reverting on a jump
+        function _readOpenPrice(uint256 marketId) internal returns (uint256 price) {
+            price = getPrice(marketId);
+            _requireNoPriceJump(address(markets[marketId].priceFeed), price);
+        }
+
+        function _listMarket(
+            address priceFeed,
+            uint256 maxLeverage,
+            uint256 maintenanceMargin,
+            uint256 feeRate
+        ) internal returns (uint256 marketId) {
+            if (priceFeed == address(0)) revert InvalidAddress();
+            _validateMarket(maxLeverage, maintenanceMargin, feeRate);
+
+            marketId = marketCount++;
+            Market storage market = markets[marketId];
+            market.listed = true;
+            market.maxLeverage = uint16(maxLeverage);
+            market.maintenanceMargin = uint16(maintenanceMargin);
+            market.feeRate = uint16(feeRate);
+            market.priceFeed = AggregatorV3Interface(priceFeed);
+            market.maxPriceAge = uint32(DEFAULT_MAX_PRICE_AGE);
+            market.lastFeeAccrual = block.timestamp;
+
+            emit MarketListed(marketId, priceFeed, maxLeverage, maintenanceMargin, feeRate);
+        }
+
+        function _validateMarket(uint256 maxLeverage, uint256 maintenanceMargin, uint256 feeRate) internal pure {
+            if (
+                maxLeverage < MIN_LEVERAGE || maxLeverage > MAX_LEVERAGE ||
+                maintenanceMargin == 0 || maintenanceMargin > MAX_MAINTENANCE_MARGIN ||
+                feeRate > MAX_FEE_RATE
+            ) {
+                revert InvalidMarketConfig(maxLeverage, maintenanceMargin, feeRate);
+            }
+        }
+
+        function _market(uint256 marketId) internal view returns (Market storage) {
+            if (marketId >= marketCount) revert InvalidMarket(marketId);
+            return markets[marketId];
+        }
+
+        function _ownPosition(uint256 positionId) internal view returns (Position storage pos) {
+            pos = positions[positionId];
+            if (pos.owner == address(0)) revert NoPosition();
+            if (pos.owner != msg.sender) revert NotPositionOwner();
+        }
+
+        /// @notice Take margin from the caller and charge the open fee
+        /// @return netMargin Margin left after the fee
+        /// @return size Position size of the net margin
+        function _collectMargin(Market storage market, uint256 marginAmount, uint256 leverage)
+            internal
+            returns (uint256 netMargin, uint256 size)
+        {
+            if (marginAmount == 0) revert InvalidMarginAmount();
+            (netMargin, size) = _applyOpenFee(market, marginAmount, leverage);
+
+            // Transfer margin (includes fee)
+            _pullTokens(marginAmount);
+        }
+
+        /// @notice Charge the open fee of a market on margin that is already held
+        function _applyOpenFee(Market storage market, uint256 marginAmount, uint256 leverage)
+            internal
+            returns (uint256 netMargin, uint256 size)
+        {
+            if (address(vault) == address(0)) revert VaultNotSet();
+            if (leverage < MIN_LEVERAGE || leverage > market.maxLeverage) revert InvalidLeverage(leverage);
+
+            // Calculate fee and net margin
+            uint256 fee = (marginAmount * leverage * market.feeRate) / 10000;
+            netMargin = marginAmount - fee;
+            size = netMargin * leverage; // Adjust size
+            _collectFee(fee);
+        }
+
+        /// @notice Split a fee between the insurance fund and the fee reserve
+        function _collectFee(uint256 fee) internal {
+            uint256 insurance = (fee * insuranceFeeShare) / 10000;
+            insuranceFund += insurance;
+            feeReserve += fee - insurance;
+        }
+
+        /// @notice Settle the P&L of a margin against the vault
+        /// @dev Profits are paid into this contract as far as the vault covers them. A loss beyond
+        ///      the margin is bad debt, paid to the vault by the insurance fund as far as it can.
+        /// @return equity Margin plus paid profit or less loss, held by this contract
+        function _settlePnL(uint256 positionId, uint256 margin, int256 pnl) internal returns (uint256 equity) {
+            if (pnl >= 0) {
+                uint256 profit = uint256(pnl);
+                return profit > 0 ? margin + vault.payProfit(address(this), profit) : margin;
+            }
+
+            uint256 loss = uint256(-pnl);
+            if (loss <= margin) {
+                vault.collectLoss(loss);
+                return margin - loss;
+            }
+
+            uint256 shortfall = loss - margin;
+            uint256 covered = shortfall < insuranceFund ? shortfall : insuranceFund;
+            insuranceFund -= covered;
+            badDebt += shortfall - covered;
+            vault.collectLoss(margin + covered);
+            emit BadDebtRecorded(positionId, shortfall, covered);
+        }
+
+        function _pullTokens(uint256 amount) internal {
+            uint256 balance = tokenB.balanceOf(msg.sender);
+            if (balance < amount) revert InsufficientBalance(amount, balance);
+            uint256 allowance = tokenB.allowance(msg.sender, address(this));
+            if (allowance < amount) revert InsufficientAllowance(amount, allowance);
+            if (!tokenB.transferFrom(msg.sender, address(this), amount)) {
+                revert TransferFailed();
+            }
+        }
+
+        function _isTriggered(Order memory order, uint256 price) internal pure returns (bool) {
+            // limit longs, long stop-losses and short take-profits fill at or below the trigger
+            bool fillsBelow = order.orderType == OrderType.Limit
+                ? order.isLong
+                : (order.orderType == OrderType.StopLoss) == order.isLong;
+            return fillsBelow ? price <= order.triggerPrice : price >= order.triggerPrice;
+        }
+
+        function _removeOrder(uint256 orderId) internal {
+            Order storage order = orders[orderId];
+            userOrders[order.owner].remove(orderId);
+            if (order.orderType != OrderType.Limit) positionOrders[order.positionId].remove(orderId);
+            delete orders[orderId];
+        }
+
+        /// @dev Cancel the close orders left on a position that is closed or liquidated and
+        ///      refund their execution fees to its owner. MAX_CLOSE_ORDERS bounds the loop.
+        function _cancelCloseOrders(uint256 positionId, address user) internal {
+            EnumerableSet.UintSet storage ids = positionOrders[positionId];
+            uint256 refund;
+            while (ids.length() > 0) {
+                uint256 orderId = ids.at(ids.length() - 1);
+                refund += orders[orderId].executionFee;
+                _removeOrder(orderId);
+                emit OrderCancelled(orderId, user);
+            }
+            if (refund > 0 && !tokenB.transfer(user, refund)) {
+                revert TransferFailed();
+            }
         }
 
         /// @notice Internal function to open new position
         function _openNewPosition(
+            uint256 positionId,
             address user,
+            uint256 marketId,
             bool isLong,
             uint256 margin,
             uint256 size,
             uint256 price,
             uint256 leverage
         ) internal {
-            Position storage pos = positions[user];
+            if (oneWayMode[user]) _requireNoOppositePosition(user, marketId, isLong);
+            Market storage market = markets[marketId];
+            Position storage pos = positions[positionId];
+            pos.owner = user;
+            pos.marketId = uint64(marketId);
             pos.isLong = isLong;
             pos.margin = uint128(margin);
             pos.size = uint128(size);
             pos.openPrice = price;
             pos.lastUpdated = block.timestamp;
+            pos.fundingIndex = isLong ? market.cumulativeFundingLong : market.cumulativeFundingShort;
+            pos.fundingReceivedIndex = isLong ? market.fundingReceivedLong : market.fundingReceivedShort;
+            pos.unmatchedFundingIndex = isLong ? market.unmatchedFundingLong : market.unmatchedFundingShort;
+            pos.borrowFeeIndex = market.cumulativeBorrowFee;
+            _addOpenInterest(marketId, isLong, size, price);
+            totalMargin += margin;
+            userPositions[user].add(positionId);
 
-            emit PositionOpened(user, isLong, margin, size, price, leverage);
+            emit PositionOpened(positionId, user, marketId, isLong, margin, size, price, leverage);
         }
 
         /// @notice Internal function to increase position
-        function _increasePosition(address user, uint256 margin, uint256 size, uint256 price) internal {
-            Position storage pos = positions[user];
+        function _increasePosition(uint256 positionId, uint256 margin, uint256 size, uint256 price) internal {
+            Position storage pos = positions[positionId];
             uint256 oldMargin = pos.margin;
             uint256 oldSize = pos.size;
             uint256 oldPrice = pos.openPrice;
@@ -241,41 +1034,42 @@
             uint256 avgPrice = (oldSize * oldPrice + size * price) / newSize;
 
             // Update position
+            _removeOpenInterest(pos.marketId, pos.isLong, oldSize, oldPrice);
             pos.margin = uint128(newMargin);
             pos.size = uint128(newSize);
             pos.openPrice = avgPrice;
-            pos.lastUpdated = block.timestamp;
+            _addOpenInterest(pos.marketId, pos.isLong, newSize, avgPrice);
+            totalMargin += margin;
 
-            emit PositionIncreased(user, margin, size, avgPrice);
+            emit PositionIncreased(positionId, pos.owner, margin, size, avgPrice);
         }
 
         /// @notice Internal function to close position
-        function _closePosition(address user, uint256 price) internal {
-            Position storage pos = positions[user];
+        function _closePosition(uint256 positionId, uint256 price) internal {
+            _settleFees(positionId);
+            Position storage pos = positions[positionId];
+            address user = pos.owner;
             uint256 margin = pos.margin;
             uint256 size = pos.size;
             bool isLong = pos.isLong;
 
-            // Calculate P&L
+            // Calculate P&L and settle it against the vault
             int256 pnl = _calculatePnL(isLong, size, price, pos.openPrice);
-
-            // Adjust margin
-            uint256 finalMargin;
+            uint256 finalMargin = _settlePnL(positionId, margin, pnl);
             if (pnl >= 0) {
-                finalMargin = margin + uint256(pnl);
-                emit PositionClosed(user, uint256(pnl), 0);
+                emit PositionClosed(positionId, user, uint256(pnl), 0);
             } else {
-                uint256 loss = uint256(-pnl);
-                finalMargin = margin > loss ? margin - loss : 0;
-                emit PositionClosed(user, 0, loss);
+                emit PositionClosed(positionId, user, 0, uint256(-pnl));
             }
 
             // Charge fee
-            uint256 fee = (size * FEE_RATE) / 10000;
-            if (fee > 0) {
-                finalMargin = finalMargin > fee ? finalMargin - fee : 0;
-                feeReserve += fee;
-            }
+            uint256 fee = (size * markets[pos.marketId].feeRate) / 10000;
+            if (fee > finalMargin) fee = finalMargin;
+            finalMargin -= fee;
+            _collectFee(fee);
+
+            // Clear position
+            _removePosition(positionId);
 
             // Transfer margin
             if (finalMargin > 0) {
@@ -285,9 +1079,220 @@
                     revert TransferFailed();
                 }
             }
+        }
 
-            // Clear position
-            delete positions[user];
+        function _requireNoOppositePosition(address user, uint256 marketId, bool isLong) internal view {
+            EnumerableSet.UintSet storage ids = userPositions[user];
+            uint256 count = ids.length();
+            for (uint256 i = 0; i < count; i++) {
+                uint256 positionId = ids.at(i);
+                Position storage pos = positions[positionId];
+                if (pos.marketId == marketId && pos.isLong != isLong) revert OppositePosition(positionId);
+            }
+        }
+
+        /// @notice Revert when a position with settled fees is at or below its maintenance margin
+        function _requireHealthy(Position storage pos, uint256 price) internal view {
+            uint256 equity = _equity(pos.isLong, pos.margin, pos.size, price, pos.openPrice);
+            uint256 requiredMargin = (uint256(pos.margin) * markets[pos.marketId].maintenanceMargin) / 10000;
+            if (equity <= requiredMargin) revert PositionUnhealthy(equity, requiredMargin);
+        }
+
+        function _removePosition(uint256 positionId) internal {
+            Position storage pos = positions[positionId];
+            address user = pos.owner;
+            _removeOpenInterest(pos.marketId, pos.isLong, pos.size, pos.openPrice);
+            totalMargin -= pos.margin;
+            userPositions[user].remove(positionId);
+            delete positions[positionId];
+            _cancelCloseOrders(positionId, user);
+        }
+
+        /// @notice Bring the cumulative funding and borrow fee indices of a market up to date
+        function _accrueFees(uint256 marketId) internal {
+            Market storage market = markets[marketId];
+            FeeIndices memory indices = _currentFeeIndices(market);
+            market.cumulativeFundingLong = indices.fundingLong;
+            market.cumulativeFundingShort = indices.fundingShort;
+            market.fundingReceivedLong = indices.receivedLong;
+            market.fundingReceivedShort = indices.receivedShort;
+            market.unmatchedFundingLong = indices.unmatchedLong;
+            market.unmatchedFundingShort = indices.unmatchedShort;
+            market.cumulativeBorrowFee = indices.borrowFee;
+            market.lastFeeAccrual = block.timestamp;
+        }
+
+        /// @notice Fee indices of a market as of now
+        /// @dev Each period credits the smaller side what the larger side pays, split over the open
+        ///      interest of that period, so a position only earns funding for the time it was open.
+        ///      Funding paid while the other side is empty accrues as unmatched and goes to the fee reserve.
+        function _currentFeeIndices(Market storage market) internal view returns (FeeIndices memory indices) {
+            indices.fundingLong = market.cumulativeFundingLong;
+            indices.fundingShort = market.cumulativeFundingShort;
+            indices.receivedLong = market.fundingReceivedLong;
+            indices.receivedShort = market.fundingReceivedShort;
+            indices.unmatchedLong = market.unmatchedFundingLong;
+            indices.unmatchedShort = market.unmatchedFundingShort;
+            indices.borrowFee = market.cumulativeBorrowFee;
+            uint256 elapsed = block.timestamp - market.lastFeeAccrual;
+            if (elapsed == 0) return indices;
+
+            indices.borrowFee += (borrowFeeRate * elapsed * PRECISION) / (RATE_PRECISION * 1 hours);
+
+            // the larger side pays in proportion to the skew
+            uint256 longInterest = market.longOpenInterest;
+            uint256 shortInterest = market.shortOpenInterest;
+            uint256 skew = longInterest >= shortInterest ? longInterest - shortInterest : shortInterest - longInterest;
+            if (skew == 0) return indices;
+
+            uint256 paidPerSize = (fundingRateFactor * elapsed * PRECISION * skew)
+                / (RATE_PRECISION * 1 hours * (longInterest + shortInterest));
+            if (longInterest > shortInterest) {
+                indices.fundingLong += paidPerSize;
+                if (shortInterest == 0) {
+                    indices.unmatchedLong += paidPerSize;
+                } else {
+                    indices.receivedShort += (paidPerSize * longInterest) / shortInterest;
+                }
+            } else {
+                indices.fundingShort += paidPerSize;
+                if (longInterest == 0) {
+                    indices.unmatchedShort += paidPerSize;
+                } else {
+                    indices.receivedLong += (paidPerSize * shortInterest) / longInterest;
+                }
+            }
+        }
+
+        /// @notice Funding and borrow fee of a position since its last settlement
+        /// @return funding Funding its side owes
+        /// @return unmatched Part of `funding` accrued while the other side was empty
+        /// @return received Funding credited to its side
+        /// @return borrowFee Borrow fee it owes
+        function _pendingFees(Position storage pos) internal view returns (
+            uint256 funding,
+            uint256 unmatched,
+            uint256 received,
+            uint256 borrowFee
+        ) {
+            FeeIndices memory indices = _currentFeeIndices(markets[pos.marketId]);
+            uint256 size = pos.size;
+            bool isLong = pos.isLong;
+            funding = (((isLong ? indices.fundingLong : indices.fundingShort) - pos.fundingIndex) * size) / PRECISION;
+            unmatched = (((isLong ? indices.unmatchedLong : indices.unmatchedShort) - pos.unmatchedFundingIndex) * size)
+                / PRECISION;
+            if (unmatched > funding) unmatched = funding;
+            received = (((isLong ? indices.receivedLong : indices.receivedShort) - pos.fundingReceivedIndex) * size)
+                / PRECISION;
+
+            uint256 borrowed = size > pos.margin ? size - pos.margin : 0;
+            borrowFee = ((indices.borrowFee - pos.borrowFeeIndex) * borrowed) / PRECISION;
+        }
+
+        /// @notice Charge accrued funding and borrow fees against the margin of a position and
+        ///         credit it the funding earned by its side
+        /// @dev Expects _accrueFees to have run for its market in the same transaction
+        function _settleFees(uint256 positionId) internal {
+            Position storage pos = positions[positionId];
+            Market storage market = markets[pos.marketId];
+            (uint256 funding, uint256 unmatched, uint256 received, uint256 borrowFee) = _pendingFees(pos);
+            uint256 marginBefore = pos.margin;
+            received = _payFunding(received);
+
+            // funding, then the borrow fee, are only collected as far as the margin covers them
+            uint256 margin = marginBefore + received;
+            if (funding > margin) {
+                unmatched = (unmatched * margin) / funding;
+                funding = margin;
+            }
+            margin -= funding;
+            if (borrowFee > margin) borrowFee = margin;
+            margin -= borrowFee;
+            _collectFee(borrowFee);
+            _collectFunding(funding, unmatched);
+
+            pos.margin = uint128(margin);
+            totalMargin = totalMargin + margin - marginBefore;
+            pos.fundingIndex = pos.isLong ? market.cumulativeFundingLong : market.cumulativeFundingShort;
+            pos.fundingReceivedIndex = pos.isLong ? market.fundingReceivedLong : market.fundingReceivedShort;
+            pos.unmatchedFundingIndex = pos.isLong ? market.unmatchedFundingLong : market.unmatchedFundingShort;
+            pos.borrowFeeIndex = market.cumulativeBorrowFee;
+            pos.lastUpdated = block.timestamp;
+
+            if (funding != 0 || received != 0 || borrowFee != 0) {
+                emit FeesSettled(positionId, int256(funding) - int256(received), borrowFee);
+            }
+        }
+
+        /// @notice Pay out funding earned by a receiver, from the funding pool first
+        /// @dev Payers settle lazily, so the insurance fund advances what the pool lacks and is repaid
+        ///      by later collections. Beyond both, the credit is not paid.
+        /// @return paid Funding paid out
+        function _payFunding(uint256 amount) internal returns (uint256 paid) {
+            paid = amount < fundingPool ? amount : fundingPool;
+            fundingPool -= paid;
+            uint256 advanced = amount - paid;
+            if (advanced > insuranceFund) advanced = insuranceFund;
+            insuranceFund -= advanced;
+            fundingAdvance += advanced;
+            paid += advanced;
+        }
+
+        /// @notice Book funding collected from a payer
+        /// @dev Unmatched funding goes to the fee reserve. The rest repays what the insurance fund
+        ///      advanced to receivers, then waits in the funding pool.
+        function _collectFunding(uint256 amount, uint256 unmatched) internal {
+            if (amount == 0) return;
+            feeReserve += unmatched;
+            amount -= unmatched;
+            uint256 repaid = amount < fundingAdvance ? amount : fundingAdvance;
+            fundingAdvance -= repaid;
+            insuranceFund += repaid;
+            fundingPool += amount - repaid;
+        }
+
+        function _marginAfterFees(uint256 margin, uint256 funding, uint256 received, uint256 borrowFee)
+            internal
+            pure
+            returns (uint256)
+        {
+            uint256 available = margin + received;
+            uint256 owed = funding + borrowFee;
+            return available > owed ? available - owed : 0;
+        }
+
+        /// @notice Margin plus P&L, floored at 0
+        function _equity(
+            bool isLong,
+            uint256 margin,
+            uint256 size,
+            uint256 price,
+            uint256 openPrice
+        ) internal pure returns (uint256) {
+            int256 equity = int256(margin) + _calculatePnL(isLong, size, price, openPrice);
+            return equity > 0 ? uint256(equity) : 0;
+        }
+
+        function _addOpenInterest(uint256 marketId, bool isLong, uint256 size, uint256 openPrice) internal {
+            uint256 units = (size * PRECISION) / openPrice;
+            if (isLong) {
+                markets[marketId].longOpenInterest += size;
+                entryUnits[marketId].longUnits += units;
+            } else {
+                markets[marketId].shortOpenInterest += size;
+                entryUnits[marketId].shortUnits += units;
+            }
+        }
+
+        function _removeOpenInterest(uint256 marketId, bool isLong, uint256 size, uint256 openPrice) internal {
+            uint256 units = (size * PRECISION) / openPrice;
+            if (isLong) {
+                markets[marketId].longOpenInterest -= size;
+                entryUnits[marketId].longUnits -= units;
+            } else {
+                markets[marketId].shortOpenInterest -= size;
+                entryUnits[marketId].shortUnits -= units;
+            }
         }
 
         /// @notice Calculate profit and loss
@@ -303,4 +1308,4 @@
                 pnl = int256(size) - int256((size * currentPrice) / openPrice);
             }
         }
-    }
\ No newline at end of file
+    }
@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ProtocolAccess} from "./ProtocolAccess.sol";
+
+/// @title LiquidityMining - Reward token emissions for liquidity providers and lenders
+/// @notice Stakers of a pool token (SwapPool LP tokens, NFTLoan or TradingVault shares) earn
+///         `rewardPerSecond`, split between the pools by their allocation points and within a
+///         pool by stake. Rewards are paid from the reward tokens held by this contract; what
+///         it cannot pay stays owed to the staker until it is funded again.
+contract LiquidityMining is ProtocolAccess {
+    error InvalidAddress();
+    error InvalidAmount();
+    error InvalidPool(uint256 poolId);
+    error PoolExists(address stakingToken);
+    error InsufficientStake(uint256 requested, uint256 staked);
+    error TransferFailed();
+
+    uint256 private constant PRECISION = 1e18;
+
+    struct Pool {
+        IERC20 stakingToken;
+        uint256 allocPoint; // Share of the emissions, out of totalAllocPoint
+        uint256 totalStaked;
+        uint256 accRewardPerShare; // Rewards per staked token since the pool was added, 1e18 precision
+        uint256 lastRewardTime;
+    }
+
+    struct Stake {
+        uint256 amount;
+        uint256 rewardDebt; // amount * accRewardPerShare when the stake was last settled
+        uint256 unpaid; // Settled rewards that were not harvested or could not be paid yet
+    }
+
+    IERC20 public immutable rewardToken;
+
+    uint256 public rewardPerSecond;
+    uint256 public totalAllocPoint;
+    Pool[] public pools;
+    mapping(uint256 => mapping(address => Stake)) public stakes; // pool id => staker => stake
+    mapping(address => bool) public isStakingToken;
+
+    event PoolAdded(uint256 indexed poolId, address indexed stakingToken, uint256 allocPoint);
+    event AllocPointUpdated(uint256 indexed poolId, uint256 allocPoint);
+    event RewardPerSecondUpdated(uint256 rewardPerSecond);
+    event RewardsFunded(address indexed funder, uint256 amount);
+    event Deposited(address indexed user, uint256 indexed poolId, uint256 amount);
+    event Withdrawn(address indexed user, uint256 indexed poolId, uint256 amount);
+    event Harvested(address indexed user, uint256 indexed poolId, uint256 amount);
+    event EmergencyWithdrawn(address indexed user, uint256 indexed poolId, uint256 amount);
+
+    /// @param _rewardToken Token paid to stakers
+    /// @param _rewardPerSecond Emissions across all pools, in reward token units
+    constructor(address _rewardToken, uint256 _rewardPerSecond) {
+        if (_rewardToken == address(0)) revert InvalidAddress();
+        rewardToken = IERC20(_rewardToken);
+        rewardPerSecond = _rewardPerSecond;
+    }
+
+    function poolCount() external view returns (uint256) {
+        return pools.length;
+    }
+
+    /// @notice Start emissions to stakers of a token
+    /// @param stakingToken ERC20 staked in the pool, once per token and never the reward token
+    /// @param allocPoint Share of the emissions
+    /// @return poolId Id of the new pool
+    function addPool(address stakingToken, uint256 allocPoint)
+        external
+        onlyRole(RISK_MANAGER_ROLE)
+        returns (uint256 poolId)
+    {
+        if (stakingToken == address(0) || stakingToken == address(rewardToken)) revert InvalidAddress();
+        if (isStakingToken[stakingToken]) revert PoolExists(stakingToken);
+
+        massUpdatePools();
+        poolId = pools.length;
+        pools.push(Pool({
+            stakingToken: IERC20(stakingToken),
+            allocPoint: allocPoint,
+            totalStaked: 0,
+            accRewardPerShare: 0,
+            lastRewardTime: block.timestamp
+        }));
+        isStakingToken[stakingToken] = true;
+        totalAllocPoint += allocPoint;
+        emit PoolAdded(poolId, stakingToken, allocPoint);
+    }
+
+    /// @notice Change the share of the emissions of a pool, timelocked
+    /// @param allocPoint New allocation points, 0 stops the pool's emissions
+    function setAllocPoint(uint256 poolId, uint256 allocPoint) external {
+        _pool(poolId);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        massUpdatePools();
+        totalAllocPoint = totalAllocPoint - pools[poolId].allocPoint + allocPoint;
+        pools[poolId].allocPoint = allocPoint;
+        emit AllocPointUpdated(poolId, allocPoint);
+    }
+
+    /// @notice Change the emissions across all pools, timelocked
+    function setRewardPerSecond(uint256 _rewardPerSecond) external {
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        massUpdatePools();
+        rewardPerSecond = _rewardPerSecond;
+        emit RewardPerSecondUpdated(_rewardPerSecond);
+    }
+
+    /// @notice Add reward tokens to pay stakers with
+    function fundRewards(uint256 amount) external {
+        if (amount == 0) revert InvalidAmount();
+        if (!rewardToken.transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+        emit RewardsFunded(msg.sender, amount);
+    }
+
+    /// @notice Stake pool tokens, rewards earned so far stay claimable
+    function deposit(uint256 poolId, uint256 amount) external whenNotPaused {
+        if (amount == 0) revert InvalidAmount();
+        Pool storage pool = _pool(poolId);
+        Stake storage stake = _settle(poolId, msg.sender);
+
+        if (!pool.stakingToken.transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+        stake.amount += amount;
+        stake.rewardDebt = stake.amount * pool.accRewardPerShare / PRECISION;
+        pool.totalStaked += amount;
+        emit Deposited(msg.sender, poolId, amount);
+    }
+
+    /// @notice Unstake pool tokens, rewards earned so far stay claimable
+    function withdraw(uint256 poolId, uint256 amount) external {
+        if (amount == 0) revert InvalidAmount();
+        Pool storage pool = _pool(poolId);
+        Stake storage stake = _settle(poolId, msg.sender);
+        if (amount > stake.amount) revert InsufficientStake(amount, stake.amount);
+
+        stake.amount -= amount;
+        stake.rewardDebt = stake.amount * pool.accRewardPerShare / PRECISION;
+        pool.totalStaked -= amount;
+        if (!pool.stakingToken.transfer(msg.sender, amount)) revert TransferFailed();
+        emit Withdrawn(msg.sender, poolId, amount);
+    }
+
+    /// @notice Claim the rewards of a pool, as far as this contract holds reward tokens
+    /// @return paid Reward tokens sent, the rest stays owed
+    function harvest(uint256 poolId) external returns (uint256 paid) {
+        _pool(poolId);
+        Stake storage stake = _settle(poolId, msg.sender);
+
+        uint256 available = rewardToken.balanceOf(address(this));
+        paid = stake.unpaid < available ? stake.unpaid : available;
+        if (paid == 0) return 0;
+        stake.unpaid -= paid;
+        if (!rewardToken.transfer(msg.sender, paid)) revert TransferFailed();
+        emit Harvested(msg.sender, poolId, paid);
+    }
+
+    /// @notice Take the stake out without settling rewards, which are forfeited.
+    ///         Open while paused, for when reward accounting or funding is broken.
+    function emergencyWithdraw(uint256 poolId) external {
+        Pool storage pool = _pool(poolId);
+        Stake storage stake = stakes[poolId][msg.sender];
+        uint256 amount = stake.amount;
+        if (amount == 0) revert InvalidAmount();
+
+        delete stakes[poolId][msg.sender];
+        pool.totalStaked -= amount;
+        if (!pool.stakingToken.transfer(msg.sender, amount)) revert TransferFailed();
+        emit EmergencyWithdrawn(msg.sender, poolId, amount);
+    }
+
+    /// @notice Rewards a staker can harvest from a pool, paid or not yet funded
+    function pendingRewards(uint256 poolId, address user) external view returns (uint256) {
+        Pool memory pool = _pool(poolId);
+        Stake memory stake = stakes[poolId][user];
+        uint256 acc = pool.accRewardPerShare;
+        if (block.timestamp > pool.lastRewardTime && pool.totalStaked > 0) {
+            acc += _emissions(pool) * PRECISION / pool.totalStaked;
+        }
+        return stake.unpaid + stake.amount * acc / PRECISION - stake.rewardDebt;
+    }
+
+    /// @notice Accrue the rewards of every pool up to now
+    function massUpdatePools() public {
+        for (uint256 i = 0; i < pools.length; i++) {
+            _updatePool(i);
+        }
+    }
+
+    function _updatePool(uint256 poolId) internal {
+        Pool storage pool = pools[poolId];
+        if (block.timestamp <= pool.lastRewardTime) return;
+        if (pool.totalStaked > 0) {
+            pool.accRewardPerShare += _emissions(pool) * PRECISION / pool.totalStaked;
+        }
+        pool.lastRewardTime = block.timestamp;
+    }
+
+    /// @dev Rewards of a pool since its last update
+    function _emissions(Pool memory pool) internal view returns (uint256) {
+        if (totalAllocPoint == 0) return 0;
+        return (block.timestamp - pool.lastRewardTime) * rewardPerSecond * pool.allocPoint / totalAllocPoint;
+    }
+
+    /// @dev Move the rewards a stake earned since its last settlement to `unpaid`
+    function _settle(uint256 poolId, address user) internal returns (Stake storage stake) {
+        _updatePool(poolId);
+        stake = stakes[poolId][user];
+        uint256 accrued = stake.amount * pools[poolId].accRewardPerShare / PRECISION;
+        stake.unpaid += accrued - stake.rewardDebt;
+        stake.rewardDebt = accrued;
+    }
+
+    function _pool(uint256 poolId) internal view returns (Pool storage) {
+        if (poolId >= pools.length) revert InvalidPool(poolId);
+        return pools[poolId];
+    }
+}
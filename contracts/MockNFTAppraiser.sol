@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {INFTAppraiser} from "./INFTAppraiser.sol";
+
+contract MockNFTAppraiser is INFTAppraiser {
+    error NotOwner();
+    error NotAppraised(address collection, uint256 tokenId);
+
+    address public immutable i_owner;
+    mapping(address => mapping(uint256 => uint256)) public appraisals;
+
+    event Appraised(address indexed collection, uint256 indexed tokenId, uint256 value);
+
+    modifier onlyOwner() {
+        if(msg.sender != i_owner) { revert NotOwner(); }
+        _;
+    }
+
+    constructor() {
+        i_owner = msg.sender;
+    }
+
+    function setAppraisal(address collection, uint256 tokenId, uint256 value) external onlyOwner {
+        appraisals[collection][tokenId] = value;
+        emit Appraised(collection, tokenId, value);
+    }
+
+    function appraise(address collection, uint256 tokenId) external view returns (uint256 value) {
+        value = appraisals[collection][tokenId];
+        if (value == 0) revert NotAppraised(collection, tokenId);
+    }
+}
@@ -1,13 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+/// @notice Chainlink aggregator mock with round ids and timestamps.
+///         Every update starts a new round stamped with the block time.
 contract MockV3Aggregator {
     error NotOwner();
+    error NoDataPresent();
+
+    uint256 public constant version = 4;
 
     uint8 public immutable i_decimals;
-    int256 public latestAnswer;
     address public immutable i_owner;
 
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+    uint256 public latestRound;
+
+    mapping(uint256 => int256) public getAnswer;
+    mapping(uint256 => uint256) public getTimestamp;
+    mapping(uint256 => uint256) public getStartedAt;
+
     event PriceUpdated(int256 newPrice);
 
     modifier onlyOwner() {
@@ -17,20 +29,57 @@ contract MockV3Aggregator {
 
     constructor(uint8 _decimals, int256 _initialAnswer) {
         i_decimals = _decimals;
-        latestAnswer = _initialAnswer;
         i_owner = msg.sender;
+        _updateRoundData(1, _initialAnswer, block.timestamp, block.timestamp);
     }
 
+    function decimals() external view returns (uint8) {
+        return i_decimals;
+    }
+
+    function description() external pure returns (string memory) {
+        return "v0.8/tests/MockV3Aggregator.sol";
+    }
+
+    /// @notice Publish a new answer in the next round
     function updateAnswer(int256 _answer) public onlyOwner {
+        updateRoundData(uint80(latestRound + 1), _answer, block.timestamp, block.timestamp);
+    }
+
+    /// @notice Publish a round with arbitrary timestamps, e.g. a stale (old timestamp)
+    ///         or incomplete (zero timestamp) round
+    function updateRoundData(uint80 _roundId, int256 _answer, uint256 _timestamp, uint256 _startedAt)
+        public
+        onlyOwner
+    {
+        _updateRoundData(_roundId, _answer, _timestamp, _startedAt);
+    }
+
+    function _updateRoundData(uint80 _roundId, int256 _answer, uint256 _timestamp, uint256 _startedAt) internal {
+        latestRound = _roundId;
         latestAnswer = _answer;
+        latestTimestamp = _timestamp;
+        getAnswer[_roundId] = _answer;
+        getTimestamp[_roundId] = _timestamp;
+        getStartedAt[_roundId] = _startedAt;
         emit PriceUpdated(_answer);
     }
 
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        if (getStartedAt[_roundId] == 0 && getTimestamp[_roundId] == 0) revert NoDataPresent();
+        return (_roundId, getAnswer[_roundId], getStartedAt[_roundId], getTimestamp[_roundId], _roundId);
+    }
+
     function latestRoundData()
         public
         view
-        returns (uint80, int256, uint256, uint256, uint80)
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
     {
-        return (0, latestAnswer, 0, 0, 0);
+        uint80 round = uint80(latestRound);
+        return (round, latestAnswer, getStartedAt[latestRound], latestTimestamp, round);
     }
-}
\ No newline at end of file
+}
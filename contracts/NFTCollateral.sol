@@ -5,20 +5,30 @@ import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 contract NFTCollateral is ERC721 {
     error MaxSupplyReached();
     error NotOwner();
+    error InvalidAddress();
 
     uint256 public constant MAX_SUPPLY = 1000;
     
     uint256 private _totalSupply;
     uint256 private _tokenIdCounter;
-    address public immutable i_owner;
+    address public owner; // Holds the mint rights
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
 
     modifier onlyOwner() {
-        if(msg.sender != i_owner) { revert NotOwner(); }
+        if(msg.sender != owner) { revert NotOwner(); }
         _;
     }
 
     constructor() ERC721("NFTCollateral", "NFTC") {
-        i_owner = msg.sender;
+        owner = msg.sender;
+    }
+
+    /// @notice Hand the right to mint collateral NFTs to another account
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert InvalidAddress();
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
     }
 
     function mint(address to) external onlyOwner {
@@ -2,142 +2,630 @@
 pragma solidity ^0.8.20;
 import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+import {INFTAppraiser} from "./INFTAppraiser.sol";
+import {OracleLib} from "./OracleLib.sol";
+import {PriceCircuitBreaker} from "./PriceCircuitBreaker.sol";
 // import "hardhat/console.sol";
 
-contract NFTLoan {
+/// @title NFTLoan - TokenB loans against whitelisted ERC721 collateral
+/// @notice Each collection has its own price feed, LTV and liquidation threshold.
+///         Tokens are valued by an optional appraiser, or by the collection floor
+///         price times a per-token rarity multiplier. Depositing an NFT opens a loan
+///         with no debt; the borrower then borrows any amount up to the LTV.
+///         Loans are funded by lenders, who receive NFTLoan shares (this contract)
+///         that grow with borrower interest and liquidation penalties. The risk manager
+///         lists collections; changes to a listed collection, its oracle checks, appraiser and
+///         rarity multipliers, the rate model, the loan term and the liquidation penalty go
+///         through the timelock of ProtocolAccess.
+///         While paused by the guardian or by a floor price jump, lenders cannot supply and
+///         borrowers cannot deposit or borrow; repayments, withdrawals and liquidations go on.
+contract NFTLoan is ERC20, PriceCircuitBreaker {
     error InvalidAddress();
     error NotNFTOwner();
     error NotLoanOwner();
     error NotLiquidatable();
     error NoActiveLoan();
     error InsufficientRepayment();
+    error InvalidAmount();
+    error ExceedsBorrowLimit(uint256 requested, uint256 available);
+    error OutstandingDebt(uint256 debt);
+    error InterestRateTooHigh(uint256 rate);
+    error InvalidRateModel();
+    error InsufficientLiquidity(uint256 requested, uint256 available);
+    error InsufficientShares();
+    error LoanDurationTooLong(uint256 duration);
+    error CollectionNotListed(address collection);
+    error InvalidCollateralConfig(uint256 loanToValue, uint256 liquidationThreshold);
+    error InvalidOracleConfig();
+    error InvalidRarityMultiplier(uint256 multiplier);
+    error InvalidLiquidationPenalty(uint256 penalty);
+    error LengthMismatch();
     error TransferFailed();
     error InsufficientAllowance();
 
+    struct Collateral {
+        bool listed; // Accepts new deposits
+        uint16 loanToValue; // Max loan, percent of the NFT value
+        uint16 liquidationThreshold; // Min NFT value, percent of the debt
+        AggregatorV3Interface priceFeed; // Floor price, Chainlink format
+        uint32 maxPriceAge; // Max age of a floor price answer in seconds
+        INFTAppraiser appraiser; // Optional per-token valuation, overrides the price feed
+        AggregatorV3Interface fallbackFeed; // Optional secondary floor price
+        uint16 maxPriceDeviation; // Max primary/fallback difference in bps, 0 = fallback only
+    }
+
     struct Loan {
         address owner;
-        uint256 amount;
+        uint64 dueDate; // 0 = open-ended or no debt
+        address collection;
+        uint256 tokenId;
+        uint256 amount; // Outstanding principal
+        uint256 scaledDebt; // Principal plus interest, divided by the borrow index
     }
 
-    uint256 public constant LOAN_TO_VALUE = 50; // 50% LTV
-    uint256 public constant LIQUIDATION_BUFFER = 120; // 120%
-    uint256 private constant PRICE_DECIMALS = 8;
-    uint256 private constant TOKEN_DECIMALS = 18;
+    uint256 public constant MAX_LOAN_TO_VALUE = 80; // 80% LTV
+    uint256 public constant MIN_LIQUIDATION_THRESHOLD = 101; // 101%
+    uint256 public constant MAX_RARITY_MULTIPLIER = 100000; // 10x (10000 = 1x)
+    uint256 public constant MAX_INTEREST_RATE = 10000; // 100% APR
+    uint256 public constant MAX_LOAN_DURATION = 730 days;
+    uint256 public constant MAX_LIQUIDATION_PENALTY = 20; // 20% of the debt
+    uint256 public constant MINIMUM_LIQUIDITY = 1000; // shares locked forever on the first supply
+    address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+    uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 days; // NFT floor feeds update about daily
+    uint256 public constant MAX_PRICE_DEVIATION = 2000; // 20%
+    uint256 private constant INDEX_PRECISION = 1e18;
+    uint256 private constant HEALTH_PRECISION = 1e18; // health factor of 1.0
+    uint256 private constant BPS = 10000;
+    uint256 private constant YEAR = 365 days;
 
-    IERC721 public immutable nft;
     IERC20 public immutable token;
-    AggregatorV3Interface public immutable priceFeed;
 
+    // borrow rate model, APR in basis points: baseRate at 0% utilization, rising by
+    // slope1 up to the kink and by slope2 from the kink to 100% utilization
+    uint256 public baseRate = 200; // 2%
+    uint256 public slope1 = 400; // 6% at the kink
+    uint256 public slope2 = 6000; // 66% at full utilization
+    uint256 public kink = 8000; // 80% utilization
+    uint256 public loanDuration; // Term of new loans in seconds, 0 = open-ended
+    uint256 public liquidationPenalty = 5; // percent of the debt, half goes to the liquidator
+    uint256 public borrowIndex = INDEX_PRECISION; // Debt of 1 scaled unit, grows with interest
+    uint256 public lastAccrual;
+    uint256 public totalScaledDebt; // Sum of the scaled debt of all loans
+    uint256 public cash; // TokenB supplied by lenders and not lent out
+    uint256 public nextLoanId = 1;
+
+    mapping(address => Collateral) public collaterals;
+    mapping(address => mapping(uint256 => uint256)) public rarityMultipliers; // bps, 0 = 1x
     mapping(uint256 => Loan) public loans;
 
-    event Deposited(address indexed user, uint256 indexed tokenId, uint256 amount);
-    event Repaid(address indexed user, uint256 indexed tokenId, uint256 amount);
-    event Liquidated(address indexed liquidator, uint256 indexed tokenId, uint256 totalDebt);
+    event Deposited(address indexed user, uint256 indexed loanId, address indexed collection, uint256 tokenId);
+    event Borrowed(address indexed user, uint256 indexed loanId, uint256 amount);
+    event Withdrawn(address indexed user, uint256 indexed loanId, address indexed collection, uint256 tokenId);
+    event Repaid(address indexed user, uint256 indexed loanId, uint256 amount, uint256 interest);
+    event Liquidated(address indexed liquidator, uint256 indexed loanId, uint256 totalDebt);
+    event Supplied(address indexed lender, uint256 amount, uint256 shares);
+    event Redeemed(address indexed lender, uint256 amount, uint256 shares);
+    event RateModelUpdated(uint256 baseRate, uint256 slope1, uint256 slope2, uint256 kink);
+    event LoanDurationUpdated(uint256 duration);
+    event LiquidationPenaltyUpdated(uint256 penalty);
+    event CollectionListed(address indexed collection, address priceFeed, uint256 loanToValue, uint256 liquidationThreshold);
+    event CollectionDelisted(address indexed collection);
+    event OracleConfigUpdated(address indexed collection, address fallbackFeed, uint256 maxPriceAge, uint256 maxPriceDeviation);
+    event AppraiserUpdated(address indexed collection, address appraiser);
+    event RarityMultiplierUpdated(address indexed collection, uint256 indexed tokenId, uint256 multiplier);
 
-    constructor(address _nft, address _token, address _priceFeed) {
-        if (_nft == address(0) || _token == address(0) || _priceFeed == address(0)) {
+    constructor(address _token) ERC20("NFTLoan Share", "NLS") {
+        if (_token == address(0)) {
             revert InvalidAddress();
         }
-        
-        nft = IERC721(_nft);
+
         token = IERC20(_token);
-        priceFeed = AggregatorV3Interface(_priceFeed);
+        lastAccrual = block.timestamp;
+    }
+
+    /// @notice Whitelist a collection or update its parameters, timelocked for a collection listed before
+    /// @param collection ERC721 collection
+    /// @param priceFeed Floor price feed (Chainlink format)
+    /// @param loanToValue Max loan in percent of the NFT value
+    /// @param liquidationThreshold Min NFT value in percent of the debt
+    function listCollection(
+        address collection,
+        address priceFeed,
+        uint256 loanToValue,
+        uint256 liquidationThreshold
+    ) external {
+        if (collection == address(0) || priceFeed == address(0)) revert InvalidAddress();
+        // a new loan at max LTV must not be liquidatable right away
+        if (
+            loanToValue == 0 || loanToValue > MAX_LOAN_TO_VALUE ||
+            liquidationThreshold < MIN_LIQUIDATION_THRESHOLD ||
+            loanToValue * liquidationThreshold >= 100 * 100
+        ) {
+            revert InvalidCollateralConfig(loanToValue, liquidationThreshold);
+        }
+
+        Collateral storage c = collaterals[collection];
+        if (address(c.priceFeed) == address(0)) {
+            _checkRole(RISK_MANAGER_ROLE);
+        } else if (_timelocked(RISK_MANAGER_ROLE)) {
+            // open loans may depend on the current parameters
+            return;
+        }
+        c.listed = true;
+        c.loanToValue = uint16(loanToValue);
+        c.liquidationThreshold = uint16(liquidationThreshold);
+        c.priceFeed = AggregatorV3Interface(priceFeed);
+        if (c.maxPriceAge == 0) {
+            c.maxPriceAge = uint32(DEFAULT_MAX_PRICE_AGE);
+        }
+
+        emit CollectionListed(collection, priceFeed, loanToValue, liquidationThreshold);
+    }
+
+    /// @notice Stop new deposits of a collection, open loans keep its parameters
+    function delistCollection(address collection) external onlyRole(RISK_MANAGER_ROLE) {
+        if (!collaterals[collection].listed) revert CollectionNotListed(collection);
+        collaterals[collection].listed = false;
+        emit CollectionDelisted(collection);
+    }
+
+    /// @notice Configure the price checks of a collection's floor price feed, timelocked
+    /// @param fallbackFeed Secondary floor price feed, address(0) for none
+    /// @param maxPriceAge Max age of an answer in seconds
+    /// @param maxPriceDeviation Max difference to the fallback feed in bps, 0 to use it only as a fallback
+    function setOracleConfig(
+        address collection,
+        address fallbackFeed,
+        uint32 maxPriceAge,
+        uint16 maxPriceDeviation
+    ) external {
+        Collateral storage c = collaterals[collection];
+        if (address(c.priceFeed) == address(0)) revert CollectionNotListed(collection);
+        if (maxPriceAge == 0 || maxPriceDeviation > MAX_PRICE_DEVIATION) revert InvalidOracleConfig();
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        c.fallbackFeed = AggregatorV3Interface(fallbackFeed);
+        c.maxPriceAge = maxPriceAge;
+        c.maxPriceDeviation = maxPriceDeviation;
+        emit OracleConfigUpdated(collection, fallbackFeed, maxPriceAge, maxPriceDeviation);
+    }
+
+    /// @notice Value tokens of a collection with an appraisal oracle instead of the floor price, timelocked
+    /// @param appraiser Appraisal oracle, address(0) to go back to the price feed
+    function setAppraiser(address collection, address appraiser) external {
+        if (address(collaterals[collection].priceFeed) == address(0)) revert CollectionNotListed(collection);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        collaterals[collection].appraiser = INFTAppraiser(appraiser);
+        emit AppraiserUpdated(collection, appraiser);
+    }
+
+    /// @notice Set rarity multipliers applied to the floor price of single tokens, timelocked
+    /// @param multipliers Multipliers in basis points (10000 = 1x, 0 = default)
+    function setRarityMultipliers(
+        address collection,
+        uint256[] calldata tokenIds,
+        uint256[] calldata multipliers
+    ) external {
+        if (tokenIds.length != multipliers.length) revert LengthMismatch();
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (multipliers[i] > MAX_RARITY_MULTIPLIER) revert InvalidRarityMultiplier(multipliers[i]);
+        }
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            rarityMultipliers[collection][tokenIds[i]] = multipliers[i];
+            emit RarityMultiplierUpdated(collection, tokenIds[i], multipliers[i]);
+        }
+    }
+
+    /// @notice Set the utilization curve of the borrow rate, applied once the timelock has passed
+    /// @param _baseRate APR at 0% utilization, basis points
+    /// @param _slope1 APR added from 0% utilization up to the kink
+    /// @param _slope2 APR added from the kink up to 100% utilization
+    /// @param _kink Utilization where slope2 takes over, basis points
+    function setRateModel(uint256 _baseRate, uint256 _slope1, uint256 _slope2, uint256 _kink) external {
+        if (_kink == 0 || _kink >= BPS) revert InvalidRateModel();
+        uint256 maxRate = _baseRate + _slope1 + _slope2;
+        if (maxRate > MAX_INTEREST_RATE) revert InterestRateTooHigh(maxRate);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        _accrue();
+        (baseRate, slope1, slope2, kink) = (_baseRate, _slope1, _slope2, _kink);
+        emit RateModelUpdated(_baseRate, _slope1, _slope2, _kink);
+    }
+
+    /// @notice Set the term of new loans, timelocked; existing loans keep their due date
+    /// @param duration Term in seconds, 0 for open-ended loans
+    function setLoanDuration(uint256 duration) external {
+        if (duration > MAX_LOAN_DURATION) revert LoanDurationTooLong(duration);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        loanDuration = duration;
+        emit LoanDurationUpdated(duration);
+    }
+
+    /// @notice Set the liquidation penalty, timelocked
+    /// @param penalty Percent of the debt paid on top by the liquidator (max 20%)
+    function setLiquidationPenalty(uint256 penalty) external {
+        if (penalty > MAX_LIQUIDATION_PENALTY) revert InvalidLiquidationPenalty(penalty);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        liquidationPenalty = penalty;
+        emit LiquidationPenaltyUpdated(penalty);
     }
 
-    function depositNFT(uint256 tokenId) external {
-        if (nft.ownerOf(tokenId) != msg.sender) {
+    /// @notice Supply TokenB to the lending pool and mint shares
+    /// @param amount TokenB to supply
+    /// @return shares Shares minted
+    function supply(uint256 amount) external whenNotPaused returns (uint256 shares) {
+        if (amount == 0) revert InvalidAmount();
+        _accrue();
+
+        uint256 supplied = totalSupply();
+        if (supplied == 0) {
+            if (amount <= MINIMUM_LIQUIDITY) revert InsufficientShares();
+            shares = amount - MINIMUM_LIQUIDITY;
+            _mint(DEAD, MINIMUM_LIQUIDITY);
+        } else {
+            shares = Math.mulDiv(amount, supplied, totalAssets());
+        }
+        if (shares == 0) revert InsufficientShares();
+
+        if (!token.transferFrom(msg.sender, address(this), amount)) {
+            revert TransferFailed();
+        }
+        cash += amount;
+        _mint(msg.sender, shares);
+
+        emit Supplied(msg.sender, amount, shares);
+    }
+
+    /// @notice Burn shares for their part of the pool, limited by the TokenB not lent out
+    /// @param shares Shares to burn
+    /// @return amount TokenB withdrawn
+    function redeem(uint256 shares) external returns (uint256 amount) {
+        if (shares == 0) revert InvalidAmount();
+        _accrue();
+
+        amount = Math.mulDiv(shares, totalAssets(), totalSupply());
+        if (amount == 0) revert InvalidAmount();
+        if (amount > cash) revert InsufficientLiquidity(amount, cash);
+
+        _burn(msg.sender, shares);
+        cash -= amount;
+        if (!token.transfer(msg.sender, amount)) {
+            revert TransferFailed();
+        }
+
+        emit Redeemed(msg.sender, amount, shares);
+    }
+
+    /// @notice Deposit an NFT of a listed collection as collateral for a new loan
+    /// @param collection ERC721 collection
+    /// @param tokenId Token to deposit
+    /// @return loanId Id of the new loan, it has no debt until `borrow` is called
+    function depositNFT(address collection, uint256 tokenId) external whenNotPaused returns (uint256 loanId) {
+        if (!collaterals[collection].listed) revert CollectionNotListed(collection);
+        if (IERC721(collection).ownerOf(tokenId) != msg.sender) {
             revert NotNFTOwner();
         }
 
         // transfer nft
-        nft.transferFrom(msg.sender, address(this), tokenId);
+        IERC721(collection).transferFrom(msg.sender, address(this), tokenId);
 
-        // calculate loan amount
-        (, int256 price,,,) = priceFeed.latestRoundData();
-        uint256 loanAmount = (uint256(price) * LOAN_TO_VALUE * 10**18) / (100 * 10**8);
-        // save load amount
-        loans[tokenId] = Loan({
+        loanId = nextLoanId++;
+        loans[loanId] = Loan({
             owner: msg.sender,
-            amount: loanAmount
+            dueDate: 0,
+            collection: collection,
+            tokenId: tokenId,
+            amount: 0,
+            scaledDebt: 0
         });
-        
-        // loan
-        if (!token.transfer(msg.sender, loanAmount)) {
-            revert TransferFailed();
-        }
 
-        emit Deposited(msg.sender, tokenId, loanAmount);
+        emit Deposited(msg.sender, loanId, collection, tokenId);
     }
 
-    function repayLoan(uint256 tokenId) external {
-        Loan memory loan = loans[tokenId];
-        if (loan.owner != msg.sender) {
-            revert NotLoanOwner();
-        }
+    /// @notice Borrow against a deposited NFT, the total debt must stay within the collection LTV
+    /// @dev Reverts with `PriceJumped` when the floor price jumped from its last read
+    /// @param loanId Loan to borrow on
+    /// @param amount TokenB to borrow
+    function borrow(uint256 loanId, uint256 amount) external whenNotPaused {
+        Loan storage loan = loans[loanId];
+        if (loan.owner != msg.sender) revert NotLoanOwner();
+        if (amount == 0) revert InvalidAmount();
+        _requireNoFloorPriceJump(loan.collection);
+        _accrue();
 
-        uint256 repaymentAmount = loan.amount;
+        uint256 available = _maxBorrow(loan, _debt(loan));
+        if (amount > available) revert ExceedsBorrowLimit(amount, available);
+        if (amount > cash) revert InsufficientLiquidity(amount, cash);
 
-        // Check and transfer repayment funds
-        if (token.allowance(msg.sender, address(this)) < repaymentAmount) {
-            revert InsufficientRepayment();
+        // the term starts with the first borrow
+        if (loan.scaledDebt == 0 && loanDuration != 0) {
+            loan.dueDate = uint64(block.timestamp + loanDuration);
         }
-        
-        if (!token.transferFrom(msg.sender, address(this), repaymentAmount)) {
+        uint256 scaledAmount = Math.mulDiv(amount, INDEX_PRECISION, borrowIndex, Math.Rounding.Ceil);
+        loan.amount += amount;
+        loan.scaledDebt += scaledAmount;
+        totalScaledDebt += scaledAmount;
+        cash -= amount;
+
+        // loan
+        if (!token.transfer(msg.sender, amount)) {
             revert TransferFailed();
         }
 
-        // return NFT
-        nft.transferFrom(address(this), msg.sender, tokenId);
-        delete loans[tokenId];
+        emit Borrowed(msg.sender, loanId, amount);
+    }
+
+    /// @notice Take back the NFT of a loan without debt
+    function withdrawNFT(uint256 loanId) external {
+        Loan memory loan = loans[loanId];
+        if (loan.owner != msg.sender) revert NotLoanOwner();
+        uint256 debt = _debt(loan);
+        if (debt != 0) revert OutstandingDebt(debt);
+
+        _withdraw(loanId, loan);
+    }
 
-        emit Repaid(msg.sender, tokenId, repaymentAmount);
+    /// @notice Repay the whole debt and get the NFT back
+    function repayLoan(uint256 loanId) external {
+        if (_repay(loanId, type(uint256).max) == 0) revert NoActiveLoan();
+        _withdraw(loanId, loans[loanId]);
     }
 
-    function liquidate(uint256 tokenId) external {
-        Loan memory loan = loans[tokenId];
+    /// @notice Repay part of the debt, interest first. The NFT stays deposited.
+    /// @param loanId Loan to repay
+    /// @param amount TokenB to repay, capped at the debt
+    function repay(uint256 loanId, uint256 amount) external {
+        if (amount == 0) revert InvalidAmount();
+        if (_repay(loanId, amount) == 0) revert NoActiveLoan();
+    }
+
+    function liquidate(uint256 loanId) external {
+        Loan memory loan = loans[loanId];
         if (loan.owner == address(0)) revert NoActiveLoan();
+        // overdue loans are liquidated whatever the price
+        if (!_isOverdue(loan)) _checkFloorPrice(loan.collection);
+        _accrue();
 
-        // get NFT current price（USD）
-        (, int256 price,,,) = priceFeed.latestRoundData();
-        uint256 currentValue = uint256(price) * 10**10; // Chainlink 8 decimals
-        
-        // calculate the lowest safe price: loanAmount * LIQUIDATION_BUFFER / 100
-        uint256 minSafeValue = (loan.amount * LIQUIDATION_BUFFER) / 100;
-        // console.log("minSafeValue: %s, currentValue: %s", minSafeValue, currentValue);
-        
         // check if will liquidate
-        if (currentValue >= minSafeValue) {
+        uint256 debt = _debt(loan);
+        if (!_isLiquidatable(loan, debt)) {
             revert NotLiquidatable();
         }
-        
-        // 1. Liquidation penalty (5% extra)
-        uint256 penalty = loan.amount * 5 / 100;
-        uint256 totalDebt = loan.amount + penalty;
-        
+
+        // 1. Liquidation penalty (5% extra by default)
+        uint256 penalty = debt * liquidationPenalty / 100;
+        uint256 totalDebt = debt + penalty;
+
         if (token.allowance(msg.sender, address(this)) < totalDebt) {
             revert InsufficientAllowance();
-        } 
+        }
 
         if (!token.transferFrom(msg.sender, address(this), totalDebt)) {
             revert TransferFailed();
         }
 
-        // 2. Transfer ownership of the NFT to the liquidator
-        nft.safeTransferFrom(address(this), msg.sender, tokenId);
-        
-        // 3. Destruction of debt records
-        delete loans[tokenId];
-        
-        // 4. Reward liquidator (5% of the totalDebt)
-        uint256 reward = totalDebt / 20; 
+        // 2. Destruction of debt records, before safeTransferFrom calls back into the liquidator
+        delete loans[loanId];
+        totalScaledDebt -= loan.scaledDebt;
+
+        // 3. Reward liquidator with half of the penalty, lenders keep the rest
+        uint256 reward = penalty / 2;
+        cash += totalDebt - reward;
+
+        // 4. Transfer ownership of the NFT to the liquidator
+        IERC721(loan.collection).safeTransferFrom(address(this), msg.sender, loan.tokenId);
 
-        if (reward > 0 && token.balanceOf(address(this)) >= reward) {
+        if (reward > 0) {
             if (!token.transfer(msg.sender, reward)) {
                 revert TransferFailed();
             }
         }
 
-        emit Liquidated(msg.sender, tokenId, totalDebt);
+        emit Liquidated(msg.sender, loanId, totalDebt);
+    }
+
+    /// @notice Record the floor price of a collection with the circuit breaker, pausing on a jump
+    /// @dev For keepers: borrows revert with `PriceJumped` rather than pause
+    /// @return tripped True when the floor price paused the contract
+    function checkPrice(address collection) external returns (bool tripped) {
+        if (address(collaterals[collection].priceFeed) == address(0)) revert CollectionNotListed(collection);
+        return _checkFloorPrice(collection);
+    }
+
+    /// @notice Value of a single NFT
+    /// @return value Value in USD with 18 decimals
+    function collateralValue(address collection, uint256 tokenId) public view returns (uint256 value) {
+        Collateral memory c = collaterals[collection];
+        if (address(c.priceFeed) == address(0)) revert CollectionNotListed(collection);
+        if (address(c.appraiser) != address(0)) {
+            return c.appraiser.appraise(collection, tokenId);
+        }
+
+        value = _floorPrice(c);
+
+        uint256 multiplier = rarityMultipliers[collection][tokenId];
+        if (multiplier != 0) {
+            value = (value * multiplier) / BPS;
+        }
+    }
+
+    /// @notice Current debt of a loan, principal plus accrued interest
+    function debtOf(uint256 loanId) external view returns (uint256) {
+        Loan memory loan = loans[loanId];
+        if (loan.owner == address(0)) revert NoActiveLoan();
+        return _debt(loan);
+    }
+
+    /// @notice Whether a loan is under its liquidation threshold or past its due date
+    function isLiquidatable(uint256 loanId) external view returns (bool) {
+        Loan memory loan = loans[loanId];
+        if (loan.owner == address(0)) revert NoActiveLoan();
+        return _isLiquidatable(loan, _debt(loan));
+    }
+
+    /// @notice Collateral value over the liquidation threshold of the debt, 1e18 = 1.0.
+    ///         The loan is liquidatable below 1.0; overdue loans report 0 and loans
+    ///         without debt report type(uint256).max.
+    function healthFactor(uint256 loanId) external view returns (uint256) {
+        Loan memory loan = loans[loanId];
+        if (loan.owner == address(0)) revert NoActiveLoan();
+        uint256 debt = _debt(loan);
+        if (debt == 0) return type(uint256).max;
+        if (_isOverdue(loan)) return 0;
+
+        uint256 value = collateralValue(loan.collection, loan.tokenId);
+        return Math.mulDiv(value * 100, HEALTH_PRECISION, debt * collaterals[loan.collection].liquidationThreshold);
+    }
+
+    /// @notice TokenB that can still be borrowed on a loan
+    function maxBorrow(uint256 loanId) external view returns (uint256) {
+        Loan memory loan = loans[loanId];
+        if (loan.owner == address(0)) revert NoActiveLoan();
+        return _maxBorrow(loan, _debt(loan));
+    }
+
+    /// @notice TokenB owned by lenders: cash plus outstanding debt with interest
+    function totalAssets() public view returns (uint256) {
+        return cash + totalBorrows();
+    }
+
+    /// @notice Outstanding debt of all loans, principal plus accrued interest
+    function totalBorrows() public view returns (uint256) {
+        return Math.mulDiv(totalScaledDebt, currentBorrowIndex(), INDEX_PRECISION, Math.Rounding.Ceil);
+    }
+
+    /// @notice Share of the pool lent out as of the last interaction, basis points
+    function utilization() public view returns (uint256) {
+        uint256 borrows = Math.mulDiv(totalScaledDebt, borrowIndex, INDEX_PRECISION, Math.Rounding.Ceil);
+        if (borrows == 0) return 0;
+        return Math.mulDiv(borrows, BPS, cash + borrows);
+    }
+
+    /// @notice Current borrow APR in basis points, from the utilization curve
+    function borrowRate() public view returns (uint256) {
+        uint256 u = utilization();
+        if (u <= kink) {
+            return baseRate + Math.mulDiv(slope1, u, kink);
+        }
+        return baseRate + slope1 + Math.mulDiv(slope2, u - kink, BPS - kink);
+    }
+
+    /// @notice Current APR earned by lenders, the borrow rate spread over the whole pool
+    function supplyRate() external view returns (uint256) {
+        return Math.mulDiv(borrowRate(), utilization(), BPS);
+    }
+
+    /// @notice Borrow index including interest accrued since the last interaction
+    function currentBorrowIndex() public view returns (uint256) {
+        uint256 elapsed = block.timestamp - lastAccrual;
+        if (elapsed == 0) return borrowIndex;
+        return borrowIndex + Math.mulDiv(borrowIndex, borrowRate() * elapsed, BPS * YEAR);
+    }
+
+    function _floorPrice(Collateral memory c) internal view returns (uint256) {
+        return OracleLib.getPrice(OracleLib.Feed({
+            primary: c.priceFeed,
+            secondary: c.fallbackFeed,
+            maxStaleness: c.maxPriceAge,
+            maxDeviation: c.maxPriceDeviation
+        }));
+    }
+
+    /// @dev Record the floor price of a state-changing call with the circuit breaker,
+    ///      appraised collections have no floor price to check
+    /// @return tripped True when the floor price paused the contract
+    function _checkFloorPrice(address collection) internal returns (bool tripped) {
+        Collateral memory c = collaterals[collection];
+        if (address(c.appraiser) != address(0)) return false;
+        return _checkPriceJump(address(c.priceFeed), _floorPrice(c));
+    }
+
+    /// @dev Record the floor price of a borrow, reverting on a jump
+    function _requireNoFloorPriceJump(address collection) internal {
+        Collateral memory c = collaterals[collection];
+        if (address(c.appraiser) != address(0)) return;
+        _requireNoPriceJump(address(c.priceFeed), _floorPrice(c));
+    }
+
+    function _accrue() internal {
+        borrowIndex = currentBorrowIndex();
+        lastAccrual = block.timestamp;
+    }
+
+    /// @return repaymentAmount TokenB paid, 0 when the loan has no debt
+    function _repay(uint256 loanId, uint256 amount) internal returns (uint256 repaymentAmount) {
+        Loan storage loan = loans[loanId];
+        if (loan.owner != msg.sender) {
+            revert NotLoanOwner();
+        }
+        _accrue();
+
+        uint256 debt = _debt(loan);
+        if (debt == 0) return 0;
+        bool fullRepayment = amount >= debt;
+        repaymentAmount = fullRepayment ? debt : amount;
+
+        // interest is paid before principal
+        uint256 interestDue = debt > loan.amount ? debt - loan.amount : 0;
+        uint256 interest = repaymentAmount < interestDue ? repaymentAmount : interestDue;
+        uint256 principal = repaymentAmount - interest;
+
+        // Check and transfer repayment funds
+        if (token.allowance(msg.sender, address(this)) < repaymentAmount) {
+            revert InsufficientRepayment();
+        }
+
+        if (!token.transferFrom(msg.sender, address(this), repaymentAmount)) {
+            revert TransferFailed();
+        }
+
+        uint256 scaledAmount = fullRepayment
+            ? loan.scaledDebt
+            : Math.mulDiv(repaymentAmount, INDEX_PRECISION, borrowIndex);
+        if (fullRepayment) {
+            loan.amount = 0;
+            loan.dueDate = 0;
+        } else {
+            loan.amount -= principal;
+        }
+        loan.scaledDebt -= scaledAmount;
+        totalScaledDebt -= scaledAmount;
+        cash += repaymentAmount;
+
+        emit Repaid(msg.sender, loanId, principal, interest);
+    }
+
+    function _withdraw(uint256 loanId, Loan memory loan) internal {
+        delete loans[loanId];
+        // return NFT
+        IERC721(loan.collection).transferFrom(address(this), msg.sender, loan.tokenId);
+        emit Withdrawn(msg.sender, loanId, loan.collection, loan.tokenId);
+    }
+
+    function _debt(Loan memory loan) internal view returns (uint256) {
+        return Math.mulDiv(loan.scaledDebt, currentBorrowIndex(), INDEX_PRECISION, Math.Rounding.Ceil);
+    }
+
+    function _maxBorrow(Loan memory loan, uint256 debt) internal view returns (uint256) {
+        uint256 limit = (collateralValue(loan.collection, loan.tokenId) * collaterals[loan.collection].loanToValue) / 100;
+        return limit > debt ? limit - debt : 0;
+    }
+
+    function _isOverdue(Loan memory loan) internal view returns (bool) {
+        return loan.dueDate != 0 && block.timestamp > loan.dueDate;
+    }
+
+    function _isLiquidatable(Loan memory loan, uint256 debt) internal view returns (bool) {
+        if (debt == 0) return false;
+        if (_isOverdue(loan)) return true;
+
+        // get NFT current price（USD）
+        uint256 currentValue = collateralValue(loan.collection, loan.tokenId);
+
+        // unsafe below debt * liquidationThreshold / 100, compared without rounding
+        // console.log("debt: %s, currentValue: %s", debt, currentValue);
+        return currentValue * 100 < debt * collaterals[loan.collection].liquidationThreshold;
     }
-}
\ No newline at end of file
+}
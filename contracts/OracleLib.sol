@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+
+/// @title OracleLib - Checked Chainlink price reads
+/// @notice Rejects non-positive, incomplete and stale answers and normalizes the
+///         price to 18 decimals with the feed's `decimals()`. A feed can have a
+///         secondary source that is used as a fallback when the primary fails its
+///         checks, or, with a max deviation set, also bounds the primary price.
+library OracleLib {
+    error InvalidPrice();
+    error IncompleteRound(uint80 roundId);
+    error StalePrice(uint256 updatedAt, uint256 maxStaleness);
+    error PriceDeviation(uint256 price, uint256 secondaryPrice);
+
+    struct Feed {
+        AggregatorV3Interface primary;
+        AggregatorV3Interface secondary; // Optional, address(0) = none
+        uint32 maxStaleness; // Max age of an answer in seconds
+        uint16 maxDeviation; // Max primary/secondary difference in basis points, 0 = fallback only
+    }
+
+    enum Status {
+        Ok,
+        InvalidPrice,
+        IncompleteRound,
+        Stale
+    }
+
+    struct Round {
+        Status status;
+        uint80 roundId;
+        uint256 updatedAt;
+        uint256 price; // 18 decimals
+    }
+
+    uint256 private constant PRECISION_DECIMALS = 18;
+    uint256 private constant BPS = 10000;
+
+    /// @notice Price of a feed with 18 decimals, reverts when no source passes the checks
+    function getPrice(Feed memory feed) internal view returns (uint256) {
+        Round memory round = read(feed.primary, feed.maxStaleness);
+        bool hasSecondary = address(feed.secondary) != address(0);
+
+        if (round.status == Status.Ok) {
+            if (hasSecondary && feed.maxDeviation != 0) {
+                // the band is only enforced while the secondary source is healthy
+                Round memory check = read(feed.secondary, feed.maxStaleness);
+                if (check.status == Status.Ok && _deviation(round.price, check.price) > feed.maxDeviation) {
+                    revert PriceDeviation(round.price, check.price);
+                }
+            }
+            return round.price;
+        }
+
+        if (hasSecondary) {
+            Round memory fallbackRound = read(feed.secondary, feed.maxStaleness);
+            if (fallbackRound.status == Status.Ok) return fallbackRound.price;
+        }
+        _revert(round, feed.maxStaleness);
+    }
+
+    /// @notice Read and check the latest round of a single feed without reverting
+    function read(AggregatorV3Interface feed, uint256 maxStaleness) internal view returns (Round memory round) {
+        (uint80 roundId, int256 answer,, uint256 updatedAt, uint80 answeredInRound) = feed.latestRoundData();
+        round.roundId = roundId;
+        round.updatedAt = updatedAt;
+
+        if (answer <= 0) {
+            round.status = Status.InvalidPrice;
+        } else if (updatedAt == 0 || answeredInRound < roundId) {
+            round.status = Status.IncompleteRound;
+        } else if (updatedAt < block.timestamp && block.timestamp - updatedAt > maxStaleness) {
+            round.status = Status.Stale;
+        } else {
+            round.price = _normalize(uint256(answer), feed.decimals());
+        }
+    }
+
+    function _normalize(uint256 answer, uint8 decimals) private pure returns (uint256) {
+        if (decimals <= PRECISION_DECIMALS) return answer * 10**(PRECISION_DECIMALS - decimals);
+        return answer / 10**(decimals - PRECISION_DECIMALS);
+    }
+
+    function _deviation(uint256 price, uint256 secondaryPrice) private pure returns (uint256) {
+        uint256 diff = price > secondaryPrice ? price - secondaryPrice : secondaryPrice - price;
+        return (diff * BPS) / secondaryPrice;
+    }
+
+    function _revert(Round memory round, uint256 maxStaleness) private pure {
+        if (round.status == Status.IncompleteRound) revert IncompleteRound(round.roundId);
+        if (round.status == Status.Stale) revert StalePrice(round.updatedAt, maxStaleness);
+        revert InvalidPrice();
+    }
+}
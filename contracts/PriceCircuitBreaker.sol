@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {ProtocolAccess} from "./ProtocolAccess.sol";
+
+/// @title PriceCircuitBreaker - Pause on oracle price jumps
+/// @notice Used by LeverageTrade and NFTLoan. Every price read of a state-changing call is
+///         compared with the last price read from the same feed; a move of more than
+///         `maxPriceJump` pauses the contract until the admin or the guardian unpauses it.
+/// @dev Calls that open exposure revert with `PriceJumped` instead, which would undo a pause,
+///      so the pause is recorded by an exit or by a keeper through the contract's `checkPrice`.
+abstract contract PriceCircuitBreaker is ProtocolAccess {
+    error InvalidPriceJump(uint256 maxPriceJump);
+    error PriceJumped(address priceFeed, uint256 lastPrice, uint256 price);
+
+    uint256 public constant MAX_PRICE_JUMP = 5000; // 50% (10000 = 100%)
+
+    uint256 public maxPriceJump = 2000; // 20% between two reads, 0 = off
+    mapping(address => uint256) public lastPrices; // price feed => last price read, 18 decimals
+
+    event MaxPriceJumpUpdated(uint256 maxPriceJump);
+    event CircuitBreakerTripped(address indexed priceFeed, uint256 lastPrice, uint256 price);
+
+    /// @notice Set the price move between two reads that pauses the contract, timelocked
+    /// @param _maxPriceJump Basis points of the last price (max 50%), 0 to turn the breaker off
+    function setMaxPriceJump(uint256 _maxPriceJump) external {
+        if (_maxPriceJump > MAX_PRICE_JUMP) revert InvalidPriceJump(_maxPriceJump);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        maxPriceJump = _maxPriceJump;
+        emit MaxPriceJumpUpdated(_maxPriceJump);
+    }
+
+    /// @dev Record a price read from `priceFeed` and pause when it jumped from the last one.
+    ///      Exits go on after a trip, the pause only stops new exposure.
+    /// @return tripped True when this read paused the contract
+    function _checkPriceJump(address priceFeed, uint256 price) internal returns (bool tripped) {
+        (bool jumped, uint256 lastPrice) = _priceJumped(priceFeed, price);
+        lastPrices[priceFeed] = price;
+        if (!jumped) return false;
+
+        _pause();
+        emit CircuitBreakerTripped(priceFeed, lastPrice, price);
+        return true;
+    }
+
+    /// @dev Record a price read from `priceFeed` by a call that opens exposure, reverting
+    ///      when it jumped from the last one
+    function _requireNoPriceJump(address priceFeed, uint256 price) internal {
+        (bool jumped, uint256 lastPrice) = _priceJumped(priceFeed, price);
+        if (jumped) revert PriceJumped(priceFeed, lastPrice, price);
+        lastPrices[priceFeed] = price;
+    }
+
+    function _priceJumped(address priceFeed, uint256 price) internal view returns (bool jumped, uint256 lastPrice) {
+        lastPrice = lastPrices[priceFeed];
+        if (lastPrice == 0 || maxPriceJump == 0 || paused()) return (false, lastPrice);
+
+        uint256 move = price > lastPrice ? price - lastPrice : lastPrice - price;
+        jumped = move * 10000 > lastPrice * maxPriceJump;
+    }
+}
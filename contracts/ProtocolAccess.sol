@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+
+/// @title ProtocolAccess - Roles, emergency pause and timelocked parameter changes
+/// @notice Shared by LeverageTrade, NFTLoan, SwapPool and LiquidityMining. The admin
+///         (DEFAULT_ADMIN_ROLE) grants and revokes roles, the risk manager tunes risk parameters,
+///         the treasury withdraws protocol fees and the guardian pauses the contract.
+///         A paused contract stops new exposure but lets users exit. The admin unpauses it at
+///         any time, the guardian once `GUARDIAN_RESUME_DELAY` has passed since the pause, so a
+///         governed protocol resumes without a proposal. A timelocked setter checks its bounds and queues the call;
+///         anyone can apply it with `executeChange` once the delay has passed, and the
+///         admin can cancel it before.
+abstract contract ProtocolAccess is AccessControl, Pausable {
+    error ChangeNotQueued(bytes32 id);
+    error ChangeNotReady(bytes32 id, uint256 readyAt);
+    error InvalidDelay(uint256 delay);
+    error ResumeTooEarly(uint256 resumableAt);
+
+    bytes32 public constant RISK_MANAGER_ROLE = keccak256("RISK_MANAGER_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    uint256 public constant MIN_DELAY = 1 hours;
+    uint256 public constant MAX_DELAY = 14 days;
+    uint256 public constant GUARDIAN_RESUME_DELAY = 1 hours;
+
+    uint256 public timelockDelay = 2 days;
+    mapping(bytes32 => uint256) public queuedChanges; // keccak256 of the setter call => time it can be applied
+    uint256 public pausedAt; // Time of the last pause, by the guardian or a circuit breaker
+
+    event ChangeQueued(bytes32 indexed id, address indexed caller, bytes data, uint256 readyAt);
+    event ChangeCancelled(bytes32 indexed id);
+    event ChangeExecuted(bytes32 indexed id, bytes data);
+    event TimelockDelayUpdated(uint256 delay);
+
+    /// @dev The deployer starts with every role
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(RISK_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
+
+    /// @notice Stop new positions, loans and swaps; exits stay open
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resume after a pause by the guardian or a circuit breaker
+    /// @dev The guardian waits `GUARDIAN_RESUME_DELAY` after the pause, the admin does not
+    function unpause() external {
+        if (!hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            _checkRole(GUARDIAN_ROLE);
+            uint256 resumableAt = pausedAt + GUARDIAN_RESUME_DELAY;
+            if (block.timestamp < resumableAt) revert ResumeTooEarly(resumableAt);
+        }
+        _unpause();
+    }
+
+    /// @notice Apply a queued change once its delay has passed
+    /// @param data The setter call that was queued
+    function executeChange(bytes calldata data) external {
+        bytes32 id = keccak256(data);
+        uint256 readyAt = queuedChanges[id];
+        if (readyAt == 0) revert ChangeNotQueued(id);
+        if (block.timestamp < readyAt) revert ChangeNotReady(id, readyAt);
+
+        delete queuedChanges[id];
+        Address.functionCall(address(this), data);
+        emit ChangeExecuted(id, data);
+    }
+
+    /// @notice Drop a queued change
+    /// @param data The setter call that was queued
+    function cancelChange(bytes calldata data) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 id = keccak256(data);
+        if (queuedChanges[id] == 0) revert ChangeNotQueued(id);
+        delete queuedChanges[id];
+        emit ChangeCancelled(id);
+    }
+
+    /// @notice Set the delay of later changes, timelocked
+    /// @param delay Delay in seconds, between 1 hour and 14 days
+    function setTimelockDelay(uint256 delay) external {
+        if (delay < MIN_DELAY || delay > MAX_DELAY) revert InvalidDelay(delay);
+        if (_timelocked(DEFAULT_ADMIN_ROLE)) return;
+        timelockDelay = delay;
+        emit TimelockDelayUpdated(delay);
+    }
+
+    function _pause() internal override {
+        super._pause();
+        pausedAt = block.timestamp;
+    }
+
+    /// @dev Called by a setter after its bounds checks. A call from `role` is queued and
+    ///      returns true, the setter then returns without applying it; the call made by
+    ///      `executeChange` returns false and the setter applies the change.
+    function _timelocked(bytes32 role) internal returns (bool) {
+        if (msg.sender == address(this)) return false;
+        _checkRole(role);
+
+        bytes32 id = keccak256(msg.data);
+        uint256 readyAt = block.timestamp + timelockDelay;
+        queuedChanges[id] = readyAt;
+        emit ChangeQueued(id, msg.sender, msg.data, readyAt);
+        return true;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/// @title ProtocolTimelock - Executes the proposals passed by DefiGovernor
+/// @notice Holds the admin, risk manager and treasury roles of LeverageTrade, NFTLoan, SwapPool
+///         and LiquidityMining and the mint rights of TokenA, TokenB and NFTCollateral.
+contract ProtocolTimelock is TimelockController {
+    /// @param minDelay Seconds between queueing and executing a proposal
+    /// @param proposers Accounts that can queue and cancel, the governor
+    /// @param executors Accounts that can execute, address(0) for anyone
+    /// @param admin Optional account that can set up roles, address(0) for none
+    constructor(uint256 minDelay, address[] memory proposers, address[] memory executors, address admin)
+        TimelockController(minDelay, proposers, executors, admin)
+    {}
+}
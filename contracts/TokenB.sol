@@ -4,17 +4,27 @@ import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 
 contract TokenB is ERC20 {
     error NotOwner();
+    error InvalidAddress();
 
-    address public immutable i_owner;
+    address public owner; // Holds the mint rights
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
 
      modifier onlyOwner() {
-        if(msg.sender != i_owner) { revert NotOwner(); }
+        if(msg.sender != owner) { revert NotOwner(); }
         _;
     }
 
     constructor() ERC20("Token B", "TKB") {
         _mint(msg.sender, 1000000 * 10 ** decimals());
-        i_owner = msg.sender;
+        owner = msg.sender;
+    }
+
+    /// @notice Hand the TokenB mint rights to another account
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert InvalidAddress();
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
     }
 
     function mint(address to, uint256 amount) external onlyOwner {
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {ILeverageTrade} from "./ILeverageTrade.sol";
+
+/// @title TradingVault - Counterparty liquidity for LeverageTrade
+/// @notice Liquidity providers supply TokenB for vault shares (this contract). The vault
+///         takes the other side of every LeverageTrade position: it receives trader losses
+///         and pays trader profits, and a profit is only paid as far as the vault can cover it.
+///         Shares are priced at the assets less the open profit of traders, so liquidity providers
+///         cannot withdraw what winning positions will be paid when they close.
+contract TradingVault is ERC20 {
+    error InvalidAddress();
+    error InvalidAmount();
+    error InsufficientShares();
+    error NotLeverageTrade();
+    error TransferFailed();
+    error NoNetAssets();
+
+    uint256 public constant MINIMUM_LIQUIDITY = 1000; // shares locked forever on the first supply
+    address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+
+    IERC20 public immutable token;
+    address public immutable leverageTrade;
+
+    uint256 public totalAssets; // TokenB owned by the liquidity providers
+
+    event Supplied(address indexed provider, uint256 amount, uint256 shares);
+    event Redeemed(address indexed provider, uint256 amount, uint256 shares);
+    event ProfitPaid(address indexed trader, uint256 requested, uint256 paid);
+    event LossCollected(uint256 amount);
+
+    modifier onlyLeverageTrade() {
+        if (msg.sender != leverageTrade) { revert NotLeverageTrade(); }
+        _;
+    }
+
+    /// @param _token TokenB, the margin token of LeverageTrade
+    /// @param _leverageTrade LeverageTrade contract the vault is the counterparty of
+    constructor(address _token, address _leverageTrade) ERC20("TradingVault Share", "TVS") {
+        if (_token == address(0) || _leverageTrade == address(0)) {
+            revert InvalidAddress();
+        }
+
+        token = IERC20(_token);
+        leverageTrade = _leverageTrade;
+    }
+
+    /// @notice Supply TokenB to the vault and mint shares
+    /// @param amount TokenB to supply
+    /// @return shares Shares minted
+    function supply(uint256 amount) external returns (uint256 shares) {
+        if (amount == 0) revert InvalidAmount();
+
+        uint256 supplied = totalSupply();
+        if (supplied == 0) {
+            if (amount <= MINIMUM_LIQUIDITY) revert InsufficientShares();
+            shares = amount - MINIMUM_LIQUIDITY;
+            _mint(DEAD, MINIMUM_LIQUIDITY);
+        } else {
+            uint256 assets = netAssets();
+            if (assets == 0) revert NoNetAssets();
+            shares = Math.mulDiv(amount, supplied, assets);
+        }
+        if (shares == 0) revert InsufficientShares();
+
+        if (!token.transferFrom(msg.sender, address(this), amount)) {
+            revert TransferFailed();
+        }
+        totalAssets += amount;
+        _mint(msg.sender, shares);
+
+        emit Supplied(msg.sender, amount, shares);
+    }
+
+    /// @notice Burn shares for their part of the vault's net assets
+    /// @dev Reverts while the price of a market with open positions is stale
+    /// @param shares Shares to burn
+    /// @return amount TokenB withdrawn
+    function redeem(uint256 shares) external returns (uint256 amount) {
+        if (shares == 0) revert InvalidAmount();
+
+        amount = Math.mulDiv(shares, netAssets(), totalSupply());
+        if (amount == 0) revert InvalidAmount();
+
+        _burn(msg.sender, shares);
+        totalAssets -= amount;
+        if (!token.transfer(msg.sender, amount)) {
+            revert TransferFailed();
+        }
+
+        emit Redeemed(msg.sender, amount, shares);
+    }
+
+    /// @notice Assets that back the shares: the vault's assets less the open profit of all positions
+    /// @dev Open losses are not counted until they are realized
+    function netAssets() public view returns (uint256) {
+        (int256 openPnl,,) = ILeverageTrade(leverageTrade).solvency();
+        if (openPnl <= 0) return totalAssets;
+        uint256 openProfit = uint256(openPnl);
+        return openProfit < totalAssets ? totalAssets - openProfit : 0;
+    }
+
+    /// @notice Pay the profit of a closed position, capped at the vault's assets
+    /// @param trader Receiver of the profit
+    /// @param amount Profit owed
+    /// @return paid Profit paid
+    function payProfit(address trader, uint256 amount) external onlyLeverageTrade returns (uint256 paid) {
+        paid = amount < totalAssets ? amount : totalAssets;
+        if (paid > 0) {
+            totalAssets -= paid;
+            if (!token.transfer(trader, paid)) {
+                revert TransferFailed();
+            }
+        }
+        emit ProfitPaid(trader, amount, paid);
+    }
+
+    /// @notice Pull a realized trader loss from LeverageTrade into the vault
+    /// @param amount TokenB lost by traders
+    function collectLoss(uint256 amount) external onlyLeverageTrade {
+        if (amount == 0) return;
+        if (!token.transferFrom(leverageTrade, address(this), amount)) {
+            revert TransferFailed();
+        }
+        totalAssets += amount;
+        emit LossCollected(amount);
+    }
+}
@@ -1,8 +1,23 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks");
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // NFTLoan is over the 24 KB contract size limit without the optimizer,
+      // LeverageTrade without the IR pipeline
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true
+    }
+  },
+  // typed contracts for the SDK, also generated by `npx hardhat typechain`
+  typechain: {
+    outDir: "sdk/types",
+    target: "ethers-v6",
+    dontOverrideCompile: false
+  },
   networks: {
     localhost: {
       url: "http://127.0.0.1:8545",
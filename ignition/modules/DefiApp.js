@@ -0,0 +1,17 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+const PriceFeedModule = require("./PriceFeed");
+const LeverageTradeModule = require("./LeverageTrade");
+const NFTLoanModule = require("./NFTLoan");
+const SwapPoolModule = require("./SwapPool");
+
+// Deploys the whole platform. Submodules share TokenA/TokenB and the price feed.
+module.exports = buildModule("DefiAppModule", (m) => {
+  const { tokenA, tokenB } = m.useModule(TokensModule);
+  const { priceFeed } = m.useModule(PriceFeedModule);
+  const { leverageTrade, tradingVault } = m.useModule(LeverageTradeModule);
+  const { nftCollateral, nftLoan } = m.useModule(NFTLoanModule);
+  const { swapPool } = m.useModule(SwapPoolModule);
+
+  return { tokenA, tokenB, priceFeed, leverageTrade, tradingVault, nftCollateral, nftLoan, swapPool };
+});
@@ -0,0 +1,68 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { ZeroAddress, ZeroHash, id } = require("ethers");
+const DefiAppModule = require("./DefiApp");
+const GovernanceTokenModule = require("./GovernanceToken");
+const LiquidityMiningModule = require("./LiquidityMining");
+
+// protocol roles the timelock takes over, the deployer keeps GUARDIAN_ROLE to pause in an emergency
+// and to resume once the guardian resume delay has passed
+const PROTOCOL_ROLES = {
+  Admin: ZeroHash,
+  RiskManager: id("RISK_MANAGER_ROLE"),
+  Treasury: id("TREASURY_ROLE")
+};
+const PROPOSER_ROLE = id("PROPOSER_ROLE");
+const CANCELLER_ROLE = id("CANCELLER_ROLE");
+
+// Deploys the platform and its liquidity mining under governance. GovernanceToken holders vote
+// in DefiGovernor, and ProtocolTimelock executes passed proposals: it holds the protocol roles
+// above and the mint rights of TokenA, TokenB and NFTCollateral.
+module.exports = buildModule("GovernanceModule", (m) => {
+  const timelockDelay = m.getParameter("timelockDelay", 2 * 24 * 60 * 60); // seconds
+  const votingDelay = m.getParameter("votingDelay", 1); // blocks
+  const votingPeriod = m.getParameter("votingPeriod", 50400); // blocks, about a week
+  const proposalThreshold = m.getParameter("proposalThreshold", 0n);
+  const quorumPercent = m.getParameter("quorumPercent", 4);
+
+  const deployer = m.getAccount(0);
+  const platform = m.useModule(DefiAppModule);
+  const { tokenA, tokenB, leverageTrade, nftCollateral, nftLoan, swapPool } = platform;
+  const { governanceToken } = m.useModule(GovernanceTokenModule);
+  const { liquidityMining } = m.useModule(LiquidityMiningModule);
+
+  // anyone executes a passed proposal; the deployer sets up the governor and renounces the timelock admin
+  const timelock = m.contract("ProtocolTimelock", [timelockDelay, [], [ZeroAddress], deployer]);
+  const governor = m.contract("DefiGovernor", [
+    governanceToken,
+    timelock,
+    votingDelay,
+    votingPeriod,
+    proposalThreshold,
+    quorumPercent
+  ]);
+  const timelockSetup = [
+    m.call(timelock, "grantRole", [PROPOSER_ROLE, governor], { id: "ProtocolTimelock_grantProposer" }),
+    m.call(timelock, "grantRole", [CANCELLER_ROLE, governor], { id: "ProtocolTimelock_grantCanceller" })
+  ];
+  m.call(timelock, "renounceRole", [ZeroHash, deployer], { id: "ProtocolTimelock_renounceAdmin", after: timelockSetup });
+
+  const feesToTimelock = m.call(leverageTrade, "setTreasury", [timelock]);
+  const protocol = { LeverageTrade: leverageTrade, NFTLoan: nftLoan, SwapPool: swapPool, LiquidityMining: liquidityMining };
+  for (const [name, contract] of Object.entries(protocol)) {
+    const grants = Object.entries(PROTOCOL_ROLES).map(([role, roleId]) =>
+      m.call(contract, "grantRole", [roleId, timelock], { id: `${name}_grant${role}` })
+    );
+    for (const [role, roleId] of Object.entries(PROTOCOL_ROLES)) {
+      m.call(contract, "renounceRole", [roleId, deployer], {
+        id: `${name}_renounce${role}`,
+        after: [...grants, feesToTimelock]
+      });
+    }
+  }
+
+  for (const token of [tokenA, tokenB, nftCollateral]) {
+    m.call(token, "transferOwnership", [timelock]);
+  }
+
+  return { ...platform, governanceToken, liquidityMining, timelock, governor };
+});
@@ -0,0 +1,9 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// GovernanceToken (DAG), minted to the deployer, who delegates the votes to itself
+module.exports = buildModule("GovernanceTokenModule", (m) => {
+  const governanceToken = m.contract("GovernanceToken");
+  m.call(governanceToken, "delegate", [m.getAccount(0)]);
+
+  return { governanceToken };
+});
@@ -0,0 +1,32 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+const PriceFeedModule = require("./PriceFeed");
+
+const FEE_RESERVE = 10_000n * 10n ** 18n; // 10,000 TokenB
+const VAULT_LIQUIDITY = 10_000n * 10n ** 18n; // 10,000 TokenB
+
+module.exports = buildModule("LeverageTradeModule", (m) => {
+  const feeReserve = m.getParameter("feeReserve", FEE_RESERVE);
+  const vaultLiquidity = m.getParameter("vaultLiquidity", VAULT_LIQUIDITY);
+
+  const { tokenA, tokenB } = m.useModule(TokensModule);
+  const { priceFeed } = m.useModule(PriceFeedModule);
+
+  const leverageTrade = m.contract("LeverageTrade", [tokenA, tokenB, priceFeed]);
+
+  // fund the fee reserve, which pays out liquidation rewards
+  const approve = m.call(tokenB, "approve", [leverageTrade, feeReserve], {
+    id: "approveFeeReserve",
+  });
+  m.call(leverageTrade, "initializeFeeReserve", [feeReserve], { after: [approve] });
+
+  // the vault is the counterparty of every position, the deployer is its first liquidity provider
+  const tradingVault = m.contract("TradingVault", [tokenB, leverageTrade]);
+  m.call(leverageTrade, "setVault", [tradingVault]);
+  const approveVault = m.call(tokenB, "approve", [tradingVault, vaultLiquidity], {
+    id: "approveVaultLiquidity",
+  });
+  m.call(tradingVault, "supply", [vaultLiquidity], { after: [approveVault] });
+
+  return { tokenA, tokenB, priceFeed, leverageTrade, tradingVault };
+});
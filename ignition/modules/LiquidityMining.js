@@ -0,0 +1,34 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const DefiAppModule = require("./DefiApp");
+const GovernanceTokenModule = require("./GovernanceToken");
+
+const REWARD_PER_SECOND = 5n * 10n ** 16n; // 0.05 DAG
+const REWARD_FUNDING = 100_000n * 10n ** 18n; // 100,000 DAG, about 23 days of emissions
+
+// Pays GovernanceToken to stakers of SwapPool LP tokens, NFTLoan shares and TradingVault shares
+module.exports = buildModule("LiquidityMiningModule", (m) => {
+  const rewardPerSecond = m.getParameter("rewardPerSecond", REWARD_PER_SECOND);
+  const rewardFunding = m.getParameter("rewardFunding", REWARD_FUNDING);
+  const swapPoolAllocPoint = m.getParameter("swapPoolAllocPoint", 50);
+  const nftLoanAllocPoint = m.getParameter("nftLoanAllocPoint", 25);
+  const tradingVaultAllocPoint = m.getParameter("tradingVaultAllocPoint", 25);
+
+  const platform = m.useModule(DefiAppModule);
+  const { swapPool, nftLoan, tradingVault } = platform;
+  const { governanceToken } = m.useModule(GovernanceTokenModule);
+
+  const liquidityMining = m.contract("LiquidityMining", [governanceToken, rewardPerSecond]);
+
+  // pool ids follow the order of the calls: 0 SwapPool, 1 NFTLoan, 2 TradingVault
+  const swapPoolRewards = m.call(liquidityMining, "addPool", [swapPool, swapPoolAllocPoint], { id: "addSwapPool" });
+  const nftLoanRewards = m.call(liquidityMining, "addPool", [nftLoan, nftLoanAllocPoint], {
+    id: "addNFTLoan",
+    after: [swapPoolRewards]
+  });
+  m.call(liquidityMining, "addPool", [tradingVault, tradingVaultAllocPoint], { id: "addTradingVault", after: [nftLoanRewards] });
+
+  const approve = m.call(governanceToken, "approve", [liquidityMining, rewardFunding], { id: "approveRewardFunding" });
+  m.call(liquidityMining, "fundRewards", [rewardFunding], { after: [approve] });
+
+  return { ...platform, governanceToken, liquidityMining };
+});
@@ -0,0 +1,19 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+const PriceFeedModule = require("./PriceFeed");
+
+module.exports = buildModule("NFTLoanModule", (m) => {
+  const loanToValue = m.getParameter("loanToValue", 50); // 50% LTV
+  const liquidationThreshold = m.getParameter("liquidationThreshold", 120); // 120%
+
+  const { tokenB } = m.useModule(TokensModule);
+  const { priceFeed } = m.useModule(PriceFeedModule);
+
+  const nftCollateral = m.contract("NFTCollateral");
+  const nftLoan = m.contract("NFTLoan", [tokenB]);
+
+  // accept NFTCollateral, valued at the shared price feed
+  m.call(nftLoan, "listCollection", [nftCollateral, priceFeed, loanToValue, liquidationThreshold]);
+
+  return { nftCollateral, nftLoan };
+});
@@ -0,0 +1,13 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DECIMALS = 8;
+const ETH_PRICE = 2000n * 10n ** 8n; // $2000 (Chainlink format)
+
+module.exports = buildModule("PriceFeedModule", (m) => {
+  const decimals = m.getParameter("decimals", DECIMALS);
+  const initialPrice = m.getParameter("initialPrice", ETH_PRICE);
+
+  const priceFeed = m.contract("MockV3Aggregator", [decimals, initialPrice]);
+
+  return { priceFeed };
+});
@@ -0,0 +1,10 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+
+module.exports = buildModule("SwapPoolModule", (m) => {
+  const { tokenA, tokenB } = m.useModule(TokensModule);
+
+  const swapPool = m.contract("SwapPool", [tokenA, tokenB]);
+
+  return { swapPool };
+});
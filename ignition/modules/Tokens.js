@@ -0,0 +1,12 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// TokenA (ETH-like) and TokenB (USDC-like), each mints 1,000,000 tokens to the deployer
+module.exports = buildModule("TokensModule", (m) => {
+  const tokenA = m.contract("TokenA");
+  const tokenB = m.contract("TokenB");
+
+  return { tokenA, tokenB };
+});
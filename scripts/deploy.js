@@ -1,37 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const GovernanceModule = require("../ignition/modules/Governance");
+const { moduleEntries, nextVersion, saveManifest } = require("./lib/deployments");
+
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("deploy account:", deployer.address);
 
-  // deploy TokenA 和 TokenB
-  const tokenA = await ethers.deployContract("TokenA");
-  console.log("TokenA deployed address:", tokenA.target);
-
-  const tokenB = await ethers.deployContract("TokenB");
-  console.log("TokenB deployed address:", tokenB.target);
-
-  // deploy MockV3Aggregator
-  const ETH_PRICE = 2000 * 1e8;
-  const priceFeed = await ethers.deployContract("MockV3Aggregator", [8, ETH_PRICE]);
-  console.log("MockV3Aggregator deployed address:", priceFeed.target);
-
-  // deploy LeverageTrade
-  const INITIAL_BALANCE = ethers.parseEther("10000");
-  const leverageTrade = await ethers.deployContract("LeverageTrade", [tokenA.target, tokenB.target, priceFeed.target]);
-  await tokenB.connect(deployer).approve(leverageTrade.target, INITIAL_BALANCE);
-  await leverageTrade.initializeFeeReserve(INITIAL_BALANCE);
-  console.log("LeverageTrade deployed address:", leverageTrade.target);
-
-  // deploy NFTCollateral
-  const nftCollateral = await ethers.deployContract("NFTCollateral");
-  console.log("NFTCollateral deployed address:", nftCollateral.target);
-
-  // deploy NFTLoan
-  const nftLoan = await ethers.deployContract("NFTLoan", [nftCollateral.target, tokenB.target, priceFeed.target]);
-  console.log("NFTLoan deployed address:", nftLoan.target);
-
-  // deploy SwapPool
-  const swapPool = await ethers.deployContract("SwapPool", [tokenA.target, tokenB.target]);
-  console.log("SwapPool deployed address:", swapPool.target);
+  // the platform, liquidity mining and governance, handed over to the timelock; every run is a
+  // new Ignition deployment, versioned like its manifest
+  // with the parameters of the network that `npx hardhat ignition deploy` would use
+  const parametersFile = path.join(__dirname, "..", "ignition", "parameters", `${network.name}.json`);
+  const version = nextVersion(network.name);
+  const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+  const deployed = await ignition.deploy(GovernanceModule, {
+    parameters: fs.existsSync(parametersFile) ? parametersFile : {},
+    deploymentId: `${network.name}-v${version}`
+  });
+  for (const [key, contract] of Object.entries(deployed)) {
+    console.log(`${key} deployed address:`, contract.target);
+  }
+  console.log("protocol handed over to timelock:", deployed.timelock.target);
+
+  // write manifest
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = saveManifest(network.name, {
+    network: network.name,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    contracts: await moduleEntries(GovernanceModule, deployed, { provider: ethers.provider, artifacts, fromBlock })
+  });
+  console.log(`manifest v${manifest.version} written to deployments/${network.name}/`);
 }
 
 main()
@@ -0,0 +1,40 @@
+// Order executor for LeverageTrade limit, stop-loss and take-profit orders.
+//
+//   npx hardhat run scripts/executor.js --network localhost
+//
+// Settings (env):
+//   EXECUTOR_DRY_RUN=1          only print the orders it would execute
+//   EXECUTOR_MIN_PROFIT=<n>     minimum execution fee in TokenB after gas (default 0)
+//   EXECUTOR_ACCOUNT=<index>    signer index used as executor (default 0)
+const { loadManifest, getContracts } = require("./lib/deployments");
+const { OrderExecutor } = require("./lib/executor");
+
+async function main() {
+  const signers = await ethers.getSigners();
+  const signer = signers[Number(process.env.EXECUTOR_ACCOUNT || 0)];
+  const { contracts: manifest } = loadManifest(network.name);
+  const { leverageTrade } = getContracts(network.name, signer);
+
+  const executor = new OrderExecutor({
+    leverageTrade,
+    signer,
+    fromBlock: manifest.leverageTrade.deployBlock,
+    minProfit: ethers.parseEther(process.env.EXECUTOR_MIN_PROFIT || "0"),
+    dryRun: process.env.EXECUTOR_DRY_RUN === "1"
+  });
+  executor.on("error", (error) => console.error("executor error:", error.shortMessage || error.message));
+
+  console.log(`executor account: ${signer.address}${executor.dryRun ? " (dry-run)" : ""}`);
+  await executor.start();
+
+  // keep running until interrupted
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await executor.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+// Runs a full governance cycle on a local node: proposes a new fee for a LeverageTrade market,
+// votes for it, queues and executes it, then applies the fee change it queued in LeverageTrade.
+// The change waits twice: the ProtocolTimelock delay before the proposal executes, then
+// LeverageTrade's own `timelockDelay` before `executeChange` applies it (2 days each by default).
+// Blocks are mined and time is moved forward, so it only runs on a Hardhat network or node.
+//
+//   npx hardhat run scripts/governance.js --network localhost
+//
+// Settings (env):
+//   GOV_MARKET=<id>          market whose fee changes (default 0)
+//   GOV_FEE_RATE=<bps>       new open and close fee in basis points of the size (default 20)
+//   GOV_ACCOUNT=<index>      signer index that proposes and votes (default 0, the token holder)
+const { getContracts } = require("./lib/deployments");
+const { buildProposal, runProposal, applyQueuedChanges } = require("./lib/governance");
+
+async function main() {
+  if (!["hardhat", "localhost"].includes(network.name)) {
+    throw new Error(`scripts/governance.js mines blocks and moves time, it cannot run on ${network.name}`);
+  }
+  const signers = await ethers.getSigners();
+  const signer = signers[Number(process.env.GOV_ACCOUNT || 0)];
+  const { leverageTrade, governor } = getContracts(network.name, signer);
+
+  const marketId = BigInt(process.env.GOV_MARKET || 0);
+  const feeRate = BigInt(process.env.GOV_FEE_RATE || 20);
+  const market = await leverageTrade.markets(marketId);
+  console.log(`market ${marketId} fee: ${market.feeRate} bps, proposing ${feeRate} bps`);
+
+  const proposal = buildProposal(
+    [{ contract: leverageTrade, method: "updateMarket", args: [marketId, market.maxLeverage, market.maintenanceMargin, feeRate] }],
+    `Set the fee of LeverageTrade market ${marketId} to ${feeRate} bps`
+  );
+  const { receipt } = await runProposal({
+    governor,
+    proposal,
+    onStep: (step, { proposalId }) => console.log(`${step}: ${proposalId}`)
+  });
+
+  // the proposal only queued the change in LeverageTrade's own timelock
+  console.log(`waiting out the LeverageTrade timelock delay of ${await leverageTrade.timelockDelay()}s`);
+  for (const change of await applyQueuedChanges(receipt, leverageTrade)) {
+    console.log(`applied change ${change.id}`);
+  }
+
+  console.log(`market ${marketId} fee: ${(await leverageTrade.markets(marketId)).feeRate} bps`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
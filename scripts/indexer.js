@@ -0,0 +1,55 @@
+// Event indexer with an HTTP/JSON API for portfolios, TVL, open interest and fees.
+//
+//   npx hardhat run scripts/indexer.js --network localhost
+//   curl http://127.0.0.1:8600/protocol/fees
+//
+// Settings (env):
+//   INDEXER_PORT=<n>            API port (default 8600)
+//   INDEXER_HOST=<host>         API interface (default 127.0.0.1)
+//   INDEXER_CONFIRMATIONS=<n>   blocks to stay behind the chain head (default 0, reorgs are rolled back)
+//   INDEXER_DATA_DIR=<dir>      where the indexed events are kept (default indexer-data/)
+const { loadManifest, getContracts } = require("./lib/deployments");
+const { ProtocolIndexer, IndexerStore } = require("./lib/indexer");
+const { createApiServer } = require("./lib/api");
+
+async function main() {
+  const { contracts: manifest } = loadManifest(network.name);
+  const contracts = getContracts(network.name, ethers.provider);
+  const { leverageTrade, nftLoan, swapPool } = contracts;
+
+  const indexer = new ProtocolIndexer({
+    leverageTrade,
+    nftLoan,
+    swapPool,
+    provider: ethers.provider,
+    store: IndexerStore.forNetwork(network.name),
+    fromBlock: Math.min(manifest.leverageTrade.deployBlock, manifest.nftLoan.deployBlock, manifest.swapPool.deployBlock),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+  });
+  indexer.on("error", (error) => console.error("indexer error:", error.shortMessage || error.message));
+  indexer.on("reorg", ({ ancestor, removed }) => console.log(`reorg: rolled back to block ${ancestor}, ${removed} events removed`));
+  indexer.on("synced", ({ toBlock, events }) => {
+    if (events > 0) console.log(`indexed ${events} events up to block ${toBlock}`);
+  });
+
+  await indexer.start();
+  console.log(`indexed ${indexer.logs.length} events up to block ${indexer.nextBlock - 1} from ${indexer.store.eventsFile}`);
+
+  const server = createApiServer(indexer, contracts);
+  const port = Number(process.env.INDEXER_PORT || 8600);
+  const host = process.env.INDEXER_HOST || "127.0.0.1";
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  console.log(`API listening on http://${host}:${port}`);
+
+  // keep running until interrupted
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await indexer.stop();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
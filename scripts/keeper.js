@@ -0,0 +1,43 @@
+// Liquidation keeper for LeverageTrade positions and NFTLoan loans.
+//
+//   npx hardhat run scripts/keeper.js --network localhost
+//
+// Settings (env):
+//   KEEPER_DRY_RUN=1          only print the liquidations it would send
+//   KEEPER_MIN_PROFIT=<n>     minimum profit in TokenB after gas (default 0)
+//   KEEPER_ACCOUNT=<index>    signer index used as liquidator (default 0)
+const { loadManifest, getContracts } = require("./lib/deployments");
+const { LiquidationKeeper } = require("./lib/keeper");
+
+async function main() {
+  const signers = await ethers.getSigners();
+  const signer = signers[Number(process.env.KEEPER_ACCOUNT || 0)];
+  const { contracts: manifest } = loadManifest(network.name);
+  const { leverageTrade, nftLoan, priceFeed, tokenB } = getContracts(network.name, signer);
+
+  const keeper = new LiquidationKeeper({
+    leverageTrade,
+    nftLoan,
+    priceFeed,
+    token: tokenB,
+    signer,
+    fromBlock: Math.min(manifest.leverageTrade.deployBlock, manifest.nftLoan.deployBlock),
+    minProfit: ethers.parseEther(process.env.KEEPER_MIN_PROFIT || "0"),
+    dryRun: process.env.KEEPER_DRY_RUN === "1"
+  });
+  keeper.on("error", (error) => console.error("keeper error:", error.shortMessage || error.message));
+
+  console.log(`keeper account: ${signer.address}${keeper.dryRun ? " (dry-run)" : ""}`);
+  await keeper.start();
+
+  // keep running until interrupted
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await keeper.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
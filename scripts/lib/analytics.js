@@ -0,0 +1,280 @@
+const BPS = 10000n;
+const PRECISION = 10n ** 18n;
+const SWAP_FEE = 30n; // SwapPool's initial fee, later changes arrive as FeeUpdated
+
+/**
+ * Fee taken by `LeverageTrade.openPosition` from the margin paid, worked back from the net
+ * margin in the event. Every gross margin with the same net margin is rounded down to the
+ * smallest, so the result can be 1 wei under the fee charged.
+ * @param {bigint} netMargin Margin after the fee
+ * @param {bigint} leverage
+ * @param {bigint} feeRate Basis points of the size
+ */
+function openFee(netMargin, leverage, feeRate) {
+  const rate = leverage * feeRate;
+  if (rate === 0n || rate >= BPS) return 0n;
+  const netOf = (gross) => gross - (gross * rate) / BPS;
+
+  let gross = (netMargin * BPS) / (BPS - rate);
+  while (netOf(gross) < netMargin) gross++;
+  while (gross > 0n && netOf(gross - 1n) === netMargin) gross--;
+  return gross - netMargin;
+}
+
+const add = (totals, key, amount) => {
+  totals[key] = (totals[key] || 0n) + amount;
+};
+
+/**
+ * Protocol state folded from LeverageTrade, NFTLoan and SwapPool events: positions, loans and
+ * swaps by account, open interest by market and fee totals.
+ *
+ * Trading fees are not in the events, they are worked out from the market fee rate. The close
+ * fee is capped at the equity the position closed with, which ignores any vault shortfall.
+ */
+class ProtocolAnalytics {
+  constructor() {
+    this.markets = new Map(); // marketId => { feeRate, listed }
+    this.positions = new Map(); // positionId => position, closed ones included
+    this.loans = new Map(); // loanId => loan, closed ones included
+    this.swaps = { count: 0, volumeIn: {} }; // volume by token sold
+    this.accountSwaps = new Map(); // account => { count, volumeIn }
+    this.swapFee = SWAP_FEE;
+    this.fees = {
+      trading: 0n, // open, increase, decrease and close fees
+      borrow: 0n, // LeverageTrade borrow fee
+      funding: 0n, // funding paid less funding received, the difference is waiting in the funding pool, repays the insurance fund or, without an opposite side, went to the fee reserve
+      loanInterest: 0n,
+      swap: {} // token => amount, paid to liquidity providers
+    };
+  }
+
+  /**
+   * Apply a parsed event
+   * @param {object} event
+   * @param {string} event.contract "leverageTrade", "nftLoan" or "swapPool"
+   * @param {string} event.name
+   * @param {object} event.args
+   * @param {number} event.blockNumber
+   * @param {string} event.transactionHash
+   */
+  apply(event) {
+    if (event.contract === "leverageTrade") this._applyTrade(event);
+    else if (event.contract === "nftLoan") this._applyLoan(event);
+    else if (event.contract === "swapPool") this._applySwap(event);
+  }
+
+  _applyTrade({ name, args, blockNumber }) {
+    const pos = args.positionId === undefined ? null : this.positions.get(args.positionId);
+    switch (name) {
+      case "MarketListed":
+      case "MarketUpdated":
+        this.markets.set(args.marketId, { feeRate: args.feeRate, listed: true });
+        break;
+      case "MarketDelisted":
+        if (this.markets.has(args.marketId)) this.markets.get(args.marketId).listed = false;
+        break;
+      case "PositionOpened":
+        this.fees.trading += openFee(args.margin, args.leverage, this._feeRate(args.marketId));
+        this.positions.set(args.positionId, {
+          id: args.positionId,
+          account: args.user,
+          marketId: args.marketId,
+          isLong: args.isLong,
+          margin: args.margin,
+          size: args.size,
+          openPrice: args.price,
+          status: "open",
+          realizedPnl: 0n,
+          fees: 0n, // funding and borrow fee settled
+          openedAt: blockNumber,
+          closedAt: null
+        });
+        break;
+      case "PositionIncreased":
+        if (!pos) break;
+        this.fees.trading += openFee(args.margin, args.size / args.margin, this._feeRate(pos.marketId));
+        pos.margin += args.margin;
+        pos.size += args.size;
+        pos.openPrice = args.avgPrice;
+        break;
+      case "PositionDecreased": {
+        if (!pos) break;
+        const payout = args.marginDelta + args.profit - args.loss;
+        this.fees.trading += this._closeFee(pos.marketId, args.sizeDelta, payout > 0n ? payout : 0n);
+        pos.margin -= args.marginDelta;
+        pos.size -= args.sizeDelta;
+        pos.realizedPnl += args.profit - args.loss;
+        break;
+      }
+      case "MarginAdded":
+      case "MarginRemoved":
+        if (!pos) break;
+        pos.margin += name === "MarginAdded" ? args.amount : -args.amount;
+        break;
+      case "FeesSettled": {
+        if (!pos) break;
+        const margin = pos.margin - args.funding - args.borrowFee;
+        pos.margin = margin > 0n ? margin : 0n;
+        pos.fees += args.funding + args.borrowFee;
+        this.fees.funding += args.funding;
+        this.fees.borrow += args.borrowFee;
+        break;
+      }
+      case "PositionClosed": {
+        if (!pos) break;
+        const equity = pos.margin + args.profit - args.loss;
+        this.fees.trading += this._closeFee(pos.marketId, pos.size, equity > 0n ? equity : 0n);
+        pos.realizedPnl += args.profit - args.loss;
+        this._close(pos, "closed", blockNumber);
+        break;
+      }
+      case "PositionLiquidated":
+        if (!pos) break;
+        pos.realizedPnl -= args.margin;
+        this._close(pos, "liquidated", blockNumber);
+        break;
+    }
+  }
+
+  _applyLoan({ name, args, blockNumber }) {
+    const loan = this.loans.get(args.loanId);
+    switch (name) {
+      case "Deposited":
+        this.loans.set(args.loanId, {
+          id: args.loanId,
+          account: args.user,
+          collection: args.collection,
+          tokenId: args.tokenId,
+          borrowed: 0n,
+          repaid: 0n, // principal, interest apart
+          interestPaid: 0n,
+          status: "open",
+          openedAt: blockNumber,
+          closedAt: null
+        });
+        break;
+      case "Borrowed":
+        if (loan) loan.borrowed += args.amount;
+        break;
+      case "Repaid":
+        if (!loan) break;
+        loan.repaid += args.amount;
+        loan.interestPaid += args.interest;
+        this.fees.loanInterest += args.interest;
+        break;
+      case "Withdrawn":
+      case "Liquidated":
+        if (!loan) break;
+        loan.status = name === "Withdrawn" ? "withdrawn" : "liquidated";
+        loan.closedAt = blockNumber;
+        break;
+    }
+  }
+
+  _applySwap({ name, args }) {
+    switch (name) {
+      case "FeeUpdated":
+        this.swapFee = args.fee;
+        break;
+      case "Swap": {
+        const tokenIn = args.tokenIn.toLowerCase();
+        this.swaps.count++;
+        add(this.swaps.volumeIn, tokenIn, args.amountIn);
+        add(this.fees.swap, tokenIn, (args.amountIn * this.swapFee) / BPS);
+
+        const account = args.sender.toLowerCase();
+        const stats = this.accountSwaps.get(account) || { count: 0, volumeIn: {} };
+        stats.count++;
+        add(stats.volumeIn, tokenIn, args.amountIn);
+        this.accountSwaps.set(account, stats);
+        break;
+      }
+    }
+  }
+
+  _feeRate(marketId) {
+    const market = this.markets.get(marketId);
+    return market ? market.feeRate : 0n;
+  }
+
+  _closeFee(marketId, size, equity) {
+    const fee = (size * this._feeRate(marketId)) / BPS;
+    return fee > equity ? equity : fee;
+  }
+
+  _close(pos, status, blockNumber) {
+    pos.status = status;
+    pos.closedAt = blockNumber;
+    pos.margin = 0n;
+  }
+
+  /**
+   * Open position sizes summed by market and side, the `longOpenInterest` and
+   * `shortOpenInterest` of the contract
+   * @returns {Array<{marketId: bigint, long: bigint, short: bigint, positions: number}>}
+   */
+  openInterest() {
+    const markets = new Map();
+    for (const marketId of this.markets.keys()) markets.set(marketId, { marketId, long: 0n, short: 0n, positions: 0 });
+    for (const pos of this.positions.values()) {
+      if (pos.status !== "open") continue;
+      const market = markets.get(pos.marketId) || { marketId: pos.marketId, long: 0n, short: 0n, positions: 0 };
+      market[pos.isLong ? "long" : "short"] += pos.size;
+      market.positions++;
+      markets.set(pos.marketId, market);
+    }
+    return [...markets.values()];
+  }
+
+  /**
+   * Positions, loans and swaps of an account with realized P&L and outstanding principal
+   * @param {string} account
+   */
+  portfolio(account) {
+    const address = account.toLowerCase();
+    const positions = [...this.positions.values()].filter((pos) => pos.account.toLowerCase() === address);
+    const loans = [...this.loans.values()].filter((loan) => loan.account.toLowerCase() === address);
+    const open = positions.filter((pos) => pos.status === "open");
+
+    return {
+      account,
+      positions: { open, closed: positions.filter((pos) => pos.status !== "open") },
+      loans: { open: loans.filter((loan) => loan.status === "open"), closed: loans.filter((loan) => loan.status !== "open") },
+      swaps: this.accountSwaps.get(address) || { count: 0, volumeIn: {} },
+      totals: {
+        margin: open.reduce((sum, pos) => sum + pos.margin, 0n),
+        realizedPnl: positions.reduce((sum, pos) => sum + pos.realizedPnl, 0n),
+        principal: loans
+          .filter((loan) => loan.status === "open")
+          .reduce((sum, loan) => sum + loan.borrowed - loan.repaid, 0n),
+        interestPaid: loans.reduce((sum, loan) => sum + loan.interestPaid, 0n)
+      }
+    };
+  }
+}
+
+/**
+ * TokenB held by each contract of the protocol, read from the chain. The swap pool's TokenA
+ * is valued at the market 0 price; NFT collateral is not counted.
+ * @param {object} contracts
+ * @param {import("ethers").Contract} contracts.leverageTrade Margins, fee reserve and insurance fund
+ * @param {import("ethers").Contract} contracts.tradingVault
+ * @param {import("ethers").Contract} contracts.nftLoan Lender deposits, lent-out debt included
+ * @param {import("ethers").Contract} contracts.swapPool
+ * @param {import("ethers").Contract} contracts.tokenB
+ */
+async function getTvl({ leverageTrade, tradingVault, nftLoan, swapPool, tokenB }) {
+  const [trade, vault, lending, reserveA, reserveB, price] = await Promise.all([
+    tokenB.balanceOf(leverageTrade.target),
+    tokenB.balanceOf(tradingVault.target),
+    nftLoan.totalAssets(),
+    swapPool.reserveA(),
+    swapPool.reserveB(),
+    leverageTrade.getPrice(0)
+  ]);
+  const pool = reserveB + (reserveA * price) / PRECISION;
+  return { leverageTrade: trade, tradingVault: vault, nftLoan: lending, swapPool: pool, total: trade + vault + lending + pool };
+}
+
+module.exports = { ProtocolAnalytics, getTvl, openFee };
@@ -0,0 +1,89 @@
+const http = require("http");
+const { isAddress } = require("ethers");
+const { getTvl } = require("./analytics");
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+// bigints are sent as decimal strings, JSON numbers lose precision above 2^53
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new ApiError(400, `Invalid URL encoding "${value}"`);
+  }
+}
+
+function parseId(value) {
+  if (!/^\d+$/.test(value)) throw new ApiError(400, `Invalid id "${value}"`);
+  return BigInt(value);
+}
+
+/**
+ * Read-only HTTP/JSON API over a ProtocolIndexer. Amounts are strings of wei.
+ *
+ *   GET /status                          indexed block range and event count
+ *   GET /accounts/:account/portfolio     positions, loans, swaps and totals of an account
+ *   GET /positions/:id                   one position, closed ones included
+ *   GET /loans/:id                       one loan, closed ones included
+ *   GET /protocol/tvl                    TokenB held by each contract, read from the chain
+ *   GET /protocol/open-interest          long and short size by market
+ *   GET /protocol/fees                   fee totals since the first indexed block
+ *   GET /protocol/swaps                  swap count and volume by token sold
+ *
+ * @param {import("./indexer").ProtocolIndexer} indexer
+ * @param {object} contracts Contracts for `getTvl`
+ * @returns {http.Server} Server that is not listening yet
+ */
+function createApiServer(indexer, contracts) {
+  const routes = [
+    [/^\/status$/, () => ({ fromBlock: indexer.fromBlock, lastBlock: indexer.nextBlock - 1, events: indexer.logs.length })],
+    [
+      /^\/accounts\/([^/]+)\/portfolio$/,
+      ([account]) => {
+        if (!isAddress(account)) throw new ApiError(400, `Invalid address "${account}"`);
+        return indexer.analytics.portfolio(account);
+      }
+    ],
+    [/^\/positions\/([^/]+)$/, ([id]) => indexer.analytics.positions.get(parseId(id))],
+    [/^\/loans\/([^/]+)$/, ([id]) => indexer.analytics.loans.get(parseId(id))],
+    [/^\/protocol\/tvl$/, () => getTvl(contracts)],
+    [/^\/protocol\/open-interest$/, () => indexer.analytics.openInterest()],
+    [/^\/protocol\/fees$/, () => indexer.analytics.fees],
+    [/^\/protocol\/swaps$/, () => ({ ...indexer.analytics.swaps, fee: indexer.analytics.swapFee })]
+  ];
+
+  async function handle(req) {
+    if (req.method !== "GET") throw new ApiError(405, `${req.method} is not allowed`);
+    const { pathname } = new URL(req.url, "http://localhost");
+    for (const [pattern, route] of routes) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      const body = await route(match.slice(1).map(decodeParam));
+      if (body === undefined) throw new ApiError(404, `${pathname} not found`);
+      return body;
+    }
+    throw new ApiError(404, `${pathname} not found`);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req)
+      .then((body) => [200, body])
+      .catch((error) => [error.status || 500, { error: error.message }])
+      .then(([status, body]) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(toJson(body));
+      });
+  });
+}
+
+module.exports = { createApiServer, ApiError };
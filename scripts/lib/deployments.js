@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, Contract, Interface, dataLength, dataSlice, getAddress } = require("ethers");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const MANIFEST_FORMAT = 1;
+
+class DeploymentNotFoundError extends Error {
+  constructor(network) {
+    super(`No deployment manifest for network "${network}", run scripts/deploy.js first`);
+    this.name = "DeploymentNotFoundError";
+    this.network = network;
+  }
+}
+
+/**
+ * Root directory of the manifests, overridable with the DEPLOYMENTS_DIR env variable
+ */
+function deploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+/**
+ * Directory holding every manifest of a network
+ * @param {string} network Hardhat network name
+ */
+function networkDir(network) {
+  return path.join(deploymentsDir(), network);
+}
+
+/**
+ * Path of the manifest the loaders read by default
+ * @param {string} network Hardhat network name
+ */
+function latestPath(network) {
+  return path.join(networkDir(network), "latest.json");
+}
+
+/**
+ * Check whether a network has been deployed to
+ * @param {string} network Hardhat network name
+ */
+function hasDeployment(network) {
+  return fs.existsSync(latestPath(network));
+}
+
+/**
+ * Read a deployment manifest
+ * @param {string} network Hardhat network name
+ * @param {number} [version] Manifest version, defaults to the latest one
+ * @returns {object} Parsed manifest
+ */
+function loadManifest(network, version) {
+  const file = version === undefined
+    ? latestPath(network)
+    : path.join(networkDir(network), `v${version}.json`);
+  if (!fs.existsSync(file)) throw new DeploymentNotFoundError(network);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Version the next manifest of a network gets
+ * @param {string} network Hardhat network name
+ */
+function nextVersion(network) {
+  return hasDeployment(network) ? loadManifest(network).version + 1 : 1;
+}
+
+/**
+ * Write a manifest as the next version of a network and make it the latest one
+ * @param {string} network Hardhat network name
+ * @param {object} manifest Manifest without `format` and `version`
+ * @returns {object} Saved manifest
+ */
+function saveManifest(network, manifest) {
+  const dir = networkDir(network);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const version = nextVersion(network);
+  const saved = { format: MANIFEST_FORMAT, version, ...manifest };
+  const json = JSON.stringify(saved, null, 2) + "\n";
+
+  fs.writeFileSync(path.join(dir, `v${version}.json`), json);
+  fs.writeFileSync(latestPath(network), json);
+  return saved;
+}
+
+/**
+ * Address of every contract in a manifest
+ * @param {string} network Hardhat network name
+ * @returns {Object<string, string>} Contract key => address
+ */
+function getAddresses(network) {
+  const { contracts } = loadManifest(network);
+  return Object.fromEntries(Object.entries(contracts).map(([key, c]) => [key, c.address]));
+}
+
+/**
+ * Attach ethers contract instances to the latest deployment of a network
+ * @param {string} network Hardhat network name
+ * @param {import("ethers").ContractRunner} runner Signer or provider
+ * @returns {Object<string, Contract>} Contract key (e.g. `leverageTrade`) => instance
+ */
+function getContracts(network, runner) {
+  const { contracts } = loadManifest(network);
+  return Object.fromEntries(
+    Object.entries(contracts).map(([key, c]) => [key, new Contract(c.address, c.abi, runner)])
+  );
+}
+
+/**
+ * Manifest entries of the contracts an Ignition module deployed, read from their creation
+ * transactions from `fromBlock` on
+ * @param {object} ignitionModule Module passed to `ignition.deploy`, names the artifact of every result
+ * @param {Object<string, Contract>} deployed Result of `ignition.deploy`
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {object} options.artifacts Hardhat artifacts
+ * @param {number} options.fromBlock First block of the deployment
+ * @returns {Promise<Object<string, object>>} Contract key => entry with address, constructor arguments, ABI and deploy block
+ */
+async function moduleEntries(ignitionModule, deployed, { provider, artifacts, fromBlock }) {
+  const creations = new Map(); // contract address => { tx, receipt }
+  const latest = await provider.getBlockNumber();
+  for (let number = fromBlock; number <= latest; number++) {
+    const block = await provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      if (tx.to !== null) continue;
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      creations.set(getAddress(receipt.contractAddress), { tx, receipt });
+    }
+  }
+
+  const entries = {};
+  for (const [key, contract] of Object.entries(deployed)) {
+    const { contractName } = ignitionModule.results[key];
+    const creation = creations.get(getAddress(contract.target));
+    if (!creation) throw new Error(`${contractName} at ${contract.target} was not deployed from block ${fromBlock} on`);
+
+    // the creation data is the bytecode followed by the encoded constructor arguments
+    const { abi, bytecode } = await artifacts.readArtifact(contractName);
+    const { inputs } = new Interface(abi).deploy;
+    const args = AbiCoder.defaultAbiCoder().decode(inputs, dataSlice(creation.tx.data, dataLength(bytecode)));
+    entries[key] = {
+      contractName,
+      address: contract.target,
+      constructorArgs: toJsonValue(args.toArray(true)),
+      deployBlock: creation.receipt.blockNumber,
+      transactionHash: creation.receipt.hash,
+      abi
+    };
+  }
+  return entries;
+}
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  return value;
+}
+
+module.exports = {
+  deploymentsDir,
+  DeploymentNotFoundError,
+  hasDeployment,
+  loadManifest,
+  nextVersion,
+  saveManifest,
+  getAddresses,
+  getContracts,
+  moduleEntries
+};
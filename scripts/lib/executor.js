@@ -0,0 +1,140 @@
+const { Contract } = require("ethers");
+const { ContractWatcher } = require("./watcher");
+
+const PRICE_FEED_ABI = ["event PriceUpdated(int256 newPrice)"];
+const ORDER_TYPES = ["limit", "stop-loss", "take-profit"];
+
+/**
+ * Watches LeverageTrade limit, stop-loss and take-profit orders and executes the triggered ones.
+ *
+ * Open orders are rebuilt from contract events and checked with the contract's
+ * `isOrderTriggered` view whenever the price feed of any market emits `PriceUpdated`
+ * and on every new block. Stop-loss and take-profit orders are dropped once their
+ * position is closed or liquidated.
+ *
+ * Emits `execution` ({ id, type, txHash, profit }), `skipped` ({ id, type, reason, profit })
+ * and `error` (Error).
+ */
+class OrderExecutor extends ContractWatcher {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.leverageTrade
+   * @param {import("ethers").Signer} options.signer Executor account, receives the execution fees
+   * @param {number} [options.fromBlock] First block to index
+   * @param {bigint} [options.minProfit] Minimum execution fee in TokenB after gas
+   * @param {boolean} [options.dryRun] Only report executions, never send transactions
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ leverageTrade, signer, fromBlock = 0, minProfit = 0n, dryRun = false, log = console.log }) {
+    super({ signer, fromBlock, minProfit, dryRun, log });
+    this.leverageTrade = leverageTrade.connect(signer);
+
+    this.orders = new Map(); // orderId => { user, marketId, type, isLong, triggerPrice, positionId }
+    this.priceFeeds = [];
+  }
+
+  /**
+   * Attach the price feed of every market, so price updates trigger a check
+   */
+  async init() {
+    if (this.priceFeeds.length > 0) return;
+    const marketCount = await this.leverageTrade.marketCount();
+    this.priceFeeds = [];
+    for (let i = 0n; i < marketCount; i++) {
+      const { priceFeed } = await this.leverageTrade.markets(i);
+      this.priceFeeds.push(new Contract(priceFeed, PRICE_FEED_ABI, this.signer));
+    }
+  }
+
+  watchedFeeds() {
+    return this.priceFeeds;
+  }
+
+  eventSources() {
+    return [{ contract: this.leverageTrade, apply: (event) => this._applyEvent(event) }];
+  }
+
+  summary() {
+    return `executor watching ${this.orders.size} orders in ${this.priceFeeds.length} markets`;
+  }
+
+  _applyEvent({ fragment, args }) {
+    if (!fragment) return;
+    switch (fragment.name) {
+      case "OrderPlaced":
+        this.orders.set(args.orderId, {
+          user: args.user,
+          marketId: args.marketId,
+          type: ORDER_TYPES[Number(args.orderType)],
+          isLong: args.isLong,
+          triggerPrice: args.triggerPrice,
+          positionId: args.positionId
+        });
+        break;
+      // closing or liquidating a position cancels its close orders
+      case "OrderCancelled":
+      case "OrderExecuted":
+        this.orders.delete(args.orderId);
+        break;
+    }
+  }
+
+  /**
+   * Check every tracked order against the current price of its market
+   * @returns {Promise<Array<object>>} Executions sent (or reported in dry-run mode)
+   */
+  async checkAll() {
+    const results = [];
+    for (const [orderId, order] of [...this.orders]) {
+      const result = await this._check(async () => {
+        if (!(await this.leverageTrade.isOrderTriggered(orderId))) return null;
+        return this._execute(orderId, order);
+      }, (reason) => this._skip(orderId, order, reason, 0n));
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  async _execute(orderId, order) {
+    let gasCost;
+    try {
+      gasCost = await this._gasCost(this.leverageTrade.executeOrder.estimateGas(orderId), this.leverageTrade.getPrice(0));
+    } catch (error) {
+      // e.g. a limit order whose leverage is above the market's new cap
+      this._skip(orderId, order, `cannot be executed (${error.shortMessage || error.message})`, 0n);
+      return null;
+    }
+    const { executionFee } = await this.leverageTrade.orders(orderId);
+    const profit = executionFee - gasCost;
+
+    if (profit < this.minProfit) {
+      this._skip(orderId, order, "unprofitable", profit);
+      return null;
+    }
+    if (this.dryRun) {
+      this.log(`[dry-run] would execute ${order.type} order ${orderId}, expected profit ${profit}`);
+      return { id: orderId, type: order.type, profit, txHash: null };
+    }
+
+    try {
+      const tx = await this.leverageTrade.executeOrder(orderId);
+      await tx.wait();
+      this.orders.delete(orderId);
+
+      const result = { id: orderId, type: order.type, profit, txHash: tx.hash };
+      this.log(`executed ${order.type} order ${orderId} in ${tx.hash}, expected profit ${profit}`);
+      this.emit("execution", result);
+      return result;
+    } catch (error) {
+      this.emit("error", error);
+      return null;
+    }
+  }
+
+  _skip(orderId, order, reason, profit) {
+    this.log(`skip ${order.type} order ${orderId}: ${reason}`);
+    this.emit("skipped", { id: orderId, type: order.type, reason, profit });
+  }
+}
+
+module.exports = { OrderExecutor };
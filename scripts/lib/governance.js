@@ -0,0 +1,138 @@
+const { id, toQuantity } = require("ethers");
+
+// DefiGovernor ProposalState, by enum value
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+const VOTE_FOR = 1;
+
+class ProposalStateError extends Error {
+  constructor(proposalId, state, expected) {
+    super(`Proposal ${proposalId} is ${PROPOSAL_STATES[state]}, expected ${expected}`);
+    this.name = "ProposalStateError";
+    this.proposalId = proposalId;
+    this.state = state;
+  }
+}
+
+/**
+ * Turn contract calls into the arrays of `Governor.propose`
+ * @param {Array<{contract: import("ethers").Contract, method: string, args: Array}>} actions Calls the timelock makes
+ * @param {string} description Proposal text, part of the proposal id
+ */
+function buildProposal(actions, description) {
+  return {
+    targets: actions.map(({ contract }) => contract.target),
+    values: actions.map(() => 0n),
+    calldatas: actions.map(({ contract, method, args }) => contract.interface.encodeFunctionData(method, args)),
+    description,
+    descriptionHash: id(description)
+  };
+}
+
+/**
+ * Mine blocks on a Hardhat network or node
+ * @param {import("ethers").Provider} provider
+ * @param {number|bigint} blocks
+ */
+async function mineBlocks(provider, blocks) {
+  await provider.send("hardhat_mine", [toQuantity(blocks)]);
+}
+
+/**
+ * Move the chain time forward and mine a block at it
+ * @param {import("ethers").Provider} provider
+ * @param {number|bigint} seconds
+ */
+async function increaseTime(provider, seconds) {
+  await provider.send("evm_increaseTime", [toQuantity(seconds)]);
+  await provider.send("evm_mine", []);
+}
+
+async function expectState(governor, proposalId, expected) {
+  const state = Number(await governor.state(proposalId));
+  if (PROPOSAL_STATES[state] !== expected) throw new ProposalStateError(proposalId, state, expected);
+}
+
+/**
+ * Run a proposal through propose, vote, queue and execute on a local chain. Blocks are mined
+ * through the voting delay and period and time is moved past the timelock delay, so the
+ * voter must hold enough delegated votes to reach quorum on its own.
+ *
+ * Executing a proposal that calls a timelocked setter of a ProtocolAccess contract only queues
+ * the change there: it waits out that contract's `timelockDelay` on top of the ProtocolTimelock
+ * delay, then `applyQueuedChanges` applies it.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.governor DefiGovernor connected to the voter
+ * @param {object} options.proposal Result of buildProposal
+ * @param {(step: string, detail: object) => void} [options.onStep] Progress callback
+ * @returns {Promise<{proposalId: bigint, receipt: import("ethers").TransactionReceipt}>} Receipt of the execution
+ */
+async function runProposal({ governor, proposal, onStep = () => {} }) {
+  const { provider } = governor.runner;
+  const { targets, values, calldatas, description, descriptionHash } = proposal;
+  const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+
+  await (await governor.propose(targets, values, calldatas, description)).wait();
+  onStep("proposed", { proposalId });
+
+  await mineBlocks(provider, (await governor.votingDelay()) + 1n);
+  await expectState(governor, proposalId, "Active");
+  await (await governor.castVote(proposalId, VOTE_FOR)).wait();
+  onStep("voted", { proposalId, support: VOTE_FOR });
+
+  await mineBlocks(provider, await governor.votingPeriod());
+  await expectState(governor, proposalId, "Succeeded");
+  await (await governor.queue(targets, values, calldatas, descriptionHash)).wait();
+  const eta = await governor.proposalEta(proposalId);
+  onStep("queued", { proposalId, eta });
+
+  const { timestamp } = await provider.getBlock("latest");
+  if (eta > BigInt(timestamp)) await increaseTime(provider, eta - BigInt(timestamp));
+  const receipt = await (await governor.execute(targets, values, calldatas, descriptionHash)).wait();
+  onStep("executed", { proposalId, hash: receipt.hash });
+
+  return { proposalId, receipt };
+}
+
+/**
+ * Parameter changes a transaction queued in the timelock of a ProtocolAccess contract,
+ * e.g. an executed proposal that called timelocked setters
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {import("ethers").Contract} contract LeverageTrade, NFTLoan or SwapPool
+ * @returns {Array<{id: string, data: string, readyAt: bigint}>}
+ */
+function getQueuedChanges(receipt, contract) {
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === contract.target.toLowerCase())
+    .map((log) => contract.interface.parseLog(log))
+    .filter((event) => event && event.name === "ChangeQueued")
+    .map(({ args }) => ({ id: args.id, data: args.data, readyAt: args.readyAt }));
+}
+
+/**
+ * Wait out the delay of the changes a transaction queued in a ProtocolAccess contract and apply
+ * them with `executeChange`, e.g. the second stage of an executed proposal
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {import("ethers").Contract} contract LeverageTrade, NFTLoan or SwapPool, connected to a signer
+ * @returns {Promise<Array<{id: string, data: string, readyAt: bigint}>>} Changes applied
+ */
+async function applyQueuedChanges(receipt, contract) {
+  const { provider } = contract.runner;
+  const changes = getQueuedChanges(receipt, contract);
+  for (const change of changes) {
+    const { timestamp } = await provider.getBlock("latest");
+    if (change.readyAt > BigInt(timestamp)) await increaseTime(provider, change.readyAt - BigInt(timestamp));
+    await (await contract.executeChange(change.data)).wait();
+  }
+  return changes;
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  ProposalStateError,
+  buildProposal,
+  mineBlocks,
+  increaseTime,
+  runProposal,
+  getQueuedChanges,
+  applyQueuedChanges
+};
@@ -0,0 +1,330 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { ProtocolAnalytics } = require("./analytics");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "indexer-data");
+const STATE_FORMAT = 2;
+const LEGACY_FORMAT = 1; // a single `<dir>.json` with the logs and the checkpoint
+
+// events kept by the indexer, by contract
+const INDEXED_EVENTS = {
+  leverageTrade: [
+    "MarketListed",
+    "MarketUpdated",
+    "MarketDelisted",
+    "PositionOpened",
+    "PositionIncreased",
+    "PositionDecreased",
+    "MarginAdded",
+    "MarginRemoved",
+    "FeesSettled",
+    "PositionClosed",
+    "PositionLiquidated"
+  ],
+  nftLoan: ["Deposited", "Borrowed", "Repaid", "Withdrawn", "Liquidated"],
+  swapPool: ["Swap", "FeeUpdated"]
+};
+
+/**
+ * Root directory of the indexer state, overridable with the INDEXER_DATA_DIR env variable
+ */
+function dataDir() {
+  return process.env.INDEXER_DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Directory holding the raw logs an indexer has seen and its checkpoint. The logs are appended
+ * to `events.jsonl`, one per line, and only a rollback truncates it. `checkpoint.json` holds the
+ * next block, the hashes of the recent blocks and the length of the log file they match; it is
+ * written through a temporary file, so a crash never leaves half a checkpoint behind, and logs
+ * appended after the last checkpoint are cut off on load. The single `<network>.json` file of
+ * earlier versions is migrated on the first load and removed.
+ */
+class IndexerStore {
+  /**
+   * @param {string} dir Directory of the state, one per indexer
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.eventsFile = path.join(dir, "events.jsonl");
+    this.checkpointFile = path.join(dir, "checkpoint.json");
+    this.legacyFile = `${dir}.json`;
+    this.eventBytes = 0; // length of the log file at the last checkpoint
+  }
+
+  /**
+   * Store of a network in the data directory
+   * @param {string} network Hardhat network name
+   */
+  static forNetwork(network) {
+    return new IndexerStore(path.join(dataDir(), network));
+  }
+
+  /**
+   * @returns {object|null} Saved checkpoint with its `logs`, null before the first save
+   */
+  load() {
+    if (!fs.existsSync(this.checkpointFile) && !this._migrate()) return null;
+    const checkpoint = JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+    if (checkpoint.format !== STATE_FORMAT) return checkpoint;
+
+    fs.truncateSync(this.eventsFile, checkpoint.eventBytes);
+    this.eventBytes = checkpoint.eventBytes;
+    const lines = fs.readFileSync(this.eventsFile, "utf8").split("\n");
+    return { ...checkpoint, logs: lines.filter(Boolean).map((line) => JSON.parse(line)) };
+  }
+
+  /**
+   * Append logs and write the checkpoint that covers them
+   * @param {Array<object>} logs Logs indexed since the last checkpoint
+   * @param {object} checkpoint
+   */
+  append(logs, checkpoint) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const lines = logs.map((log) => `${JSON.stringify(log)}\n`).join("");
+    if (lines) fs.appendFileSync(this.eventsFile, lines);
+    else if (!fs.existsSync(this.eventsFile)) fs.writeFileSync(this.eventsFile, "");
+    this.eventBytes += Buffer.byteLength(lines);
+    this._writeCheckpoint(checkpoint);
+  }
+
+  /**
+   * Cut the log file back to the logs a rollback kept and write the checkpoint
+   * @param {Array<object>} logs Every log kept, in file order
+   * @param {object} checkpoint
+   */
+  truncate(logs, checkpoint) {
+    this.eventBytes = logs.reduce((bytes, log) => bytes + Buffer.byteLength(`${JSON.stringify(log)}\n`), 0);
+    this._writeCheckpoint(checkpoint);
+    fs.truncateSync(this.eventsFile, this.eventBytes);
+  }
+
+  /**
+   * Drop the saved state, e.g. of contracts that were redeployed
+   */
+  clear() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    this.eventBytes = 0;
+  }
+
+  /**
+   * Move the state of the legacy single file into the directory
+   * @returns {boolean} Whether there was a legacy state to migrate
+   */
+  _migrate() {
+    if (!fs.existsSync(this.legacyFile)) return false;
+    const { format, logs, ...checkpoint } = JSON.parse(fs.readFileSync(this.legacyFile, "utf8"));
+    if (format === LEGACY_FORMAT) {
+      fs.rmSync(this.eventsFile, { force: true });
+      this.eventBytes = 0;
+      this.append(logs, checkpoint);
+    }
+    fs.rmSync(this.legacyFile);
+    return format === LEGACY_FORMAT;
+  }
+
+  _writeCheckpoint(checkpoint) {
+    const tmp = `${this.checkpointFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ format: STATE_FORMAT, ...checkpoint, eventBytes: this.eventBytes }));
+    fs.renameSync(tmp, this.checkpointFile);
+  }
+}
+
+/**
+ * Indexes LeverageTrade, NFTLoan and SwapPool events into a ProtocolAnalytics.
+ *
+ * The raw logs are persisted, the analytics are replayed from them on start. Before every
+ * sync the hash of the last indexed block is compared with the chain: after a reorg the
+ * indexer walks back through the hashes it kept to the newest block still on the chain, drops
+ * the logs above it and replays the rest. A reorg deeper than the kept hashes reindexes from
+ * `fromBlock`.
+ *
+ * Emits `synced` ({ fromBlock, toBlock, events }), `reorg` ({ ancestor, removed }) and
+ * `error` (Error).
+ */
+class ProtocolIndexer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.leverageTrade
+   * @param {import("ethers").Contract} options.nftLoan
+   * @param {import("ethers").Contract} options.swapPool
+   * @param {import("ethers").Provider} options.provider
+   * @param {IndexerStore} [options.store] Persists the state, in memory only without one
+   * @param {number} [options.fromBlock] First block to index, the deploy block of the contracts
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.batchSize] Blocks per log query
+   * @param {number} [options.reorgDepth] Block hashes kept to find the fork point of a reorg
+   */
+  constructor({ leverageTrade, nftLoan, swapPool, provider, store, fromBlock = 0, confirmations = 0, batchSize = 2000, reorgDepth = 64 }) {
+    super();
+    this.contracts = { leverageTrade, nftLoan, swapPool };
+    this.provider = provider;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+
+    this.addresses = Object.fromEntries(
+      Object.entries(this.contracts).map(([key, contract]) => [contract.target.toLowerCase(), key])
+    );
+    this._reset();
+    this._load();
+    this._queue = Promise.resolve();
+    this._listeners = [];
+  }
+
+  _reset() {
+    this.nextBlock = this.fromBlock;
+    this.logs = []; // { contract, blockNumber, blockHash, transactionHash, index, topics, data }
+    this.blocks = []; // { number, hash } of recent indexed blocks, ascending
+    this.analytics = new ProtocolAnalytics();
+  }
+
+  // a state of other contracts (e.g. before a redeploy) or of an older format is dropped and indexed again
+  _load() {
+    const state = this.store && this.store.load();
+    if (!state) return;
+    const addresses = Object.keys(this.addresses).sort().join();
+    if (state.format !== STATE_FORMAT || Object.keys(state.addresses).sort().join() !== addresses) {
+      this.store.clear();
+      return;
+    }
+
+    this.nextBlock = state.nextBlock;
+    this.logs = state.logs;
+    this.blocks = state.blocks;
+    for (const log of this.logs) this.analytics.apply(this._parse(log));
+  }
+
+  _checkpoint() {
+    return { addresses: this.addresses, nextBlock: this.nextBlock, blocks: this.blocks };
+  }
+
+  /**
+   * Handle a reorg if there was one, then index every block up to the head less the confirmations
+   * @returns {Promise<number>} Events indexed
+   */
+  async sync() {
+    await this._checkReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    if (head < this.nextBlock) return 0;
+
+    const fromBlock = this.nextBlock;
+    const added = [];
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({ address: Object.keys(this.addresses), fromBlock: from, toBlock: to });
+      const block = await this.provider.getBlock(to);
+
+      for (const log of logs) {
+        const record = this._record(log);
+        if (!record) continue;
+        this.logs.push(record);
+        added.push(record);
+        this.analytics.apply(this._parse(record));
+        this._remember(log.blockNumber, log.blockHash);
+      }
+      this._remember(block.number, block.hash);
+      this.nextBlock = to + 1;
+    }
+
+    if (this.store) this.store.append(added, this._checkpoint());
+    this.emit("synced", { fromBlock, toBlock: head, events: added.length });
+    return added.length;
+  }
+
+  /**
+   * Sync on every new block until `stop` is called
+   */
+  async start() {
+    await this.sync();
+    const onBlock = () => this._enqueue();
+    await this.provider.on("block", onBlock);
+    this._listeners = [() => this.provider.off("block", onBlock)];
+  }
+
+  async stop() {
+    await Promise.all(this._listeners.map((off) => off()));
+    this._listeners = [];
+    await this._queue;
+  }
+
+  _enqueue() {
+    this._queue = this._queue
+      .then(() => this.sync())
+      .catch((error) => this.emit("error", error));
+    return this._queue;
+  }
+
+  async _checkReorg() {
+    if (this.blocks.length === 0) return;
+    if (await this._isCanonical(this.blocks[this.blocks.length - 1])) return;
+
+    let ancestor = this.fromBlock - 1;
+    for (let i = this.blocks.length - 2; i >= 0; i--) {
+      if (await this._isCanonical(this.blocks[i])) {
+        ancestor = this.blocks[i].number;
+        break;
+      }
+    }
+    this._rollback(ancestor);
+  }
+
+  async _isCanonical({ number, hash }) {
+    const block = await this.provider.getBlock(number);
+    return block !== null && block.hash === hash;
+  }
+
+  _rollback(ancestor) {
+    const kept = this.logs.filter((log) => log.blockNumber <= ancestor);
+    const removed = this.logs.length - kept.length;
+    const blocks = this.blocks.filter((block) => block.number <= ancestor);
+
+    this._reset();
+    this.nextBlock = Math.max(ancestor + 1, this.fromBlock);
+    this.logs = kept;
+    this.blocks = blocks;
+    for (const log of kept) this.analytics.apply(this._parse(log));
+
+    if (this.store) this.store.truncate(kept, this._checkpoint());
+    this.emit("reorg", { ancestor, removed });
+  }
+
+  _remember(number, hash) {
+    const last = this.blocks[this.blocks.length - 1];
+    if (last && last.number === number) return;
+    this.blocks.push({ number, hash });
+    if (this.blocks.length > this.reorgDepth) this.blocks.shift();
+  }
+
+  // raw fields of an indexed log, null for events the analytics do not use
+  _record(log) {
+    const contract = this.addresses[log.address.toLowerCase()];
+    const parsed = this.contracts[contract].interface.parseLog(log);
+    if (!parsed || !INDEXED_EVENTS[contract].includes(parsed.name)) return null;
+    return {
+      contract,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      index: log.index,
+      topics: [...log.topics],
+      data: log.data
+    };
+  }
+
+  _parse(record) {
+    const { name, fragment, args } = this.contracts[record.contract].interface.parseLog(record);
+    return {
+      contract: record.contract,
+      name,
+      args: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, args[i]])),
+      blockNumber: record.blockNumber,
+      transactionHash: record.transactionHash
+    };
+  }
+}
+
+module.exports = { ProtocolIndexer, IndexerStore, INDEXED_EVENTS, dataDir };
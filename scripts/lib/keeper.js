@@ -0,0 +1,256 @@
+const { ZeroAddress } = require("ethers");
+const { ContractWatcher } = require("./watcher");
+
+const BPS = 10000n;
+
+/**
+ * Watches LeverageTrade positions and NFTLoan loans and liquidates the unhealthy ones.
+ *
+ * Open positions and loans are rebuilt from contract events. Both are checked with
+ * the contracts' own `isLiquidatable` views, since position funding and borrow fees
+ * and loan interest accrue over time. Health is re-checked
+ * whenever the price feed emits `PriceUpdated` and after new positions or loans are
+ * indexed.
+ *
+ * Emits `liquidation` ({ kind, id, txHash, profit }), `skipped` ({ kind, id, reason, profit })
+ * and `error` (Error).
+ */
+class LiquidationKeeper extends ContractWatcher {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.leverageTrade
+   * @param {import("ethers").Contract} options.nftLoan
+   * @param {import("ethers").Contract} options.priceFeed MockV3Aggregator (Chainlink format)
+   * @param {import("ethers").Contract} options.token TokenB, used to repay loan debt
+   * @param {import("ethers").Signer} options.signer Liquidator account
+   * @param {number} [options.fromBlock] First block to index
+   * @param {bigint} [options.minProfit] Minimum profit in TokenB after gas
+   * @param {boolean} [options.dryRun] Only report liquidations, never send transactions
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ leverageTrade, nftLoan, priceFeed, token, signer, fromBlock = 0, minProfit = 0n, dryRun = false, log = console.log }) {
+    super({ signer, fromBlock, minProfit, dryRun, log });
+    this.leverageTrade = leverageTrade.connect(signer);
+    this.nftLoan = nftLoan.connect(signer);
+    this.priceFeed = priceFeed.connect(signer);
+    this.token = token.connect(signer);
+
+    this.positions = new Map(); // positionId => { user, marketId, isLong, margin, size, openPrice }
+    this.loans = new Map(); // loanId => { owner, collection, tokenId }
+  }
+
+  /**
+   * Load the contract parameters the profit estimates use, they can change through the timelock
+   */
+  async init() {
+    const [liquidationReward, liquidationPenalty] = await Promise.all([
+      this.leverageTrade.liquidationReward(),
+      this.nftLoan.liquidationPenalty()
+    ]);
+    this.params = { liquidationReward, liquidationPenalty };
+  }
+
+  watchedFeeds() {
+    return [this.priceFeed];
+  }
+
+  eventSources() {
+    return [
+      { contract: this.leverageTrade, apply: (event) => this._applyTradeEvent(event) },
+      { contract: this.nftLoan, apply: (event) => this._applyLoanEvent(event) }
+    ];
+  }
+
+  summary() {
+    return `keeper watching ${this.positions.size} positions and ${this.loans.size} loans`;
+  }
+
+  _applyTradeEvent({ fragment, args }) {
+    if (!fragment) return;
+    switch (fragment.name) {
+      case "PositionOpened":
+        this.positions.set(args.positionId, {
+          user: args.user,
+          marketId: args.marketId,
+          isLong: args.isLong,
+          margin: args.margin,
+          size: args.size,
+          openPrice: args.price
+        });
+        break;
+      case "PositionIncreased": {
+        const pos = this.positions.get(args.positionId);
+        if (!pos) break;
+        pos.margin += args.margin;
+        pos.size += args.size;
+        pos.openPrice = args.avgPrice;
+        break;
+      }
+      case "FeesSettled": {
+        const pos = this.positions.get(args.positionId);
+        if (!pos) break;
+        const margin = pos.margin - args.funding - args.borrowFee;
+        pos.margin = margin > 0n ? margin : 0n;
+        break;
+      }
+      // a loss beyond the closed margin is not tracked here, checkAll reads the contract's views
+      case "PositionDecreased": {
+        const pos = this.positions.get(args.positionId);
+        if (!pos) break;
+        pos.margin -= args.marginDelta;
+        pos.size -= args.sizeDelta;
+        break;
+      }
+      case "MarginAdded":
+      case "MarginRemoved": {
+        const pos = this.positions.get(args.positionId);
+        if (!pos) break;
+        pos.margin += fragment.name === "MarginAdded" ? args.amount : -args.amount;
+        break;
+      }
+      case "PositionClosed":
+      case "PositionLiquidated":
+        this.positions.delete(args.positionId);
+        break;
+    }
+  }
+
+  _applyLoanEvent({ fragment, args }) {
+    if (!fragment) return;
+    switch (fragment.name) {
+      case "Deposited":
+        this.loans.set(args.loanId, { owner: args.user, collection: args.collection, tokenId: args.tokenId });
+        break;
+      // a partial repayment keeps the loan open, checkAll drops repaid loans
+      case "Liquidated":
+        this.loans.delete(args.loanId);
+        break;
+    }
+  }
+
+  /**
+   * Check every tracked position and loan against the current price
+   * @returns {Promise<Array<object>>} Liquidations sent (or reported in dry-run mode)
+   */
+  async checkAll() {
+    const results = [];
+    let price;
+    try {
+      // the checked, 18-decimal ETH price of market 0, whatever the feed decimals
+      price = await this.leverageTrade.getPrice(0);
+    } catch (error) {
+      // a stale or deviating feed only holds up the positions, loans are valued by NFTLoan
+      for (const positionId of this.positions.keys()) {
+        this._skip("position", positionId, `no price (${error.shortMessage || error.message})`, 0n);
+      }
+    }
+
+    if (price !== undefined) {
+      for (const positionId of [...this.positions.keys()]) {
+        const result = await this._check(async () => {
+          if (!(await this.leverageTrade.isLiquidatable(positionId))) return null;
+          return this._liquidatePosition(positionId, price);
+        }, (reason) => this._skip("position", positionId, reason, 0n));
+        if (result) results.push(result);
+      }
+    }
+    for (const [loanId, loan] of [...this.loans]) {
+      const result = await this._check(async () => {
+        const { owner } = await this.nftLoan.loans(loanId);
+        if (owner === ZeroAddress) {
+          this.loans.delete(loanId);
+          return null;
+        }
+        if (!(await this.nftLoan.isLiquidatable(loanId))) return null;
+        return this._liquidateLoan(loanId, loan);
+      }, (reason) => this._skip("loan", loanId, reason, 0n));
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  async _liquidatePosition(positionId, price) {
+    let gasCost;
+    try {
+      gasCost = await this._gasCost(this.leverageTrade.liquidate.estimateGas(positionId), price);
+    } catch {
+      // the estimate reverts when the position is healthy on-chain after all
+      return null;
+    }
+    const [feeReserve, { margin, equity, funding, borrowFee }] = await Promise.all([
+      this.leverageTrade.feeReserve(),
+      this.leverageTrade.getPosition(positionId)
+    ]);
+
+    // the reward is paid on the margin left after fees are settled
+    const remaining = margin - funding - borrowFee;
+    const reward = ((remaining > 0n ? remaining : 0n) * this.params.liquidationReward) / BPS;
+    const payout = equity + (feeReserve >= reward ? reward : 0n);
+    const profit = payout - gasCost;
+
+    return this._submit("position", positionId, profit, () => this.leverageTrade.liquidate(positionId));
+  }
+
+  async _liquidateLoan(loanId, loan) {
+    const [debt, collateralValue] = await Promise.all([
+      this.nftLoan.debtOf(loanId),
+      this.nftLoan.collateralValue(loan.collection, loan.tokenId)
+    ]);
+    const penalty = (debt * this.params.liquidationPenalty) / 100n;
+    const totalDebt = debt + penalty;
+    // half of the penalty is paid back to the liquidator
+    const reward = penalty / 2n;
+    // gas is not deducted because liquidate cannot be estimated before the debt is approved
+    const profit = collateralValue + reward - totalDebt;
+
+    const address = await this.signer.getAddress();
+    const balance = await this.token.balanceOf(address);
+    if (balance < totalDebt + totalDebt / 1000n) {
+      this._skip("loan", loanId, `insufficient TokenB balance (${balance} < ${totalDebt})`, profit);
+      return null;
+    }
+
+    return this._submit("loan", loanId, profit, async () => {
+      // interest keeps accruing until the transaction is mined
+      const approval = totalDebt + totalDebt / 1000n;
+      const allowance = await this.token.allowance(address, this.nftLoan.target);
+      if (allowance < approval) {
+        await (await this.token.approve(this.nftLoan.target, approval)).wait();
+      }
+      return this.nftLoan.liquidate(loanId);
+    });
+  }
+
+  async _submit(kind, id, profit, send) {
+    if (profit < this.minProfit) {
+      this._skip(kind, id, "unprofitable", profit);
+      return null;
+    }
+    if (this.dryRun) {
+      this.log(`[dry-run] would liquidate ${kind} ${id}, expected profit ${profit}`);
+      return { kind, id, profit, txHash: null };
+    }
+
+    try {
+      const tx = await send();
+      await tx.wait();
+      if (kind === "position") this.positions.delete(id);
+      else this.loans.delete(id);
+
+      const result = { kind, id, profit, txHash: tx.hash };
+      this.log(`liquidated ${kind} ${id} in ${tx.hash}, expected profit ${profit}`);
+      this.emit("liquidation", result);
+      return result;
+    } catch (error) {
+      this.emit("error", error);
+      return null;
+    }
+  }
+
+  _skip(kind, id, reason, profit) {
+    this.log(`skip ${kind} ${id}: ${reason}`);
+    this.emit("skipped", { kind, id, reason, profit });
+  }
+}
+
+module.exports = { LiquidationKeeper };
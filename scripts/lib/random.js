@@ -0,0 +1,29 @@
+/**
+ * Seeded pseudo-random numbers (mulberry32), so a fuzz run or a simulation can be
+ * replayed from its seed
+ * @param {number} seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed,
+    /** Number in [0, 1) */
+    float: next,
+    /** Integer in [min, max] */
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /** Random element of a non-empty array */
+    pick: (items) => items[Math.floor(next() * items.length)],
+    bool: () => next() < 0.5,
+    /** Standard normal sample (Box-Muller) */
+    normal: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next())
+  };
+}
+
+module.exports = { createRandom };
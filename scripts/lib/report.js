@@ -0,0 +1,129 @@
+const { DEFAULT_PARAMS } = require("./simulator");
+
+const escape = (value) =>
+  String(value).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+const amount = (value) => value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+const signed = (value) => (value > 0 ? "+" : "") + amount(value);
+const percent = (value) => `${signed(value)}%`;
+
+/**
+ * Short label of a parameter set, only the values that differ from the defaults
+ * @param {object} params
+ */
+function paramsLabel(params) {
+  const changed = Object.entries(params).filter(([key, value]) => DEFAULT_PARAMS[key] !== value);
+  if (changed.length === 0) return "defaults";
+  return changed.map(([key, value]) => `${key}=${value}`).join(", ");
+}
+
+/**
+ * JSON report of simulation results
+ * @param {Array<object>} results Results of EconomicSimulator.run
+ */
+function renderJson(results) {
+  return JSON.stringify({ generatedAt: new Date().toISOString(), results }, null, 2);
+}
+
+// polyline of one series scaled into the chart, each series on its own axis
+function line(values, width, height, color) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values.map((value, i) => {
+    const x = (i / Math.max(values.length - 1, 1)) * width;
+    const y = height - ((value - min) / range) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points.join(" ")}"/>`;
+}
+
+function chart(series) {
+  const [width, height] = [640, 160];
+  const lines = [
+    ["price", "#1f77b4"],
+    ["feeReserve", "#2ca02c"],
+    ["badDebt", "#d62728"],
+    ["loanBadDebt", "#ff7f0e"]
+  ];
+  const legend = lines.map(([key, color]) => `<span style="color:${color}">&#9632; ${key}</span>`).join(" ");
+  const svg = lines.map(([key, color]) => line(series.map((point) => point[key]), width, height, color)).join("");
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${svg}</svg><p class="legend">${legend}</p>`;
+}
+
+function resultSection(result) {
+  const rejected = Object.entries(result.activity.rejected)
+    .map(([name, count]) => `${escape(name)} &times; ${count}`)
+    .join(", ");
+  return `
+<section>
+  <h2>${escape(result.scenario)} &middot; ${escape(paramsLabel(result.params))}</h2>
+  <p>${result.steps} steps of ${result.interval}s, price ${amount(result.price.start)} &rarr; ${amount(result.price.end)}
+    (min ${amount(result.price.min)}, max ${amount(result.price.max)})</p>
+  ${chart(result.series)}
+  <p>Opened ${result.activity.positionsOpened} positions and ${result.activity.loansOpened} loans, ${result.activity.swaps} arbitrage swaps,
+    ${result.activity.circuitBreakerTrips} circuit breaker trips. Rejected: ${rejected || "none"}.</p>
+</section>`;
+}
+
+/**
+ * Self-contained HTML report: a summary table of every run and a chart per run
+ * @param {Array<object>} results Results of EconomicSimulator.run
+ */
+function renderHtml(results) {
+  const headers = [
+    "Scenario",
+    "Parameters",
+    "Liquidated positions",
+    "Liquidated loans",
+    "Unprofitable loans",
+    "Bad debt (trading)",
+    "Bad debt (loans)",
+    "Fee reserve drawdown",
+    "Vault LP PnL",
+    "Pool LP vs HODL",
+    "Lender PnL"
+  ];
+  const rows = results.map((result) => {
+    const cells = [
+      escape(result.scenario),
+      escape(paramsLabel(result.params)),
+      result.liquidations.positions,
+      result.liquidations.loans,
+      result.liquidations.unprofitableLoans,
+      amount(result.badDebt.leverageTrade),
+      amount(result.badDebt.nftLoan),
+      `${amount(result.feeReserve.maxDrawdown)} (${amount(result.feeReserve.maxDrawdownPercent)}%)`,
+      percent(result.lpPnl.tradingVault.percent),
+      percent(result.lpPnl.swapPool.percent),
+      percent(result.lpPnl.nftLoan.percent)
+    ];
+    return `<tr>${cells.map((cell) => `<td>${cell}</td>`).join("")}</tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Protocol risk simulation</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+  th:nth-child(-n+2), td:nth-child(-n+2) { text-align: left; }
+  svg { border: 1px solid #eee; }
+  .legend { font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>Protocol risk simulation</h1>
+<p>Amounts in TokenB, generated ${escape(new Date().toISOString())}. Each chart line is scaled to its own range.</p>
+<table>
+<tr>${headers.map((header) => `<th>${header}</th>`).join("")}</tr>
+${rows.join("\n")}
+</table>
+${results.map(resultSection).join("\n")}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderJson, renderHtml, paramsLabel };
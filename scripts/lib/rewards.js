@@ -0,0 +1,38 @@
+/**
+ * Accounts that have staked in LiquidityMining, from its Deposited events
+ * @param {import("ethers").Contract} liquidityMining
+ * @param {number} [fromBlock] Deploy block of the contract
+ * @returns {Promise<string[]>}
+ */
+async function findStakers(liquidityMining, fromBlock = 0) {
+  const events = await liquidityMining.queryFilter(liquidityMining.filters.Deposited(), fromBlock);
+  return [...new Set(events.map((event) => event.args.user))];
+}
+
+/**
+ * Stake and pending rewards of accounts in every LiquidityMining pool. Pools an account
+ * has neither a stake nor rewards in are left out.
+ * @param {import("ethers").Contract} liquidityMining
+ * @param {string[]} accounts
+ * @returns {Promise<Array<{account: string, poolId: number, stakingToken: string, staked: bigint, pending: bigint}>>}
+ */
+async function getPendingRewards(liquidityMining, accounts) {
+  const poolCount = Number(await liquidityMining.poolCount());
+  const pools = [];
+  for (let poolId = 0; poolId < poolCount; poolId++) {
+    pools.push(await liquidityMining.pools(poolId));
+  }
+
+  const rewards = [];
+  for (const account of accounts) {
+    for (const [poolId, pool] of pools.entries()) {
+      const { amount } = await liquidityMining.stakes(poolId, account);
+      const pending = await liquidityMining.pendingRewards(poolId, account);
+      if (amount === 0n && pending === 0n) continue;
+      rewards.push({ account, poolId, stakingToken: pool.stakingToken, staked: amount, pending });
+    }
+  }
+  return rewards;
+}
+
+module.exports = { findStakers, getPendingRewards };
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { createRandom } = require("./random");
+
+const DEFAULT_INTERVAL = 3600; // seconds between two prices
+
+/**
+ * A price path for the simulator
+ * @typedef {object} Scenario
+ * @property {string} name
+ * @property {number} interval Seconds between two prices
+ * @property {Array<number>} prices USD prices of TokenA, the first one is the price at deployment
+ */
+
+/**
+ * Geometric random walk: every step moves the price by `drift` plus `volatility` times
+ * a normal sample, as a share of the price
+ * @param {object} options
+ * @param {number} options.start First price
+ * @param {number} options.steps Prices after the first one
+ * @param {number} [options.volatility] Standard deviation of a step (default 0.02)
+ * @param {number} [options.drift] Mean of a step (default 0)
+ * @param {number} [options.seed] (default 1)
+ * @returns {Array<number>}
+ */
+function randomWalk({ start, steps, volatility = 0.02, drift = 0, seed = 1 }) {
+  const random = createRandom(seed);
+  const prices = [start];
+  for (let i = 0; i < steps; i++) {
+    prices.push(prices[i] * Math.exp(drift + volatility * random.normal()));
+  }
+  return prices;
+}
+
+/**
+ * Crash: noise around `start`, a fall of `drop` spread evenly over `over` steps from step `at`,
+ * then a recovery of `recovery` of the lost value until the last step
+ * @param {object} options
+ * @param {number} options.start First price
+ * @param {number} options.steps Prices after the first one
+ * @param {number} options.at Step the crash starts at
+ * @param {number} options.drop Share of the price lost, e.g. 0.45
+ * @param {number} [options.over] Steps the crash takes (default 1)
+ * @param {number} [options.recovery] Share of the loss won back afterwards (default 0)
+ * @param {number} [options.volatility] Noise of every step (default 0.005)
+ * @param {number} [options.seed] (default 1)
+ * @returns {Array<number>}
+ */
+function crash({ start, steps, at, drop, over = 1, recovery = 0, volatility = 0.005, seed = 1 }) {
+  const random = createRandom(seed);
+  const bottom = start * (1 - drop);
+  const recovered = bottom + (start - bottom) * recovery;
+  const trend = (step) => {
+    if (step < at) return start;
+    if (step < at + over) return start - ((start - bottom) * (step - at + 1)) / over;
+    const left = steps - (at + over - 1);
+    return left <= 0 ? bottom : bottom + ((recovered - bottom) * (step - (at + over - 1))) / left;
+  };
+  const prices = [start];
+  for (let step = 1; step <= steps; step++) {
+    prices.push(trend(step) * (1 + volatility * random.normal()));
+  }
+  return prices;
+}
+
+const GENERATORS = { randomWalk, crash };
+
+/**
+ * Build a scenario from a generator spec
+ * @param {object} spec `{ type: "randomWalk" | "crash", ...options }`
+ * @returns {Array<number>}
+ */
+function generatePrices(spec) {
+  const generate = GENERATORS[spec.type];
+  if (!generate) throw new Error(`Unknown price generator "${spec.type}", expected ${Object.keys(GENERATORS).join(" or ")}`);
+  return generate(spec);
+}
+
+function checkPrices(prices, source) {
+  if (prices.length < 2) throw new Error(`${source} needs at least two prices`);
+  const invalid = prices.findIndex((price) => !Number.isFinite(price) || price <= 0);
+  if (invalid !== -1) throw new Error(`${source} has an invalid price at row ${invalid + 1}`);
+  return prices;
+}
+
+// `price` or `close` column, with an optional `timestamp` or `time` column in seconds or ISO dates
+function parseCsv(text, source) {
+  const rows = text.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => line.split(",").map((cell) => cell.trim()));
+  const header = rows.shift().map((cell) => cell.toLowerCase());
+  const priceColumn = header.findIndex((cell) => cell === "price" || cell === "close");
+  if (priceColumn === -1) throw new Error(`${source} has no "price" or "close" column`);
+  const timeColumn = header.findIndex((cell) => cell === "timestamp" || cell === "time");
+
+  const prices = rows.map((row) => Number(row[priceColumn]));
+  let interval = DEFAULT_INTERVAL;
+  if (timeColumn !== -1 && rows.length > 1) {
+    const seconds = (cell) => (/^\d+$/.test(cell) ? Number(cell) : Date.parse(cell) / 1000);
+    interval = seconds(rows[1][timeColumn]) - seconds(rows[0][timeColumn]);
+    if (!(interval > 0)) throw new Error(`${source} has timestamps that do not increase`);
+  }
+  return { prices, interval };
+}
+
+/**
+ * Load a scenario from a file:
+ * - CSV with a `price` (or `close`) column and an optional `timestamp` column, e.g. a historical export
+ * - JSON `{ name?, interval?, prices: [...] }` or `{ name?, interval?, generate: { type, ...options } }`
+ * @param {string} file
+ * @returns {Scenario}
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const fileName = path.basename(file, path.extname(file));
+
+  if (path.extname(file).toLowerCase() === ".csv") {
+    const { prices, interval } = parseCsv(text, file);
+    return { name: fileName, interval, prices: checkPrices(prices, file) };
+  }
+
+  const spec = JSON.parse(text);
+  const prices = spec.generate ? generatePrices(spec.generate) : spec.prices;
+  if (!Array.isArray(prices)) throw new Error(`${file} needs "prices" or "generate"`);
+  return { name: spec.name || fileName, interval: spec.interval || DEFAULT_INTERVAL, prices: checkPrices(prices, file) };
+}
+
+module.exports = { DEFAULT_INTERVAL, randomWalk, crash, generatePrices, loadScenario };
@@ -0,0 +1,477 @@
+const { parseEther, formatEther } = require("ethers");
+const DefiAppModule = require("../../ignition/modules/DefiApp");
+const { decodeError, math } = require("../../sdk");
+const { findEvent } = require("../../sdk/transactions");
+const { createRandom } = require("./random");
+
+const WAD = 10n ** 18n;
+
+/** Risk parameters under test, as the contracts take them */
+const DEFAULT_PARAMS = {
+  maintenanceMargin: 500, // LeverageTrade, basis points of the margin
+  liquidationReward: 500, // LeverageTrade, basis points of the margin, paid from the fee reserve
+  loanToValue: 50, // NFTLoan, percent of the NFT value
+  liquidationThreshold: 120, // NFTLoan, min NFT value in percent of the debt
+  maxPriceJump: 2000 // circuit breaker of LeverageTrade and NFTLoan, basis points, 0 = off
+};
+
+/** Simulated accounts and how often they act, chances are per account and step */
+const DEFAULT_AGENTS = {
+  traders: 8,
+  borrowers: 4,
+  nftsPerBorrower: 2,
+  traderBalance: 2000, // TokenB
+  margin: [50, 400], // TokenB paid per position
+  leverage: [2, 20],
+  openChance: 0.3,
+  closeChance: 0.1,
+  borrowChance: 0.3,
+  borrowShare: [0.5, 0.95], // of the borrow limit
+  repayChance: 0.05,
+  seed: 1
+};
+
+/** TokenB (TokenA for the pool) the deployer puts in before the first step */
+const DEFAULT_LIQUIDITY = {
+  feeReserve: 10000,
+  vault: 10000,
+  lenders: 20000,
+  poolTokenA: 100 // paired with TokenB at the first price
+};
+
+const tokens = (amount) => Number(formatEther(amount));
+const toAnswer = (price) => BigInt(Math.round(price * 1e8)); // 8 decimals, as the price feed
+const toWad = (price) => toAnswer(price) * 10n ** 10n;
+const percentOf = (part, whole) => (whole === 0n ? 0 : (tokens(part) / tokens(whole)) * 100);
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = random.int(0, i);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Drives a fresh deployment on the in-process Hardhat network through a price scenario:
+ * traders open and close positions, borrowers deposit NFTs and borrow, an arbitrageur keeps
+ * the SwapPool at the oracle price and a liquidator closes what is liquidatable and worth
+ * liquidating. The chain is restored after every run.
+ */
+class EconomicSimulator {
+  /**
+   * @param {object} options
+   * @param {object} options.hre Hardhat runtime environment of the hardhat network
+   * @param {object} [options.params] Overrides of DEFAULT_PARAMS
+   * @param {object} [options.agents] Overrides of DEFAULT_AGENTS
+   * @param {object} [options.liquidity] Overrides of DEFAULT_LIQUIDITY
+   * @param {function(string): void} [options.log]
+   */
+  constructor({ hre, params = {}, agents = {}, liquidity = {}, log = () => {} }) {
+    this.hre = hre;
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.agents = { ...DEFAULT_AGENTS, ...agents };
+    this.liquidity = { ...DEFAULT_LIQUIDITY, ...liquidity };
+    this.log = log;
+
+    const { loanToValue, liquidationThreshold } = this.params;
+    if (loanToValue * liquidationThreshold >= 100 * 100) {
+      throw new Error(`A loan at ${loanToValue}% LTV would be liquidatable below a ${liquidationThreshold}% threshold`);
+    }
+  }
+
+  /**
+   * Run one scenario
+   * @param {import("./scenarios").Scenario} scenario
+   * @returns {Promise<object>} Metrics, amounts in TokenB
+   */
+  async run(scenario) {
+    const { provider } = this.hre.network;
+    const snapshot = await provider.send("evm_snapshot");
+    try {
+      const run = await this._setup(scenario);
+      for (let step = 1; step < scenario.prices.length; step++) {
+        await this._step(run, step);
+      }
+      return await this._result(run);
+    } finally {
+      await provider.send("evm_revert", [snapshot]);
+    }
+  }
+
+  async _setup(scenario) {
+    const { ethers, ignition } = this.hre;
+    const { params, agents, liquidity } = this;
+    const signers = await ethers.getSigners();
+    const needed = 3 + agents.traders + agents.borrowers;
+    if (signers.length < needed) {
+      throw new Error(`The simulation needs ${needed} accounts, the network has ${signers.length}`);
+    }
+    const [deployer, arbitrageur, liquidator, ...others] = signers;
+
+    const platform = await ignition.deploy(DefiAppModule, {
+      parameters: {
+        PriceFeedModule: { initialPrice: toAnswer(scenario.prices[0]) },
+        LeverageTradeModule: { feeReserve: parseEther(String(liquidity.feeReserve)), vaultLiquidity: parseEther(String(liquidity.vault)) },
+        NFTLoanModule: { loanToValue: params.loanToValue, liquidationThreshold: params.liquidationThreshold }
+      }
+    });
+    const { tokenA, tokenB, priceFeed, leverageTrade, nftCollateral, nftLoan, swapPool } = platform;
+
+    const market = await leverageTrade.markets(0);
+    await this._applyChanges(priceFeed, [
+      [leverageTrade, "updateMarket", [0, market.maxLeverage, params.maintenanceMargin, market.feeRate]],
+      [leverageTrade, "setLiquidationReward", [params.liquidationReward]],
+      [leverageTrade, "setMaxPriceJump", [params.maxPriceJump]],
+      [nftLoan, "setMaxPriceJump", [params.maxPriceJump]]
+    ]);
+
+    // the deployer provides the pool and loan liquidity, every agent gets freshly minted tokens
+    const poolA = parseEther(String(liquidity.poolTokenA));
+    const poolB = (poolA * toWad(scenario.prices[0])) / WAD;
+    await (await tokenA.mint(deployer.address, poolA)).wait();
+    await (await tokenB.mint(deployer.address, poolB + parseEther(String(liquidity.lenders)))).wait();
+    await (await tokenA.approve(swapPool.target, poolA)).wait();
+    await (await tokenB.approve(swapPool.target, poolB)).wait();
+    await (await swapPool.addLiquidity(poolA, poolB, 0)).wait();
+    await (await tokenB.approve(nftLoan.target, parseEther(String(liquidity.lenders)))).wait();
+    await (await nftLoan.supply(parseEther(String(liquidity.lenders)))).wait();
+
+    await (await tokenA.mint(arbitrageur.address, poolA * 2n)).wait();
+    await (await tokenB.mint(arbitrageur.address, poolB * 2n)).wait();
+    await (await tokenA.connect(arbitrageur).approve(swapPool.target, ethers.MaxUint256)).wait();
+    await (await tokenB.connect(arbitrageur).approve(swapPool.target, ethers.MaxUint256)).wait();
+    await (await tokenB.mint(liquidator.address, parseEther(String(liquidity.lenders * 5)))).wait();
+    await (await tokenB.connect(liquidator).approve(nftLoan.target, ethers.MaxUint256)).wait();
+
+    const traders = [];
+    for (const signer of others.slice(0, agents.traders)) {
+      await (await tokenB.mint(signer.address, parseEther(String(agents.traderBalance)))).wait();
+      await (await tokenB.connect(signer).approve(leverageTrade.target, ethers.MaxUint256)).wait();
+      traders.push({ signer, positionId: null });
+    }
+    const borrowers = [];
+    for (const signer of others.slice(agents.traders, agents.traders + agents.borrowers)) {
+      const borrower = { signer, tokenIds: [], loans: new Map() };
+      for (let i = 0; i < agents.nftsPerBorrower; i++) {
+        const receipt = await (await nftCollateral.mint(signer.address)).wait();
+        borrower.tokenIds.push(findEvent(receipt, nftCollateral, "Transfer").args.tokenId);
+      }
+      // interest is paid from a small balance on top of the borrowed TokenB
+      await (await tokenB.mint(signer.address, parseEther("100"))).wait();
+      await (await tokenB.connect(signer).approve(nftLoan.target, ethers.MaxUint256)).wait();
+      await (await nftCollateral.connect(signer).setApprovalForAll(nftLoan.target, true)).wait();
+      borrowers.push(borrower);
+    }
+
+    const run = {
+      scenario,
+      platform,
+      deployer,
+      arbitrageur,
+      liquidator,
+      traders,
+      borrowers,
+      random: createRandom(agents.seed),
+      interfaces: [leverageTrade, nftLoan, swapPool, tokenA, tokenB].map(({ interface: iface }) => iface),
+      fromBlock: await ethers.provider.getBlockNumber(),
+      maxLeverage: Math.min(agents.leverage[1], Number(market.maxLeverage)),
+      liquidationPenalty: await nftLoan.liquidationPenalty(),
+      positions: new Map(), // positionId => trader
+      loans: new Map(), // loanId => borrower
+      unprofitableLoans: new Set(),
+      counts: { positionsOpened: 0, loansOpened: 0, swaps: 0, liquidatedPositions: 0, liquidatedLoans: 0 },
+      rejected: {},
+      start: {
+        vaultAssets: await platform.tradingVault.totalAssets(),
+        loanAssets: await nftLoan.totalAssets(),
+        poolA,
+        poolB
+      },
+      series: [],
+      feeReservePeak: 0n,
+      feeReserveDrawdown: 0n,
+      loanBadDebtPeak: 0n
+    };
+    await this._sample(run, 0);
+    return run;
+  }
+
+  // queue timelocked setters, wait out the delay once and apply them
+  async _applyChanges(priceFeed, changes) {
+    const { provider } = this.hre.network;
+    let delay = 0n;
+    for (const [contract, method, args] of changes) {
+      await (await contract[method](...args)).wait();
+      const contractDelay = await contract.timelockDelay();
+      if (contractDelay > delay) delay = contractDelay;
+    }
+    await provider.send("evm_increaseTime", [Number(delay)]);
+    await (await priceFeed.updateAnswer(await priceFeed.latestAnswer())).wait();
+    for (const [contract, method, args] of changes) {
+      await (await contract.executeChange(contract.interface.encodeFunctionData(method, args))).wait();
+    }
+  }
+
+  async _step(run, step) {
+    const { provider } = this.hre.network;
+    const { leverageTrade, nftLoan, nftCollateral, priceFeed } = run.platform;
+    const price = run.scenario.prices[step];
+
+    await provider.send("evm_increaseTime", [run.scenario.interval]);
+    await (await priceFeed.updateAnswer(toAnswer(price))).wait();
+
+    // the admin resumes a contract one step after its circuit breaker tripped
+    for (const contract of [leverageTrade, nftLoan]) {
+      if (await contract.paused()) await (await contract.connect(run.deployer).unpause()).wait();
+    }
+    // a keeper records the new price, so a jump pauses before anyone trades on it
+    await (await leverageTrade.connect(run.liquidator).checkPrice(0)).wait();
+    await (await nftLoan.connect(run.liquidator).checkPrice(nftCollateral.target)).wait();
+
+    await this._liquidate(run);
+    await this._arbitrage(run, toWad(price));
+    for (const trader of shuffle(run.traders, run.random)) await this._trade(run, trader);
+    for (const borrower of shuffle(run.borrowers, run.random)) await this._borrow(run, borrower);
+    await this._sample(run, step);
+    if (step % 24 === 0) this.log(`${run.scenario.name}: step ${step}/${run.scenario.prices.length - 1}`);
+  }
+
+  // send a transaction, a revert is counted by its custom error and returns null
+  async _attempt(run, send) {
+    try {
+      return await (await send()).wait();
+    } catch (error) {
+      const decoded = decodeError(error, run.interfaces);
+      const name = decoded.errorName || "unknown";
+      run.rejected[name] = (run.rejected[name] || 0) + 1;
+      return null;
+    }
+  }
+
+  async _liquidate(run) {
+    const { leverageTrade, nftLoan } = run.platform;
+    const liquidator = run.liquidator;
+
+    for (const [positionId, trader] of run.positions) {
+      if (!(await leverageTrade.isLiquidatable(positionId))) continue;
+      if (await this._attempt(run, () => leverageTrade.connect(liquidator).liquidate(positionId))) {
+        run.positions.delete(positionId);
+        trader.positionId = null;
+        run.counts.liquidatedPositions++;
+      }
+    }
+
+    for (const [loanId, borrower] of run.loans) {
+      if (!(await nftLoan.isLiquidatable(loanId))) continue;
+      const { collection, tokenId } = await nftLoan.loans(loanId);
+      const [debt, value] = await Promise.all([nftLoan.debtOf(loanId), nftLoan.collateralValue(collection, tokenId)]);
+      // the liquidator pays the debt and the penalty for the NFT and half the penalty back
+      const penalty = (debt * run.liquidationPenalty) / 100n;
+      if (value + penalty / 2n < debt + penalty) {
+        run.unprofitableLoans.add(loanId);
+        continue;
+      }
+      if (await this._attempt(run, () => nftLoan.connect(liquidator).liquidate(loanId))) {
+        run.loans.delete(loanId);
+        borrower.loans.delete(loanId);
+        run.counts.liquidatedLoans++;
+      }
+    }
+  }
+
+  // swap the pool back to the oracle price, within the 50% per-block volume cap
+  async _arbitrage(run, price) {
+    const { tokenA, tokenB, swapPool } = run.platform;
+    const [reserveA, reserveB] = await swapPool.getReserves();
+    const poolPrice = (reserveB * WAD) / reserveA;
+    const gap = poolPrice > price ? poolPrice - price : price - poolPrice;
+    // a gap inside the 0.3% fee does not pay
+    if (gap * 10000n <= price * 50n) return;
+
+    const buyA = poolPrice < price;
+    const [token, reserveIn] = buyA ? [tokenB, reserveB] : [tokenA, reserveA];
+    const target = buyA ? math.sqrt((reserveA * reserveB * price) / WAD) : math.sqrt((reserveA * reserveB * WAD) / price);
+    let amountIn = target - reserveIn;
+    const balance = await token.balanceOf(run.arbitrageur.address);
+    for (const cap of [(reserveIn * 45n) / 100n, balance]) {
+      if (amountIn > cap) amountIn = cap;
+    }
+    if (amountIn <= 0n) return;
+
+    if (await this._attempt(run, () => swapPool.connect(run.arbitrageur).swap(token.target, amountIn, 0))) {
+      run.counts.swaps++;
+    }
+  }
+
+  async _trade(run, trader) {
+    const { leverageTrade } = run.platform;
+    const { random } = run;
+    const agents = this.agents;
+
+    if (trader.positionId !== null) {
+      if (random.float() >= agents.closeChance) return;
+      const positionId = trader.positionId;
+      if (await this._attempt(run, () => leverageTrade.connect(trader.signer).closePosition(positionId))) {
+        run.positions.delete(positionId);
+        trader.positionId = null;
+      }
+      return;
+    }
+
+    if (random.float() >= agents.openChance) return;
+    const margin = parseEther(String(random.int(agents.margin[0], agents.margin[1])));
+    const leverage = random.int(agents.leverage[0], run.maxLeverage);
+    const isLong = random.bool();
+    const receipt = await this._attempt(run, () => leverageTrade.connect(trader.signer).openPosition(0, margin, isLong, leverage));
+    if (!receipt) return;
+    trader.positionId = findEvent(receipt, leverageTrade, "PositionOpened").args.positionId;
+    run.positions.set(trader.positionId, trader);
+    run.counts.positionsOpened++;
+  }
+
+  async _borrow(run, borrower) {
+    const { nftCollateral, nftLoan } = run.platform;
+    const { random } = run;
+    const agents = this.agents;
+    const signer = borrower.signer;
+
+    for (const [loanId, tokenId] of borrower.loans) {
+      if (random.float() >= agents.repayChance) continue;
+      // repayLoan reverts on a loan without debt, e.g. after a borrow the breaker stopped
+      const debt = await nftLoan.debtOf(loanId);
+      const repay = debt === 0n ? () => nftLoan.connect(signer).withdrawNFT(loanId) : () => nftLoan.connect(signer).repayLoan(loanId);
+      if (await this._attempt(run, repay)) {
+        borrower.loans.delete(loanId);
+        run.loans.delete(loanId);
+        borrower.tokenIds.push(tokenId);
+      }
+    }
+
+    if (borrower.tokenIds.length === 0 || random.float() >= agents.borrowChance) return;
+    const tokenId = borrower.tokenIds.pop();
+    const deposit = await this._attempt(run, () => nftLoan.connect(signer).depositNFT(nftCollateral.target, tokenId));
+    if (!deposit) {
+      borrower.tokenIds.push(tokenId);
+      return;
+    }
+    const loanId = findEvent(deposit, nftLoan, "Deposited").args.loanId;
+    borrower.loans.set(loanId, tokenId);
+    run.loans.set(loanId, borrower);
+
+    const [low, high] = agents.borrowShare;
+    const share = BigInt(Math.round((low + random.float() * (high - low)) * 10000));
+    const amount = ((await nftLoan.maxBorrow(loanId)) * share) / 10000n;
+    const receipt = amount > 0n && (await this._attempt(run, () => nftLoan.connect(signer).borrow(loanId, amount)));
+    if (receipt) run.counts.loansOpened++;
+  }
+
+  // debt of open loans beyond the value of their NFTs, what lenders lose if nobody liquidates
+  async _loanBadDebt(run) {
+    const { nftLoan } = run.platform;
+    let badDebt = 0n;
+    for (const loanId of run.loans.keys()) {
+      const { collection, tokenId } = await nftLoan.loans(loanId);
+      const [debt, value] = await Promise.all([nftLoan.debtOf(loanId), nftLoan.collateralValue(collection, tokenId)]);
+      if (debt > value) badDebt += debt - value;
+    }
+    return badDebt;
+  }
+
+  async _sample(run, step) {
+    const { leverageTrade, tradingVault } = run.platform;
+    const [feeReserve, insuranceFund, badDebt, vaultAssets, loanBadDebt] = await Promise.all([
+      leverageTrade.feeReserve(),
+      leverageTrade.insuranceFund(),
+      leverageTrade.badDebt(),
+      tradingVault.totalAssets(),
+      this._loanBadDebt(run)
+    ]);
+
+    if (feeReserve > run.feeReservePeak) run.feeReservePeak = feeReserve;
+    if (run.feeReservePeak - feeReserve > run.feeReserveDrawdown) {
+      run.feeReserveDrawdown = run.feeReservePeak - feeReserve;
+      run.feeReserveDrawdownPeak = run.feeReservePeak;
+    }
+    if (loanBadDebt > run.loanBadDebtPeak) run.loanBadDebtPeak = loanBadDebt;
+    run.last = { feeReserve, insuranceFund, badDebt, loanBadDebt };
+    if (step === 0) run.start = { ...run.start, feeReserve, insuranceFund };
+
+    run.series.push({
+      step,
+      price: run.scenario.prices[step],
+      feeReserve: tokens(feeReserve),
+      insuranceFund: tokens(insuranceFund),
+      badDebt: tokens(badDebt),
+      loanBadDebt: tokens(loanBadDebt),
+      vaultAssets: tokens(vaultAssets),
+      openPositions: run.positions.size,
+      openLoans: run.loans.size
+    });
+  }
+
+  async _result(run) {
+    const { leverageTrade, tradingVault, nftLoan, swapPool } = run.platform;
+    const { scenario, start, last } = run;
+    const endPrice = toWad(scenario.prices[scenario.prices.length - 1]);
+
+    // the vault is marked to the open positions, which it owes their P&L
+    const [openPnl] = await leverageTrade.solvency();
+    const vaultEnd = (await tradingVault.totalAssets()) - openPnl;
+    const [reserveA, reserveB] = await swapPool.getReserves();
+    const poolStart = (start.poolA * toWad(scenario.prices[0])) / WAD + start.poolB;
+    const poolEnd = (reserveA * endPrice) / WAD + reserveB;
+    const poolHodl = (start.poolA * endPrice) / WAD + start.poolB;
+    const lendersEnd = (await nftLoan.totalAssets()) - last.loanBadDebt;
+
+    const trips = await Promise.all(
+      [leverageTrade, nftLoan].map((contract) => contract.queryFilter(contract.filters.CircuitBreakerTripped(), run.fromBlock))
+    );
+
+    return {
+      scenario: scenario.name,
+      steps: scenario.prices.length - 1,
+      interval: scenario.interval,
+      params: this.params,
+      price: {
+        start: scenario.prices[0],
+        end: scenario.prices[scenario.prices.length - 1],
+        min: Math.min(...scenario.prices),
+        max: Math.max(...scenario.prices)
+      },
+      badDebt: {
+        leverageTrade: tokens(last.badDebt),
+        nftLoan: tokens(last.loanBadDebt),
+        nftLoanPeak: tokens(run.loanBadDebtPeak)
+      },
+      liquidations: {
+        positions: run.counts.liquidatedPositions,
+        loans: run.counts.liquidatedLoans,
+        unprofitableLoans: run.unprofitableLoans.size
+      },
+      feeReserve: {
+        start: tokens(start.feeReserve),
+        end: tokens(last.feeReserve),
+        maxDrawdown: tokens(run.feeReserveDrawdown),
+        maxDrawdownPercent: run.feeReserveDrawdown === 0n ? 0 : percentOf(run.feeReserveDrawdown, run.feeReserveDrawdownPeak)
+      },
+      insuranceFund: { start: tokens(start.insuranceFund), end: tokens(last.insuranceFund) },
+      lpPnl: {
+        tradingVault: { start: tokens(start.vaultAssets), end: tokens(vaultEnd), pnl: tokens(vaultEnd - start.vaultAssets), percent: percentOf(vaultEnd - start.vaultAssets, start.vaultAssets) },
+        swapPool: { start: tokens(poolStart), end: tokens(poolEnd), hodl: tokens(poolHodl), pnl: tokens(poolEnd - poolHodl), percent: percentOf(poolEnd - poolHodl, poolHodl) },
+        nftLoan: { start: tokens(start.loanAssets), end: tokens(lendersEnd), pnl: tokens(lendersEnd - start.loanAssets), percent: percentOf(lendersEnd - start.loanAssets, start.loanAssets) }
+      },
+      activity: {
+        positionsOpened: run.counts.positionsOpened,
+        loansOpened: run.counts.loansOpened,
+        swaps: run.counts.swaps,
+        circuitBreakerTrips: trips.flat().length,
+        rejected: run.rejected
+      },
+      series: run.series
+    };
+  }
+}
+
+module.exports = { EconomicSimulator, DEFAULT_PARAMS, DEFAULT_AGENTS, DEFAULT_LIQUIDITY };
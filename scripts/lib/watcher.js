@@ -0,0 +1,112 @@
+const { EventEmitter } = require("events");
+
+const PRECISION = 10n ** 18n;
+
+/**
+ * Base of the bots that index contract events and act on what they track.
+ *
+ * Subclasses implement `init`, `checkAll`, `eventSources` (the contracts to index and the
+ * handler of their events) and `watchedFeeds` (the feeds whose `PriceUpdated` triggers a
+ * check), and describe what they track in `summary`. Polls run one at a time: a price
+ * update or block arriving during a poll queues the next one.
+ */
+class ContractWatcher extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Account that sends the transactions
+   * @param {number} [options.fromBlock] First block to index
+   * @param {bigint} [options.minProfit] Minimum profit in TokenB after gas
+   * @param {boolean} [options.dryRun] Only report transactions, never send them
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ signer, fromBlock = 0, minProfit = 0n, dryRun = false, log = console.log }) {
+    super();
+    this.signer = signer;
+    this.minProfit = minProfit;
+    this.dryRun = dryRun;
+    this.log = log;
+
+    this.nextBlock = fromBlock;
+    this._queue = Promise.resolve();
+    this._listeners = [];
+  }
+
+  /**
+   * Index new events, then act on everything the current price triggers
+   */
+  async poll() {
+    await this.init();
+    await this.sync();
+    return this.checkAll();
+  }
+
+  /**
+   * Run `poll` on every price update and every new block until `stop` is called
+   */
+  async start() {
+    await this.poll();
+
+    const onUpdate = () => this._enqueue();
+    for (const feed of this.watchedFeeds()) {
+      await feed.on("PriceUpdated", onUpdate);
+      this._listeners.push(() => feed.off("PriceUpdated", onUpdate));
+    }
+    await this.signer.provider.on("block", onUpdate);
+    this._listeners.push(() => this.signer.provider.off("block", onUpdate));
+    this.log(this.summary());
+  }
+
+  async stop() {
+    await Promise.all(this._listeners.map((off) => off()));
+    this._listeners = [];
+    await this._queue;
+  }
+
+  _enqueue() {
+    this._queue = this._queue
+      .then(() => this.poll())
+      .catch((error) => this.emit("error", error));
+    return this._queue;
+  }
+
+  /**
+   * Apply the events of every source up to the latest block, in chain order
+   */
+  async sync() {
+    const latest = await this.signer.provider.getBlockNumber();
+    if (latest < this.nextBlock) return;
+
+    const sources = this.eventSources();
+    const batches = await Promise.all(sources.map(({ contract }) => contract.queryFilter("*", this.nextBlock, latest)));
+    const byOrder = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+    sources.forEach(({ apply }, i) => {
+      for (const event of batches[i].sort(byOrder)) apply(event);
+    });
+    this.nextBlock = latest + 1;
+  }
+
+  /**
+   * Run the check of one tracked item, a revert skips it and leaves the others to run
+   * @param {() => Promise<object|null>} check
+   * @param {(reason: string) => void} skip Reports the failed item
+   */
+  async _check(check, skip) {
+    try {
+      return await check();
+    } catch (error) {
+      skip(`cannot be checked (${error.shortMessage || error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Gas cost of a transaction in TokenB, priced with the 18-decimal ETH/USD price
+   */
+  async _gasCost(gasEstimate, price) {
+    const [gas, feeData, ethPrice] = await Promise.all([gasEstimate, this.signer.provider.getFeeData(), price]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    return (gas * gasPrice * ethPrice) / PRECISION;
+  }
+}
+
+module.exports = { ContractWatcher };
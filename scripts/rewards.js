@@ -0,0 +1,44 @@
+// Reports the pending LiquidityMining rewards of every staker, per pool.
+//
+//   npx hardhat run scripts/rewards.js --network localhost
+//
+// Settings (env):
+//   REWARDS_ACCOUNTS=<a,b,...>   accounts to report (default: every account that staked)
+const { loadManifest, getContracts } = require("./lib/deployments");
+const { findStakers, getPendingRewards } = require("./lib/rewards");
+
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const { contracts: manifest } = loadManifest(network.name);
+  const { liquidityMining, governanceToken } = getContracts(network.name, signer);
+
+  // name pools after the manifest entry of their staking token
+  const names = Object.fromEntries(Object.entries(manifest).map(([key, c]) => [c.address.toLowerCase(), key]));
+  const accounts = process.env.REWARDS_ACCOUNTS
+    ? process.env.REWARDS_ACCOUNTS.split(",").map((account) => account.trim())
+    : await findStakers(liquidityMining, manifest.liquidityMining.deployBlock);
+
+  const rewards = await getPendingRewards(liquidityMining, accounts);
+  const totals = {};
+  for (const { account, poolId, stakingToken, staked, pending } of rewards) {
+    const pool = names[stakingToken.toLowerCase()] || stakingToken;
+    console.log(`${account} pool ${poolId} (${pool}): staked ${ethers.formatEther(staked)}, pending ${ethers.formatEther(pending)} DAG`);
+    totals[account] = (totals[account] || 0n) + pending;
+  }
+  for (const [account, total] of Object.entries(totals)) {
+    console.log(`${account} total: ${ethers.formatEther(total)} DAG`);
+  }
+
+  // harvests only pay out of the funded balance, the rest stays owed
+  const owed = Object.values(totals).reduce((sum, total) => sum + total, 0n);
+  const funded = await governanceToken.balanceOf(liquidityMining.target);
+  console.log(`reward balance: ${ethers.formatEther(funded)} DAG, pending of reported accounts: ${ethers.formatEther(owed)} DAG`);
+  if (owed > funded) console.log("warning: pending rewards exceed the reward balance");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
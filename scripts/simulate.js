@@ -0,0 +1,75 @@
+// Economic simulation of the risk parameters over price scenarios, on the in-process Hardhat network.
+//
+//   npx hardhat run scripts/simulate.js
+//   SIM_SCENARIOS=simulations/scenarios/crash.json SIM_REPORT=report.json npx hardhat run scripts/simulate.js
+//
+// Settings (env):
+//   SIM_SCENARIOS=<files>      comma-separated JSON or CSV scenarios (default every file in simulations/scenarios)
+//   SIM_PARAMS=<file>          JSON array of parameter sets to compare (default simulations/parameters.json)
+//   SIM_REPORT=<file>          .html or .json report (default simulation-reports/report.html)
+//   SIM_TRADERS=<n>            simulated traders (default 8)
+//   SIM_BORROWERS=<n>          simulated borrowers (default 4)
+//   SIM_SEED=<n>               seed of the agents' decisions (default 1)
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadScenario } = require("./lib/scenarios");
+const { EconomicSimulator } = require("./lib/simulator");
+const { renderHtml, renderJson, paramsLabel } = require("./lib/report");
+
+const SIMULATIONS_DIR = path.join(__dirname, "..", "simulations");
+
+function scenarioFiles() {
+  if (process.env.SIM_SCENARIOS) return process.env.SIM_SCENARIOS.split(",").map((file) => file.trim());
+  const dir = path.join(SIMULATIONS_DIR, "scenarios");
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /\.(json|csv)$/i.test(file))
+    .sort()
+    .map((file) => path.join(dir, file));
+}
+
+function parameterSets() {
+  const file = process.env.SIM_PARAMS || path.join(SIMULATIONS_DIR, "parameters.json");
+  const sets = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(sets) || sets.length === 0) throw new Error(`${file} needs an array of parameter sets`);
+  return sets;
+}
+
+async function main() {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`The simulation deploys and rewinds its own contracts, run it on the hardhat network, not ${hre.network.name}`);
+  }
+
+  const scenarios = scenarioFiles().map(loadScenario);
+  const agents = {};
+  if (process.env.SIM_TRADERS) agents.traders = Number(process.env.SIM_TRADERS);
+  if (process.env.SIM_BORROWERS) agents.borrowers = Number(process.env.SIM_BORROWERS);
+  if (process.env.SIM_SEED) agents.seed = Number(process.env.SIM_SEED);
+
+  const results = [];
+  for (const params of parameterSets()) {
+    const simulator = new EconomicSimulator({ hre, params, agents, log: console.log });
+    for (const scenario of scenarios) {
+      console.log(`${scenario.name} with ${paramsLabel(simulator.params)}: ${scenario.prices.length - 1} steps`);
+      const result = await simulator.run(scenario);
+      console.log(
+        `  liquidated ${result.liquidations.positions} positions and ${result.liquidations.loans} loans, ` +
+          `bad debt ${result.badDebt.leverageTrade.toFixed(2)} trading and ${result.badDebt.nftLoan.toFixed(2)} loans`
+      );
+      results.push(result);
+    }
+  }
+
+  const report = process.env.SIM_REPORT || path.join("simulation-reports", "report.html");
+  fs.mkdirSync(path.dirname(path.resolve(report)), { recursive: true });
+  fs.writeFileSync(report, path.extname(report).toLowerCase() === ".json" ? renderJson(results) : renderHtml(results));
+  console.log(`report: ${report}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const { previewBorrowLimit, loanHealthFactor } = require("../math");
+const { send, ensureAllowance, ensureNFTApproval, findEvent } = require("../transactions");
+
+/**
+ * NFTLoan loans: previews, deposits with borrowing, and repayments
+ */
+class LoansClient {
+  /**
+   * @param {import("../types").NFTLoan} nftLoan Connected to the borrower
+   * @param {Array<import("ethers").Interface>} interfaces Interfaces to decode errors with
+   */
+  constructor(nftLoan, interfaces) {
+    this.nftLoan = nftLoan;
+    this.interfaces = interfaces;
+  }
+
+  /**
+   * Borrow limit of an NFT, or of an existing loan, and the health factor after borrowing `amount`
+   * @param {object} params Either a loanId, or a collection and tokenId to deposit
+   * @param {bigint|number} [params.loanId]
+   * @param {string} [params.collection]
+   * @param {bigint|number} [params.tokenId]
+   * @param {bigint} [params.amount] TokenB to borrow, 0 by default
+   */
+  async preview({ loanId, collection, tokenId, amount = 0n }) {
+    const { nftLoan } = this;
+    let debt = 0n;
+    if (loanId !== undefined) {
+      ({ collection, tokenId } = await nftLoan.loans(loanId));
+      debt = await nftLoan.debtOf(loanId);
+    }
+    const [config, value] = await Promise.all([
+      nftLoan.collaterals(collection),
+      nftLoan.collateralValue(collection, tokenId)
+    ]);
+    const { limit, available } = previewBorrowLimit(value, config.loanToValue, debt);
+    return {
+      value,
+      limit,
+      debt,
+      available,
+      healthFactor: loanHealthFactor(value, debt + amount, config.liquidationThreshold)
+    };
+  }
+
+  /**
+   * Borrow on a loan, or deposit an NFT and borrow against it. The NFT is approved first
+   * when needed.
+   * @param {object} params Either a loanId, or a collection and tokenId to deposit
+   * @param {bigint|number} [params.loanId]
+   * @param {string} [params.collection]
+   * @param {bigint|number} [params.tokenId]
+   * @param {bigint} params.amount TokenB to borrow
+   * @returns {Promise<{loanId: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+   */
+  async borrow({ loanId, collection, tokenId, amount }) {
+    const { nftLoan } = this;
+    if (loanId === undefined) {
+      loanId = await this.deposit({ collection, tokenId });
+    }
+    const receipt = await send(() => nftLoan.borrow(loanId, amount), this.interfaces);
+    return { loanId: BigInt(loanId), receipt };
+  }
+
+  /**
+   * Deposit an NFT as collateral for a new loan without debt
+   * @returns {Promise<bigint>} Loan id
+   */
+  async deposit({ collection, tokenId }) {
+    const { nftLoan } = this;
+    await ensureNFTApproval(nftLoan.runner, collection, nftLoan.target, tokenId);
+    const receipt = await send(() => nftLoan.depositNFT(collection, tokenId), this.interfaces);
+    return findEvent(receipt, nftLoan, "Deposited").args.loanId;
+  }
+
+  /**
+   * Repay part of a loan, approving TokenB first when the allowance is lower
+   * @param {object} params
+   * @param {bigint|number} params.loanId
+   * @param {bigint} params.amount
+   */
+  async repay({ loanId, amount }) {
+    const { nftLoan } = this;
+    await ensureAllowance(nftLoan.runner, await nftLoan.token(), nftLoan.target, amount);
+    return send(() => nftLoan.repay(loanId, amount), this.interfaces);
+  }
+}
+
+module.exports = { LoansClient };
@@ -0,0 +1,101 @@
+const { getAmountOut, getAmountIn, previewAddLiquidity, withSlippage } = require("../math");
+const { send, ensureAllowance, findEvent } = require("../transactions");
+const { ProtocolError } = require("../errors");
+
+const DEFAULT_SLIPPAGE = 50n; // 0.5%
+
+/**
+ * SwapPool quotes, swaps and deposits
+ */
+class PoolClient {
+  /**
+   * @param {import("../types").SwapPool} swapPool Connected to the trader
+   * @param {Array<import("ethers").Interface>} interfaces Interfaces to decode errors with
+   */
+  constructor(swapPool, interfaces) {
+    this.swapPool = swapPool;
+    this.interfaces = interfaces;
+  }
+
+  async _state(tokenIn) {
+    const { swapPool } = this;
+    const [tokenA, [reserveA, reserveB], fee] = await Promise.all([
+      swapPool.tokenA(),
+      swapPool.getReserves(),
+      swapPool.fee()
+    ]);
+    // the pool reverts the same way, before the quote divides by an empty reserve
+    if (reserveA === 0n || reserveB === 0n) throw new ProtocolError("InsufficientLiquidity", [], null);
+    const aToB = tokenIn.toLowerCase() === tokenA.toLowerCase();
+    return aToB ? { reserveIn: reserveA, reserveOut: reserveB, fee } : { reserveIn: reserveB, reserveOut: reserveA, fee };
+  }
+
+  /**
+   * Output of selling `amountIn` of `tokenIn`, and the minimum to accept after slippage
+   * @param {object} params
+   * @param {string} params.tokenIn TokenA or TokenB address
+   * @param {bigint} params.amountIn
+   * @param {bigint} [params.slippage] Basis points (default 0.5%)
+   */
+  async quote({ tokenIn, amountIn, slippage = DEFAULT_SLIPPAGE }) {
+    const { reserveIn, reserveOut, fee } = await this._state(tokenIn);
+    const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, fee);
+    // execution price against the pool price, fee included
+    const priceImpact = 10000n - (amountOut * reserveIn * 10000n) / (amountIn * reserveOut);
+    return { amountOut, minAmountOut: withSlippage(amountOut, slippage), priceImpact };
+  }
+
+  /**
+   * Input of `tokenIn` needed to receive `amountOut` of the other token
+   * @param {object} params
+   * @param {string} params.tokenIn
+   * @param {bigint} params.amountOut
+   */
+  async quoteIn({ tokenIn, amountOut }) {
+    const { reserveIn, reserveOut, fee } = await this._state(tokenIn);
+    return getAmountIn(amountOut, reserveIn, reserveOut, fee);
+  }
+
+  /**
+   * Swap at the current quote within `slippage`, approving `tokenIn` first when needed
+   * @param {object} params As for quote
+   * @returns {Promise<{amountOut: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+   */
+  async swap({ tokenIn, amountIn, slippage = DEFAULT_SLIPPAGE }) {
+    const { swapPool } = this;
+    const { minAmountOut } = await this.quote({ tokenIn, amountIn, slippage });
+    await ensureAllowance(swapPool.runner, tokenIn, swapPool.target, amountIn);
+    const receipt = await send(() => swapPool.swap(tokenIn, amountIn, minAmountOut), this.interfaces);
+    return { amountOut: findEvent(receipt, swapPool, "Swap").args.amountOut, receipt };
+  }
+
+  /**
+   * Deposits and LP tokens of adding up to `amountA` and `amountB` to a pool with liquidity
+   * @param {object} params
+   * @param {bigint} params.amountA
+   * @param {bigint} params.amountB
+   */
+  async quoteAddLiquidity({ amountA, amountB }) {
+    const { swapPool } = this;
+    const [[reserveA, reserveB], totalSupply] = await Promise.all([swapPool.getReserves(), swapPool.totalSupply()]);
+    return previewAddLiquidity(amountA, amountB, reserveA, reserveB, totalSupply);
+  }
+
+  /**
+   * Add liquidity at the pool ratio, approving both tokens first when needed
+   * @param {object} params
+   * @param {bigint} params.amountA
+   * @param {bigint} params.amountB
+   * @param {bigint} [params.slippage] Basis points of the quoted LP tokens (default 0.5%)
+   */
+  async addLiquidity({ amountA, amountB, slippage = DEFAULT_SLIPPAGE }) {
+    const { swapPool } = this;
+    const { liquidity } = await this.quoteAddLiquidity({ amountA, amountB });
+    const [tokenA, tokenB] = await Promise.all([swapPool.tokenA(), swapPool.tokenB()]);
+    await ensureAllowance(swapPool.runner, tokenA, swapPool.target, amountA);
+    await ensureAllowance(swapPool.runner, tokenB, swapPool.target, amountB);
+    return send(() => swapPool.addLiquidity(amountA, amountB, withSlippage(liquidity, slippage)), this.interfaces);
+  }
+}
+
+module.exports = { PoolClient };
@@ -0,0 +1,102 @@
+const { previewOpen, previewClose, positionEquity, liquidationPrice } = require("../math");
+const { send, ensureAllowance, findEvent } = require("../transactions");
+
+/**
+ * LeverageTrade positions: previews, opens and closes
+ */
+class TradeClient {
+  /**
+   * @param {import("../types").LeverageTrade} leverageTrade Connected to the trader
+   * @param {Array<import("ethers").Interface>} interfaces Interfaces to decode errors with
+   */
+  constructor(leverageTrade, interfaces) {
+    this.leverageTrade = leverageTrade;
+    this.interfaces = interfaces;
+  }
+
+  /**
+   * Fee, net margin, size and liquidation price of a position opened now
+   * @param {object} params
+   * @param {bigint|number} [params.marketId]
+   * @param {bigint} params.margin TokenB paid, fee included
+   * @param {bigint|number} params.leverage
+   * @param {boolean} [params.isLong]
+   */
+  async preview({ marketId = 0, margin, leverage, isLong = true }) {
+    const [market, price] = await Promise.all([
+      this.leverageTrade.markets(marketId),
+      this.leverageTrade.getPrice(marketId)
+    ]);
+    const { fee, netMargin, size } = previewOpen({ marginAmount: margin, leverage: BigInt(leverage), feeRate: market.feeRate });
+    const position = { isLong, margin: netMargin, size, openPrice: price };
+    return {
+      fee,
+      netMargin,
+      size,
+      price,
+      liquidationPrice: liquidationPrice(position, market.maintenanceMargin),
+      closeFee: previewClose(position, price, market.feeRate).fee
+    };
+  }
+
+  /**
+   * Open a position, approving the margin first when the allowance is lower
+   * @param {object} params As for preview
+   * @param {bigint|number} [params.marketId]
+   * @param {bigint} params.margin
+   * @param {bigint|number} params.leverage
+   * @param {boolean} [params.isLong]
+   * @param {boolean} [params.approve] Approve the margin when needed (default true)
+   * @returns {Promise<{positionId: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+   */
+  async open({ marketId = 0, margin, leverage, isLong = true, approve = true }) {
+    const { leverageTrade } = this;
+    if (approve) {
+      await ensureAllowance(leverageTrade.runner, await leverageTrade.tokenB(), leverageTrade.target, margin);
+    }
+    const receipt = await send(() => leverageTrade.openPosition(marketId, margin, isLong, leverage), this.interfaces);
+    return { positionId: findEvent(receipt, leverageTrade, "PositionOpened").args.positionId, receipt };
+  }
+
+  /**
+   * A position with its equity and liquidation price at the current price
+   * @param {bigint|number} positionId
+   */
+  async position(positionId) {
+    const { leverageTrade } = this;
+    const [{ marketId }, details] = await Promise.all([
+      leverageTrade.positions(positionId),
+      leverageTrade.getPosition(positionId)
+    ]);
+    const { isLong, margin, size, openPrice, funding, borrowFee } = details;
+    const [market, price] = await Promise.all([leverageTrade.markets(marketId), leverageTrade.getPrice(marketId)]);
+    const position = { marketId, isLong, margin, size, openPrice, funding, borrowFee };
+    return {
+      ...position,
+      price,
+      equity: positionEquity(position, price),
+      liquidationPrice: liquidationPrice(position, market.maintenanceMargin)
+    };
+  }
+
+  /**
+   * TokenB a close would pay out at the current price, or at `price`
+   * @param {bigint|number} positionId
+   * @param {bigint} [price] 18 decimals
+   */
+  async previewClose(positionId, price) {
+    const position = await this.position(positionId);
+    const market = await this.leverageTrade.markets(position.marketId);
+    return previewClose(position, price ?? position.price, market.feeRate);
+  }
+
+  /**
+   * Close a position
+   * @param {bigint|number} positionId
+   */
+  async close(positionId) {
+    return send(() => this.leverageTrade.closePosition(positionId), this.interfaces);
+  }
+}
+
+module.exports = { TradeClient };
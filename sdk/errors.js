@@ -0,0 +1,110 @@
+const { Interface, formatEther } = require("ethers");
+
+// ERC20 and ERC721 errors raised by the tokens inside protocol calls
+const TOKEN_ERRORS = new Interface([
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+  "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)"
+]);
+
+const amount = (value) => formatEther(value);
+
+// friendly messages by error name, errors without one fall back to their name
+const MESSAGES = {
+  InsufficientAllowance: (required, allowed) =>
+    required === undefined
+      ? "The token allowance is too low, approve the protocol first"
+      : `The allowance is ${amount(allowed)} TokenB but ${amount(required)} is needed, approve the protocol first`,
+  InsufficientBalance: (required, available) => `The balance is ${amount(available)} TokenB but ${amount(required)} is needed`,
+  InvalidLeverage: (leverage) => `Leverage ${leverage}x is outside the range of the market`,
+  InvalidMarginAmount: () => "The margin must be more than 0",
+  InvalidMarket: (marketId) => `Market ${marketId} does not exist`,
+  MarketNotListed: (marketId) => `Market ${marketId} does not accept new positions`,
+  NoPosition: () => "The position does not exist or is closed",
+  NotPositionOwner: () => "The position belongs to another account",
+  PositionUnhealthy: (equity, required) =>
+    `The position would be left with ${amount(equity)} TokenB of equity, it needs more than ${amount(required)}`,
+  OppositePosition: (positionId) => `One-way mode is on and position ${positionId} is on the other side`,
+  InvalidSizeDelta: (sizeDelta) => `Cannot close ${amount(sizeDelta)} of the position size`,
+  TooManyCloseOrders: (positionId) => `Position ${positionId} has the most close orders allowed, cancel one first`,
+  InsufficientLiquidity: (requested, available) =>
+    requested === undefined
+      ? "The pool has no liquidity"
+      : `Only ${amount(available)} TokenB is available, ${amount(requested)} was requested`,
+  StalePrice: () => "The price feed is stale, try again after the next price update",
+  IncompleteRound: () => "The price feed round is incomplete, try again after the next price update",
+  InvalidPrice: () => "The price feed returned no valid price",
+  PriceDeviation: () => "The price feeds disagree, try again later",
+  ExceedsBorrowLimit: (requested, available) => `Only ${amount(available)} TokenB can be borrowed, ${amount(requested)} was requested`,
+  CollectionNotListed: (collection) => `Collection ${collection} is not accepted as collateral`,
+  NotNFTOwner: () => "The NFT belongs to another account",
+  NotLoanOwner: () => "The loan belongs to another account",
+  OutstandingDebt: (debt) => `Repay the debt of ${amount(debt)} TokenB first`,
+  InvalidAmount: () => "The amount must be more than 0",
+  SlippageTooHigh: () => "The price moved beyond the slippage tolerance",
+  InsufficientReserve: (required, available) => `The pool only holds ${amount(available)}, ${amount(required)} was requested`,
+  BlockVolumeExceeded: (volume, limit) => `The pool takes ${amount(limit)} of this token per block, ${amount(volume)} was sold`,
+  InvalidToken: (token) => `${token} is not a token of the pool`,
+  EnforcedPause: () => "The contract is paused, only exits are open",
+  PriceJumped: (priceFeed, lastPrice, price) =>
+    `The price moved from ${amount(lastPrice)} to ${amount(price)} since the last read, the contract pauses on the next check`,
+  AccessControlUnauthorizedAccount: (account, role) => `${account} lacks the role ${role}`,
+  ERC20InsufficientAllowance: (spender, allowance, needed) =>
+    `The allowance of ${spender} is ${amount(allowance)} but ${amount(needed)} is needed`,
+  ERC20InsufficientBalance: (sender, balance, needed) => `The balance is ${amount(balance)} but ${amount(needed)} is needed`,
+  ERC721InsufficientApproval: (operator, tokenId) => `Approve ${operator} for NFT #${tokenId} first`
+};
+
+class ProtocolError extends Error {
+  /**
+   * @param {string} errorName Custom error name, e.g. "InvalidLeverage"
+   * @param {Array} args Decoded error arguments
+   * @param {Error} cause Original error
+   */
+  constructor(errorName, args, cause) {
+    const format = MESSAGES[errorName];
+    super(format ? format(...args) : `The transaction reverted with ${errorName}`);
+    this.name = "ProtocolError";
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+function revertData(error) {
+  for (let e = error; e; e = e.error || e.cause) {
+    // a Hardhat node over JSON-RPC nests it as { message, txHash, data }
+    const data = e.data && typeof e.data === "object" ? e.data.data : e.data;
+    if (typeof data === "string" && data.startsWith("0x")) return data;
+  }
+  return null;
+}
+
+/**
+ * Turn a failed call into a ProtocolError when it reverted with a custom error of the
+ * protocol or its tokens; other errors are returned as they are
+ * @param {Error} error Error thrown by ethers
+ * @param {Array<import("ethers").Interface>} interfaces Interfaces of the contracts involved
+ * @returns {Error}
+ */
+function decodeError(error, interfaces = []) {
+  if (error instanceof ProtocolError) return error;
+  if (error.revert && error.revert.name) {
+    return new ProtocolError(error.revert.name, [...error.revert.args], error);
+  }
+
+  const data = revertData(error);
+  if (!data) return error;
+  for (const iface of [...interfaces, TOKEN_ERRORS]) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return new ProtocolError(parsed.name, [...parsed.args], error);
+    } catch {
+      // not an error of this interface
+    }
+  }
+  return error;
+}
+
+module.exports = { ProtocolError, decodeError, MESSAGES };
@@ -0,0 +1,55 @@
+const { Contract } = require("ethers");
+const { TradeClient } = require("./clients/trade");
+const { LoansClient } = require("./clients/loans");
+const { PoolClient } = require("./clients/pool");
+const { ProtocolError, decodeError } = require("./errors");
+const { ensureAllowance, ensureNFTApproval } = require("./transactions");
+const math = require("./math");
+
+/**
+ * Protocol clients for one account. Contracts come from a deployment manifest or as typed
+ * contracts (`sdk/types`, generated by `npx hardhat typechain`).
+ */
+class DefiSdk {
+  /**
+   * @param {object} contracts
+   * @param {import("./types").LeverageTrade} contracts.leverageTrade
+   * @param {import("./types").NFTLoan} contracts.nftLoan
+   * @param {import("./types").SwapPool} contracts.swapPool
+   * @param {import("ethers").Signer} signer Account that sends the transactions
+   */
+  constructor({ leverageTrade, nftLoan, swapPool }, signer) {
+    const contracts = [leverageTrade, nftLoan, swapPool].map((contract) => contract.connect(signer));
+    const interfaces = contracts.map((contract) => contract.interface);
+
+    this.signer = signer;
+    this.trade = new TradeClient(contracts[0], interfaces);
+    this.loans = new LoansClient(contracts[1], interfaces);
+    this.pool = new PoolClient(contracts[2], interfaces);
+  }
+
+  /**
+   * Clients for the contracts of a manifest written by scripts/deploy.js
+   * @param {{contracts: Object<string, {address: string, abi: Array}>}} manifest
+   * @param {import("ethers").Signer} signer
+   */
+  static fromManifest({ contracts }, signer) {
+    const attach = (key) => new Contract(contracts[key].address, contracts[key].abi, signer);
+    return new DefiSdk(
+      { leverageTrade: attach("leverageTrade"), nftLoan: attach("nftLoan"), swapPool: attach("swapPool") },
+      signer
+    );
+  }
+}
+
+module.exports = {
+  DefiSdk,
+  TradeClient,
+  LoansClient,
+  PoolClient,
+  ProtocolError,
+  decodeError,
+  ensureAllowance,
+  ensureNFTApproval,
+  math
+};
@@ -0,0 +1,191 @@
+// Off-chain copies of the protocol math. Every function takes and returns bigints and rounds
+// like the contract it mirrors, so a preview matches the transaction made at the same price.
+
+const BPS = 10000n;
+const PRECISION = 10n ** 18n;
+const SWAP_FEE_DENOMINATOR = 10000n;
+const MINIMUM_LIQUIDITY = 1000n; // LP tokens SwapPool locks on the first deposit
+
+function mulDiv(a, b, denominator, roundUp = false) {
+  const product = a * b;
+  const result = product / denominator;
+  return roundUp && product % denominator !== 0n ? result + 1n : result;
+}
+
+/**
+ * Fee, net margin and size of `LeverageTrade.openPosition`. The fee is charged on the size
+ * of the whole margin and taken from it, the size is the net margin times the leverage.
+ * @param {object} params
+ * @param {bigint} params.marginAmount TokenB paid, fee included
+ * @param {bigint} params.leverage
+ * @param {bigint} params.feeRate Market fee in basis points of the size
+ */
+function previewOpen({ marginAmount, leverage, feeRate }) {
+  const fee = (marginAmount * leverage * feeRate) / BPS;
+  const netMargin = marginAmount - fee;
+  return { fee, netMargin, size: netMargin * leverage };
+}
+
+/**
+ * P&L of a position at `price`, negative for a loss
+ * @param {boolean} isLong
+ * @param {bigint} size
+ * @param {bigint} price 18 decimals
+ * @param {bigint} openPrice 18 decimals
+ */
+function positionPnl(isLong, size, price, openPrice) {
+  const value = (size * price) / openPrice;
+  return isLong ? value - size : size - value;
+}
+
+/**
+ * Equity of `LeverageTrade.getPosition`: margin less pending funding and borrow fee, plus P&L,
+ * floored at 0
+ * @param {object} position
+ * @param {boolean} position.isLong
+ * @param {bigint} position.margin
+ * @param {bigint} position.size
+ * @param {bigint} position.openPrice
+ * @param {bigint} [position.funding] Pending funding, negative when received
+ * @param {bigint} [position.borrowFee] Pending borrow fee
+ * @param {bigint} price Current price, 18 decimals
+ */
+function positionEquity({ isLong, margin, size, openPrice, funding = 0n, borrowFee = 0n }, price) {
+  const remaining = margin - funding - borrowFee;
+  const settledMargin = remaining > 0n ? remaining : 0n;
+  const equity = settledMargin + positionPnl(isLong, size, price, openPrice);
+  return equity > 0n ? equity : 0n;
+}
+
+/**
+ * TokenB paid out by `LeverageTrade.closePosition` at `price`, before any vault or
+ * insurance shortfall: equity less the close fee on the size
+ * @param {object} position As for positionEquity
+ * @param {bigint} price
+ * @param {bigint} feeRate Market fee in basis points of the size
+ */
+function previewClose(position, price, feeRate) {
+  const equity = positionEquity(position, price);
+  const fee = (position.size * feeRate) / BPS;
+  return { equity, fee: fee > equity ? equity : fee, payout: fee > equity ? 0n : equity - fee };
+}
+
+/**
+ * Price at which a position becomes liquidatable: equity at the maintenance margin,
+ * pending fees ignored
+ * @param {object} position
+ * @param {boolean} position.isLong
+ * @param {bigint} position.margin
+ * @param {bigint} position.size
+ * @param {bigint} position.openPrice
+ * @param {bigint} maintenanceMargin Basis points of the margin
+ */
+function liquidationPrice({ isLong, margin, size, openPrice }, maintenanceMargin) {
+  const buffer = margin - (margin * maintenanceMargin) / BPS; // loss the position can take
+  if (isLong) return buffer >= size ? 0n : (openPrice * (size - buffer)) / size;
+  return (openPrice * (size + buffer)) / size;
+}
+
+/**
+ * What a loan can still borrow, the `NFTLoan.maxBorrow` of a collateral value and debt
+ * @param {bigint} value Collateral value, `NFTLoan.collateralValue`
+ * @param {bigint} loanToValue Percent of the value
+ * @param {bigint} [debt]
+ */
+function previewBorrowLimit(value, loanToValue, debt = 0n) {
+  const limit = (value * loanToValue) / 100n;
+  return { limit, available: limit > debt ? limit - debt : 0n };
+}
+
+/**
+ * `NFTLoan.healthFactor` of a debt, 1e18 = the liquidation threshold
+ * @param {bigint} value Collateral value
+ * @param {bigint} debt
+ * @param {bigint} liquidationThreshold Percent of the debt
+ */
+function loanHealthFactor(value, debt, liquidationThreshold) {
+  if (debt === 0n) return 2n ** 256n - 1n;
+  return mulDiv(value * 100n, PRECISION, debt * liquidationThreshold);
+}
+
+/**
+ * `SwapPool.getAmountOut`: output of selling `amountIn`, fee included
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} fee Basis points
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, fee) {
+  const amountInWithFee = amountIn * (SWAP_FEE_DENOMINATOR - fee);
+  return mulDiv(amountInWithFee, reserveOut, reserveIn * SWAP_FEE_DENOMINATOR + amountInWithFee);
+}
+
+/**
+ * `SwapPool.getAmountIn`: input needed to receive `amountOut`, fee included
+ * @param {bigint} amountOut Less than reserveOut
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} fee Basis points
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut, fee) {
+  return mulDiv(reserveIn * amountOut, SWAP_FEE_DENOMINATOR, (reserveOut - amountOut) * (SWAP_FEE_DENOMINATOR - fee)) + 1n;
+}
+
+// floor of the square root, like OpenZeppelin's Math.sqrt
+function sqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Deposits and LP tokens of `SwapPool.addLiquidity`. The first deposit sets the ratio and
+ * mints the square root of the product, less the locked minimum liquidity.
+ * @param {bigint} amountA Max TokenA
+ * @param {bigint} amountB Max TokenB
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP tokens
+ */
+function previewAddLiquidity(amountA, amountB, reserveA, reserveB, totalSupply) {
+  if (totalSupply === 0n) {
+    const liquidity = sqrt(amountA * amountB);
+    return { depositedA: amountA, depositedB: amountB, liquidity: liquidity > MINIMUM_LIQUIDITY ? liquidity - MINIMUM_LIQUIDITY : 0n };
+  }
+  const optimalB = mulDiv(amountA, reserveB, reserveA);
+  const [depositedA, depositedB] = optimalB <= amountB
+    ? [amountA, optimalB]
+    : [mulDiv(amountB, reserveA, reserveB), amountB];
+  const liquidityA = mulDiv(depositedA, totalSupply, reserveA);
+  const liquidityB = mulDiv(depositedB, totalSupply, reserveB);
+  return { depositedA, depositedB, liquidity: liquidityA < liquidityB ? liquidityA : liquidityB };
+}
+
+/**
+ * Lowest amount accepted after `slippage`
+ * @param {bigint} amount
+ * @param {bigint} slippage Basis points
+ */
+function withSlippage(amount, slippage) {
+  return (amount * (BPS - slippage)) / BPS;
+}
+
+module.exports = {
+  previewOpen,
+  positionPnl,
+  positionEquity,
+  previewClose,
+  liquidationPrice,
+  previewBorrowLimit,
+  loanHealthFactor,
+  getAmountOut,
+  getAmountIn,
+  previewAddLiquidity,
+  sqrt,
+  withSlippage
+};
@@ -0,0 +1,77 @@
+const { Contract } = require("ethers");
+const { decodeError } = require("./errors");
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)"
+];
+const ERC721_ABI = [
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function approve(address to, uint256 tokenId)"
+];
+
+/**
+ * Send a transaction and wait for it, reverts are thrown as ProtocolError
+ * @param {() => Promise<import("ethers").ContractTransactionResponse>} sendTx
+ * @param {Array<import("ethers").Interface>} interfaces Interfaces to decode errors with
+ * @returns {Promise<import("ethers").ContractTransactionReceipt>}
+ */
+async function send(sendTx, interfaces) {
+  try {
+    const tx = await sendTx();
+    return await tx.wait();
+  } catch (error) {
+    throw decodeError(error, interfaces);
+  }
+}
+
+/**
+ * Approve `spender` for `amount` of an ERC20 when the allowance is lower
+ * @param {import("ethers").Signer} signer Token owner
+ * @param {string} token ERC20 address
+ * @param {string} spender
+ * @param {bigint} amount
+ * @returns {Promise<import("ethers").ContractTransactionReceipt|null>} Approval receipt, null when none was needed
+ */
+async function ensureAllowance(signer, token, spender, amount) {
+  const erc20 = new Contract(token, ERC20_ABI, signer);
+  const owner = await signer.getAddress();
+  if ((await erc20.allowance(owner, spender)) >= amount) return null;
+  return send(() => erc20.approve(spender, amount), []);
+}
+
+/**
+ * Approve `spender` for an NFT unless it already is
+ * @param {import("ethers").Signer} signer NFT owner
+ * @param {string} collection ERC721 address
+ * @param {string} spender
+ * @param {bigint} tokenId
+ * @returns {Promise<import("ethers").ContractTransactionReceipt|null>}
+ */
+async function ensureNFTApproval(signer, collection, spender, tokenId) {
+  const erc721 = new Contract(collection, ERC721_ABI, signer);
+  const owner = await signer.getAddress();
+  const approved = await erc721.getApproved(tokenId);
+  if (approved.toLowerCase() === spender.toLowerCase() || (await erc721.isApprovedForAll(owner, spender))) return null;
+  return send(() => erc721.approve(spender, tokenId), []);
+}
+
+/**
+ * First event of a contract in a receipt
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {import("ethers").BaseContract} contract
+ * @param {string} name Event name
+ * @returns {import("ethers").LogDescription|null}
+ */
+function findEvent(receipt, contract, name) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+    const event = contract.interface.parseLog(log);
+    if (event && event.name === name) return event;
+  }
+  return null;
+}
+
+module.exports = { ERC20_ABI, send, ensureAllowance, ensureNFTApproval, findEvent };
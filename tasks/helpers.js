@@ -0,0 +1,154 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { Interface, isAddress, parseEther, formatEther } = require("ethers");
+const { loadManifest, getContracts } = require("../scripts/lib/deployments");
+const { DefiSdk, ProtocolError, decodeError } = require("../sdk");
+
+const PLUGIN_NAME = "defi-app";
+
+/**
+ * Task failure printed by Hardhat as "Error in plugin defi-app: <message>", without a stack
+ * @param {string} message
+ * @param {Error} [cause]
+ */
+function taskError(message, cause) {
+  return new HardhatPluginError(PLUGIN_NAME, message, cause);
+}
+
+/**
+ * Wrap a task action so reverts are reported with the decoded custom error of the protocol
+ * @param {function(object, object): Promise<*>} action Task action `(args, hre) => result`
+ */
+function protocolAction(action) {
+  return async (args, hre) => {
+    try {
+      return await action(args, hre);
+    } catch (error) {
+      if (HardhatPluginError.isHardhatPluginError(error)) throw error;
+      const decoded = decodeError(error, manifestInterfaces(hre.network.name));
+      if (decoded instanceof ProtocolError) {
+        // the error name is kept for scripts to match on, the fallback message already holds it
+        const message = decoded.message.includes(decoded.errorName) ? decoded.message : `${decoded.errorName}: ${decoded.message}`;
+        throw taskError(message, error);
+      }
+      throw taskError(error.shortMessage || error.message, error);
+    }
+  };
+}
+
+// interfaces of every deployed contract, so errors of contracts outside the SDK decode too
+function manifestInterfaces(network) {
+  try {
+    return Object.values(loadManifest(network).contracts).map(({ abi }) => new Interface(abi));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Contracts and SDK clients of the latest deployment, connected to one of the configured accounts
+ * @param {object} hre Hardhat runtime environment
+ * @param {number} [account] Index of the account in `ethers.getSigners()`
+ */
+async function connect(hre, account = 0) {
+  const signers = await hre.ethers.getSigners();
+  if (account < 0 || account >= signers.length) {
+    throw taskError(`Account ${account} does not exist, ${hre.network.name} has ${signers.length} accounts`);
+  }
+  const signer = signers[account];
+  const manifest = loadManifest(hre.network.name);
+  return {
+    signer,
+    manifest,
+    contracts: getContracts(hre.network.name, signer),
+    sdk: DefiSdk.fromManifest(manifest, signer)
+  };
+}
+
+/**
+ * Signer for an owner-only call. Accounts that are not configured, like the timelock
+ * scripts/deploy.js hands the mint rights to, are impersonated on a Hardhat node.
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} owner Address the contract accepts
+ */
+async function ownerSigner(hre, owner) {
+  const signers = await hre.ethers.getSigners();
+  const signer = signers.find(({ address }) => address.toLowerCase() === owner.toLowerCase());
+  if (signer) return signer;
+
+  try {
+    await hre.network.provider.send("hardhat_impersonateAccount", [owner]);
+  } catch (error) {
+    throw taskError(`${owner} is not a configured account and ${hre.network.name} cannot impersonate it`, error);
+  }
+  // gas for the impersonated account, a contract such as the timelock holds no ETH
+  if ((await hre.ethers.provider.getBalance(owner)) < parseEther("1")) {
+    await hre.network.provider.send("hardhat_setBalance", [owner, "0x" + parseEther("10").toString(16)]);
+  }
+  return hre.ethers.getSigner(owner);
+}
+
+/**
+ * Address of an account index or the address itself
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} value e.g. "2" or "0x70997970..."
+ */
+async function resolveAccount(hre, value) {
+  if (isAddress(value)) return value;
+  if (/^\d+$/.test(value)) {
+    const signers = await hre.ethers.getSigners();
+    if (Number(value) < signers.length) return signers[Number(value)].address;
+  }
+  throw taskError(`"${value}" is neither an address nor an account index`);
+}
+
+/**
+ * Parse a token amount given in whole tokens, e.g. "12.5"
+ * @param {string} value
+ * @param {string} name Parameter name for the error message
+ */
+function parseAmount(value, name) {
+  let amount;
+  try {
+    amount = parseEther(value);
+  } catch {
+    throw taskError(`--${name} "${value}" is not an amount`);
+  }
+  if (amount <= 0n) throw taskError(`--${name} must be more than 0`);
+  return amount;
+}
+
+/**
+ * Address of the pool token "A" or "B"
+ * @param {object} manifest Deployment manifest
+ * @param {string} token
+ */
+function poolToken(manifest, token) {
+  const key = { A: "tokenA", B: "tokenB" }[token.toUpperCase()];
+  if (!key) throw taskError(`--token-in must be A or B, got "${token}"`);
+  return manifest.contracts[key].address;
+}
+
+/**
+ * Print labelled values one per line, the labels padded to one column
+ * @param {Array<[string, *]>} rows
+ */
+function printTable(rows) {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  for (const [label, value] of rows) console.log(`${label.padEnd(width)}  ${value}`);
+}
+
+const tokens = (amount, symbol = "TokenB") => `${formatEther(amount)} ${symbol}`;
+const percent = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+module.exports = {
+  taskError,
+  protocolAction,
+  connect,
+  ownerSigner,
+  resolveAccount,
+  parseAmount,
+  poolToken,
+  printTable,
+  tokens,
+  percent
+};
@@ -0,0 +1,5 @@
+// Tasks for operating a deployment from the command line, see "Tasks" in the README
+require("./protocol");
+require("./trade");
+require("./loan");
+require("./pool");
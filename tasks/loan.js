@@ -0,0 +1,132 @@
+const { task, types } = require("hardhat/config");
+const { formatEther } = require("ethers");
+const { ensureAllowance } = require("../sdk");
+const { findEvent } = require("../sdk/transactions");
+const { protocolAction, connect, ownerSigner, resolveAccount, taskError, parseAmount, printTable, tokens } = require("./helpers");
+
+const MAX_HEALTH_FACTOR = 2n ** 256n - 1n;
+
+// interest keeps accruing until the transaction is mined, approve 0.1% on top
+const withInterestMargin = (debt) => debt + debt / 1000n;
+
+const healthFactor = (value) => (value === MAX_HEALTH_FACTOR ? "no debt" : formatEther(value));
+
+task("nft:mint", "Mint an NFTCollateral token, as its owner")
+  .addOptionalParam("to", "Receiver, an account index or address", "0", types.string)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { contracts } = await connect(hre);
+      const to = await resolveAccount(hre, args.to);
+      const owner = await ownerSigner(hre, await contracts.nftCollateral.owner());
+      const nftCollateral = contracts.nftCollateral.connect(owner);
+      const receipt = await (await nftCollateral.mint(to)).wait();
+      const { tokenId } = findEvent(receipt, nftCollateral, "Transfer").args;
+
+      console.log(`Minted NFT ${tokenId} to ${to}`);
+      return tokenId;
+    })
+  );
+
+task("loan:borrow", "Borrow TokenB against an NFTCollateral token, depositing it first")
+  .addParam("amount", "TokenB to borrow", undefined, types.string)
+  .addOptionalParam("tokenId", "NFT to deposit into a new loan", undefined, types.int)
+  .addOptionalParam("loan", "Existing loan to borrow more on", undefined, types.int)
+  .addOptionalParam("account", "Index of the borrowing account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      if ((args.tokenId === undefined) === (args.loan === undefined)) throw taskError("Pass either --token-id or --loan");
+      const amount = parseAmount(args.amount, "amount");
+      const { sdk, manifest } = await connect(hre, args.account);
+      let loanId = args.loan;
+      if (loanId === undefined) {
+        // deposited on its own, so a failed borrow still reports the loan the NFT is in
+        loanId = await sdk.loans.deposit({ collection: manifest.contracts.nftCollateral.address, tokenId: args.tokenId });
+        console.log(`Deposited NFT ${args.tokenId} as loan ${loanId}`);
+      }
+      await sdk.loans.borrow({ loanId, amount });
+      const { value, debt, available, healthFactor: health } = await sdk.loans.preview({ loanId });
+
+      console.log(`Borrowed ${tokens(amount)} on loan ${loanId}`);
+      printTable([
+        ["collateral value", tokens(value)],
+        ["debt", tokens(debt)],
+        ["available", tokens(available)],
+        ["health factor", healthFactor(health)]
+      ]);
+      return loanId;
+    })
+  );
+
+task("loan:supply", "Lend TokenB to the NFTLoan pool")
+  .addParam("amount", "TokenB to supply", undefined, types.string)
+  .addOptionalParam("account", "Index of the lending account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { signer, contracts } = await connect(hre, args.account);
+      const { nftLoan } = contracts;
+      const amount = parseAmount(args.amount, "amount");
+      await ensureAllowance(signer, await nftLoan.token(), nftLoan.target, amount);
+      await (await nftLoan.supply(amount)).wait();
+
+      console.log(`Supplied ${tokens(amount)} to the loan pool, ${tokens(await nftLoan.totalAssets())} in total`);
+      return amount;
+    })
+  );
+
+task("loan:repay", "Repay a loan, by default all of it, which returns the NFT")
+  .addParam("loan", "Loan id", undefined, types.int)
+  .addOptionalParam("amount", "TokenB to repay, the NFT stays deposited", undefined, types.string)
+  .addOptionalParam("account", "Index of the borrowing account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, signer, contracts } = await connect(hre, args.account);
+      const { nftLoan } = contracts;
+
+      if (args.amount !== undefined) {
+        const amount = parseAmount(args.amount, "amount");
+        await sdk.loans.repay({ loanId: args.loan, amount });
+        const debt = await nftLoan.debtOf(args.loan);
+        console.log(`Repaid ${tokens(amount)} of loan ${args.loan}, ${tokens(debt)} left`);
+        return debt;
+      }
+
+      const debt = await nftLoan.debtOf(args.loan);
+      const { tokenId } = await nftLoan.loans(args.loan);
+      if (debt === 0n) {
+        // repayLoan reverts on a loan without debt, the NFT is withdrawn directly
+        await (await nftLoan.withdrawNFT(args.loan)).wait();
+      } else {
+        await ensureAllowance(signer, await nftLoan.token(), nftLoan.target, withInterestMargin(debt));
+        await (await nftLoan.repayLoan(args.loan)).wait();
+      }
+      console.log(`Repaid loan ${args.loan}, NFT ${tokenId} returned to ${signer.address}`);
+      return 0n;
+    })
+  );
+
+task("loan:liquidate", "Liquidate an unhealthy or overdue loan, paying its debt for the NFT")
+  .addParam("loan", "Loan id", undefined, types.int)
+  .addOptionalParam("account", "Index of the liquidating account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { signer, contracts } = await connect(hre, args.account);
+      const { nftLoan } = contracts;
+      const [debt, penaltyPercent, { tokenId }] = await Promise.all([
+        nftLoan.debtOf(args.loan),
+        nftLoan.liquidationPenalty(),
+        nftLoan.loans(args.loan)
+      ]);
+      const penalty = (debt * penaltyPercent) / 100n;
+      const totalDebt = debt + penalty;
+      await ensureAllowance(signer, await nftLoan.token(), nftLoan.target, withInterestMargin(totalDebt));
+      await (await nftLoan.liquidate(args.loan)).wait();
+
+      console.log(`Liquidated loan ${args.loan}, NFT ${tokenId} transferred to ${signer.address}`);
+      printTable([
+        ["debt", tokens(debt)],
+        ["paid", tokens(totalDebt)],
+        ["reward", tokens(penalty / 2n)]
+      ]);
+      return tokenId;
+    })
+  );
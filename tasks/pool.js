@@ -0,0 +1,68 @@
+const { task, types } = require("hardhat/config");
+const { findEvent } = require("../sdk/transactions");
+const { protocolAction, connect, parseAmount, poolToken, printTable, tokens, percent } = require("./helpers");
+
+const symbol = (token) => (token.toUpperCase() === "A" ? "TokenA" : "TokenB");
+const other = (token) => (token.toUpperCase() === "A" ? "TokenB" : "TokenA");
+
+task("pool:add", "Add liquidity to the SwapPool, approving both tokens first")
+  .addParam("amountA", "TokenA to deposit", undefined, types.string)
+  .addParam("amountB", "TokenB to deposit", undefined, types.string)
+  .addOptionalParam("slippage", "Tolerated shortfall of LP shares, basis points", 50, types.int)
+  .addOptionalParam("account", "Index of the liquidity provider", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, contracts } = await connect(hre, args.account);
+      const receipt = await sdk.pool.addLiquidity({
+        amountA: parseAmount(args.amountA, "amount-a"),
+        amountB: parseAmount(args.amountB, "amount-b"),
+        slippage: BigInt(args.slippage)
+      });
+      const { amountA, amountB, liquidity } = findEvent(receipt, contracts.swapPool, "LiquidityAdded").args;
+
+      console.log(`Added ${tokens(amountA, "TokenA")} and ${tokens(amountB)} for ${tokens(liquidity, "LP")}`);
+      return liquidity;
+    })
+  );
+
+task("pool:swap", "Swap on the SwapPool, approving the token sold first")
+  .addParam("tokenIn", "Token sold, A or B", undefined, types.string)
+  .addParam("amount", "Amount sold", undefined, types.string)
+  .addOptionalParam("slippage", "Tolerated shortfall of the output, basis points", 50, types.int)
+  .addOptionalParam("account", "Index of the swapping account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, manifest } = await connect(hre, args.account);
+      const amountIn = parseAmount(args.amount, "amount");
+      const { amountOut } = await sdk.pool.swap({
+        tokenIn: poolToken(manifest, args.tokenIn),
+        amountIn,
+        slippage: BigInt(args.slippage)
+      });
+
+      console.log(`Swapped ${tokens(amountIn, symbol(args.tokenIn))} for ${tokens(amountOut, other(args.tokenIn))}`);
+      return amountOut;
+    })
+  );
+
+task("pool:quote", "Quote a SwapPool swap at the current reserves")
+  .addParam("tokenIn", "Token sold, A or B", undefined, types.string)
+  .addParam("amount", "Amount sold", undefined, types.string)
+  .addOptionalParam("slippage", "Tolerated shortfall of the output, basis points", 50, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, manifest } = await connect(hre);
+      const quote = await sdk.pool.quote({
+        tokenIn: poolToken(manifest, args.tokenIn),
+        amountIn: parseAmount(args.amount, "amount"),
+        slippage: BigInt(args.slippage)
+      });
+
+      printTable([
+        ["amount out", tokens(quote.amountOut, other(args.tokenIn))],
+        ["min amount out", tokens(quote.minAmountOut, other(args.tokenIn))],
+        ["price impact", percent(quote.priceImpact)]
+      ]);
+      return quote;
+    })
+  );
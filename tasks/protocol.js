@@ -0,0 +1,118 @@
+const { task, types } = require("hardhat/config");
+const { parseUnits, formatUnits } = require("ethers");
+const { findEvent } = require("../sdk/transactions");
+const { protocolAction, connect, ownerSigner, resolveAccount, taskError, parseAmount, printTable, tokens, percent } = require("./helpers");
+
+task("price:set", "Push a new answer to a MockV3Aggregator price feed")
+  .addParam("price", "Price in USD, e.g. 1850.5", undefined, types.string)
+  .addOptionalParam("feed", "Manifest key of the feed", "priceFeed", types.string)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { manifest, contracts } = await connect(hre);
+      if (!manifest.contracts[args.feed]) throw taskError(`The deployment has no contract "${args.feed}"`);
+      const feed = contracts[args.feed];
+      const decimals = await feed.decimals();
+      let answer;
+      try {
+        answer = parseUnits(args.price, decimals);
+      } catch {
+        throw taskError(`--price "${args.price}" is not a price`);
+      }
+
+      const owner = await ownerSigner(hre, await feed.i_owner());
+      await (await feed.connect(owner).updateAnswer(answer)).wait();
+      console.log(`${args.feed} answer set to ${formatUnits(answer, decimals)} (round ${await feed.latestRound()})`);
+      return answer;
+    })
+  );
+
+task("price:check", "Record the current prices with the circuit breakers, pausing a contract on a jump")
+  .addOptionalParam("market", "LeverageTrade market id", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { manifest, contracts } = await connect(hre);
+      const { leverageTrade, nftLoan } = contracts;
+      const checks = [
+        ["leverageTrade", () => leverageTrade.checkPrice(args.market)],
+        ["nftLoan", () => nftLoan.checkPrice(manifest.contracts.nftCollateral.address)]
+      ];
+
+      const tripped = {};
+      for (const [key, send] of checks) {
+        const receipt = await (await send()).wait();
+        tripped[key] = Boolean(findEvent(receipt, contracts[key], "CircuitBreakerTripped"));
+      }
+      printTable(Object.entries(tripped).map(([key, value]) => [key, value ? "tripped, paused" : "ok"]));
+      return tripped;
+    })
+  );
+
+task("token:transfer", "Send TokenA or TokenB to another account, e.g. to fund a QA account")
+  .addParam("token", "A or B", undefined, types.string)
+  .addParam("to", "Receiver, an account index or address", undefined, types.string)
+  .addParam("amount", "Amount sent", undefined, types.string)
+  .addOptionalParam("account", "Index of the sending account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const key = { A: "tokenA", B: "tokenB" }[args.token.toUpperCase()];
+      if (!key) throw taskError(`--token must be A or B, got "${args.token}"`);
+      const { contracts } = await connect(hre, args.account);
+      const to = await resolveAccount(hre, args.to);
+      const amount = parseAmount(args.amount, "amount");
+      await (await contracts[key].transfer(to, amount)).wait();
+
+      console.log(`Sent ${tokens(amount, key === "tokenA" ? "TokenA" : "TokenB")} to ${to}`);
+      return amount;
+    })
+  );
+
+task("reserve:status", "Show the fee reserve, insurance fund and liquidity of the protocol")
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { contracts } = await connect(hre);
+      const { leverageTrade, tradingVault, nftLoan, swapPool } = contracts;
+      const [feeReserve, insuranceFund, badDebt, totalMargin, [openPnl, , surplus]] = await Promise.all([
+        leverageTrade.feeReserve(),
+        leverageTrade.insuranceFund(),
+        leverageTrade.badDebt(),
+        leverageTrade.totalMargin(),
+        leverageTrade.solvency()
+      ]);
+      const [vaultAssets, loanAssets, loanBorrows, utilization, [reserveA, reserveB]] = await Promise.all([
+        tradingVault.totalAssets(),
+        nftLoan.totalAssets(),
+        nftLoan.totalBorrows(),
+        nftLoan.utilization(),
+        swapPool.getReserves()
+      ]);
+
+      const status = {
+        feeReserve,
+        insuranceFund,
+        badDebt,
+        totalMargin,
+        openPnl,
+        surplus,
+        vaultAssets,
+        loanAssets,
+        loanBorrows,
+        utilization,
+        reserveA,
+        reserveB
+      };
+      printTable([
+        ["fee reserve", tokens(feeReserve)],
+        ["insurance fund", tokens(insuranceFund)],
+        ["bad debt", tokens(badDebt)],
+        ["position margins", tokens(totalMargin)],
+        ["open trader P&L", tokens(openPnl)],
+        ["vault assets", tokens(vaultAssets)],
+        ["vault surplus", tokens(surplus)],
+        ["loan pool assets", tokens(loanAssets)],
+        ["loan pool borrows", tokens(loanBorrows)],
+        ["loan utilization", percent(utilization)],
+        ["swap pool reserves", `${tokens(reserveA, "TokenA")} / ${tokens(reserveB)}`]
+      ]);
+      return status;
+    })
+  );
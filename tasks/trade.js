@@ -0,0 +1,80 @@
+const { task, types } = require("hardhat/config");
+const { formatEther } = require("ethers");
+const { findEvent } = require("../sdk/transactions");
+const { protocolAction, connect, parseAmount, printTable, tokens } = require("./helpers");
+
+task("trade:open", "Open a leveraged position, approving the margin first")
+  .addParam("margin", "TokenB paid, the open fee included", undefined, types.string)
+  .addParam("leverage", "Leverage multiple", undefined, types.int)
+  .addFlag("short", "Open a short instead of a long")
+  .addOptionalParam("market", "Market id", 0, types.int)
+  .addOptionalParam("account", "Index of the trading account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk } = await connect(hre, args.account);
+      const params = { marketId: args.market, margin: parseAmount(args.margin, "margin"), leverage: args.leverage, isLong: !args.short };
+      const preview = await sdk.trade.preview(params);
+      const { positionId } = await sdk.trade.open(params);
+
+      console.log(`Opened position ${positionId}`);
+      printTable([
+        ["side", args.short ? "short" : "long"],
+        ["size", tokens(preview.size)],
+        ["margin", tokens(preview.netMargin)],
+        ["fee", tokens(preview.fee)],
+        ["open price", formatEther(preview.price)],
+        ["liquidation price", formatEther(preview.liquidationPrice)]
+      ]);
+      return positionId;
+    })
+  );
+
+task("trade:close", "Close a position at the current price")
+  .addParam("id", "Position id", undefined, types.int)
+  .addOptionalParam("account", "Index of the position owner", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, contracts } = await connect(hre, args.account);
+      const { leverageTrade } = contracts;
+      const receipt = await sdk.trade.close(args.id);
+      const { profit, loss } = findEvent(receipt, leverageTrade, "PositionClosed").args;
+
+      console.log(`Closed position ${args.id}`);
+      printTable([
+        ["profit", tokens(profit)],
+        ["loss", tokens(loss)]
+      ]);
+      return { profit, loss };
+    })
+  );
+
+task("trade:status", "Show a position, or every open position of an account")
+  .addOptionalParam("id", "Position id, defaults to all positions of the account", undefined, types.int)
+  .addOptionalParam("account", "Index of the account", 0, types.int)
+  .setAction(
+    protocolAction(async (args, hre) => {
+      const { sdk, signer, contracts } = await connect(hre, args.account);
+      const { leverageTrade } = contracts;
+      const ids = args.id === undefined ? await leverageTrade.getUserPositions(signer.address) : [BigInt(args.id)];
+      if (ids.length === 0) console.log(`${signer.address} has no open positions`);
+
+      const positions = [];
+      for (const id of ids) {
+        const position = { id, ...(await sdk.trade.position(id)), liquidatable: await leverageTrade.isLiquidatable(id) };
+        console.log(`Position ${id}`);
+        printTable([
+          ["market", position.marketId],
+          ["side", position.isLong ? "long" : "short"],
+          ["size", tokens(position.size)],
+          ["margin", tokens(position.margin)],
+          ["equity", tokens(position.equity)],
+          ["open price", formatEther(position.openPrice)],
+          ["price", formatEther(position.price)],
+          ["liquidation price", formatEther(position.liquidationPrice)],
+          ["liquidatable", position.liquidatable ? "yes" : "no"]
+        ]);
+        positions.push(position);
+      }
+      return positions;
+    })
+  );
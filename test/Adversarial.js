@@ -0,0 +1,396 @@
+const { expect } = require("chai");
+const { ethers, ignition, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { DefiSdk } = require("../sdk");
+const { createRandom, fuzzSeeds } = require("./helpers/fuzz");
+const { applyChange } = require("./helpers/timelock");
+
+describe("Adversarial", function () {
+  const ETH_PRICE = 2000n * 10n ** 8n;
+  const POOL_A = ethers.parseEther("100");
+  const POOL_B = ethers.parseEther("200000");
+
+  // three traders, three borrowers with an NFT each and an attacker, with a funded pool and lending pool
+  async function deployPlatform() {
+    const [owner, ...signers] = await ethers.getSigners();
+    const traders = signers.slice(0, 3);
+    const borrowers = signers.slice(3, 6);
+    const attacker = signers[6];
+    const platform = await ignition.deploy(DefiAppModule);
+    const { tokenA, tokenB, leverageTrade, nftCollateral, nftLoan, swapPool } = platform;
+
+    await tokenA.approve(swapPool.target, POOL_A);
+    await tokenB.approve(swapPool.target, POOL_B);
+    await swapPool.addLiquidity(POOL_A, POOL_B, 0);
+    await tokenB.approve(nftLoan.target, ethers.parseEther("5000"));
+    await nftLoan.supply(ethers.parseEther("5000"));
+
+    for (const trader of traders) {
+      await tokenB.transfer(trader.address, ethers.parseEther("5000"));
+      await tokenB.connect(trader).approve(leverageTrade.target, ethers.MaxUint256);
+    }
+    for (const borrower of borrowers) {
+      await nftCollateral.mint(borrower.address);
+      await tokenB.transfer(borrower.address, ethers.parseEther("100"));
+      await tokenB.connect(borrower).approve(nftLoan.target, ethers.MaxUint256);
+    }
+    await tokenA.transfer(attacker.address, ethers.parseEther("100"));
+    await tokenB.transfer(attacker.address, ethers.parseEther("50000"));
+
+    return { ...platform, owner, traders, borrowers, attacker };
+  }
+
+  // send transactions into one block, ordered by their priority fee
+  async function mineInOrder(sends) {
+    await network.provider.send("evm_setAutomine", [false]);
+    const hashes = [];
+    try {
+      for (const [i, send] of sends.entries()) {
+        const tip = ethers.parseUnits(String(sends.length - i), "gwei");
+        const tx = await send({ gasLimit: 500000, maxPriorityFeePerGas: tip, maxFeePerGas: ethers.parseUnits("100", "gwei") });
+        hashes.push(tx.hash);
+      }
+      await network.provider.send("evm_mine");
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+    return Promise.all(hashes.map((hash) => ethers.provider.getTransactionReceipt(hash)));
+  }
+
+  describe("SwapPool reserve manipulation", function () {
+    async function deployManipulator() {
+      const fixture = await deployPlatform();
+      const { swapPool, leverageTrade, nftLoan, tokenA, attacker } = fixture;
+      const manipulator = await ethers.deployContract("SwapPoolManipulator", [swapPool.target, leverageTrade.target, nftLoan.target]);
+      await tokenA.connect(attacker).approve(manipulator.target, ethers.MaxUint256);
+      return { ...fixture, manipulator };
+    }
+
+    it("Should stop a flash-loan-sized pump at the block volume cap", async function () {
+      const { manipulator, swapPool, nftCollateral, attacker } = await loadFixture(deployManipulator);
+
+      // 60 TokenA is more than the 50% of the reserve that can be sold in a block
+      await expect(manipulator.connect(attacker).pumpAndDump(ethers.parseEther("60"), nftCollateral.target, 1))
+        .to.be.revertedWithCustomError(swapPool, "BlockVolumeExceeded");
+    });
+
+    it("Should not move the protocol's oracle prices and lose the attacker the fees", async function () {
+      const { manipulator, swapPool, tokenA, tokenB, nftCollateral, attacker } = await loadFixture(deployManipulator);
+      const before = await tokenA.balanceOf(attacker.address);
+
+      await manipulator.connect(attacker).pumpAndDump(ethers.parseEther("45"), nftCollateral.target, 1);
+
+      // the pool price moved by half while the position and collateral prices stayed put
+      expect(await manipulator.tradePriceDuring()).to.equal(await manipulator.tradePriceBefore());
+      expect(await manipulator.collateralValueDuring()).to.equal(await manipulator.collateralValueBefore());
+      // both swaps pay the fee
+      expect(await tokenA.balanceOf(attacker.address)).to.be.lessThan(before);
+      expect(await swapPool.reserveA()).to.equal(await tokenA.balanceOf(swapPool.target));
+      expect(await swapPool.reserveB()).to.equal(await tokenB.balanceOf(swapPool.target));
+    });
+
+    it("Should ignore tokens sent to the pool outside a swap", async function () {
+      const { swapPool, tokenA, attacker } = await loadFixture(deployManipulator);
+      const quote = await swapPool.getAmountOut(tokenA.target, ethers.parseEther("1"));
+
+      await tokenA.connect(attacker).transfer(swapPool.target, ethers.parseEther("50"));
+
+      expect(await swapPool.getAmountOut(tokenA.target, ethers.parseEther("1"))).to.equal(quote);
+      expect(await swapPool.reserveA()).to.equal(POOL_A);
+    });
+  });
+
+  describe("Sandwich", function () {
+    const VICTIM_IN = ethers.parseEther("10");
+    const FRONT_RUN = ethers.parseEther("20");
+
+    async function sandwich(fixture, minAmountOut) {
+      const { swapPool, tokenA, tokenB, traders, attacker } = fixture;
+      const victim = traders[0];
+      await tokenA.transfer(victim.address, VICTIM_IN);
+      await tokenA.connect(victim).approve(swapPool.target, VICTIM_IN);
+      await tokenA.connect(attacker).approve(swapPool.target, ethers.MaxUint256);
+      await tokenB.connect(attacker).approve(swapPool.target, ethers.MaxUint256);
+
+      // the attacker sells back what the front-run buys
+      const frontRunOut = await swapPool.getAmountOut(tokenA.target, FRONT_RUN);
+      const attackerA = await tokenA.balanceOf(attacker.address);
+      const receipts = await mineInOrder([
+        (overrides) => swapPool.connect(attacker).swap(tokenA.target, FRONT_RUN, 0, overrides),
+        (overrides) => swapPool.connect(victim).swap(tokenA.target, VICTIM_IN, minAmountOut, overrides),
+        (overrides) => swapPool.connect(attacker).swap(tokenB.target, frontRunOut, 0, overrides)
+      ]);
+      return {
+        receipts,
+        victimOut: await tokenB.balanceOf(victim.address) - ethers.parseEther("5000"),
+        attackerProfit: (await tokenA.balanceOf(attacker.address)) - attackerA
+      };
+    }
+
+    it("Should let a sandwich take what a loose minAmountOut allows", async function () {
+      const fixture = await loadFixture(deployPlatform);
+      const quote = await fixture.swapPool.getAmountOut(fixture.tokenA.target, VICTIM_IN);
+
+      const { receipts, victimOut, attackerProfit } = await sandwich(fixture, 0);
+
+      expect(receipts.map(({ status }) => status)).to.deep.equal([1, 1, 1]);
+      expect(victimOut).to.be.lessThan((quote * 80n) / 100n);
+      expect(attackerProfit).to.be.greaterThan(0);
+    });
+
+    it("Should revert the victim's swap at the SDK's slippage and leave the attacker at a loss", async function () {
+      const fixture = await loadFixture(deployPlatform);
+      const sdk = new DefiSdk(fixture, fixture.traders[0]);
+      const { minAmountOut } = await sdk.pool.quote({ tokenIn: fixture.tokenA.target, amountIn: VICTIM_IN });
+
+      const { receipts, victimOut, attackerProfit } = await sandwich(fixture, minAmountOut);
+
+      expect(receipts.map(({ status }) => status)).to.deep.equal([1, 0, 1]);
+      expect(victimOut).to.equal(0);
+      expect(attackerProfit).to.be.lessThan(0);
+    });
+  });
+
+  describe("NFTLoan liquidation reentrancy", function () {
+    it("Should not let a liquidator re-enter the loan from the NFT callback", async function () {
+      const { nftLoan, nftCollateral, priceFeed, tokenB, borrowers, attacker } = await loadFixture(deployPlatform);
+      await nftCollateral.connect(borrowers[0]).approve(nftLoan.target, 1);
+      await nftLoan.connect(borrowers[0]).depositNFT(nftCollateral.target, 1);
+      await nftLoan.connect(borrowers[0]).borrow(1, ethers.parseEther("1000"));
+
+      // the attacker borrows against NFT #4 and liquidates its own loan
+      const liquidator = await ethers.deployContract("ReentrantLiquidator", [nftLoan.target]);
+      await nftCollateral.mint(liquidator.target);
+      await liquidator.borrow(nftCollateral.target, 4, ethers.parseEther("900"));
+      await tokenB.connect(attacker).transfer(liquidator.target, ethers.parseEther("5000"));
+      await priceFeed.updateAnswer(1000n * 10n ** 8n);
+
+      // the repay from the callback used to be applied on top of the liquidation: the total debt
+      // dropped by the loan twice and the other borrower could no longer repay
+      await expect(liquidator.attack(2)).to.be.revertedWithCustomError(nftLoan, "NotLoanOwner");
+      await nftLoan.connect(borrowers[0]).repayLoan(1);
+      expect(await nftLoan.totalScaledDebt()).to.equal((await nftLoan.loans(2)).scaledDebt);
+    });
+  });
+
+  describe("Liquidation front-running", function () {
+    it("Should pay only the first liquidator of a position and revert the copy", async function () {
+      const { leverageTrade, priceFeed, tokenB, traders, attacker, owner } = await loadFixture(deployPlatform);
+      await leverageTrade.connect(traders[0]).openPosition(0, ethers.parseEther("100"), true, 10);
+      await priceFeed.updateAnswer((ETH_PRICE * 90n) / 100n);
+      const keeperBalance = await tokenB.balanceOf(owner.address);
+      const attackerBalance = await tokenB.balanceOf(attacker.address);
+
+      // the attacker copies the keeper's pending liquidation with a higher priority fee
+      const [frontRun, keeper] = await mineInOrder([
+        (overrides) => leverageTrade.connect(attacker).liquidate(1, overrides),
+        (overrides) => leverageTrade.connect(owner).liquidate(1, overrides)
+      ]);
+
+      expect([frontRun.status, keeper.status]).to.deep.equal([1, 0]);
+      expect(await tokenB.balanceOf(attacker.address)).to.be.greaterThan(attackerBalance);
+      expect(await tokenB.balanceOf(owner.address)).to.equal(keeperBalance);
+    });
+
+    it("Should leave the allowance of a front-run loan liquidator untouched", async function () {
+      const { nftLoan, nftCollateral, priceFeed, tokenB, borrowers, attacker, owner } = await loadFixture(deployPlatform);
+      await nftCollateral.connect(borrowers[0]).approve(nftLoan.target, 1);
+      await nftLoan.connect(borrowers[0]).depositNFT(nftCollateral.target, 1);
+      await nftLoan.connect(borrowers[0]).borrow(1, ethers.parseEther("1000"));
+      await priceFeed.updateAnswer(1150n * 10n ** 8n);
+      await tokenB.connect(attacker).approve(nftLoan.target, ethers.MaxUint256);
+      await tokenB.approve(nftLoan.target, ethers.MaxUint256);
+      const keeperBalance = await tokenB.balanceOf(owner.address);
+
+      const [frontRun, keeper] = await mineInOrder([
+        (overrides) => nftLoan.connect(attacker).liquidate(1, overrides),
+        (overrides) => nftLoan.connect(owner).liquidate(1, overrides)
+      ]);
+
+      expect([frontRun.status, keeper.status]).to.deep.equal([1, 0]);
+      expect(await nftCollateral.ownerOf(1)).to.equal(attacker.address);
+      expect(await tokenB.balanceOf(owner.address)).to.equal(keeperBalance);
+      expect(await tokenB.allowance(owner.address, nftLoan.target)).to.equal(ethers.MaxUint256);
+    });
+  });
+
+  describe("Invariants", function () {
+    const STEPS = 40;
+
+    async function checkPool({ swapPool, tokenA, tokenB }) {
+      expect(await swapPool.reserveA(), "reserveA").to.equal(await tokenA.balanceOf(swapPool.target));
+      expect(await swapPool.reserveB(), "reserveB").to.equal(await tokenB.balanceOf(swapPool.target));
+    }
+
+    // funding reaches receivers and the fee reserve only once it is taken from a margin, so every
+    // balance LeverageTrade books, collected funding not yet settled included, is held in TokenB
+    async function checkTrade({ leverageTrade, tradingVault, tokenB }) {
+      const [balance, totalMargin, feeReserve, insuranceFund, fundingPool] = await Promise.all([
+        tokenB.balanceOf(leverageTrade.target),
+        leverageTrade.totalMargin(),
+        leverageTrade.feeReserve(),
+        leverageTrade.insuranceFund(),
+        leverageTrade.fundingPool()
+      ]);
+      expect(balance, "LeverageTrade balance").to.be.greaterThanOrEqual(totalMargin + feeReserve + insuranceFund + fundingPool);
+      expect(await tokenB.balanceOf(tradingVault.target), "vault balance").to.equal(await tradingVault.totalAssets());
+    }
+
+    async function checkLoans({ nftLoan, tokenB }) {
+      let scaledDebt = 0n;
+      for (let loanId = 1n; loanId < (await nftLoan.nextLoanId()); loanId++) {
+        scaledDebt += (await nftLoan.loans(loanId)).scaledDebt;
+      }
+      expect(await nftLoan.totalScaledDebt(), "total scaled debt").to.equal(scaledDebt);
+      expect(await tokenB.balanceOf(nftLoan.target), "NFTLoan cash").to.equal(await nftLoan.cash());
+    }
+
+    for (const seed of fuzzSeeds(3)) {
+      it(`Should keep the pool reserves equal to its balances through random swaps (seed ${seed})`, async function () {
+        const fixture = await loadFixture(deployPlatform);
+        const { swapPool, tokenA, tokenB, owner, attacker } = fixture;
+        const random = createRandom(seed);
+        await tokenA.connect(attacker).approve(swapPool.target, ethers.MaxUint256);
+        await tokenB.connect(attacker).approve(swapPool.target, ethers.MaxUint256);
+        await tokenA.approve(swapPool.target, ethers.MaxUint256);
+        await tokenB.approve(swapPool.target, ethers.MaxUint256);
+
+        for (let step = 0; step < STEPS; step++) {
+          const [reserveA, reserveB] = await swapPool.getReserves();
+          const action = random.int(0, 3);
+          if (action <= 1) {
+            const tokenIn = random.bool() ? tokenA : tokenB;
+            const reserve = tokenIn === tokenA ? reserveA : reserveB;
+            const balance = (await tokenIn.balanceOf(attacker.address)) * BigInt(random.int(1, 100)) / 100n;
+            const amountIn = balance < reserve * 4n / 10n ? balance : reserve * 4n / 10n;
+            if (amountIn === 0n) continue;
+            await swapPool.connect(attacker).swap(tokenIn.target, amountIn, 0);
+            // the fee stays in the pool, the product of the reserves never falls
+            const [afterA, afterB] = await swapPool.getReserves();
+            expect(afterA * afterB).to.be.greaterThanOrEqual(reserveA * reserveB);
+          } else if (action === 2) {
+            await swapPool.addLiquidity(ethers.parseEther(String(random.int(1, 5))), ethers.MaxUint256 / 2n, 0);
+          } else {
+            const liquidity = ((await swapPool.balanceOf(owner.address)) * BigInt(random.int(1, 20))) / 100n;
+            await swapPool.removeLiquidity(liquidity, 0, 0);
+          }
+          await checkPool(fixture);
+        }
+
+        // every LP token together never claims more than the reserves
+        await swapPool.removeLiquidity(await swapPool.balanceOf(owner.address), 0, 0);
+        await checkPool(fixture);
+        expect(await swapPool.reserveA()).to.be.greaterThan(0);
+      });
+
+      it(`Should keep LeverageTrade solvent through random trading (seed ${seed})`, async function () {
+        const fixture = await loadFixture(deployPlatform);
+        const { leverageTrade, tradingVault, priceFeed, traders, owner } = fixture;
+        const random = createRandom(seed);
+        let price = ETH_PRICE;
+        // the highest funding rate, so a skewed side can owe more funding than its margins hold
+        await applyChange(leverageTrade, "setFeeRates", [10000, 30], [priceFeed]);
+
+        for (let step = 0; step < STEPS; step++) {
+          const trader = random.pick(traders);
+          const open = [...(await leverageTrade.getUserPositions(trader.address))];
+          const action = random.int(0, 5);
+          if (action <= 1 || open.length === 0) {
+            const margin = ethers.parseEther(String(random.int(10, 300)));
+            await leverageTrade.connect(trader).openPosition(0, margin, random.bool(), random.int(2, 10));
+          } else if (action === 2) {
+            await leverageTrade.connect(trader).closePosition(random.pick(open));
+          } else if (action === 3) {
+            const positionId = random.pick(open);
+            const { size } = await leverageTrade.positions(positionId);
+            // a partial close that leaves the rest unhealthy reverts
+            await leverageTrade.connect(trader).decreasePosition(positionId, size / 2n).catch(() => {});
+          } else if (action === 4) {
+            price = (price * BigInt(random.int(950, 1050))) / 1000n;
+            await priceFeed.updateAnswer(price);
+          } else {
+            await time.increase(random.int(1, 12) * 3600);
+            await priceFeed.updateAnswer(price);
+          }
+          for (const t of traders) {
+            for (const positionId of await leverageTrade.getUserPositions(t.address)) {
+              if (await leverageTrade.isLiquidatable(positionId)) await leverageTrade.connect(owner).liquidate(positionId);
+            }
+          }
+          await checkTrade(fixture);
+        }
+
+        // closing every position and redeeming every vault share pays out no more than is held
+        for (const trader of traders) {
+          for (const positionId of await leverageTrade.getUserPositions(trader.address)) {
+            await leverageTrade.connect(trader).closePosition(positionId);
+          }
+        }
+        await tradingVault.redeem(await tradingVault.balanceOf(owner.address));
+        await checkTrade(fixture);
+        expect(await leverageTrade.totalMargin()).to.equal(0);
+      });
+
+      it(`Should keep the NFTLoan debt and cash in step with its loans (seed ${seed})`, async function () {
+        const fixture = await loadFixture(deployPlatform);
+        const { nftLoan, nftCollateral, priceFeed, tokenB, borrowers, owner } = fixture;
+        const random = createRandom(seed);
+        const loanOf = new Map(); // borrower => open loan id
+        const closeLoan = async (borrower, loanId) => {
+          const debt = await nftLoan.debtOf(loanId);
+          if (debt === 0n) return nftLoan.connect(borrower).withdrawNFT(loanId);
+          await tokenB.transfer(borrower.address, debt + ethers.parseEther("1"));
+          return nftLoan.connect(borrower).repayLoan(loanId);
+        };
+        await tokenB.approve(nftLoan.target, ethers.MaxUint256);
+        let price = ETH_PRICE;
+
+        for (let step = 0; step < STEPS; step++) {
+          const index = random.int(0, borrowers.length - 1);
+          const borrower = borrowers[index];
+          const tokenId = index + 1;
+          const loanId = loanOf.get(borrower.address);
+          const action = random.int(0, 5);
+          if (loanId === undefined) {
+            if ((await nftCollateral.ownerOf(tokenId)) !== borrower.address) continue; // liquidated
+            await nftCollateral.connect(borrower).approve(nftLoan.target, tokenId);
+            await nftLoan.connect(borrower).depositNFT(nftCollateral.target, tokenId);
+            loanOf.set(borrower.address, (await nftLoan.nextLoanId()) - 1n);
+          } else if (action <= 1) {
+            const available = await nftLoan.maxBorrow(loanId);
+            const amount = (available * BigInt(random.int(1, 100))) / 100n;
+            if (amount > 0n) await nftLoan.connect(borrower).borrow(loanId, amount).catch(() => {});
+          } else if (action === 2) {
+            const debt = await nftLoan.debtOf(loanId);
+            if (debt > 0n) await nftLoan.connect(borrower).repay(loanId, (debt * BigInt(random.int(1, 100))) / 100n);
+          } else if (action === 3) {
+            await closeLoan(borrower, loanId);
+            loanOf.delete(borrower.address);
+          } else if (action === 4) {
+            price = (price * BigInt(random.int(970, 1030))) / 1000n;
+            await priceFeed.updateAnswer(price);
+          } else {
+            await time.increase(random.int(1, 72) * 3600);
+            await priceFeed.updateAnswer(price);
+          }
+          for (const [account, id] of [...loanOf]) {
+            if (await nftLoan.isLiquidatable(id)) {
+              await nftLoan.connect(owner).liquidate(id);
+              loanOf.delete(account);
+            }
+          }
+          await checkLoans(fixture);
+        }
+
+        // once every loan is repaid the lenders redeem no more than the pool holds
+        for (const [account, loanId] of loanOf) {
+          await closeLoan(borrowers.find(({ address }) => address === account), loanId);
+        }
+        await nftLoan.redeem(await nftLoan.balanceOf(owner.address));
+        await checkLoans(fixture);
+        expect(await nftLoan.totalScaledDebt()).to.equal(0);
+      });
+    }
+  });
+});
@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+
+describe("DefiAppModule", function () {
+  const ETH_PRICE = 1500n * 10n ** 8n;
+  const FEE_RESERVE = ethers.parseEther("5000");
+
+  async function deployPlatform() {
+    return ignition.deploy(DefiAppModule, {
+      parameters: {
+        PriceFeedModule: { initialPrice: ETH_PRICE },
+        LeverageTradeModule: { feeReserve: FEE_RESERVE }
+      }
+    });
+  }
+
+  it("Should wire every contract to the shared tokens and price feed", async function () {
+    const { tokenA, tokenB, priceFeed, leverageTrade, tradingVault, nftCollateral, nftLoan, swapPool } = await loadFixture(deployPlatform);
+
+    expect(await leverageTrade.tokenA()).to.equal(tokenA.target);
+    expect(await leverageTrade.tokenB()).to.equal(tokenB.target);
+    expect((await leverageTrade.markets(0)).priceFeed).to.equal(priceFeed.target);
+    expect(await leverageTrade.vault()).to.equal(tradingVault.target);
+    expect(await tradingVault.token()).to.equal(tokenB.target);
+    expect(await tradingVault.totalAssets()).to.equal(ethers.parseEther("10000"));
+    expect(await nftLoan.token()).to.equal(tokenB.target);
+    const collateral = await nftLoan.collaterals(nftCollateral.target);
+    expect(collateral.listed).to.be.true;
+    expect(collateral.priceFeed).to.equal(priceFeed.target);
+    expect(collateral.loanToValue).to.equal(50);
+    expect(collateral.liquidationThreshold).to.equal(120);
+    expect(await swapPool.tokenA()).to.equal(tokenA.target);
+    expect(await swapPool.tokenB()).to.equal(tokenB.target);
+  });
+
+  it("Should apply module parameters", async function () {
+    const { tokenB, priceFeed, leverageTrade } = await loadFixture(deployPlatform);
+
+    expect(await priceFeed.latestAnswer()).to.equal(ETH_PRICE);
+    expect(await leverageTrade.isFeeReserveInitialized()).to.be.true;
+    expect(await leverageTrade.feeReserve()).to.equal(FEE_RESERVE);
+    expect(await tokenB.balanceOf(leverageTrade.target)).to.equal(FEE_RESERVE);
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, artifacts, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DeploymentNotFoundError,
+  hasDeployment,
+  loadManifest,
+  saveManifest,
+  getAddresses,
+  getContracts,
+  moduleEntries
+} = require("../scripts/lib/deployments");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { getPlatform } = require("./helpers/deployment");
+
+describe("Deployment manifests", function () {
+  let previousDir;
+
+  beforeEach(function () {
+    previousDir = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(process.env.DEPLOYMENTS_DIR, { recursive: true, force: true });
+    if (previousDir === undefined) delete process.env.DEPLOYMENTS_DIR;
+    else process.env.DEPLOYMENTS_DIR = previousDir;
+  });
+
+  async function deployTokens() {
+    const tokenA = await ethers.deployContract("TokenA");
+    const receipt = await tokenA.deploymentTransaction().wait();
+    const { abi } = await artifacts.readArtifact("TokenA");
+
+    const entry = {
+      contractName: "TokenA",
+      address: tokenA.target,
+      constructorArgs: [],
+      deployBlock: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      abi
+    };
+    return { tokenA, entry };
+  }
+
+  it("Should version manifests and load the latest one", async function () {
+    const { entry } = await loadFixture(deployTokens);
+
+    expect(hasDeployment("testnet")).to.be.false;
+    const first = saveManifest("testnet", { chainId: 31337, contracts: { tokenA: entry } });
+    const second = saveManifest("testnet", { chainId: 31337, contracts: { tokenA: entry } });
+
+    expect(first.version).to.equal(1);
+    expect(second.version).to.equal(2);
+    expect(loadManifest("testnet").version).to.equal(2);
+    expect(loadManifest("testnet", 1).version).to.equal(1);
+    expect(getAddresses("testnet")).to.deep.equal({ tokenA: entry.address });
+  });
+
+  it("Should attach contract instances to the deployment", async function () {
+    const { tokenA, entry } = await loadFixture(deployTokens);
+    const [owner] = await ethers.getSigners();
+    saveManifest("testnet", { chainId: 31337, contracts: { tokenA: entry } });
+
+    const contracts = getContracts("testnet", owner);
+
+    expect(contracts.tokenA.target).to.equal(tokenA.target);
+    expect(await contracts.tokenA.balanceOf(owner.address)).to.equal(await tokenA.balanceOf(owner.address));
+  });
+
+  it("Should describe the contracts of an Ignition deployment", async function () {
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const deployed = await ignition.deploy(DefiAppModule);
+    const contracts = await moduleEntries(DefiAppModule, deployed, { provider: ethers.provider, artifacts, fromBlock });
+
+    expect(Object.keys(contracts)).to.have.members(Object.keys(deployed));
+    const { leverageTrade, priceFeed, tokenA, tokenB } = contracts;
+    expect(leverageTrade.contractName).to.equal("LeverageTrade");
+    expect(leverageTrade.address).to.equal(deployed.leverageTrade.target);
+    expect(leverageTrade.constructorArgs).to.deep.equal([tokenA.address, tokenB.address, priceFeed.address]);
+    expect(priceFeed.constructorArgs).to.deep.equal(["8", "200000000000"]);
+    expect(leverageTrade.abi).to.deep.equal((await artifacts.readArtifact("LeverageTrade")).abi);
+
+    const receipt = await ethers.provider.getTransactionReceipt(leverageTrade.transactionHash);
+    expect(receipt.contractAddress).to.equal(leverageTrade.address);
+    expect(leverageTrade.deployBlock).to.equal(receipt.blockNumber);
+    expect(leverageTrade.deployBlock).to.be.greaterThanOrEqual(fromBlock);
+  });
+
+  it("Should throw for networks without a deployment", async function () {
+    expect(() => loadManifest("missing")).to.throw(DeploymentNotFoundError);
+  });
+
+  it("Should deploy the platform when the network has no manifest", async function () {
+    const { leverageTrade, swapPool, tokenA } = await getPlatform();
+
+    expect(await swapPool.tokenA()).to.equal(tokenA.target);
+    expect(await leverageTrade.isFeeReserveInitialized()).to.be.true;
+  });
+});
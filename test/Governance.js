@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const GovernanceModule = require("../ignition/modules/Governance");
+const {
+  buildProposal,
+  runProposal,
+  getQueuedChanges,
+  applyQueuedChanges,
+  increaseTime,
+  ProposalStateError
+} = require("../scripts/lib/governance");
+
+describe("Governance", function () {
+  const VOTING_PERIOD = 10;
+  const TIMELOCK_DELAY = 3600;
+
+  async function deployGoverned() {
+    const [owner, holder, outsider] = await ethers.getSigners();
+    const platform = await ignition.deploy(GovernanceModule, {
+      parameters: { GovernanceModule: { votingPeriod: VOTING_PERIOD, timelockDelay: TIMELOCK_DELAY } }
+    });
+    return { ...platform, owner, holder, outsider };
+  }
+
+  it("Should hand the protocol roles and mint rights to the timelock", async function () {
+    const { leverageTrade, nftLoan, swapPool, liquidityMining, tokenA, tokenB, nftCollateral, timelock, governor, owner } =
+      await loadFixture(deployGoverned);
+
+    for (const contract of [leverageTrade, nftLoan, swapPool, liquidityMining]) {
+      for (const role of [await contract.DEFAULT_ADMIN_ROLE(), await contract.RISK_MANAGER_ROLE(), await contract.TREASURY_ROLE()]) {
+        expect(await contract.hasRole(role, timelock.target)).to.be.true;
+        expect(await contract.hasRole(role, owner.address)).to.be.false;
+      }
+      expect(await contract.hasRole(await contract.GUARDIAN_ROLE(), owner.address)).to.be.true;
+    }
+    for (const token of [tokenA, tokenB, nftCollateral]) {
+      expect(await token.owner()).to.equal(timelock.target);
+    }
+    expect(await leverageTrade.treasury()).to.equal(timelock.target);
+
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), governor.target)).to.be.true;
+    expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress)).to.be.true;
+    expect(await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+    expect(await timelock.getMinDelay()).to.equal(TIMELOCK_DELAY);
+
+    await expect(leverageTrade.updateMarket(0, 50, 500, 20))
+      .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+    await expect(tokenB.mint(owner.address, 1)).to.be.revertedWithCustomError(tokenB, "NotOwner");
+  });
+
+  it("Should let the guardian resume after a circuit breaker trip once the resume delay has passed", async function () {
+    const { leverageTrade, priceFeed, owner, outsider } = await loadFixture(deployGoverned);
+    expect(await leverageTrade.hasRole(await leverageTrade.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+
+    // the first check records the price, +25% is over the 20% max jump
+    await leverageTrade.checkPrice(0);
+    await priceFeed.updateAnswer(2500n * 10n ** 8n);
+    await expect(leverageTrade.checkPrice(0)).to.emit(leverageTrade, "CircuitBreakerTripped");
+    const pausedAt = await leverageTrade.pausedAt();
+    const resumeDelay = await leverageTrade.GUARDIAN_RESUME_DELAY();
+
+    await expect(leverageTrade.unpause())
+      .to.be.revertedWithCustomError(leverageTrade, "ResumeTooEarly")
+      .withArgs(pausedAt + resumeDelay);
+    await increaseTime(ethers.provider, resumeDelay);
+    await expect(leverageTrade.connect(outsider).unpause())
+      .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+    await expect(leverageTrade.unpause()).to.emit(leverageTrade, "Unpaused").withArgs(owner.address);
+    expect(await leverageTrade.paused()).to.be.false;
+  });
+
+  it("Should change a market fee through propose, vote, queue and execute", async function () {
+    const { leverageTrade, tokenB, governor, holder } = await loadFixture(deployGoverned);
+    const market = await leverageTrade.markets(0);
+    const proposal = buildProposal(
+      [
+        { contract: leverageTrade, method: "updateMarket", args: [0, market.maxLeverage, market.maintenanceMargin, 20] },
+        { contract: tokenB, method: "mint", args: [holder.address, ethers.parseEther("100")] }
+      ],
+      "Raise the market 0 fee to 0.2% and mint TokenB"
+    );
+
+    const steps = [];
+    let queuedAt;
+    const { receipt } = await runProposal({
+      governor,
+      proposal,
+      onStep: (step, { eta }) => {
+        steps.push(step);
+        if (step === "queued") queuedAt = eta - BigInt(TIMELOCK_DELAY);
+      }
+    });
+
+    expect(steps).to.deep.equal(["proposed", "voted", "queued", "executed"]);
+    expect(await tokenB.balanceOf(holder.address)).to.equal(ethers.parseEther("100"));
+
+    // the fee change then waits out LeverageTrade's own timelock: the two delays add up
+    const [change] = getQueuedChanges(receipt, leverageTrade);
+    const protocolDelay = await leverageTrade.timelockDelay();
+    expect(change.readyAt).to.be.greaterThanOrEqual(queuedAt + BigInt(TIMELOCK_DELAY) + protocolDelay);
+    expect((await leverageTrade.markets(0)).feeRate).to.equal(market.feeRate);
+    await expect(leverageTrade.executeChange(change.data))
+      .to.be.revertedWithCustomError(leverageTrade, "ChangeNotReady")
+      .withArgs(change.id, change.readyAt);
+
+    expect(await applyQueuedChanges(receipt, leverageTrade)).to.deep.equal([change]);
+    expect((await leverageTrade.markets(0)).feeRate).to.equal(20);
+  });
+
+  it("Should defeat a proposal without quorum", async function () {
+    const { governanceToken, swapPool, governor, holder } = await loadFixture(deployGoverned);
+    // 1% of the supply, below the 4% quorum
+    await governanceToken.transfer(holder.address, ethers.parseEther("10000"));
+    await governanceToken.connect(holder).delegate(holder.address);
+
+    const proposal = buildProposal([{ contract: swapPool, method: "setFee", args: [10] }], "Lower the swap fee");
+    await expect(runProposal({ governor: governor.connect(holder), proposal }))
+      .to.be.rejectedWith(ProposalStateError, "Defeated");
+  });
+
+  it("Should only let the governor queue timelock operations", async function () {
+    const { leverageTrade, timelock, outsider } = await loadFixture(deployGoverned);
+    const data = leverageTrade.interface.encodeFunctionData("setTreasury", [outsider.address]);
+
+    await expect(
+      timelock.connect(outsider).schedule(leverageTrade.target, 0, data, ethers.ZeroHash, ethers.ZeroHash, TIMELOCK_DELAY)
+    ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+  });
+});
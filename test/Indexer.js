@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, ignition, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { ProtocolIndexer, IndexerStore } = require("../scripts/lib/indexer");
+const { createApiServer } = require("../scripts/lib/api");
+
+describe("ProtocolIndexer", function () {
+  const MARGIN = ethers.parseEther("100");
+  let dataDir;
+  let server;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function deployWithActivity() {
+    const [owner, trader, borrower] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const platform = await ignition.deploy(DefiAppModule);
+    const { tokenA, tokenB, leverageTrade, nftCollateral, nftLoan, swapPool } = platform;
+
+    await tokenA.approve(swapPool.target, ethers.parseEther("100"));
+    await tokenB.approve(swapPool.target, ethers.parseEther("200000"));
+    await swapPool.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200000"), 0);
+    await tokenB.approve(nftLoan.target, ethers.parseEther("2000"));
+    await nftLoan.supply(ethers.parseEther("2000"));
+
+    // a long and a short of the trader, a swap and a loan of the borrower
+    await tokenB.transfer(trader.address, ethers.parseEther("1000"));
+    await tokenB.connect(trader).approve(leverageTrade.target, ethers.MaxUint256);
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, true, 10);
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, false, 5);
+    await leverageTrade.connect(trader).increasePosition(1, MARGIN, 10);
+
+    await tokenA.transfer(borrower.address, ethers.parseEther("1"));
+    await tokenA.connect(borrower).approve(swapPool.target, ethers.parseEther("1"));
+    await swapPool.connect(borrower).swap(tokenA.target, ethers.parseEther("1"), 0);
+    await nftCollateral.mint(borrower.address);
+    await nftCollateral.connect(borrower).approve(nftLoan.target, 1);
+    await nftLoan.connect(borrower).depositNFT(nftCollateral.target, 1);
+    await nftLoan.connect(borrower).borrow(1, ethers.parseEther("500"));
+
+    return { ...platform, owner, trader, borrower, fromBlock };
+  }
+
+  function createIndexer(fixture, options = {}) {
+    return new ProtocolIndexer({
+      leverageTrade: fixture.leverageTrade,
+      nftLoan: fixture.nftLoan,
+      swapPool: fixture.swapPool,
+      provider: ethers.provider,
+      store: new IndexerStore(path.join(dataDir, network.name)),
+      fromBlock: fixture.fromBlock,
+      ...options
+    });
+  }
+
+  async function serve(indexer, fixture) {
+    server = createApiServer(indexer, fixture);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return async (route) => {
+      const res = await fetch(`http://127.0.0.1:${port}${route}`);
+      return { status: res.status, body: await res.json() };
+    };
+  }
+
+  it("Should serve portfolios, open interest and fees that match the contracts", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const { leverageTrade, nftLoan, tokenA, trader, borrower } = fixture;
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    const get = await serve(indexer, fixture);
+
+    const { body: portfolio } = await get(`/accounts/${trader.address}/portfolio`);
+    expect(portfolio.positions.open.map(({ id }) => id)).to.deep.equal(["1", "2"]);
+    for (const position of portfolio.positions.open) {
+      const onChain = await leverageTrade.positions(position.id);
+      expect(position.margin).to.equal(onChain.margin.toString());
+      expect(position.size).to.equal(onChain.size.toString());
+      expect(position.openPrice).to.equal(onChain.openPrice.toString());
+    }
+
+    const { body: loans } = await get(`/accounts/${borrower.address}/portfolio`);
+    expect(loans.loans.open).to.have.lengthOf(1);
+    expect(loans.totals.principal).to.equal(ethers.parseEther("500").toString());
+    expect(loans.swaps.volumeIn[tokenA.target.toLowerCase()]).to.equal(ethers.parseEther("1").toString());
+
+    const market = await leverageTrade.markets(0);
+    const { body: [openInterest] } = await get("/protocol/open-interest");
+    expect(openInterest.long).to.equal(market.longOpenInterest.toString());
+    expect(openInterest.short).to.equal(market.shortOpenInterest.toString());
+
+    // 0.1% of 1000 + 500 + 1000 TokenB opened, worked back from the net margins to within 1 wei each
+    const { body: fees } = await get("/protocol/fees");
+    expect(BigInt(fees.trading)).to.be.closeTo(ethers.parseEther("2.5"), 3n);
+    expect(BigInt(fees.borrow)).to.be.greaterThan(0n);
+    expect(fees.swap[tokenA.target.toLowerCase()]).to.equal(((ethers.parseEther("1") * 30n) / 10000n).toString());
+
+    const { body: tvl } = await get("/protocol/tvl");
+    expect(tvl.nftLoan).to.equal((await nftLoan.totalAssets()).toString());
+    expect(BigInt(tvl.total)).to.equal(
+      BigInt(tvl.leverageTrade) + BigInt(tvl.tradingVault) + BigInt(tvl.nftLoan) + BigInt(tvl.swapPool)
+    );
+  });
+
+  it("Should move closed and liquidated positions and repaid loans out of the open ones", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const { leverageTrade, nftLoan, priceFeed, tokenB, owner, trader, borrower } = fixture;
+    const indexer = createIndexer(fixture);
+
+    await leverageTrade.connect(trader).closePosition(2);
+    await tokenB.transfer(borrower.address, ethers.parseEther("1"));
+    await tokenB.connect(borrower).approve(nftLoan.target, ethers.parseEther("501"));
+    await nftLoan.connect(borrower).repayLoan(1);
+    await priceFeed.updateAnswer(1800n * 10n ** 8n);
+    await leverageTrade.connect(owner).liquidate(1);
+    await indexer.sync();
+
+    const { positions } = indexer.analytics.portfolio(trader.address);
+    expect(positions.open).to.have.lengthOf(0);
+    expect(positions.closed.map(({ id, status }) => [id, status])).to.deep.equal([
+      [1n, "liquidated"],
+      [2n, "closed"]
+    ]);
+    const loan = indexer.analytics.loans.get(1n);
+    expect(loan.status).to.equal("withdrawn");
+    expect(loan.repaid).to.equal(loan.borrowed);
+    expect(indexer.analytics.fees.loanInterest).to.be.greaterThan(0);
+    expect(indexer.analytics.openInterest()[0]).to.include({ long: 0n, short: 0n, positions: 0 });
+  });
+
+  it("Should resume from the saved events", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    const resumed = createIndexer(fixture);
+    expect(resumed.nextBlock).to.equal(indexer.nextBlock);
+    expect(resumed.logs).to.deep.equal(indexer.logs);
+    expect(resumed.analytics.fees).to.deep.equal(indexer.analytics.fees);
+    expect(await resumed.sync()).to.equal(0);
+
+    // a state of other contracts is indexed again
+    const other = createIndexer({ ...fixture, swapPool: fixture.tokenA });
+    expect(other.nextBlock).to.equal(fixture.fromBlock);
+  });
+
+  it("Should migrate the single state file of earlier versions", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    const dir = path.join(dataDir, network.name);
+    const { addresses, nextBlock, blocks, logs } = indexer;
+    fs.rmSync(dir, { recursive: true });
+    fs.writeFileSync(`${dir}.json`, JSON.stringify({ format: 1, addresses, nextBlock, blocks, logs }));
+
+    const migrated = createIndexer(fixture);
+    expect(migrated.nextBlock).to.equal(nextBlock);
+    expect(migrated.logs).to.deep.equal(logs);
+    expect(fs.existsSync(`${dir}.json`)).to.be.false;
+    expect(fs.readFileSync(path.join(dir, "events.jsonl"), "utf8").trim().split("\n")).to.have.lengthOf(logs.length);
+    expect(await migrated.sync()).to.equal(0);
+  });
+
+  it("Should append new events and cut off those written after the last checkpoint", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const { leverageTrade, trader } = fixture;
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    const eventsFile = path.join(dataDir, network.name, "events.jsonl");
+    const saved = fs.readFileSync(eventsFile, "utf8");
+
+    await leverageTrade.connect(trader).closePosition(2);
+    await indexer.sync();
+    const appended = fs.readFileSync(eventsFile, "utf8");
+    expect(appended.startsWith(saved)).to.be.true;
+    expect(appended.trim().split("\n")).to.have.lengthOf(indexer.logs.length);
+
+    // a crash between the append and the checkpoint leaves a tail the checkpoint does not cover
+    fs.appendFileSync(eventsFile, '{"contract":"leverageTrade"');
+    const resumed = createIndexer(fixture);
+    expect(resumed.logs).to.deep.equal(indexer.logs);
+    expect(fs.readFileSync(eventsFile, "utf8")).to.equal(appended);
+  });
+
+  it("Should roll back the events of blocks that were reorged out", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const { leverageTrade, trader } = fixture;
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    const reorgs = [];
+    indexer.on("reorg", (reorg) => reorgs.push(reorg));
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    const ancestor = await ethers.provider.getBlockNumber();
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, true, 10);
+    await indexer.sync();
+    expect(indexer.analytics.positions.get(3n).isLong).to.be.true;
+
+    // the other branch replaces the long with a short in the same block
+    await network.provider.send("evm_revert", [snapshot]);
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, false, 5);
+    await indexer.sync();
+
+    expect(reorgs).to.deep.equal([{ ancestor, removed: 1 }]);
+    expect(indexer.analytics.positions.get(3n).isLong).to.be.false;
+    const market = await leverageTrade.markets(0);
+    const [openInterest] = indexer.analytics.openInterest();
+    expect(openInterest.long).to.equal(market.longOpenInterest);
+    expect(openInterest.short).to.equal(market.shortOpenInterest);
+    expect(createIndexer(fixture).analytics.positions.get(3n).isLong).to.be.false;
+    expect(createIndexer(fixture).logs).to.deep.equal(indexer.logs);
+  });
+
+  it("Should answer unknown routes and bad input with JSON errors", async function () {
+    const fixture = await loadFixture(deployWithActivity);
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    const get = await serve(indexer, fixture);
+
+    expect(await get("/accounts/0x1234/portfolio")).to.deep.equal({ status: 400, body: { error: 'Invalid address "0x1234"' } });
+    expect(await get("/positions/99")).to.deep.equal({ status: 404, body: { error: "/positions/99 not found" } });
+    expect(await get("/positions/%E0")).to.deep.equal({ status: 400, body: { error: 'Invalid URL encoding "%E0"' } });
+    expect((await get("/nowhere")).status).to.equal(404);
+    expect((await get("/status")).body).to.deep.equal({
+      fromBlock: fixture.fromBlock,
+      lastBlock: indexer.nextBlock - 1,
+      events: indexer.logs.length
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { LiquidationKeeper } = require("../scripts/lib/keeper");
+
+describe("LiquidationKeeper", function () {
+  const ETH_PRICE = 2000n * 10n ** 8n;
+  const LEVERAGE = 10;
+  const MARGIN = ethers.parseEther("100");
+
+  async function deployWithPositions() {
+    const [owner, trader, borrower, liquidator] = await ethers.getSigners();
+    const platform = await ignition.deploy(DefiAppModule, {
+      parameters: { PriceFeedModule: { initialPrice: ETH_PRICE } }
+    });
+    const { tokenB, leverageTrade, nftCollateral, nftLoan } = platform;
+
+    // fund the loan pool, the trader and the liquidator
+    await tokenB.approve(nftLoan.target, ethers.parseEther("2000"));
+    await nftLoan.supply(ethers.parseEther("2000"));
+    await tokenB.transfer(trader.address, ethers.parseEther("1000"));
+    await tokenB.transfer(liquidator.address, ethers.parseEther("5000"));
+
+    // trader opens a 10x long, borrower takes a 1000 TokenB loan against NFT #1
+    await tokenB.connect(trader).approve(leverageTrade.target, MARGIN);
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, true, LEVERAGE);
+    await nftCollateral.mint(borrower.address);
+    await nftCollateral.connect(borrower).approve(nftLoan.target, 1);
+    await nftLoan.connect(borrower).depositNFT(nftCollateral.target, 1);
+    await nftLoan.connect(borrower).borrow(1, ethers.parseEther("1000"));
+
+    return { ...platform, owner, trader, borrower, liquidator };
+  }
+
+  function createKeeper(fixture, options = {}) {
+    return new LiquidationKeeper({
+      leverageTrade: fixture.leverageTrade,
+      nftLoan: fixture.nftLoan,
+      priceFeed: fixture.priceFeed,
+      token: fixture.tokenB,
+      signer: fixture.liquidator,
+      log: () => {},
+      ...options
+    });
+  }
+
+  it("Should index open positions and loans from events", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const keeper = createKeeper(fixture);
+
+    expect(await keeper.poll()).to.deep.equal([]);
+
+    const position = keeper.positions.get(1n);
+    const netMargin = MARGIN - (MARGIN * BigInt(LEVERAGE) * 10n) / 10000n;
+    expect(position.user).to.equal(fixture.trader.address);
+    expect(position.isLong).to.be.true;
+    expect(position.margin).to.equal(netMargin);
+    expect(position.size).to.equal(netMargin * BigInt(LEVERAGE));
+    expect(keeper.loans.get(1n).owner).to.equal(fixture.borrower.address);
+  });
+
+  it("Should follow partial closes and margin changes", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const { leverageTrade, tokenB, trader } = fixture;
+    const keeper = createKeeper(fixture);
+    await keeper.poll();
+    const { size } = keeper.positions.get(1n);
+
+    await leverageTrade.connect(trader).decreasePosition(1, size / 2n);
+    await tokenB.connect(trader).approve(leverageTrade.target, ethers.parseEther("10"));
+    await leverageTrade.connect(trader).addMargin(1, ethers.parseEther("10"));
+    await keeper.poll();
+
+    expect(keeper.positions.get(1n).size).to.equal(size / 2n);
+    expect(keeper.positions.get(1n).margin).to.equal((await leverageTrade.positions(1)).margin);
+  });
+
+  it("Should drop positions and loans once they are closed", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const { leverageTrade, nftLoan, tokenB, trader, borrower } = fixture;
+    const keeper = createKeeper(fixture);
+    await keeper.poll();
+
+    await leverageTrade.connect(trader).closePosition(1);
+    // the borrower pays interest on top of the 1000 TokenB borrowed
+    await tokenB.transfer(borrower.address, ethers.parseEther("1"));
+    await tokenB.connect(borrower).approve(nftLoan.target, ethers.parseEther("1001"));
+    await nftLoan.connect(borrower).repayLoan(1);
+    await keeper.poll();
+
+    expect(keeper.positions.size).to.equal(0);
+    expect(keeper.loans.size).to.equal(0);
+  });
+
+  it("Should only report liquidations in dry-run mode", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const { leverageTrade, nftLoan, priceFeed, trader } = fixture;
+    const keeper = createKeeper(fixture, { dryRun: true });
+
+    await priceFeed.updateAnswer(1150n * 10n ** 8n);
+    const results = await keeper.poll();
+
+    expect(results.map(({ kind, id }) => [kind, id])).to.deep.equal([
+      ["position", 1n],
+      ["loan", 1n]
+    ]);
+    expect(results.every(({ txHash }) => txHash === null)).to.be.true;
+    expect((await nftLoan.loans(1)).owner).to.equal(fixture.borrower.address);
+    await expect(leverageTrade.liquidate.staticCall(1)).not.to.be.reverted;
+  });
+
+  it("Should skip liquidations below the minimum profit", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const keeper = createKeeper(fixture, { minProfit: ethers.parseEther("1000") });
+    const skipped = [];
+    keeper.on("skipped", (event) => skipped.push(event));
+
+    await fixture.priceFeed.updateAnswer(1150n * 10n ** 8n);
+
+    expect(await keeper.poll()).to.deep.equal([]);
+    expect(skipped.map(({ reason }) => reason)).to.deep.equal(["unprofitable", "unprofitable"]);
+  });
+
+  it("Should keep liquidating loans when the position price or a check reverts", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const keeper = createKeeper(fixture, { dryRun: true });
+    const skipped = [];
+    keeper.on("skipped", (event) => skipped.push(event));
+    await fixture.priceFeed.updateAnswer(1150n * 10n ** 8n);
+
+    // e.g. a stale feed or one that deviates from its fallback
+    const { getPrice } = keeper.leverageTrade;
+    keeper.leverageTrade.getPrice = async () => {
+      throw new Error("StalePrice");
+    };
+    expect((await keeper.poll()).map(({ kind, id }) => [kind, id])).to.deep.equal([["loan", 1n]]);
+    expect(skipped).to.deep.equal([{ kind: "position", id: 1n, reason: "no price (StalePrice)", profit: 0n }]);
+
+    // a position the contract does not know reverts its check, the others go on
+    keeper.leverageTrade.getPrice = getPrice;
+    keeper.positions.set(99n, { ...keeper.positions.get(1n) });
+    skipped.length = 0;
+    const results = await keeper.checkAll();
+    expect(results.map(({ kind, id }) => [kind, id])).to.deep.equal([
+      ["position", 1n],
+      ["loan", 1n]
+    ]);
+    expect(skipped.map(({ kind, id }) => [kind, id])).to.deep.equal([["position", 99n]]);
+    expect(skipped[0].reason).to.match(/^cannot be checked/);
+  });
+
+  it("Should liquidate position and loan after a price crash", async function () {
+    const fixture = await loadFixture(deployWithPositions);
+    const { leverageTrade, nftCollateral, nftLoan, priceFeed, trader, liquidator } = fixture;
+    const keeper = createKeeper(fixture);
+    await keeper.start();
+
+    const liquidations = [];
+    const done = new Promise((resolve, reject) => {
+      keeper.on("error", reject);
+      keeper.on("liquidation", (result) => {
+        liquidations.push(result);
+        if (liquidations.length === 2) resolve();
+      });
+    });
+
+    try {
+      // 42.5% crash: the 10x long is wiped out, the NFT falls below 120% of its loan
+      await priceFeed.updateAnswer(1150n * 10n ** 8n);
+      await done;
+    } finally {
+      await keeper.stop();
+    }
+
+    expect(liquidations.map(({ kind }) => kind).sort()).to.deep.equal(["loan", "position"]);
+    await expect(leverageTrade.liquidate(1))
+      .to.be.revertedWithCustomError(leverageTrade, "NoPosition");
+    expect(await nftCollateral.ownerOf(1)).to.equal(liquidator.address);
+    expect((await nftLoan.loans(1)).owner).to.equal(ethers.ZeroAddress);
+  });
+});
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers, ignition, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const LeverageTradeModule = require("../ignition/modules/LeverageTrade");
+const { applyChange } = require("./helpers/timelock");
 
 describe("Token and Swap Pool Test", function () {
   const INITIAL_SUPPLY = ethers.parseUnits("1000000", 18);
@@ -37,6 +39,8 @@ describe("Token and Swap Pool Test", function () {
   });
 
   describe("Swap Pool Functionality", function () {
+    const MINIMUM_LIQUIDITY = 1000n;
+
     async function setupWithLiquidity() {
       const fixture = await loadFixture(setupFixture);
       
@@ -45,10 +49,16 @@ describe("Token and Swap Pool Test", function () {
         fixture.tokenB.approve(fixture.swapPool.target, LIQUIDITY_AMOUNT)
       ]);
 
-      await fixture.swapPool.addLiquidity(LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT);
+      await fixture.swapPool.addLiquidity(LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT, 0);
       return fixture;
     }
 
+    // x * y = k with the fee taken from the input
+    function quote(amountIn, reserveIn, reserveOut, fee = 30n) {
+      const amountInWithFee = amountIn * (10000n - fee);
+      return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+    }
+
     it("Should add liquidity correctly", async function () {
       const { tokenA, tokenB, swapPool } = await loadFixture(setupWithLiquidity);
 
@@ -63,6 +73,42 @@ describe("Token and Swap Pool Test", function () {
       expect(reserves).to.deep.equal([LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT]);
     });
 
+    it("Should mint LP tokens to the first provider", async function () {
+      const { swapPool, owner } = await loadFixture(setupWithLiquidity);
+
+      // sqrt(1000e18 * 1000e18) minus the locked minimum
+      expect(await swapPool.balanceOf(owner.address)).to.equal(LIQUIDITY_AMOUNT - MINIMUM_LIQUIDITY);
+      expect(await swapPool.totalSupply()).to.equal(LIQUIDITY_AMOUNT);
+    });
+
+    it("Should only take amounts matching the pool ratio", async function () {
+      const { tokenA, tokenB, swapPool, owner } = await loadFixture(setupWithLiquidity);
+      const [, provider] = await ethers.getSigners();
+      const amount = ethers.parseUnits("100", 18);
+      await tokenA.transfer(provider.address, amount);
+      await tokenB.transfer(provider.address, amount * 2n);
+      await tokenA.connect(provider).approve(swapPool.target, amount);
+      await tokenB.connect(provider).approve(swapPool.target, amount * 2n);
+
+      await expect(swapPool.connect(provider).addLiquidity(amount, amount * 2n, 0))
+        .to.emit(swapPool, "LiquidityAdded")
+        .withArgs(provider.address, amount, amount, amount);
+
+      expect(await tokenB.balanceOf(provider.address)).to.equal(amount);
+      expect(await swapPool.balanceOf(provider.address)).to.equal(amount);
+      expect(await swapPool.balanceOf(owner.address)).to.equal(LIQUIDITY_AMOUNT - MINIMUM_LIQUIDITY);
+    });
+
+    it("Should reject deposits minting less than the minimum", async function () {
+      const { tokenA, tokenB, swapPool } = await loadFixture(setupWithLiquidity);
+      const amount = ethers.parseUnits("10", 18);
+      await tokenA.approve(swapPool.target, amount);
+      await tokenB.approve(swapPool.target, amount);
+
+      await expect(swapPool.addLiquidity(amount, amount, amount + 1n))
+        .to.be.revertedWithCustomError(swapPool, "SlippageTooHigh");
+    });
+
     it("Should swap tokens correctly", async function () {
       const { tokenA, tokenB, swapPool, owner } = await loadFixture(setupWithLiquidity);
       const SWAP_AMOUNT = ethers.parseUnits("100", 18);
@@ -73,12 +119,13 @@ describe("Token and Swap Pool Test", function () {
       const initialBalanceB = await tokenB.balanceOf(owner.address);
       await tokenA.approve(swapPool.target, SWAP_AMOUNT);
       
-      const expectedAmountB = await swapPool.swap.staticCall(SWAP_AMOUNT, MIN_AMOUNTB);
+      const expectedAmountB = await swapPool.swap.staticCall(tokenA.target, SWAP_AMOUNT, MIN_AMOUNTB);
+      expect(expectedAmountB).to.equal(quote(SWAP_AMOUNT, LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT));
       
-      const tx = await swapPool.swap(SWAP_AMOUNT, MIN_AMOUNTB);
+      const tx = await swapPool.swap(tokenA.target, SWAP_AMOUNT, MIN_AMOUNTB);
       await expect(tx)
         .to.emit(swapPool, "Swap")
-        .withArgs(owner.address, SWAP_AMOUNT, expectedAmountB);
+        .withArgs(owner.address, tokenA.target, SWAP_AMOUNT, expectedAmountB);
 
       const finalBalanceB = await tokenB.balanceOf(owner.address);
       expect(finalBalanceB - initialBalanceB).to.equal(expectedAmountB);
@@ -86,6 +133,183 @@ describe("Token and Swap Pool Test", function () {
       const finalBalanceA = await tokenA.balanceOf(owner.address);
       expect(initialBalanceA - finalBalanceA).to.equal(SWAP_AMOUNT);
     });
+
+    it("Should swap TokenB for TokenA", async function () {
+      const { tokenA, tokenB, swapPool, owner } = await loadFixture(setupWithLiquidity);
+      const SWAP_AMOUNT = ethers.parseUnits("50", 18);
+      const expectedAmountA = quote(SWAP_AMOUNT, LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT);
+      await tokenB.approve(swapPool.target, SWAP_AMOUNT);
+
+      await expect(swapPool.swap(tokenB.target, SWAP_AMOUNT, expectedAmountA))
+        .to.emit(swapPool, "Swap")
+        .withArgs(owner.address, tokenB.target, SWAP_AMOUNT, expectedAmountA);
+
+      expect(await swapPool.reserveA()).to.equal(LIQUIDITY_AMOUNT - expectedAmountA);
+      expect(await swapPool.reserveB()).to.equal(LIQUIDITY_AMOUNT + SWAP_AMOUNT);
+    });
+
+    it("Should keep the product of reserves from decreasing", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupWithLiquidity);
+      const SWAP_AMOUNT = ethers.parseUnits("300", 18);
+      await tokenA.approve(swapPool.target, SWAP_AMOUNT);
+
+      await swapPool.swap(tokenA.target, SWAP_AMOUNT, 0);
+
+      const [reserveA, reserveB] = await swapPool.getReserves();
+      expect(reserveA * reserveB).to.be.greaterThan(LIQUIDITY_AMOUNT * LIQUIDITY_AMOUNT);
+    });
+
+    it("Should reject swaps below the minimum output", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupWithLiquidity);
+      const SWAP_AMOUNT = ethers.parseUnits("100", 18);
+      await tokenA.approve(swapPool.target, SWAP_AMOUNT);
+
+      // the spot price would give 100 TokenB, the curve and fee give less
+      await expect(swapPool.swap(tokenA.target, SWAP_AMOUNT, SWAP_AMOUNT))
+        .to.be.revertedWithCustomError(swapPool, "SlippageTooHigh");
+    });
+
+    it("Should reject tokens outside the pool", async function () {
+      const { swapPool } = await loadFixture(setupWithLiquidity);
+      const other = await ethers.deployContract("TokenA");
+
+      await expect(swapPool.swap(other.target, 1, 0))
+        .to.be.revertedWithCustomError(swapPool, "InvalidToken")
+        .withArgs(other.target);
+    });
+
+    it("Should quote amounts in and out", async function () {
+      const { tokenA, tokenB, swapPool } = await loadFixture(setupWithLiquidity);
+      const amountOut = ethers.parseUnits("90", 18);
+
+      const amountIn = await swapPool.getAmountIn(tokenA.target, amountOut);
+      expect(await swapPool.getAmountOut(tokenA.target, amountIn)).to.be.at.least(amountOut);
+      expect(await swapPool.getAmountOut(tokenA.target, amountIn - 1n)).to.be.lessThan(amountOut);
+
+      await expect(swapPool.getAmountIn(tokenB.target, LIQUIDITY_AMOUNT))
+        .to.be.revertedWithCustomError(swapPool, "InsufficientReserve");
+    });
+
+    it("Should reject quotes on an empty pool", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupFixture);
+
+      await expect(swapPool.getAmountOut(tokenA.target, 1))
+        .to.be.revertedWithCustomError(swapPool, "InsufficientLiquidity");
+    });
+
+    it("Should remove liquidity with the earned fees", async function () {
+      const { tokenA, tokenB, swapPool, owner } = await loadFixture(setupWithLiquidity);
+      const SWAP_AMOUNT = ethers.parseUnits("100", 18);
+      await tokenA.approve(swapPool.target, SWAP_AMOUNT);
+      await swapPool.swap(tokenA.target, SWAP_AMOUNT, 0);
+
+      const liquidity = await swapPool.balanceOf(owner.address);
+      const [reserveA, reserveB] = await swapPool.getReserves();
+      const supply = await swapPool.totalSupply();
+      const expectedA = (liquidity * reserveA) / supply;
+      const expectedB = (liquidity * reserveB) / supply;
+
+      const initialBalanceA = await tokenA.balanceOf(owner.address);
+      await expect(swapPool.removeLiquidity(liquidity, expectedA, expectedB))
+        .to.emit(swapPool, "LiquidityRemoved")
+        .withArgs(owner.address, expectedA, expectedB, liquidity);
+
+      expect(await tokenA.balanceOf(owner.address)).to.equal(initialBalanceA + expectedA);
+      expect(await swapPool.balanceOf(owner.address)).to.equal(0);
+      expect(await swapPool.totalSupply()).to.equal(MINIMUM_LIQUIDITY);
+      // the swap fee stays in the pool: the LP withdraws more value than it put in
+      expect(expectedA * expectedB).to.be.greaterThan((LIQUIDITY_AMOUNT - MINIMUM_LIQUIDITY) ** 2n);
+      expect(await tokenB.balanceOf(swapPool.target)).to.equal(reserveB - expectedB);
+    });
+
+    it("Should reject removing liquidity below the minimum amounts", async function () {
+      const { swapPool, owner } = await loadFixture(setupWithLiquidity);
+      const liquidity = await swapPool.balanceOf(owner.address);
+
+      await expect(swapPool.removeLiquidity(liquidity, LIQUIDITY_AMOUNT, 0))
+        .to.be.revertedWithCustomError(swapPool, "SlippageTooHigh");
+    });
+
+    it("Should let only the risk manager set the fee, behind the timelock", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupWithLiquidity);
+      const [, other] = await ethers.getSigners();
+
+      await expect(swapPool.connect(other).setFee(10))
+        .to.be.revertedWithCustomError(swapPool, "AccessControlUnauthorizedAccount");
+      await expect(swapPool.setFee(101))
+        .to.be.revertedWithCustomError(swapPool, "FeeTooHigh");
+
+      await expect(swapPool.setFee(0)).to.emit(swapPool, "ChangeQueued");
+      expect(await swapPool.fee()).to.equal(30);
+      await expect(swapPool.executeChange(swapPool.interface.encodeFunctionData("setFee", [0])))
+        .to.be.revertedWithCustomError(swapPool, "ChangeNotReady");
+
+      await time.increase(2 * 24 * 3600);
+      await expect(swapPool.connect(other).executeChange(swapPool.interface.encodeFunctionData("setFee", [0])))
+        .to.emit(swapPool, "FeeUpdated").withArgs(0);
+      const amountIn = ethers.parseUnits("100", 18);
+      expect(await swapPool.getAmountOut(tokenA.target, amountIn))
+        .to.equal(quote(amountIn, LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT, 0n));
+    });
+
+    it("Should stop swaps and deposits but not withdrawals while paused", async function () {
+      const { tokenA, tokenB, swapPool, owner } = await loadFixture(setupWithLiquidity);
+      const [, other] = await ethers.getSigners();
+      await tokenA.approve(swapPool.target, LIQUIDITY_AMOUNT);
+      await tokenB.approve(swapPool.target, LIQUIDITY_AMOUNT);
+
+      await expect(swapPool.connect(other).pause())
+        .to.be.revertedWithCustomError(swapPool, "AccessControlUnauthorizedAccount");
+      await expect(swapPool.pause()).to.emit(swapPool, "Paused").withArgs(owner.address);
+
+      await expect(swapPool.swap(tokenA.target, 100, 0))
+        .to.be.revertedWithCustomError(swapPool, "EnforcedPause");
+      await expect(swapPool.addLiquidity(LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT, 0))
+        .to.be.revertedWithCustomError(swapPool, "EnforcedPause");
+      await expect(swapPool.removeLiquidity(await swapPool.balanceOf(owner.address), 0, 0))
+        .to.emit(swapPool, "LiquidityRemoved");
+
+      await expect(swapPool.unpause()).to.emit(swapPool, "Unpaused");
+      await expect(swapPool.addLiquidity(LIQUIDITY_AMOUNT, LIQUIDITY_AMOUNT, 0))
+        .to.emit(swapPool, "LiquidityAdded");
+    });
+
+    it("Should cap the volume sold to the pool in one block", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupWithLiquidity);
+      await tokenA.approve(swapPool.target, LIQUIDITY_AMOUNT);
+
+      // 50% of the TokenA reserve per block
+      await expect(swapPool.swap(tokenA.target, ethers.parseUnits("501", 18), 0))
+        .to.be.revertedWithCustomError(swapPool, "BlockVolumeExceeded")
+        .withArgs(ethers.parseUnits("501", 18), ethers.parseUnits("500", 18));
+
+      // 450 fit, 300 more in the same block are over 50% of the 1450 reserve
+      await network.provider.send("evm_setAutomine", [false]);
+      const first = await swapPool.swap(tokenA.target, ethers.parseUnits("450", 18), 0, { gasLimit: 300000 });
+      const second = await swapPool.swap(tokenA.target, ethers.parseUnits("300", 18), 0, { gasLimit: 300000 });
+      await network.provider.send("evm_mine");
+      await network.provider.send("evm_setAutomine", [true]);
+
+      expect((await first.wait()).status).to.equal(1);
+      await expect(second.wait()).to.be.rejected;
+      await expect(swapPool.swap(tokenA.target, ethers.parseUnits("300", 18), 0)).to.emit(swapPool, "Swap");
+    });
+
+    it("Should let only the risk manager set the volume cap", async function () {
+      const { tokenA, swapPool } = await loadFixture(setupWithLiquidity);
+      const [, other] = await ethers.getSigners();
+
+      await expect(swapPool.setMaxBlockVolume(10001))
+        .to.be.revertedWithCustomError(swapPool, "InvalidVolumeCap");
+      await expect(swapPool.connect(other).setMaxBlockVolume(0))
+        .to.be.revertedWithCustomError(swapPool, "AccessControlUnauthorizedAccount");
+      await expect(applyChange(swapPool, "setMaxBlockVolume", [0]))
+        .to.emit(swapPool, "MaxBlockVolumeUpdated")
+        .withArgs(0);
+
+      await tokenA.approve(swapPool.target, LIQUIDITY_AMOUNT);
+      await expect(swapPool.swap(tokenA.target, LIQUIDITY_AMOUNT, 0)).to.emit(swapPool, "Swap");
+    });
   });
 });
 
@@ -99,13 +323,15 @@ describe("NFTLoan", function () {
       ethers.deployContract("MockV3Aggregator", [8, 1000 * 10 ** 8]) // base price 1000 USD
     ]);
 
-    const loan = await ethers.deployContract("NFTLoan", [nft.target, token.target, priceFeed.target]);
+    const loan = await ethers.deployContract("NFTLoan", [token.target]);
+    await loan.listCollection(nft.target, priceFeed.target, 50, 120); // 50% LTV, 120% liquidation threshold
 
     await Promise.all([
       nft.mint(user1.address), // NFT ID 1
       token.transfer(user1.address, ethers.parseEther("1000")),
-      token.transfer(loan.target, ethers.parseEther("1000")) 
+      token.approve(loan.target, ethers.parseEther("1000"))
     ]);
+    await loan.supply(ethers.parseEther("1000")); // owner is the lender
 
     return { nft, token, priceFeed, loan, owner, user1, user2 };
   }
@@ -113,7 +339,8 @@ describe("NFTLoan", function () {
   async function setupWithLoan() {
     const fixture = await loadFixture(deployContracts);
     await fixture.nft.connect(fixture.user1).approve(fixture.loan.target, 1);
-    await fixture.loan.connect(fixture.user1).depositNFT(1);
+    await fixture.loan.connect(fixture.user1).depositNFT(fixture.nft.target, 1);
+    await fixture.loan.connect(fixture.user1).borrow(1, ethers.parseEther("500")); // 1000 * 50%
     return fixture;
   }
 
@@ -121,30 +348,29 @@ describe("NFTLoan", function () {
     it("should initialize contracts correctly", async function () {
       const { nft, token, priceFeed, loan } = await loadFixture(deployContracts);
       
-      const [nftAddr, tokenAddr, feedAddr, ltv] = await Promise.all([
-        loan.nft(),
+      const [tokenAddr, collateral] = await Promise.all([
         loan.token(),
-        loan.priceFeed(),
-        loan.LOAN_TO_VALUE()
+        loan.collaterals(nft.target)
       ]);
 
-      expect(nftAddr).to.equal(nft.target);
       expect(tokenAddr).to.equal(token.target);
-      expect(feedAddr).to.equal(priceFeed.target);
-      expect(ltv).to.equal(50);
+      expect(collateral.listed).to.be.true;
+      expect(collateral.priceFeed).to.equal(priceFeed.target);
+      expect(collateral.loanToValue).to.equal(50);
+      expect(collateral.liquidationThreshold).to.equal(120);
     });
   });
 
   describe("depositNFT", function () {
-    it("should deposit NFT and issue loan", async function () {
+    it("should deposit NFT without borrowing", async function () {
       const { nft, token, loan, user1 } = await loadFixture(deployContracts);
       
       await nft.connect(user1).approve(loan.target, 1);
       
-      const tx = loan.connect(user1).depositNFT(1);
+      const tx = loan.connect(user1).depositNFT(nft.target, 1);
       await expect(tx)
         .to.emit(loan, "Deposited") 
-        .withArgs(user1.address, 1, ethers.parseEther("500")); // 1000 * 50%
+        .withArgs(user1.address, 1, nft.target, 1);
 
       // 并行检查状态
       const [owner, loanInfo, userBalance] = await Promise.all([
@@ -155,27 +381,399 @@ describe("NFTLoan", function () {
 
       expect(owner).to.equal(loan.target);
       expect(loanInfo.owner).to.equal(user1.address);
-      expect(loanInfo.amount).to.equal(ethers.parseEther("500"));
-      expect(userBalance).to.equal(ethers.parseEther("1500")); // initial(1000) + 500
+      expect(loanInfo.amount).to.equal(0);
+      expect(userBalance).to.equal(ethers.parseEther("1000"));
+      expect(await loan.debtOf(1)).to.equal(0);
+      expect(await loan.maxBorrow(1)).to.equal(ethers.parseEther("500")); // 1000 * 50%
     });
 
     it("should reject non-owner deposits", async function () {
-      const { loan, user2 } = await loadFixture(deployContracts);
-      await expect(loan.connect(user2).depositNFT(1))
+      const { nft, loan, user2 } = await loadFixture(deployContracts);
+      await expect(loan.connect(user2).depositNFT(nft.target, 1))
         .to.be.revertedWithCustomError(loan, "NotNFTOwner");
     });
+
+    it("should reject collections that are not listed", async function () {
+      const { loan, user1 } = await loadFixture(deployContracts);
+      const other = await ethers.deployContract("NFTCollateral");
+      await other.mint(user1.address);
+
+      await expect(loan.connect(user1).depositNFT(other.target, 1))
+        .to.be.revertedWithCustomError(loan, "CollectionNotListed")
+        .withArgs(other.target);
+    });
+  });
+
+  describe("borrow", function () {
+    async function setupWithDeposit() {
+      const fixture = await loadFixture(deployContracts);
+      await fixture.nft.connect(fixture.user1).approve(fixture.loan.target, 1);
+      await fixture.loan.connect(fixture.user1).depositNFT(fixture.nft.target, 1);
+      return fixture;
+    }
+
+    it("should issue any amount up to the LTV", async function () {
+      const { token, loan, user1 } = await loadFixture(setupWithDeposit);
+      const amount = ethers.parseEther("200");
+
+      await expect(loan.connect(user1).borrow(1, amount))
+        .to.emit(loan, "Borrowed")
+        .withArgs(user1.address, 1, amount);
+
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("1200"));
+      expect((await loan.loans(1)).amount).to.equal(amount);
+      // scaled debt rounds up by at most 1 wei
+      expect(await loan.debtOf(1)).to.be.closeTo(amount, 1n);
+    });
+
+    it("should let the borrower borrow more within the limit", async function () {
+      const { loan, user1 } = await loadFixture(setupWithDeposit);
+      await loan.connect(user1).borrow(1, ethers.parseEther("200"));
+      await loan.connect(user1).borrow(1, ethers.parseEther("250"));
+
+      expect((await loan.loans(1)).amount).to.equal(ethers.parseEther("450"));
+      const available = await loan.maxBorrow(1);
+      expect(available).to.be.closeTo(ethers.parseEther("50"), ethers.parseEther("0.001"));
+
+      await expect(loan.connect(user1).borrow(1, ethers.parseEther("51")))
+        .to.be.revertedWithCustomError(loan, "ExceedsBorrowLimit");
+    });
+
+    it("should reject borrowing over the LTV", async function () {
+      const { loan, user1 } = await loadFixture(setupWithDeposit);
+      const amount = ethers.parseEther("501");
+
+      await expect(loan.connect(user1).borrow(1, amount))
+        .to.be.revertedWithCustomError(loan, "ExceedsBorrowLimit")
+        .withArgs(amount, ethers.parseEther("500"));
+    });
+
+    it("should reject borrowing by non-borrower", async function () {
+      const { loan, user2 } = await loadFixture(setupWithDeposit);
+      await expect(loan.connect(user2).borrow(1, 1))
+        .to.be.revertedWithCustomError(loan, "NotLoanOwner");
+    });
+
+    it("should let the borrower withdraw an NFT without debt", async function () {
+      const { nft, loan, user1 } = await loadFixture(setupWithDeposit);
+
+      await expect(loan.connect(user1).withdrawNFT(1))
+        .to.emit(loan, "Withdrawn")
+        .withArgs(user1.address, 1, nft.target, 1);
+
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      expect((await loan.loans(1)).owner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should keep the NFT while there is debt", async function () {
+      const { loan, user1 } = await loadFixture(setupWithLoan);
+      await expect(loan.connect(user1).withdrawNFT(1))
+        .to.be.revertedWithCustomError(loan, "OutstandingDebt");
+    });
   });
 
+  describe("healthFactor", function () {
+    it("should report the collateral value over the liquidation threshold", async function () {
+      const { loan } = await loadFixture(setupWithLoan);
+      const debt = await loan.debtOf(1);
+
+      // 1000 of collateral against 500 * 120%
+      const expected = (ethers.parseEther("1000") * 100n * 10n ** 18n) / (debt * 120n);
+      expect(await loan.healthFactor(1)).to.equal(expected);
+      expect(expected).to.be.closeTo(ethers.parseEther("1.6666"), ethers.parseEther("0.0001"));
+    });
+
+    it("should fall below 1.0 exactly when the loan becomes liquidatable", async function () {
+      const { loan, priceFeed } = await loadFixture(setupWithLoan);
+
+      await priceFeed.updateAnswer(601 * 1e8);
+      expect(await loan.healthFactor(1)).to.be.at.least(ethers.parseEther("1"));
+      expect(await loan.isLiquidatable(1)).to.be.false;
+
+      // 500 debt plus interest needs just over 600
+      await priceFeed.updateAnswer(600 * 1e8);
+      expect(await loan.healthFactor(1)).to.be.lessThan(ethers.parseEther("1"));
+      expect(await loan.isLiquidatable(1)).to.be.true;
+    });
+
+    it("should be unbounded without debt", async function () {
+      const { nft, loan, user1 } = await loadFixture(deployContracts);
+      await nft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(nft.target, 1);
+
+      expect(await loan.healthFactor(1)).to.equal(ethers.MaxUint256);
+      expect(await loan.isLiquidatable(1)).to.be.false;
+    });
+  });
+
+  describe("lending pool", function () {
+    it("should mint shares for supplied TokenB", async function () {
+      const { token, loan, owner, user2 } = await loadFixture(deployContracts);
+
+      // the first supply locks MINIMUM_LIQUIDITY shares
+      expect(await loan.balanceOf(owner.address)).to.equal(ethers.parseEther("1000") - 1000n);
+      expect(await loan.cash()).to.equal(ethers.parseEther("1000"));
+
+      const amount = ethers.parseEther("300");
+      await token.transfer(user2.address, amount);
+      await token.connect(user2).approve(loan.target, amount);
+      await expect(loan.connect(user2).supply(amount))
+        .to.emit(loan, "Supplied")
+        .withArgs(user2.address, amount, amount);
+      expect(await loan.totalAssets()).to.equal(ethers.parseEther("1300"));
+    });
+
+    it("should pay borrower interest to lenders", async function () {
+      const { token, loan, owner, user1 } = await loadFixture(setupWithLoan);
+      await time.increase(365 * 24 * 3600);
+
+      await token.connect(user1).approve(loan.target, ethers.parseEther("600"));
+      await loan.connect(user1).repayLoan(1);
+
+      const shares = await loan.balanceOf(owner.address);
+      const balance = await token.balanceOf(owner.address);
+      await expect(loan.redeem(shares)).to.emit(loan, "Redeemed");
+
+      // about 22.5 TokenB of interest, less the locked shares
+      const withdrawn = (await token.balanceOf(owner.address)) - balance;
+      expect(withdrawn).to.be.closeTo(ethers.parseEther("1022.5"), ethers.parseEther("0.01"));
+    });
+
+    it("should only let lenders withdraw TokenB that is not lent out", async function () {
+      const { loan, owner } = await loadFixture(setupWithLoan);
+      const shares = await loan.balanceOf(owner.address);
+
+      await expect(loan.redeem(shares))
+        .to.be.revertedWithCustomError(loan, "InsufficientLiquidity");
+      await loan.redeem(shares / 4n);
+      expect(await loan.cash()).to.be.closeTo(ethers.parseEther("250"), ethers.parseEther("0.01"));
+    });
+
+    it("should reject borrows larger than the available liquidity", async function () {
+      const { nft, loan, owner, user1 } = await loadFixture(deployContracts);
+      await loan.redeem((await loan.balanceOf(owner.address)) - ethers.parseEther("100"));
+      await nft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(nft.target, 1);
+
+      const cash = await loan.cash();
+      await expect(loan.connect(user1).borrow(1, ethers.parseEther("200")))
+        .to.be.revertedWithCustomError(loan, "InsufficientLiquidity")
+        .withArgs(ethers.parseEther("200"), cash);
+    });
+
+    it("should ignore TokenB sent without supplying", async function () {
+      const { token, loan } = await loadFixture(deployContracts);
+      const assets = await loan.totalAssets();
+
+      await token.transfer(loan.target, ethers.parseEther("500"));
+      expect(await loan.totalAssets()).to.equal(assets);
+    });
+
+    it("should share liquidation penalties with lenders", async function () {
+      const { token, loan, priceFeed, user2 } = await loadFixture(setupWithLoan);
+      await token.transfer(user2.address, ethers.parseEther("600"));
+      await token.connect(user2).approve(loan.target, ethers.parseEther("600"));
+      await priceFeed.updateAnswer(500 * 1e8);
+
+      const liquidateAt = (await time.latest()) + 10;
+      const debt = await debtAt(loan, 1, liquidateAt);
+      const penalty = debt * 5n / 100n;
+      const cash = await loan.cash();
+
+      await time.setNextBlockTimestamp(liquidateAt);
+      await loan.connect(user2).liquidate(1);
+
+      expect(await loan.cash()).to.equal(cash + debt + penalty - penalty / 2n);
+      expect(await loan.totalBorrows()).to.equal(0);
+      expect(await token.balanceOf(user2.address))
+        .to.equal(ethers.parseEther("600") - debt - penalty + penalty / 2n);
+    });
+  });
+
+  describe("collateral registry", function () {
+    async function deployTwoCollections() {
+      const fixture = await loadFixture(deployContracts);
+      const rareNft = await ethers.deployContract("NFTCollateral");
+      const rareFeed = await ethers.deployContract("MockV3Aggregator", [8, 4000 * 10 ** 8]);
+      await fixture.loan.listCollection(rareNft.target, rareFeed.target, 25, 150);
+      await fixture.token.approve(fixture.loan.target, ethers.parseEther("5000"));
+      await fixture.loan.supply(ethers.parseEther("5000"));
+      await rareNft.mint(fixture.user1.address);
+      await rareNft.mint(fixture.user1.address);
+      return { ...fixture, rareNft, rareFeed };
+    }
+
+    it("should lend against each collection with its own feed and LTV", async function () {
+      const { nft, loan, rareNft, user1 } = await loadFixture(deployTwoCollections);
+      await nft.connect(user1).approve(loan.target, 1);
+      await rareNft.connect(user1).approve(loan.target, 2);
+
+      await loan.connect(user1).depositNFT(nft.target, 1);
+      await expect(loan.connect(user1).depositNFT(rareNft.target, 2))
+        .to.emit(loan, "Deposited")
+        .withArgs(user1.address, 2, rareNft.target, 2);
+
+      expect(await loan.maxBorrow(1)).to.equal(ethers.parseEther("500")); // 1000 * 50%
+      expect(await loan.maxBorrow(2)).to.equal(ethers.parseEther("1000")); // 4000 * 25%
+      await expect(loan.connect(user1).borrow(2, ethers.parseEther("1000")))
+        .to.emit(loan, "Borrowed")
+        .withArgs(user1.address, 2, ethers.parseEther("1000"));
+
+      const loanInfo = await loan.loans(2);
+      expect(loanInfo.collection).to.equal(rareNft.target);
+      expect(loanInfo.tokenId).to.equal(2);
+    });
+
+    it("should apply the liquidation threshold of the collection", async function () {
+      const { loan, rareNft, rareFeed, user1 } = await loadFixture(deployTwoCollections);
+      await rareNft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(rareNft.target, 1);
+      await loan.connect(user1).borrow(1, ethers.parseEther("1000"));
+
+      // 1000 debt needs 1500 of collateral at 150%
+      await rareFeed.updateAnswer(1600 * 10 ** 8);
+      expect(await loan.isLiquidatable(1)).to.be.false;
+      await rareFeed.updateAnswer(1400 * 10 ** 8);
+      expect(await loan.isLiquidatable(1)).to.be.true;
+    });
+
+    it("should value tokens with their rarity multiplier", async function () {
+      const { loan, rareNft, rareFeed, user1 } = await loadFixture(deployTwoCollections);
+      // a direct call only queues the change
+      await expect(loan.setRarityMultipliers(rareNft.target, [2], [25000]))
+        .to.emit(loan, "ChangeQueued")
+        .and.not.to.emit(loan, "RarityMultiplierUpdated");
+      expect(await loan.rarityMultipliers(rareNft.target, 2)).to.equal(0);
+      await expect(applyChange(loan, "setRarityMultipliers", [rareNft.target, [2], [25000]], [rareFeed]))
+        .to.emit(loan, "RarityMultiplierUpdated")
+        .withArgs(rareNft.target, 2, 25000);
+
+      expect(await loan.collateralValue(rareNft.target, 1)).to.equal(ethers.parseEther("4000"));
+      expect(await loan.collateralValue(rareNft.target, 2)).to.equal(ethers.parseEther("10000")); // 2.5x
+
+      await rareNft.connect(user1).approve(loan.target, 2);
+      await loan.connect(user1).depositNFT(rareNft.target, 2);
+      expect(await loan.maxBorrow(1)).to.equal(ethers.parseEther("2500"));
+    });
+
+    it("should value tokens with an appraisal oracle when one is set", async function () {
+      const { loan, rareNft, user1 } = await loadFixture(deployTwoCollections);
+      const appraiser = await ethers.deployContract("MockNFTAppraiser");
+      await appraiser.setAppraisal(rareNft.target, 1, ethers.parseEther("7000"));
+
+      await expect(loan.connect(user1).setAppraiser(rareNft.target, appraiser.target))
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.setAppraiser(rareNft.target, appraiser.target))
+        .to.emit(loan, "ChangeQueued")
+        .and.not.to.emit(loan, "AppraiserUpdated");
+      expect((await loan.collaterals(rareNft.target)).appraiser).to.equal(ethers.ZeroAddress);
+      await expect(applyChange(loan, "setAppraiser", [rareNft.target, appraiser.target]))
+        .to.emit(loan, "AppraiserUpdated")
+        .withArgs(rareNft.target, appraiser.target);
+
+      expect(await loan.collateralValue(rareNft.target, 1)).to.equal(ethers.parseEther("7000"));
+      await expect(loan.collateralValue(rareNft.target, 2))
+        .to.be.revertedWithCustomError(appraiser, "NotAppraised");
+    });
+
+    it("should stop new deposits of delisted collections", async function () {
+      const { loan, rareNft, user1 } = await loadFixture(deployTwoCollections);
+      await rareNft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(rareNft.target, 1);
+      await loan.connect(user1).borrow(1, ethers.parseEther("500"));
+
+      await expect(loan.delistCollection(rareNft.target))
+        .to.emit(loan, "CollectionDelisted")
+        .withArgs(rareNft.target);
+
+      await rareNft.connect(user1).approve(loan.target, 2);
+      await expect(loan.connect(user1).depositNFT(rareNft.target, 2))
+        .to.be.revertedWithCustomError(loan, "CollectionNotListed");
+      // open loans are still valued
+      expect(await loan.isLiquidatable(1)).to.be.false;
+    });
+
+    it("should reject stale floor prices", async function () {
+      const { nft, loan, priceFeed, user1 } = await loadFixture(deployContracts);
+      await nft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(nft.target, 1);
+      expect((await loan.collaterals(nft.target)).maxPriceAge).to.equal(24 * 3600);
+
+      await time.increase(24 * 3600 + 1);
+      await expect(loan.connect(user1).borrow(1, ethers.parseEther("100")))
+        .to.be.revertedWithCustomError(loan, "StalePrice");
+
+      await priceFeed.updateAnswer(1000 * 1e8);
+      await loan.connect(user1).borrow(1, ethers.parseEther("100"));
+    });
+
+    it("should reject negative floor prices", async function () {
+      const { nft, loan, priceFeed } = await loadFixture(deployContracts);
+      await priceFeed.updateAnswer(-1);
+      await expect(loan.collateralValue(nft.target, 1))
+        .to.be.revertedWithCustomError(loan, "InvalidPrice");
+    });
+
+    it("should value tokens with the fallback floor price feed", async function () {
+      const { nft, loan, priceFeed, user1 } = await loadFixture(deployContracts);
+      const fallbackFeed = await ethers.deployContract("MockV3Aggregator", [18, ethers.parseEther("900")]);
+
+      await expect(loan.connect(user1).setOracleConfig(nft.target, fallbackFeed.target, 3600, 0))
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.setOracleConfig(nft.target, fallbackFeed.target, 3600, 0))
+        .to.emit(loan, "ChangeQueued")
+        .and.not.to.emit(loan, "OracleConfigUpdated");
+      expect((await loan.collaterals(nft.target)).fallbackFeed).to.equal(ethers.ZeroAddress);
+      await expect(applyChange(loan, "setOracleConfig", [nft.target, fallbackFeed.target, 3600, 0], [fallbackFeed]))
+        .to.emit(loan, "OracleConfigUpdated")
+        .withArgs(nft.target, fallbackFeed.target, 3600, 0);
+
+      await priceFeed.updateRoundData(2, 1000 * 1e8, 0, 0);
+      expect(await loan.collateralValue(nft.target, 1)).to.equal(ethers.parseEther("900"));
+    });
+
+    it("should reject unsafe collateral parameters", async function () {
+      const { loan, nft, priceFeed, user1 } = await loadFixture(deployContracts);
+
+      await expect(loan.listCollection(nft.target, priceFeed.target, 81, 120))
+        .to.be.revertedWithCustomError(loan, "InvalidCollateralConfig");
+      // 80% LTV with a 125% threshold is liquidatable as soon as it opens
+      await expect(loan.listCollection(nft.target, priceFeed.target, 80, 125))
+        .to.be.revertedWithCustomError(loan, "InvalidCollateralConfig");
+      await expect(loan.setRarityMultipliers(nft.target, [1], [100001]))
+        .to.be.revertedWithCustomError(loan, "InvalidRarityMultiplier");
+      await expect(loan.connect(user1).listCollection(nft.target, priceFeed.target, 50, 120))
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // Debt of a loan at a future timestamp, mirrors the borrow index math of NFTLoan
+  async function debtAt(loan, tokenId, timestamp) {
+    const YEAR = 365n * 24n * 3600n;
+    const [borrowIndex, lastAccrual, rate, { scaledDebt }] = await Promise.all([
+      loan.borrowIndex(),
+      loan.lastAccrual(),
+      loan.borrowRate(),
+      loan.loans(tokenId)
+    ]);
+    const index = borrowIndex + (borrowIndex * rate * (BigInt(timestamp) - lastAccrual)) / (10000n * YEAR);
+    const precision = 10n ** 18n;
+    return (scaledDebt * index + precision - 1n) / precision;
+  }
+
   describe("repayLoan", function () {
     it("should repay full loan and return NFT", async function () {
       const { nft, token, loan, user1 } = await loadFixture(setupWithLoan);
       const loanAmount = ethers.parseEther("500");
+      const repayAt = (await time.latest()) + 100;
+      const debt = await debtAt(loan, 1, repayAt);
       
-      await token.connect(user1).approve(loan.target, loanAmount);
+      await token.connect(user1).approve(loan.target, debt);
       
+      await time.setNextBlockTimestamp(repayAt);
       await expect(loan.connect(user1).repayLoan(1))
         .to.emit(loan, "Repaid")
-        .withArgs(user1.address, 1, loanAmount);
+        .withArgs(user1.address, 1, loanAmount, debt - loanAmount);
 
       const [nftOwner, loanExists] = await Promise.all([
         nft.ownerOf(1),
@@ -200,6 +798,152 @@ describe("NFTLoan", function () {
       await expect(loan.connect(user2).repayLoan(1))
         .to.be.revertedWithCustomError(loan, "NotLoanOwner");
     });
+
+    it("should apply partial repayments to interest first", async function () {
+      const { nft, token, loan, user1 } = await loadFixture(setupWithLoan);
+      const repayAt = (await time.latest()) + 365 * 24 * 3600;
+      const debt = await debtAt(loan, 1, repayAt);
+      const interest = debt - ethers.parseEther("500");
+      const payment = ethers.parseEther("100");
+      await token.connect(user1).approve(loan.target, payment);
+
+      await time.setNextBlockTimestamp(repayAt);
+      await expect(loan.connect(user1).repay(1, payment))
+        .to.emit(loan, "Repaid")
+        .withArgs(user1.address, 1, payment - interest, interest);
+
+      const loanInfo = await loan.loans(1);
+      expect(loanInfo.amount).to.equal(ethers.parseEther("500") - (payment - interest));
+      expect(await loan.debtOf(1)).to.be.closeTo(debt - payment, 1n);
+      expect(await nft.ownerOf(1)).to.equal(loan.target);
+    });
+
+    it("should keep the NFT deposited when a repayment covers the debt", async function () {
+      const { nft, token, loan, user1 } = await loadFixture(setupWithLoan);
+      const payment = ethers.parseEther("600");
+      await token.connect(user1).approve(loan.target, payment);
+
+      const balance = await token.balanceOf(user1.address);
+      await loan.connect(user1).repay(1, payment);
+
+      expect(balance - await token.balanceOf(user1.address)).to.be.lessThan(payment);
+      expect(await loan.debtOf(1)).to.equal(0);
+      expect(await nft.ownerOf(1)).to.equal(loan.target);
+
+      await loan.connect(user1).withdrawNFT(1);
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("should reject zero repayments", async function () {
+      const { loan, user1 } = await loadFixture(setupWithLoan);
+      await expect(loan.connect(user1).repay(1, 0))
+        .to.be.revertedWithCustomError(loan, "InvalidAmount");
+    });
+  });
+
+  describe("interest", function () {
+    it("should accrue interest at the utilization rate", async function () {
+      const { loan } = await loadFixture(setupWithLoan);
+
+      // 500 of 1000 TokenB lent out: 2% + 4% * 50 / 80
+      expect(await loan.utilization()).to.equal(5000);
+      expect(await loan.borrowRate()).to.equal(450);
+
+      await time.increase(365 * 24 * 3600);
+
+      const debt = await loan.debtOf(1);
+      expect(debt).to.equal(await debtAt(loan, 1, await time.latest()));
+      expect(debt).to.be.closeTo(ethers.parseEther("522.5"), ethers.parseEther("0.01"));
+    });
+
+    it("should follow the utilization curve past the kink", async function () {
+      const { nft, loan, priceFeed, user1 } = await loadFixture(deployContracts);
+      await applyChange(loan, "setRateModel", [0, 1000, 5000, 4000], [priceFeed]);
+      await nft.connect(user1).approve(loan.target, 1);
+      await loan.connect(user1).depositNFT(nft.target, 1);
+      await loan.connect(user1).borrow(1, ethers.parseEther("500"));
+
+      // 50% utilization: 10% up to the kink plus 50% * 10 / 60
+      expect(await loan.borrowRate()).to.equal(1000 + 833);
+      expect(await loan.supplyRate()).to.equal(916);
+    });
+
+    it("should charge the base rate without borrows", async function () {
+      const { loan } = await loadFixture(deployContracts);
+      expect(await loan.utilization()).to.equal(0);
+      expect(await loan.borrowRate()).to.equal(200);
+      expect(await loan.supplyRate()).to.equal(0);
+    });
+
+    it("should apply rate changes from the time they are executed", async function () {
+      const { loan } = await loadFixture(setupWithLoan);
+      await time.increase(365 * 24 * 3600);
+
+      await expect(loan.setRateModel(0, 0, 0, 8000)).to.emit(loan, "ChangeQueued");
+      await time.increase(2 * 24 * 3600);
+      const debtBefore = await loan.debtOf(1);
+      await expect(loan.executeChange(loan.interface.encodeFunctionData("setRateModel", [0, 0, 0, 8000])))
+        .to.emit(loan, "RateModelUpdated")
+        .withArgs(0, 0, 0, 8000);
+      await time.increase(365 * 24 * 3600);
+
+      expect(await loan.debtOf(1)).to.be.closeTo(debtBefore, ethers.parseEther("0.001"));
+    });
+
+    it("should only let the risk manager change loan terms", async function () {
+      const { loan, user1 } = await loadFixture(deployContracts);
+
+      await expect(loan.connect(user1).setRateModel(0, 100, 100, 8000))
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.connect(user1).setLoanDuration(100))
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.setRateModel(1000, 4000, 5001, 8000))
+        .to.be.revertedWithCustomError(loan, "InterestRateTooHigh")
+        .withArgs(10001);
+      await expect(loan.setRateModel(0, 100, 100, 10000))
+        .to.be.revertedWithCustomError(loan, "InvalidRateModel");
+      await expect(loan.setLoanDuration(731 * 24 * 3600))
+        .to.be.revertedWithCustomError(loan, "LoanDurationTooLong");
+      await expect(loan.setLiquidationPenalty(21))
+        .to.be.revertedWithCustomError(loan, "InvalidLiquidationPenalty");
+    });
+
+    it("should reject debt queries for unknown loans", async function () {
+      const { loan } = await loadFixture(deployContracts);
+      await expect(loan.debtOf(1)).to.be.revertedWithCustomError(loan, "NoActiveLoan");
+    });
+  });
+
+  describe("loan duration", function () {
+    async function setupWithFixedTermLoan() {
+      const fixture = await loadFixture(deployContracts);
+      await applyChange(fixture.loan, "setLoanDuration", [30 * 24 * 3600], [fixture.priceFeed]);
+      await fixture.nft.connect(fixture.user1).approve(fixture.loan.target, 1);
+      await fixture.loan.connect(fixture.user1).depositNFT(fixture.nft.target, 1);
+      await fixture.loan.connect(fixture.user1).borrow(1, ethers.parseEther("500"));
+      return fixture;
+    }
+
+    it("should start the term with the first borrow", async function () {
+      const { loan } = await loadFixture(setupWithFixedTermLoan);
+      expect((await loan.loans(1)).dueDate).to.equal(BigInt(await time.latest()) + 30n * 24n * 3600n);
+    });
+
+    it("should make overdue loans liquidatable at a healthy price", async function () {
+      const { nft, token, loan, user2 } = await loadFixture(setupWithFixedTermLoan);
+      await token.transfer(user2.address, ethers.parseEther("600"));
+      await token.connect(user2).approve(loan.target, ethers.parseEther("600"));
+
+      expect(await loan.isLiquidatable(1)).to.be.false;
+      await expect(loan.connect(user2).liquidate(1))
+        .to.be.revertedWithCustomError(loan, "NotLiquidatable");
+
+      await time.increase(30 * 24 * 3600 + 1);
+
+      expect(await loan.isLiquidatable(1)).to.be.true;
+      await expect(loan.connect(user2).liquidate(1)).to.emit(loan, "Liquidated");
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+    });
   });
   
   describe("liquidate", function () {
@@ -216,13 +960,16 @@ describe("NFTLoan", function () {
 
     it("should liquidate when value drops below threshold", async () => {
       const { nft, loan, priceFeed, user2, token } = await loadFixture(setupWithLoan);
-      token.transfer(user2, ethers.parseEther("525"));
-      await token.connect(user2).approve(loan.target, ethers.parseEther("525"));
+      await token.transfer(user2, ethers.parseEther("600"));
+      await token.connect(user2).approve(loan.target, ethers.parseEther("600"));
       
       // NFT price drops to $500 ($600 below the liquidation line)
       await priceFeed.updateAnswer(500 * 1e8);
+      const liquidateAt = (await time.latest()) + 10;
+      const debt = await debtAt(loan, 1, liquidateAt);
       
        // user2 execute liquidate
+      await time.setNextBlockTimestamp(liquidateAt);
       const tx = loan.connect(user2).liquidate(1);
       
       // check event and status
@@ -231,7 +978,7 @@ describe("NFTLoan", function () {
         .withArgs(
           user2.address, 
           1, 
-          ethers.parseEther("525") // 500 + 5%
+          debt + debt * 5n / 100n // debt (500 + interest) + 5%
         );
       
       // check NFT owner
@@ -243,6 +990,83 @@ describe("NFTLoan", function () {
       await expect(loan.liquidate(1))
         .to.be.revertedWithCustomError(loan, "NotLiquidatable");
     });
+
+    it("should charge a liquidation penalty changed through the timelock", async function () {
+      const { loan, priceFeed, user2, token } = await loadFixture(setupWithLoan);
+      await expect(applyChange(loan, "setLiquidationPenalty", [10], [priceFeed]))
+        .to.emit(loan, "LiquidationPenaltyUpdated")
+        .withArgs(10);
+      await token.transfer(user2, ethers.parseEther("600"));
+      await token.connect(user2).approve(loan.target, ethers.parseEther("600"));
+
+      await priceFeed.updateAnswer(500 * 1e8);
+      const liquidateAt = (await time.latest()) + 10;
+      const debt = await debtAt(loan, 1, liquidateAt);
+      await time.setNextBlockTimestamp(liquidateAt);
+
+      await expect(loan.connect(user2).liquidate(1))
+        .to.emit(loan, "Liquidated")
+        .withArgs(user2.address, 1, debt + debt * 10n / 100n);
+    });
+  });
+
+  describe("pause and circuit breaker", function () {
+    it("should stop deposits, borrows and supply but not repayments and redemptions while paused", async function () {
+      const { nft, token, loan, owner, user1 } = await loadFixture(setupWithLoan);
+      await nft.mint(user1.address);
+      await nft.connect(user1).approve(loan.target, 2);
+      await token.approve(loan.target, ethers.parseEther("100"));
+
+      await expect(loan.connect(user1).pause())
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.pause()).to.emit(loan, "Paused").withArgs(owner.address);
+
+      await expect(loan.connect(user1).depositNFT(nft.target, 2))
+        .to.be.revertedWithCustomError(loan, "EnforcedPause");
+      await expect(loan.connect(user1).borrow(1, 1))
+        .to.be.revertedWithCustomError(loan, "EnforcedPause");
+      await expect(loan.supply(ethers.parseEther("100")))
+        .to.be.revertedWithCustomError(loan, "EnforcedPause");
+
+      // borrowers get their NFT back, lenders their cash
+      await token.connect(user1).approve(loan.target, ethers.parseEther("600"));
+      await expect(loan.connect(user1).repayLoan(1)).to.emit(loan, "Withdrawn");
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      await expect(loan.redeem(await loan.balanceOf(owner.address))).to.emit(loan, "Redeemed");
+    });
+
+    it("should pause on a floor price jump and keep liquidating", async function () {
+      const { nft, loan, priceFeed, token, user1, user2 } = await loadFixture(setupWithLoan);
+      expect(await loan.lastPrices(priceFeed.target)).to.equal(ethers.parseEther("1000"));
+
+      // +30% is over the 20% max jump: the borrow reverts and leaves the last price
+      await priceFeed.updateAnswer(1300 * 1e8);
+      await expect(loan.connect(user1).borrow(1, ethers.parseEther("100")))
+        .to.be.revertedWithCustomError(loan, "PriceJumped")
+        .withArgs(priceFeed.target, ethers.parseEther("1000"), ethers.parseEther("1300"));
+      expect(await loan.lastPrices(priceFeed.target)).to.equal(ethers.parseEther("1000"));
+      expect(await loan.paused()).to.be.false;
+
+      // a keeper records the jump, which pauses the pool
+      await expect(loan.checkPrice(user1.address))
+        .to.be.revertedWithCustomError(loan, "CollectionNotListed");
+      await expect(loan.connect(user2).checkPrice(nft.target))
+        .to.emit(loan, "CircuitBreakerTripped")
+        .withArgs(priceFeed.target, ethers.parseEther("1000"), ethers.parseEther("1300"));
+      expect(await loan.paused()).to.be.true;
+      await expect(loan.connect(user1).borrow(1, ethers.parseEther("100")))
+        .to.be.revertedWithCustomError(loan, "EnforcedPause");
+      expect((await loan.loans(1)).amount).to.equal(ethers.parseEther("500"));
+
+      await priceFeed.updateAnswer(500 * 1e8);
+      await token.transfer(user2.address, ethers.parseEther("600"));
+      await token.connect(user2).approve(loan.target, ethers.parseEther("600"));
+      await expect(loan.connect(user2).liquidate(1)).to.emit(loan, "Liquidated");
+
+      await expect(loan.connect(user1).unpause())
+        .to.be.revertedWithCustomError(loan, "AccessControlUnauthorizedAccount");
+      await expect(loan.unpause()).to.emit(loan, "Unpaused");
+    });
   });
 });
 
@@ -260,18 +1084,13 @@ describe("LeverageTrade", function () {
   async function deployContracts() {
     const [owner, user1, user2] = await ethers.getSigners();
 
-    // Deploy mock tokens (TokenA = WETH-like, TokenB = USDC-like)
-    const tokenA = await ethers.deployContract("TokenA");
-    
-    const tokenB = await ethers.deployContract("TokenB");
-
-    // Deploy mock Chainlink price feed
-    const priceFeed = await ethers.deployContract("MockV3Aggregator", [8, ETH_PRICE]);
-
-    // Deploy LeverageTrade contract
-    const leverageTrade = await ethers.deployContract("LeverageTrade", [tokenA.target, tokenB.target, priceFeed.target]);
-    await tokenB.connect(owner).approve(leverageTrade.target, INITIAL_BALANCE / 3n);
-    await leverageTrade.initializeFeeReserve(INITIAL_BALANCE / 3n);
+    // Deploy tokens, mock Chainlink price feed and LeverageTrade with a funded fee reserve
+    const { tokenA, tokenB, priceFeed, leverageTrade, tradingVault } = await ignition.deploy(LeverageTradeModule, {
+      parameters: {
+        PriceFeedModule: { initialPrice: ETH_PRICE },
+        LeverageTradeModule: { feeReserve: INITIAL_BALANCE / 3n }
+      }
+    });
 
     // const feeReserve = await leverageTrade.feeReserve();
     // console.log("Fee Reserve:", feeReserve.toString());
@@ -281,7 +1100,7 @@ describe("LeverageTrade", function () {
     // await tokenB.transfer(leverageTrade.target, contractFunding);
     // await tokenB.transfer(leverageTrade.target, INITIAL_BALANCE / 3n);
 
-    return { tokenA, tokenB, priceFeed, leverageTrade, owner, user1, user2 };
+    return { tokenA, tokenB, priceFeed, leverageTrade, tradingVault, owner, user1, user2 };
   }
 
   /**
@@ -295,6 +1114,7 @@ describe("LeverageTrade", function () {
     // User1 approves and opens a long position
     await fixture.tokenB.connect(fixture.user1).approve(fixture.leverageTrade.target, noFeeMargin * 2n);
     await fixture.leverageTrade.connect(fixture.user1).openPosition(
+      0, // market 0, TokenA/USD
       noFeeMargin,
       true, // isLong = true
       LEVERAGE
@@ -303,6 +1123,17 @@ describe("LeverageTrade", function () {
     return { ...fixture, noFeeMargin };
   }
 
+  /**
+   * @notice Funding plus borrow fee charged against margin by a transaction
+   */
+  async function feesSettled(leverageTrade, tx) {
+    const receipt = await tx.wait();
+    return receipt.logs
+      .map((log) => leverageTrade.interface.parseLog(log))
+      .filter((event) => event && event.name === "FeesSettled")
+      .reduce((total, { args }) => total + args.funding + args.borrowFee, 0n);
+  }
+
   // Test suite for contract deployment
   describe("Contract Deployment", function () {
     it("Should initialize contracts correctly", async function () {
@@ -311,7 +1142,7 @@ describe("LeverageTrade", function () {
       // Verify contract addresses are set correctly
       expect(await leverageTrade.tokenA()).to.equal(tokenA.target);
       expect(await leverageTrade.tokenB()).to.equal(tokenB.target);
-      expect(await leverageTrade.priceFeed()).to.equal(priceFeed.target);
+      expect((await leverageTrade.markets(0)).priceFeed).to.equal(priceFeed.target);
     });
   });
 
@@ -321,7 +1152,7 @@ describe("LeverageTrade", function () {
       const { leverageTrade, user1, noFeeMargin } = await loadFixture(setupWithPosition);
 
       // Verify position details
-      const position = await leverageTrade.getPosition(user1.address);
+      const position = await leverageTrade.getPosition(1);
       expect(position.isLong).to.be.true;
       
       // Expected margin after fee deduction: margin - (size * feeRate)
@@ -340,11 +1171,11 @@ describe("LeverageTrade", function () {
       await tokenB.connect(user1).approve(leverageTrade.target, margin);
       
       // Test leverage below minimum (2x)
-      await expect(leverageTrade.connect(user1).openPosition(margin, true, 1))
+      await expect(leverageTrade.connect(user1).openPosition(0, margin, true, 1))
         .to.be.revertedWithCustomError(leverageTrade, "InvalidLeverage");
 
       // Test leverage above maximum (50x)
-      await expect(leverageTrade.connect(user1).openPosition(margin, true, 51))
+      await expect(leverageTrade.connect(user1).openPosition(0, margin, true, 51))
         .to.be.revertedWithCustomError(leverageTrade, "InvalidLeverage");
     });
 
@@ -354,7 +1185,7 @@ describe("LeverageTrade", function () {
 
       await tokenB.connect(user1).approve(leverageTrade.target, margin);
       
-      await expect(leverageTrade.connect(user1).openPosition(margin, true, LEVERAGE))
+      await expect(leverageTrade.connect(user1).openPosition(0, margin, true, LEVERAGE))
         .to.be.revertedWithCustomError(leverageTrade, "InsufficientBalance");
     });
   });
@@ -363,21 +1194,19 @@ describe("LeverageTrade", function () {
   describe("Position Closing", function () {
     it("Should allow profitable position closing", async function () {
       const { leverageTrade, user1, tokenB, priceFeed, noFeeMargin } = await loadFixture(setupWithPosition);
-      const contractFunding = ethers.parseEther("10000");  
-      await tokenB.transfer(leverageTrade.target, contractFunding);
 
       // Simulate 20% price increase
       await priceFeed.updateAnswer(ETH_PRICE * 1.2);
 
       const initialBalance = await tokenB.balanceOf(user1.address);
-      await leverageTrade.connect(user1).closePosition();
+      const tx = await leverageTrade.connect(user1).closePosition(1);
       const finalBalance = await tokenB.balanceOf(user1.address);
 
       // Expected profit: margin * leverage * priceChange - fees
       const netMargin = noFeeMargin - (noFeeMargin * BigInt(LEVERAGE) * 10n) / 10000n;
       const size = netMargin * BigInt(LEVERAGE);
       const pnl = (20n * size) / 100n;
-      const expectedProfit = netMargin + pnl - (size / 1000n);
+      const expectedProfit = netMargin + pnl - (size / 1000n) - await feesSettled(leverageTrade, tx);
       expect(finalBalance - initialBalance).to.equal(expectedProfit);
     });
   
@@ -388,7 +1217,7 @@ describe("LeverageTrade", function () {
       await priceFeed.updateAnswer(ETH_PRICE * 0.9);
 
       const initialBalance = await tokenB.balanceOf(user1.address);
-      await leverageTrade.connect(user1).closePosition();
+      await leverageTrade.connect(user1).closePosition(1);
       const finalBalance = await tokenB.balanceOf(user1.address);
 
       // Expected loss: margin * leverage * priceChange + fees
@@ -398,25 +1227,31 @@ describe("LeverageTrade", function () {
     it("Should reject closing non-existent positions", async function () {
       const { leverageTrade, user2 } = await loadFixture(setupWithPosition);
       
-      await expect(leverageTrade.connect(user2).closePosition())
+      await expect(leverageTrade.connect(user2).closePosition(2))
         .to.be.revertedWithCustomError(leverageTrade, "NoPosition");
     });
+
+    it("Should reject closing positions of other users", async function () {
+      const { leverageTrade, user2 } = await loadFixture(setupWithPosition);
+
+      await expect(leverageTrade.connect(user2).closePosition(1))
+        .to.be.revertedWithCustomError(leverageTrade, "NotPositionOwner");
+    });
   });
 
   // Test suite for liquidation
   describe("Position Liquidation", function () {
     it("Should allow liquidation when below maintenance margin", async function () {
       const { leverageTrade, user1, user2, tokenB, priceFeed, noFeeMargin } = await loadFixture(setupWithPosition);
-      const contractFunding = ethers.parseEther("10000");  
-      await tokenB.transfer(leverageTrade.target, contractFunding);
 
       // Simulate 15% price drop (breaching maintenance margin)
       await priceFeed.updateAnswer(ETH_PRICE * 0.85);
 
       const liquidatorBalance = await tokenB.balanceOf(user2.address);
-      await leverageTrade.connect(user2).liquidate(user1.address);
+      const tx = await leverageTrade.connect(user2).liquidate(1);
       const netMargin = noFeeMargin - (noFeeMargin * BigInt(LEVERAGE) * 10n) / 10000n;
-      const reward = (netMargin * 500n) / 10000n; // 5% liquidation reward
+      const margin = netMargin - await feesSettled(leverageTrade, tx);
+      const reward = (margin * 500n) / 10000n; // 5% liquidation reward
       // console.log("reward: ", reward);
       // Verify liquidator received reward
       expect(await tokenB.balanceOf(user2.address)).to.equal(liquidatorBalance + reward);
@@ -428,14 +1263,14 @@ describe("LeverageTrade", function () {
       // Simulate 5% price drop (still above maintenance)
       await priceFeed.updateAnswer(ETH_PRICE * 95);
 
-      await expect(leverageTrade.connect(user2).liquidate(user1.address))
+      await expect(leverageTrade.connect(user2).liquidate(1))
         .to.be.revertedWithCustomError(leverageTrade, "NotLiquidatable");
     });
 
     it("Should reject liquidation of non-existent positions", async function () {
       const { leverageTrade, user2 } = await loadFixture(setupWithPosition);
       
-      await expect(leverageTrade.connect(user2).liquidate(user2.address))
+      await expect(leverageTrade.connect(user2).liquidate(2))
         .to.be.revertedWithCustomError(leverageTrade, "NoPosition");
     });
   });
@@ -446,7 +1281,7 @@ describe("LeverageTrade", function () {
       const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
       
       await priceFeed.updateAnswer(0);
-      await expect(leverageTrade.getPrice())
+      await expect(leverageTrade.getPrice(0))
         .to.be.revertedWithCustomError(leverageTrade, "InvalidPrice");
     });
 
@@ -454,9 +1289,312 @@ describe("LeverageTrade", function () {
       const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
       
       await priceFeed.updateAnswer(-100);
-      await expect(leverageTrade.getPrice())
+      await expect(leverageTrade.getPrice(0))
         .to.be.revertedWithCustomError(leverageTrade, "InvalidPrice");
     });
+
+    it("Should start a new round on every price update", async function () {
+      const { priceFeed } = await loadFixture(deployContracts);
+
+      await priceFeed.updateAnswer(2100 * 1e8);
+      const [roundId, answer, startedAt, updatedAt, answeredInRound] = await priceFeed.latestRoundData();
+      expect(roundId).to.equal(2);
+      expect(answer).to.equal(2100 * 1e8);
+      expect(updatedAt).to.equal(await time.latest());
+      expect(startedAt).to.equal(updatedAt);
+      expect(answeredInRound).to.equal(roundId);
+      expect(await priceFeed.decimals()).to.equal(8);
+      expect((await priceFeed.getRoundData(1))[1]).to.equal(ETH_PRICE);
+    });
+
+    it("Should reject stale prices", async function () {
+      const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
+      const { updatedAt } = await priceFeed.latestRoundData();
+
+      await time.increaseTo(updatedAt + 3600n);
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2000"));
+
+      await time.increase(1);
+      await expect(leverageTrade.getPrice(0))
+        .to.be.revertedWithCustomError(leverageTrade, "StalePrice")
+        .withArgs(updatedAt, 3600);
+
+      await priceFeed.updateAnswer(ETH_PRICE);
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should reject incomplete rounds", async function () {
+      const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
+
+      await priceFeed.updateRoundData(5, ETH_PRICE, 0, await time.latest());
+      await expect(leverageTrade.getPrice(0))
+        .to.be.revertedWithCustomError(leverageTrade, "IncompleteRound")
+        .withArgs(5);
+    });
+
+    it("Should normalize prices with the feed decimals", async function () {
+      const { tokenA, tokenB } = await loadFixture(deployContracts);
+      const feed = await ethers.deployContract("MockV3Aggregator", [18, ethers.parseEther("1999.5")]);
+      const leverageTrade = await ethers.deployContract("LeverageTrade", [tokenA.target, tokenB.target, feed.target]);
+
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("1999.5"));
+    });
+
+    it("Should fall back to the secondary feed", async function () {
+      const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
+      const fallbackFeed = await ethers.deployContract("MockV3Aggregator", [6, 2010n * 10n ** 6n]);
+      await expect(leverageTrade.setOracleConfig(0, fallbackFeed.target, 3600, 0))
+        .to.emit(leverageTrade, "ChangeQueued")
+        .and.not.to.emit(leverageTrade, "OracleConfigUpdated");
+      expect((await leverageTrade.markets(0)).fallbackFeed).to.equal(ethers.ZeroAddress);
+      await expect(applyChange(leverageTrade, "setOracleConfig", [0, fallbackFeed.target, 3600, 0], [priceFeed, fallbackFeed]))
+        .to.emit(leverageTrade, "OracleConfigUpdated")
+        .withArgs(0, fallbackFeed.target, 3600, 0);
+
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2000"));
+      await priceFeed.updateAnswer(0);
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2010"));
+
+      // both sources down: the primary failure is reported
+      await time.increase(3601);
+      await expect(leverageTrade.getPrice(0))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidPrice");
+    });
+
+    it("Should reject prices outside the band of the secondary feed", async function () {
+      const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
+      const secondary = await ethers.deployContract("MockV3Aggregator", [8, ETH_PRICE]);
+      await applyChange(leverageTrade, "setOracleConfig", [0, secondary.target, 3600, 500], [priceFeed, secondary]); // 5%
+
+      await priceFeed.updateAnswer(2100 * 1e8);
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2100"));
+
+      await priceFeed.updateAnswer(2101 * 1e8);
+      await expect(leverageTrade.getPrice(0))
+        .to.be.revertedWithCustomError(leverageTrade, "PriceDeviation")
+        .withArgs(ethers.parseEther("2101"), ethers.parseEther("2000"));
+    });
+
+    it("Should only let the risk manager configure the oracle", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+
+      await expect(leverageTrade.connect(user1).setOracleConfig(0, ethers.ZeroAddress, 60, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.setOracleConfig(0, ethers.ZeroAddress, 0, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidOracleConfig");
+      await expect(leverageTrade.setOracleConfig(0, ethers.ZeroAddress, 60, 1001))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidOracleConfig");
+    });
+  });
+
+  // Test suite for funding and borrow fees
+  describe("Funding and Borrow Fees", function () {
+    const HOUR = 3600;
+
+    async function setupWithSkew() {
+      const fixture = await loadFixture(setupWithPosition);
+      const { leverageTrade, tokenB, user2 } = fixture;
+
+      // user1 is long ~990, user2 short ~495: longs pay at a third of the full-skew rate
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("50"));
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), false, LEVERAGE);
+      return fixture;
+    }
+
+    it("Should track open interest and the funding rate", async function () {
+      const { leverageTrade, user1 } = await loadFixture(setupWithSkew);
+      const { longOpenInterest: long, shortOpenInterest: short } = await leverageTrade.markets(0);
+      expect(long).to.equal((await leverageTrade.getPosition(1)).size);
+      expect(long).to.equal(short * 2n);
+      expect(await leverageTrade.fundingRate(0)).to.equal(33); // 100 * 1/3
+
+      await leverageTrade.connect(user1).closePosition(1);
+      expect((await leverageTrade.markets(0)).longOpenInterest).to.equal(0);
+      expect(await leverageTrade.fundingRate(0)).to.equal(-100);
+    });
+
+    it("Should move funding from the larger side to the smaller one", async function () {
+      const { leverageTrade, priceFeed, user1 } = await loadFixture(setupWithSkew);
+      await time.increase(10 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+
+      const long = await leverageTrade.getPosition(1);
+      // 0.01% an hour at full skew, a third of it for 10 hours
+      expect(long.funding).to.be.closeTo((long.size * 10n) / 30000n, long.size / 1000000n);
+      expect(long.equity).to.equal(long.margin - long.funding - long.borrowFee);
+      // what longs pay per unit of size is credited over the smaller short side as it accrues
+      const short = await leverageTrade.getPosition(2);
+      expect(-short.funding).to.be.closeTo(long.funding, long.size / 1000000n);
+      expect(short.equity).to.equal(short.margin - short.funding - short.borrowFee);
+
+      await leverageTrade.connect(user1).addMargin(1, ethers.parseEther("1"));
+      const paid = await leverageTrade.fundingPool();
+      expect(paid).to.be.closeTo(long.funding, long.size / 1000000n);
+    });
+
+    it("Should not credit a late receiver funding from before it opened", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(deployContracts);
+      await applyChange(leverageTrade, "setFeeRates", [100, 0], [priceFeed]);
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("1000"));
+      await leverageTrade.connect(user1).openPosition(0, ethers.parseEther("1000"), true, LEVERAGE);
+
+      // a long with no short against it pays the full-skew rate, 7.2% over 30 days
+      await time.increase(720 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("990"));
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("990"), false, LEVERAGE);
+
+      const feeReserve = await leverageTrade.feeReserve();
+      const { size } = await leverageTrade.getPosition(1);
+      const paid = await feesSettled(leverageTrade, await leverageTrade.connect(user1).closePosition(1));
+      expect(paid).to.be.closeTo((size * 72n) / 1000n, size / 10000n);
+      // the funding of the unmatched 30 days goes to the fee reserve, the short only earns its last seconds
+      expect((await leverageTrade.feeReserve()) - feeReserve).to.be.greaterThan((paid * 999n) / 1000n);
+      expect(-(await leverageTrade.getPosition(2)).funding).to.be.lessThan(ethers.parseEther("0.01"));
+    });
+
+    it("Should pay funding received when the position closes", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithSkew);
+      await time.increase(10 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+      await leverageTrade.connect(user1).addMargin(1, ethers.parseEther("1"));
+
+      const { margin, size } = await leverageTrade.getPosition(2);
+      const balance = await tokenB.balanceOf(user2.address);
+      const tx = await leverageTrade.connect(user2).closePosition(2);
+      const received = -(await feesSettled(leverageTrade, tx));
+
+      // same price, so the payout is the margin plus funding less the 0.1% close fee
+      expect(received).to.be.greaterThan(0);
+      expect(await tokenB.balanceOf(user2.address)).to.equal(balance + margin + received - size / 1000n);
+      expect(await leverageTrade.fundingPool()).to.be.lessThanOrEqual(1n);
+    });
+
+    it("Should advance funding a payer has not paid from the insurance fund", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithSkew);
+      await time.increase(HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+
+      // the short closes before the long settles
+      const { funding } = await leverageTrade.getPosition(2);
+      await leverageTrade.connect(user2).closePosition(2);
+      const advance = await leverageTrade.fundingAdvance();
+      expect(advance).to.be.closeTo(-funding, -funding / 1000n);
+
+      // the long's payment repays the insurance fund first
+      const insuranceFund = await leverageTrade.insuranceFund();
+      await leverageTrade.connect(user1).addMargin(1, ethers.parseEther("1"));
+      expect(await leverageTrade.fundingAdvance()).to.equal(0);
+      expect(await leverageTrade.insuranceFund()).to.be.greaterThanOrEqual(insuranceFund + advance);
+      // the long paid what the short was credited, less rounding
+      expect(await leverageTrade.fundingPool()).to.be.lessThan(advance / 1000n);
+      const balance = await tokenB.balanceOf(leverageTrade.target);
+      expect(balance).to.be.greaterThanOrEqual(
+        (await leverageTrade.totalMargin()) + (await leverageTrade.feeReserve()) + (await leverageTrade.insuranceFund())
+          + (await leverageTrade.fundingPool())
+      );
+    });
+
+    it("Should pay out no more than the pool and the insurance fund when a payer is wiped out", async function () {
+      const { leverageTrade, tokenB, priceFeed, owner, user2 } = await loadFixture(setupWithSkew);
+      await applyChange(leverageTrade, "setFeeRates", [10000, 0], [priceFeed]); // 1% an hour at full skew
+      await time.increase(100 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+
+      // the long owes a third of 1% of its size an hour, far beyond its margin
+      const long = await leverageTrade.getPosition(1);
+      expect(long.funding).to.be.greaterThan(long.margin);
+      const feeReserve = await leverageTrade.feeReserve();
+      const collected = await feesSettled(leverageTrade, await leverageTrade.connect(owner).liquidate(1));
+      expect(collected).to.equal(long.margin);
+      // the collected funding goes to the shorts, but for the seconds before the short opened,
+      // and a wiped-out margin earns no liquidation reward
+      expect(await leverageTrade.feeReserve()).to.be.closeTo(feeReserve, long.size / 1000000n);
+      expect(await leverageTrade.fundingPool()).to.be.closeTo(collected, long.size / 1000000n);
+
+      // the short is owed more than the long paid: the insurance fund advances what it can
+      const insurance = await leverageTrade.insuranceFund();
+      await leverageTrade.connect(user2).closePosition(2);
+      expect(await leverageTrade.fundingPool()).to.equal(0);
+      expect(await leverageTrade.fundingAdvance()).to.equal(insurance);
+      const [balance, totalMargin, insuranceFund, fundingPool] = await Promise.all([
+        tokenB.balanceOf(leverageTrade.target),
+        leverageTrade.totalMargin(),
+        leverageTrade.insuranceFund(),
+        leverageTrade.fundingPool()
+      ]);
+      expect(balance).to.be.greaterThanOrEqual(totalMargin + (await leverageTrade.feeReserve()) + insuranceFund + fundingPool);
+    });
+
+    it("Should charge an hourly borrow fee on the borrowed size", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1 } = await loadFixture(deployContracts);
+      await applyChange(leverageTrade, "setFeeRates", [0, 30], [priceFeed]);
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("100"));
+      await leverageTrade.connect(user1).openPosition(0, ethers.parseEther("100"), true, LEVERAGE);
+      const from = (await leverageTrade.markets(0)).lastFeeAccrual;
+
+      await time.increase(100 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+
+      const position = await leverageTrade.getPosition(1);
+      expect(position.borrowFee).to.be.greaterThan(0);
+      expect(position.funding).to.equal(0);
+
+      const feeReserve = await leverageTrade.feeReserve();
+      const insuranceFund = await leverageTrade.insuranceFund();
+      const tx = await leverageTrade.connect(user1).closePosition(1);
+      const { timestamp } = await tx.getBlock();
+      const perSize = (30n * (BigInt(timestamp) - from) * 10n ** 18n) / (10n ** 6n * 3600n);
+      const borrowFee = ((position.size - position.margin) * perSize) / 10n ** 18n;
+
+      await expect(tx).to.emit(leverageTrade, "FeesSettled").withArgs(1, 0, borrowFee);
+      // the borrow fee and the 0.1% close fee, split with the insurance fund
+      const collected = (await leverageTrade.feeReserve() - feeReserve) + (await leverageTrade.insuranceFund() - insuranceFund);
+      expect(collected).to.be.closeTo(borrowFee + position.size / 1000n, 1n);
+    });
+
+    it("Should liquidate positions whose fees ate the margin", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(deployContracts);
+      await applyChange(leverageTrade, "setFeeRates", [10000, 10000], [priceFeed]); // 1% an hour each
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("100"));
+      await leverageTrade.connect(user1).openPosition(0, ethers.parseEther("100"), true, LEVERAGE);
+
+      expect(await leverageTrade.isLiquidatable(1)).to.be.false;
+      await time.increase(6 * HOUR);
+      await priceFeed.updateAnswer(ETH_PRICE);
+
+      const position = await leverageTrade.getPosition(1);
+      expect(position.equity).to.be.lessThanOrEqual(position.margin * 500n / 10000n);
+      expect(await leverageTrade.isLiquidatable(1)).to.be.true;
+      await expect(leverageTrade.connect(user2).liquidate(1))
+        .to.emit(leverageTrade, "FeesSettled")
+        .and.to.emit(leverageTrade, "PositionLiquidated");
+    });
+
+    it("Should report the equity of losing positions", async function () {
+      const { leverageTrade, priceFeed, user1 } = await loadFixture(setupWithPosition);
+      await priceFeed.updateAnswer(ETH_PRICE * 0.95);
+
+      const position = await leverageTrade.getPosition(1);
+      const loss = position.size / 20n;
+      expect(position.equity).to.be.closeTo(position.margin - loss, ethers.parseEther("0.01"));
+
+      await priceFeed.updateAnswer(ETH_PRICE * 0.8);
+      expect((await leverageTrade.getPosition(1)).equity).to.equal(0);
+    });
+
+    it("Should only let the risk manager set fee rates", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+
+      await expect(leverageTrade.connect(user1).setFeeRates(0, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.setFeeRates(10001, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "RateTooHigh")
+        .withArgs(10001);
+      await expect(applyChange(leverageTrade, "setFeeRates", [50, 20]))
+        .to.emit(leverageTrade, "FeeRatesUpdated")
+        .withArgs(50, 20);
+    });
   });
 
   // Test suite for position management
@@ -466,43 +1604,1113 @@ describe("LeverageTrade", function () {
       
       const additionalMargin = ethers.parseEther("50");
       await tokenB.connect(user1).approve(leverageTrade.target, additionalMargin);
-      const oldPosition = await leverageTrade.getPosition(user1.address);
+      const oldPosition = await leverageTrade.getPosition(1);
       const oldMargin = oldPosition.margin;
 
       // Increase existing position
-      await leverageTrade.connect(user1).openPosition(
-        additionalMargin,
-        true, // Same direction
-        LEVERAGE
-      );
+      const tx = await leverageTrade.connect(user1).increasePosition(1, additionalMargin, LEVERAGE);
+      await expect(tx).to.emit(leverageTrade, "PositionIncreased");
 
-      const position = await leverageTrade.getPosition(user1.address);
+      const position = await leverageTrade.getPosition(1);
       const netMargin = additionalMargin - (additionalMargin * BigInt(LEVERAGE) * 10n) / 10000n;
-      const finalMargin = oldMargin + netMargin;
+      const finalMargin = oldMargin - await feesSettled(leverageTrade, tx) + netMargin;
       expect(position.margin).to.equal(finalMargin);
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(1);
     });
 
-    it("Should auto-close when opening opposite position", async function () {
+    it("Should keep opposite positions open side by side", async function () {
       const { leverageTrade, user1, tokenB } = await loadFixture(setupWithPosition);
       
-      const newMargin = ethers.parseEther("200");
+      const newMargin = ethers.parseEther("100");
       await tokenB.connect(user1).approve(leverageTrade.target, newMargin);
       
-      const initialBalance = await tokenB.balanceOf(user1.address);
-      
-      // Open opposite (short) position
-      await leverageTrade.connect(user1).openPosition(
-        newMargin,
-        false, // Opposite direction
-        LEVERAGE
-      );
-      
-      const finalBalance = await tokenB.balanceOf(user1.address);
+      // Open opposite (short) position, the long stays open
+      await expect(leverageTrade.connect(user1).openPosition(0, newMargin, false, LEVERAGE))
+        .to.emit(leverageTrade, "PositionOpened");
+
+      expect((await leverageTrade.getPosition(1)).isLong).to.be.true;
+      expect((await leverageTrade.getPosition(2)).isLong).to.be.false;
+      expect(await leverageTrade.getUserPositions(user1.address)).to.deep.equal([1n, 2n]);
+      const { longOpenInterest, shortOpenInterest } = await leverageTrade.markets(0);
+      expect(longOpenInterest).to.equal(shortOpenInterest);
+    });
+
+    it("Should track positions per user", async function () {
+      const { leverageTrade, user1, user2, tokenB } = await loadFixture(setupWithPosition);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("200"));
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("100"), true, LEVERAGE);
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("100"), false, 5);
+
+      expect(await leverageTrade.nextPositionId()).to.equal(4);
+      expect(await leverageTrade.userPositionCount(user2.address)).to.equal(2);
+      expect(await leverageTrade.userPositionAt(user2.address, 1)).to.equal(3);
+      expect((await leverageTrade.positions(3)).owner).to.equal(user2.address);
+
+      await leverageTrade.connect(user2).closePosition(2);
+      expect(await leverageTrade.getUserPositions(user2.address)).to.deep.equal([3n]);
+      expect(await leverageTrade.getUserPositions(user1.address)).to.deep.equal([1n]);
+      expect((await leverageTrade.positions(2)).owner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the owner increase a position", async function () {
+      const { leverageTrade, user2, tokenB } = await loadFixture(setupWithPosition);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("50"));
+
+      await expect(leverageTrade.connect(user2).increasePosition(1, ethers.parseEther("50"), LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "NotPositionOwner");
+      await expect(leverageTrade.connect(user2).increasePosition(2, ethers.parseEther("50"), LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "NoPosition");
+    });
+  });
+
+  // Test suite for the counterparty vault and the insurance fund
+  describe("Vault and Insurance", function () {
+    const VAULT_LIQUIDITY = ethers.parseEther("10000");
+
+    async function deployWithSmallVault() {
+      const [owner, user1] = await ethers.getSigners();
+      const { tokenB, priceFeed, leverageTrade, tradingVault } = await ignition.deploy(LeverageTradeModule, {
+        parameters: {
+          PriceFeedModule: { initialPrice: ETH_PRICE },
+          LeverageTradeModule: { feeReserve: INITIAL_BALANCE / 3n, vaultLiquidity: ethers.parseEther("50") }
+        }
+      });
+      await tokenB.transfer(user1.address, ethers.parseEther("100"));
+      // no funding or borrow fee, so payouts are exact
+      await applyChange(leverageTrade, "setFeeRates", [0, 0], [priceFeed]);
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("100"));
+      await leverageTrade.connect(user1).openPosition(0, ethers.parseEther("100"), true, LEVERAGE);
+      return { tokenB, priceFeed, leverageTrade, tradingVault, owner, user1 };
+    }
+
+    async function setupWithoutFees() {
+      const fixture = await loadFixture(deployContracts);
+      await applyChange(fixture.leverageTrade, "setFeeRates", [0, 0], [fixture.priceFeed]);
+      await fixture.tokenB.connect(fixture.user1).approve(fixture.leverageTrade.target, ethers.parseEther("100"));
+      await fixture.leverageTrade.connect(fixture.user1).openPosition(0, ethers.parseEther("100"), true, LEVERAGE);
+      return fixture;
+    }
+
+    it("Should pay profits from the vault", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, user1 } = await loadFixture(setupWithPosition);
+      const { size } = await leverageTrade.getPosition(1);
+      expect(await tradingVault.totalAssets()).to.equal(VAULT_LIQUIDITY);
+
+      await priceFeed.updateAnswer(2200 * 1e8);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(tradingVault, "ProfitPaid")
+        .withArgs(leverageTrade.target, size / 10n, size / 10n);
+
+      expect(await tradingVault.totalAssets()).to.equal(VAULT_LIQUIDITY - size / 10n);
+      expect(await tokenB.balanceOf(tradingVault.target)).to.equal(VAULT_LIQUIDITY - size / 10n);
+      expect(await leverageTrade.totalMargin()).to.equal(0);
+    });
+
+    it("Should move realized losses into the vault", async function () {
+      const { leverageTrade, tradingVault, priceFeed, user1 } = await loadFixture(setupWithPosition);
+      const { size } = await leverageTrade.getPosition(1);
+
+      await priceFeed.updateAnswer(1900 * 1e8);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(tradingVault, "LossCollected")
+        .withArgs(size / 20n);
+      expect(await tradingVault.totalAssets()).to.equal(VAULT_LIQUIDITY + size / 20n);
+    });
+
+    it("Should cap profits at the vault's assets", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, user1 } = await loadFixture(deployWithSmallVault);
+      const { margin, size } = await leverageTrade.getPosition(1);
+
+      await priceFeed.updateAnswer(2400 * 1e8);
+      const balance = await tokenB.balanceOf(user1.address);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(tradingVault, "ProfitPaid")
+        .withArgs(leverageTrade.target, size / 5n, ethers.parseEther("50"));
+
+      expect(await tradingVault.totalAssets()).to.equal(0);
+      expect(await tokenB.balanceOf(user1.address) - balance).to.equal(margin + ethers.parseEther("50") - size / 1000n);
+    });
+
+    it("Should cover bad debt with the insurance fund", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, user2 } = await loadFixture(setupWithoutFees);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("1000"));
+      await leverageTrade.connect(user2).fundInsurance(ethers.parseEther("1000"));
+      const insuranceFund = await leverageTrade.insuranceFund();
+      const { margin, size } = await leverageTrade.getPosition(1);
+
+      // a 20% crash costs the 10x long twice its margin
+      await priceFeed.updateAnswer(1600 * 1e8);
+      const shortfall = size / 5n - margin;
+      await expect(leverageTrade.connect(user2).liquidate(1))
+        .to.emit(leverageTrade, "BadDebtRecorded")
+        .withArgs(1, shortfall, shortfall);
+
+      expect(await leverageTrade.insuranceFund()).to.equal(insuranceFund - shortfall);
+      expect(await leverageTrade.badDebt()).to.equal(0);
+      // the vault is made whole
+      expect(await tradingVault.totalAssets()).to.equal(VAULT_LIQUIDITY + size / 5n);
+    });
+
+    it("Should record bad debt the insurance fund cannot cover", async function () {
+      const { leverageTrade, tradingVault, priceFeed, user1, owner } = await loadFixture(deployWithSmallVault);
+      const insuranceFund = await leverageTrade.insuranceFund();
+      const { margin, size } = await leverageTrade.getPosition(1);
+
+      await priceFeed.updateAnswer(1600 * 1e8);
+      const shortfall = size / 5n - margin;
+      await expect(leverageTrade.connect(owner).liquidate(1))
+        .to.emit(leverageTrade, "BadDebtRecorded")
+        .withArgs(1, shortfall, insuranceFund);
+
+      expect(await leverageTrade.insuranceFund()).to.equal(0);
+      expect(await leverageTrade.badDebt()).to.equal(shortfall - insuranceFund);
+      expect(await tradingVault.totalAssets()).to.equal(ethers.parseEther("50") + margin + insuranceFund);
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(0);
+    });
+
+    it("Should pay a share of every fee into the insurance fund", async function () {
+      const { leverageTrade, tokenB, user1 } = await loadFixture(deployContracts);
+      const margin = ethers.parseEther("100");
+      const feeReserve = await leverageTrade.feeReserve();
+      await tokenB.connect(user1).approve(leverageTrade.target, margin);
+      await leverageTrade.connect(user1).openPosition(0, margin, true, LEVERAGE);
+
+      // 20% of the 0.1% open fee
+      const fee = (margin * BigInt(LEVERAGE) * 10n) / 10000n;
+      expect(await leverageTrade.insuranceFeeShare()).to.equal(2000);
+      expect(await leverageTrade.insuranceFund()).to.equal(fee / 5n);
+      expect(await leverageTrade.feeReserve()).to.equal(feeReserve + fee - fee / 5n);
+      expect(await leverageTrade.totalMargin()).to.equal(margin - fee);
+    });
+
+    it("Should report open P&L against assets", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, user2 } = await loadFixture(setupWithPosition);
+      const { size } = await leverageTrade.getPosition(1);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("50"));
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), false, LEVERAGE);
+      const short = await leverageTrade.getPosition(2);
+
+      await priceFeed.updateAnswer(2200 * 1e8);
+      const [openPnl, assets, surplus] = await leverageTrade.solvency();
+      const assetsExpected = await tradingVault.totalAssets() + await leverageTrade.insuranceFund();
+
+      // the long is up 10%, the short down 10%
+      expect(openPnl).to.be.closeTo(size / 10n - short.size / 10n, 10n);
+      expect(assets).to.equal(assetsExpected);
+      expect(surplus).to.equal(assets - openPnl);
+    });
+
+    it("Should connect the vault once", async function () {
+      const { leverageTrade, tradingVault, tokenA, tokenB, user1 } = await loadFixture(deployContracts);
+
+      expect(await leverageTrade.vault()).to.equal(tradingVault.target);
+      await expect(leverageTrade.setVault(tradingVault.target))
+        .to.be.revertedWithCustomError(leverageTrade, "VaultAlreadySet");
+
+      const fresh = await ethers.deployContract("LeverageTrade", [tokenA.target, tokenB.target, await leverageTrade.markets(0).then((m) => m.priceFeed)]);
+      await expect(fresh.setVault(tradingVault.target))
+        .to.be.revertedWithCustomError(fresh, "InvalidAddress");
+      await expect(fresh.connect(user1).setVault(tradingVault.target))
+        .to.be.revertedWithCustomError(fresh, "AccessControlUnauthorizedAccount");
+      await tokenB.connect(user1).approve(fresh.target, ethers.parseEther("100"));
+      await expect(fresh.connect(user1).openPosition(0, ethers.parseEther("100"), true, LEVERAGE))
+        .to.be.revertedWithCustomError(fresh, "VaultNotSet");
+    });
+
+    it("Should only let the risk manager set the insurance fee share", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+
+      await expect(leverageTrade.connect(user1).setInsuranceFeeShare(0))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.setInsuranceFeeShare(10001))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidFeeShare")
+        .withArgs(10001);
+      await expect(applyChange(leverageTrade, "setInsuranceFeeShare", [5000]))
+        .to.emit(leverageTrade, "InsuranceFeeShareUpdated")
+        .withArgs(5000);
+    });
+
+    it("Should mint and redeem vault shares at the vault's value", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      const amount = ethers.parseEther("1000");
+      await tokenB.connect(user2).approve(tradingVault.target, amount);
+      await tradingVault.connect(user2).supply(amount);
+      const shares = await tradingVault.balanceOf(user2.address);
+      expect(shares).to.equal((amount * await tradingVault.totalSupply()) / (VAULT_LIQUIDITY + amount));
+
+      // the long loses, the vault gains
+      await priceFeed.updateAnswer(1900 * 1e8);
+      await leverageTrade.connect(user1).closePosition(1);
+
+      const balance = await tokenB.balanceOf(user2.address);
+      await expect(tradingVault.connect(user2).redeem(shares)).to.emit(tradingVault, "Redeemed");
+      expect(await tokenB.balanceOf(user2.address) - balance).to.be.greaterThan(amount);
+      await expect(tradingVault.connect(user2).payProfit(user2.address, 1))
+        .to.be.revertedWithCustomError(tradingVault, "NotLeverageTrade");
+      await expect(tradingVault.connect(user2).collectLoss(1))
+        .to.be.revertedWithCustomError(tradingVault, "NotLeverageTrade");
+    });
+
+    it("Should hold back the open profit of traders from an LP exit", async function () {
+      const { leverageTrade, tradingVault, tokenB, priceFeed, owner, user1, user2 } = await loadFixture(setupWithoutFees);
+      const { margin, size } = await leverageTrade.getPosition(1);
+      await priceFeed.updateAnswer(2200 * 1e8);
+      const openProfit = size / 10n;
+      expect(await tradingVault.netAssets()).to.equal(VAULT_LIQUIDITY - openProfit);
+
+      // a new LP buys in at the net assets, and every LP leaves before the winner closes
+      const amount = ethers.parseEther("1000");
+      await tokenB.connect(user2).approve(tradingVault.target, amount);
+      const supplied = await tradingVault.totalSupply();
+      await tradingVault.connect(user2).supply(amount);
+      expect(await tradingVault.balanceOf(user2.address)).to.equal((amount * supplied) / (VAULT_LIQUIDITY - openProfit));
+      const ownerBalance = await tokenB.balanceOf(owner.address);
+      await tradingVault.redeem(await tradingVault.balanceOf(owner.address));
+      await tradingVault.connect(user2).redeem(await tradingVault.balanceOf(user2.address));
+      expect(await tokenB.balanceOf(owner.address) - ownerBalance).to.be.lessThan(VAULT_LIQUIDITY - openProfit);
+
+      // what is left covers the whole profit
+      const balance = await tokenB.balanceOf(user1.address);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(tradingVault, "ProfitPaid")
+        .withArgs(leverageTrade.target, openProfit, openProfit);
+      expect(await tokenB.balanceOf(user1.address) - balance).to.equal(margin + openProfit - size / 1000n);
+    });
+  });
+
+  // Test suite for partial closes and margin changes
+  describe("Position Adjustments", function () {
+    it("Should realize P&L in proportion to the size decreased", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1 } = await loadFixture(setupWithPosition);
+      const { margin, size } = await leverageTrade.getPosition(1);
+
+      await priceFeed.updateAnswer(2200 * 1e8);
+      const balance = await tokenB.balanceOf(user1.address);
+      const tx = await leverageTrade.connect(user1).decreasePosition(1, size / 2n);
+      const fees = await feesSettled(leverageTrade, tx);
+      const marginDelta = ((margin - fees) * (size / 2n)) / size;
+      const profit = size / 20n;
+      await expect(tx)
+        .to.emit(leverageTrade, "PositionDecreased")
+        .withArgs(1, user1.address, size / 2n, marginDelta, profit, 0);
+
+      // half the margin and half the profit, less the 0.1% fee on the closed size
+      expect(await tokenB.balanceOf(user1.address) - balance).to.equal(marginDelta + profit - size / 2000n);
+      const position = await leverageTrade.getPosition(1);
+      expect(position.size).to.equal(size / 2n);
+      expect(position.margin).to.equal(margin - fees - marginDelta);
+      expect(position.openPrice).to.equal(ethers.parseEther("2000"));
+      expect((await leverageTrade.markets(0)).longOpenInterest).to.equal(size / 2n);
+    });
+
+    it("Should close the position when decreasing its whole size", async function () {
+      const { leverageTrade, user1 } = await loadFixture(setupWithPosition);
+      const { size } = await leverageTrade.getPosition(1);
+
+      await expect(leverageTrade.connect(user1).decreasePosition(1, size))
+        .to.emit(leverageTrade, "PositionClosed");
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(0);
+    });
+
+    it("Should reject invalid decreases", async function () {
+      const { leverageTrade, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      const { size } = await leverageTrade.getPosition(1);
+
+      await expect(leverageTrade.connect(user1).decreasePosition(1, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidSizeDelta")
+        .withArgs(0);
+      await expect(leverageTrade.connect(user1).decreasePosition(1, size + 1n))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidSizeDelta");
+      await expect(leverageTrade.connect(user2).decreasePosition(1, size / 2n))
+        .to.be.revertedWithCustomError(leverageTrade, "NotPositionOwner");
+
+      // a liquidatable position cannot be trimmed below its maintenance margin
+      await priceFeed.updateAnswer(ETH_PRICE * 0.85);
+      await expect(leverageTrade.connect(user1).decreasePosition(1, size / 2n))
+        .to.be.revertedWithCustomError(leverageTrade, "PositionUnhealthy");
+    });
+
+    it("Should add margin to a position", async function () {
+      const { leverageTrade, tokenB, user1 } = await loadFixture(setupWithPosition);
+      const amount = ethers.parseEther("50");
+      const { margin, size } = await leverageTrade.getPosition(1);
+
+      const tx = await leverageTrade.connect(user1).addMargin(1, amount);
+      await expect(tx).to.emit(leverageTrade, "MarginAdded").withArgs(1, user1.address, amount);
+
+      const position = await leverageTrade.getPosition(1);
+      expect(position.margin).to.equal(margin - await feesSettled(leverageTrade, tx) + amount);
+      expect(position.size).to.equal(size);
+      await expect(leverageTrade.connect(user1).addMargin(1, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarginAmount");
+      await tokenB.connect(user1).approve(leverageTrade.target, 0);
+      await expect(leverageTrade.connect(user1).addMargin(1, amount))
+        .to.be.revertedWithCustomError(leverageTrade, "InsufficientAllowance");
+    });
+
+    it("Should remove margin while the position stays healthy", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1 } = await loadFixture(setupWithPosition);
+      const { margin } = await leverageTrade.getPosition(1);
+
+      const balance = await tokenB.balanceOf(user1.address);
+      await expect(leverageTrade.connect(user1).removeMargin(1, margin / 2n))
+        .to.emit(leverageTrade, "MarginRemoved")
+        .withArgs(1, user1.address, margin / 2n);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(balance + margin / 2n);
+
+      // ~20x after the removal: an 8% drop leaves too little equity for another 10%
+      await priceFeed.updateAnswer(ETH_PRICE * 0.96);
+      await expect(leverageTrade.connect(user1).removeMargin(1, margin / 10n))
+        .to.be.revertedWithCustomError(leverageTrade, "PositionUnhealthy");
+    });
+
+    it("Should not remove margin beyond the max leverage", async function () {
+      const { leverageTrade, user1, user2 } = await loadFixture(setupWithPosition);
+      const { margin } = await leverageTrade.getPosition(1);
 
-      // Verify old position was closed and new one opened
-      const position = await leverageTrade.getPosition(user1.address);
-      expect(position.isLong).to.be.false;
-      expect(finalBalance).to.be.lessThan(initialBalance); // Deducted new margin
+      await expect(leverageTrade.connect(user1).removeMargin(1, (margin * 85n) / 100n))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidLeverage");
+      await expect(leverageTrade.connect(user1).removeMargin(1, margin))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarginAmount");
+      await expect(leverageTrade.connect(user2).removeMargin(1, 1))
+        .to.be.revertedWithCustomError(leverageTrade, "NotPositionOwner");
+    });
+
+    it("Should reject opposite-side opens in one-way mode", async function () {
+      const { leverageTrade, tokenB, user1 } = await loadFixture(setupWithPosition);
+      const margin = ethers.parseEther("50");
+      await tokenB.connect(user1).approve(leverageTrade.target, margin * 2n);
+
+      await expect(leverageTrade.connect(user1).setOneWayMode(true))
+        .to.emit(leverageTrade, "OneWayModeSet")
+        .withArgs(user1.address, true);
+      await expect(leverageTrade.connect(user1).openPosition(0, margin, false, LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "OppositePosition")
+        .withArgs(1);
+      await leverageTrade.connect(user1).openPosition(0, margin, true, LEVERAGE);
+
+      await leverageTrade.connect(user1).setOneWayMode(false);
+      await leverageTrade.connect(user1).openPosition(0, margin, false, LEVERAGE);
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(3);
     });
   });
-});
\ No newline at end of file
+
+  // Test suite for conditional orders
+  describe("Orders", function () {
+    const LIMIT = 0;
+    const STOP_LOSS = 1;
+    const TAKE_PROFIT = 2;
+    const EXECUTION_FEE = ethers.parseEther("1");
+
+    async function setupWithLimitOrder() {
+      const fixture = await loadFixture(deployContracts);
+      const { leverageTrade, tokenB, user1 } = fixture;
+      const margin = ethers.parseEther("100");
+      await tokenB.connect(user1).approve(leverageTrade.target, margin + EXECUTION_FEE);
+      // long at $1900 or better
+      await leverageTrade.connect(user1).placeLimitOrder(0, margin, true, LEVERAGE, ethers.parseEther("1900"));
+      return { ...fixture, margin };
+    }
+
+    it("Should escrow the margin and execution fee of limit orders", async function () {
+      const { leverageTrade, tokenB, user1, margin } = await loadFixture(setupWithLimitOrder);
+      const order = await leverageTrade.orders(1);
+
+      expect(order.owner).to.equal(user1.address);
+      expect(order.orderType).to.equal(LIMIT);
+      expect(order.margin).to.equal(margin);
+      expect(order.executionFee).to.equal(EXECUTION_FEE);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(INITIAL_BALANCE / 3n - margin - EXECUTION_FEE);
+      expect(await leverageTrade.getUserOrders(user1.address)).to.deep.equal([1n]);
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(0);
+    });
+
+    it("Should open a limit order position once the price reaches the trigger", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2, margin } = await loadFixture(setupWithLimitOrder);
+
+      expect(await leverageTrade.isOrderTriggered(1)).to.be.false;
+      await expect(leverageTrade.connect(user2).executeOrder(1))
+        .to.be.revertedWithCustomError(leverageTrade, "OrderNotTriggered")
+        .withArgs(ethers.parseEther("1900"), ethers.parseEther("2000"));
+
+      await priceFeed.updateAnswer(1890 * 1e8);
+      expect(await leverageTrade.isOrderTriggered(1)).to.be.true;
+      const executorBalance = await tokenB.balanceOf(user2.address);
+      await expect(leverageTrade.connect(user2).executeOrder(1))
+        .to.emit(leverageTrade, "OrderExecuted")
+        .withArgs(1, user1.address, user2.address, ethers.parseEther("1890"), 1);
+
+      const position = await leverageTrade.getPosition(1);
+      const netMargin = margin - (margin * BigInt(LEVERAGE) * 10n) / 10000n;
+      expect((await leverageTrade.positions(1)).owner).to.equal(user1.address);
+      expect(position.isLong).to.be.true;
+      expect(position.margin).to.equal(netMargin);
+      expect(position.openPrice).to.equal(ethers.parseEther("1890"));
+      expect(await tokenB.balanceOf(user2.address)).to.equal(executorBalance + EXECUTION_FEE);
+      expect(await leverageTrade.userOrderCount(user1.address)).to.equal(0);
+      await expect(leverageTrade.connect(user2).executeOrder(1))
+        .to.be.revertedWithCustomError(leverageTrade, "NoOrder");
+    });
+
+    it("Should refund cancelled orders to their owner only", async function () {
+      const { leverageTrade, tokenB, user1, user2 } = await loadFixture(setupWithLimitOrder);
+
+      await expect(leverageTrade.connect(user2).cancelOrder(1))
+        .to.be.revertedWithCustomError(leverageTrade, "NotOrderOwner");
+      await expect(leverageTrade.connect(user1).cancelOrder(1))
+        .to.emit(leverageTrade, "OrderCancelled")
+        .withArgs(1, user1.address);
+
+      expect(await tokenB.balanceOf(user1.address)).to.equal(INITIAL_BALANCE / 3n);
+      expect(await leverageTrade.getUserOrders(user1.address)).to.deep.equal([]);
+      await expect(leverageTrade.connect(user1).cancelOrder(1))
+        .to.be.revertedWithCustomError(leverageTrade, "NoOrder");
+    });
+
+    it("Should close a long with its stop-loss order", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      await leverageTrade.connect(user1).placeCloseOrder(1, STOP_LOSS, ethers.parseEther("1900"));
+
+      await priceFeed.updateAnswer(1910 * 1e8);
+      expect(await leverageTrade.isOrderTriggered(1)).to.be.false;
+
+      await priceFeed.updateAnswer(1900 * 1e8);
+      const balance = await tokenB.balanceOf(user1.address);
+      await expect(leverageTrade.connect(user2).executeOrder(1))
+        .to.emit(leverageTrade, "PositionClosed")
+        .and.to.emit(leverageTrade, "OrderExecuted");
+
+      expect(await tokenB.balanceOf(user1.address)).to.be.greaterThan(balance);
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(0);
+    });
+
+    it("Should close a short with its take-profit order", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(deployContracts);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("100") + EXECUTION_FEE);
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("100"), false, LEVERAGE);
+      await expect(leverageTrade.connect(user2).placeCloseOrder(1, TAKE_PROFIT, ethers.parseEther("1800")))
+        .to.emit(leverageTrade, "OrderPlaced")
+        .withArgs(1, user2.address, 0, TAKE_PROFIT, false, ethers.parseEther("1800"), 1);
+
+      await priceFeed.updateAnswer(2100 * 1e8);
+      expect(await leverageTrade.isOrderTriggered(1)).to.be.false;
+      await priceFeed.updateAnswer(1800 * 1e8);
+
+      const balance = await tokenB.balanceOf(user2.address);
+      const tx = await leverageTrade.connect(user1).executeOrder(1);
+      await expect(tx).to.emit(leverageTrade, "PositionClosed");
+      // 10% move at 10x: the margin doubles, less the close fee
+      expect(await tokenB.balanceOf(user2.address) - balance)
+        .to.be.closeTo(ethers.parseEther("198"), ethers.parseEther("1"));
+    });
+
+    it("Should cancel the close orders of a closed position and refund their fees", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      await leverageTrade.connect(user1).placeCloseOrder(1, TAKE_PROFIT, ethers.parseEther("2100"));
+      await leverageTrade.connect(user1).placeCloseOrder(1, STOP_LOSS, ethers.parseEther("1900"));
+
+      const { margin, size } = await leverageTrade.positions(1);
+      const balance = await tokenB.balanceOf(user1.address);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(leverageTrade, "OrderCancelled").withArgs(1, user1.address)
+        .and.to.emit(leverageTrade, "OrderCancelled").withArgs(2, user1.address);
+      // the margin less the close fee, and both execution fees
+      expect(await tokenB.balanceOf(user1.address) - balance)
+        .to.be.closeTo(margin - (size * 10n) / 10000n + 2n * EXECUTION_FEE, ethers.parseEther("0.01"));
+      expect(await leverageTrade.userOrderCount(user1.address)).to.equal(0);
+
+      await priceFeed.updateAnswer(2100 * 1e8);
+      await expect(leverageTrade.connect(user2).executeOrder(1))
+        .to.be.revertedWithCustomError(leverageTrade, "NoOrder");
+    });
+
+    it("Should cancel the close orders of a liquidated position and refund their fees", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      await leverageTrade.connect(user1).placeCloseOrder(1, STOP_LOSS, ethers.parseEther("1500"));
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("51"));
+      await leverageTrade.connect(user2).placeLimitOrder(0, ethers.parseEther("50"), true, LEVERAGE, ethers.parseEther("1000"));
+
+      // -10% at 10x wipes out the margin, the stop-loss is below
+      await priceFeed.updateAnswer(1800 * 1e8);
+      const tx = leverageTrade.connect(user2).liquidate(1);
+      await expect(tx).to.emit(leverageTrade, "OrderCancelled").withArgs(1, user1.address);
+      await expect(tx).to.changeTokenBalance(tokenB, user1, EXECUTION_FEE);
+      expect(await leverageTrade.userOrderCount(user1.address)).to.equal(0);
+      // orders of other positions and limit orders stay
+      expect((await leverageTrade.orders(2)).owner).to.equal(user2.address);
+    });
+
+    it("Should reject invalid orders", async function () {
+      const { leverageTrade, tokenB, user1, user2 } = await loadFixture(setupWithPosition);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("200"));
+
+      await expect(leverageTrade.connect(user2).placeCloseOrder(1, STOP_LOSS, ethers.parseEther("1900")))
+        .to.be.revertedWithCustomError(leverageTrade, "NotPositionOwner");
+      await expect(leverageTrade.connect(user1).placeCloseOrder(1, LIMIT, ethers.parseEther("1900")))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidTriggerPrice");
+      await expect(leverageTrade.connect(user1).placeCloseOrder(1, STOP_LOSS, 0))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidTriggerPrice");
+      for (let i = 0; i < 10; i++) {
+        await leverageTrade.connect(user1).placeCloseOrder(1, STOP_LOSS, ethers.parseEther("1900"));
+      }
+      await expect(leverageTrade.connect(user1).placeCloseOrder(1, TAKE_PROFIT, ethers.parseEther("2100")))
+        .to.be.revertedWithCustomError(leverageTrade, "TooManyCloseOrders")
+        .withArgs(1);
+      await expect(leverageTrade.connect(user2).placeLimitOrder(0, ethers.parseEther("100"), true, 51, 1))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidLeverage");
+      await expect(leverageTrade.connect(user2).placeLimitOrder(1, ethers.parseEther("100"), true, LEVERAGE, 1))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarket");
+      await expect(leverageTrade.connect(user2).placeLimitOrder(0, ethers.parseEther("200"), true, LEVERAGE, 1))
+        .to.be.revertedWithCustomError(leverageTrade, "InsufficientAllowance");
+    });
+
+    it("Should only let the risk manager set the execution fee", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+
+      await expect(leverageTrade.connect(user1).setExecutionFee(0))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.setExecutionFee(ethers.parseEther("11")))
+        .to.be.revertedWithCustomError(leverageTrade, "ExecutionFeeTooHigh");
+      await expect(applyChange(leverageTrade, "setExecutionFee", [ethers.parseEther("2")]))
+        .to.emit(leverageTrade, "ExecutionFeeUpdated")
+        .withArgs(ethers.parseEther("2"));
+    });
+  });
+
+  // Test suite for markets
+  describe("Markets", function () {
+    const BTC_PRICE = 60000 * 1e8;
+
+    async function setupWithMarket() {
+      const fixture = await loadFixture(deployContracts);
+      const btcFeed = await ethers.deployContract("MockV3Aggregator", [8, BTC_PRICE]);
+      // 20x max leverage, 10% maintenance margin, 0.2% fee
+      await fixture.leverageTrade.listMarket(btcFeed.target, 20, 1000, 20);
+      return { ...fixture, btcFeed };
+    }
+
+    it("Should list market 0 from the constructor feed", async function () {
+      const { leverageTrade, priceFeed } = await loadFixture(deployContracts);
+      const market = await leverageTrade.markets(0);
+
+      expect(await leverageTrade.marketCount()).to.equal(1);
+      expect(market.listed).to.be.true;
+      expect(market.maxLeverage).to.equal(50);
+      expect(market.maintenanceMargin).to.equal(await leverageTrade.MAINTENANCE_MARGIN());
+      expect(market.feeRate).to.equal(await leverageTrade.FEE_RATE());
+      expect(market.priceFeed).to.equal(priceFeed.target);
+      expect(market.maxPriceAge).to.equal(3600);
+    });
+
+    it("Should list markets with their own price feed", async function () {
+      const { leverageTrade, btcFeed } = await loadFixture(setupWithMarket);
+
+      expect(await leverageTrade.marketCount()).to.equal(2);
+      expect(await leverageTrade.getPrice(1)).to.equal(ethers.parseEther("60000"));
+      expect(await leverageTrade.getPrice(0)).to.equal(ethers.parseEther("2000"));
+      expect((await leverageTrade.markets(1)).priceFeed).to.equal(btcFeed.target);
+      await expect(leverageTrade.getPrice(2))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarket")
+        .withArgs(2);
+    });
+
+    it("Should apply the leverage cap and fee of the market", async function () {
+      const { leverageTrade, tokenB, user1 } = await loadFixture(setupWithMarket);
+      const margin = ethers.parseEther("100");
+      await tokenB.connect(user1).approve(leverageTrade.target, margin);
+
+      await expect(leverageTrade.connect(user1).openPosition(1, margin, true, 21))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidLeverage")
+        .withArgs(21);
+      await expect(leverageTrade.connect(user1).openPosition(1, margin, true, 20))
+        .to.emit(leverageTrade, "PositionOpened")
+        .withArgs(1, user1.address, 1, true, ethers.parseEther("96"), ethers.parseEther("1920"), ethers.parseEther("60000"), 20);
+
+      const { longOpenInterest } = await leverageTrade.markets(1);
+      expect(longOpenInterest).to.equal(ethers.parseEther("1920"));
+      expect((await leverageTrade.markets(0)).longOpenInterest).to.equal(0);
+    });
+
+    it("Should price and liquidate positions with their own market", async function () {
+      const { leverageTrade, tokenB, priceFeed, btcFeed, user1, user2 } = await loadFixture(setupWithMarket);
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("100"));
+      await leverageTrade.connect(user1).openPosition(1, ethers.parseEther("100"), true, 10);
+
+      // an ETH crash does not touch the BTC position
+      await priceFeed.updateAnswer(ETH_PRICE / 2);
+      expect(await leverageTrade.isLiquidatable(1)).to.be.false;
+
+      // 9% drop: 90% of the margin is lost, below the 10% maintenance margin of the market
+      await btcFeed.updateAnswer(BTC_PRICE * 0.91);
+      expect(await leverageTrade.isLiquidatable(1)).to.be.true;
+      await expect(leverageTrade.connect(user2).liquidate(1))
+        .to.emit(leverageTrade, "PositionLiquidated");
+    });
+
+    it("Should only let the risk manager list and update markets", async function () {
+      const { leverageTrade, btcFeed, user1 } = await loadFixture(setupWithMarket);
+
+      await expect(leverageTrade.connect(user1).listMarket(btcFeed.target, 10, 500, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.connect(user1).updateMarket(1, 10, 500, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.connect(user1).delistMarket(1))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+
+      await expect(applyChange(leverageTrade, "updateMarket", [1, 10, 500, 10]))
+        .to.emit(leverageTrade, "MarketUpdated")
+        .withArgs(1, 10, 500, 10);
+      expect((await leverageTrade.markets(1)).maxLeverage).to.equal(10);
+    });
+
+    it("Should reject invalid market configs", async function () {
+      const { leverageTrade, btcFeed } = await loadFixture(setupWithMarket);
+
+      await expect(leverageTrade.listMarket(ethers.ZeroAddress, 10, 500, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidAddress");
+      await expect(leverageTrade.listMarket(btcFeed.target, 51, 500, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarketConfig")
+        .withArgs(51, 500, 10);
+      await expect(leverageTrade.listMarket(btcFeed.target, 10, 0, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarketConfig");
+      await expect(leverageTrade.updateMarket(1, 10, 500, 101))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarketConfig");
+      await expect(leverageTrade.updateMarket(2, 10, 500, 10))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidMarket");
+    });
+
+    it("Should let positions of delisted markets close", async function () {
+      const { leverageTrade, tokenB, user1 } = await loadFixture(setupWithMarket);
+      await tokenB.connect(user1).approve(leverageTrade.target, ethers.parseEther("200"));
+      await leverageTrade.connect(user1).openPosition(1, ethers.parseEther("100"), false, 5);
+
+      await expect(leverageTrade.delistMarket(1))
+        .to.emit(leverageTrade, "MarketDelisted")
+        .withArgs(1);
+      await expect(leverageTrade.connect(user1).openPosition(1, ethers.parseEther("100"), false, 5))
+        .to.be.revertedWithCustomError(leverageTrade, "MarketNotListed")
+        .withArgs(1);
+      await expect(leverageTrade.connect(user1).increasePosition(1, ethers.parseEther("100"), 5))
+        .to.be.revertedWithCustomError(leverageTrade, "MarketNotListed");
+      await expect(leverageTrade.delistMarket(1))
+        .to.be.revertedWithCustomError(leverageTrade, "MarketNotListed");
+
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(leverageTrade, "PositionClosed");
+      expect(await leverageTrade.userPositionCount(user1.address)).to.equal(0);
+    });
+  });
+
+  // Test suite for roles, the timelock and fee withdrawal
+  describe("Access Control and Treasury", function () {
+    const DELAY = 2 * 24 * 3600;
+
+    it("Should queue timelocked changes and apply them after the delay", async function () {
+      const { leverageTrade, owner, user1 } = await loadFixture(deployContracts);
+      const data = leverageTrade.interface.encodeFunctionData("setLiquidationReward", [1000]);
+      const id = ethers.keccak256(data);
+
+      await expect(leverageTrade.setLiquidationReward(2001))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidLiquidationReward")
+        .withArgs(2001);
+      await expect(leverageTrade.connect(user1).setLiquidationReward(1000))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+
+      const tx = await leverageTrade.setLiquidationReward(1000);
+      const readyAt = BigInt((await tx.getBlock()).timestamp + DELAY);
+      await expect(tx).to.emit(leverageTrade, "ChangeQueued").withArgs(id, owner.address, data, readyAt);
+      expect(await leverageTrade.queuedChanges(id)).to.equal(readyAt);
+      expect(await leverageTrade.liquidationReward()).to.equal(500);
+
+      await expect(leverageTrade.executeChange(data))
+        .to.be.revertedWithCustomError(leverageTrade, "ChangeNotReady")
+        .withArgs(id, readyAt);
+      await time.increaseTo(readyAt);
+      await expect(leverageTrade.connect(user1).executeChange(data))
+        .to.emit(leverageTrade, "LiquidationRewardUpdated")
+        .withArgs(1000)
+        .and.to.emit(leverageTrade, "ChangeExecuted")
+        .withArgs(id, data);
+      expect(await leverageTrade.liquidationReward()).to.equal(1000);
+
+      await expect(leverageTrade.executeChange(data))
+        .to.be.revertedWithCustomError(leverageTrade, "ChangeNotQueued");
+    });
+
+    it("Should let the admin cancel queued changes", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+      const data = leverageTrade.interface.encodeFunctionData("setExecutionFee", [0]);
+      await leverageTrade.setExecutionFee(0);
+
+      await expect(leverageTrade.connect(user1).cancelChange(data))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.cancelChange(data))
+        .to.emit(leverageTrade, "ChangeCancelled")
+        .withArgs(ethers.keccak256(data));
+
+      await time.increase(DELAY);
+      await expect(leverageTrade.executeChange(data))
+        .to.be.revertedWithCustomError(leverageTrade, "ChangeNotQueued");
+      expect(await leverageTrade.executionFee()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should only let the admin change the timelock delay", async function () {
+      const { leverageTrade, user1 } = await loadFixture(deployContracts);
+
+      await expect(leverageTrade.setTimelockDelay(1800))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidDelay")
+        .withArgs(1800);
+      await expect(leverageTrade.setTimelockDelay(15 * 24 * 3600))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidDelay");
+      await expect(leverageTrade.connect(user1).setTimelockDelay(3600))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+
+      await expect(applyChange(leverageTrade, "setTimelockDelay", [3600]))
+        .to.emit(leverageTrade, "TimelockDelayUpdated")
+        .withArgs(3600);
+      expect(await leverageTrade.timelockDelay()).to.equal(3600);
+    });
+
+    it("Should hand roles over to other accounts", async function () {
+      const { leverageTrade, owner, user1 } = await loadFixture(deployContracts);
+      const btcFeed = await ethers.deployContract("MockV3Aggregator", [8, 60000 * 1e8]);
+      const [admin, riskManager] = await Promise.all([
+        leverageTrade.DEFAULT_ADMIN_ROLE(),
+        leverageTrade.RISK_MANAGER_ROLE()
+      ]);
+
+      await expect(leverageTrade.grantRole(riskManager, user1.address))
+        .to.emit(leverageTrade, "RoleGranted")
+        .withArgs(riskManager, user1.address, owner.address);
+      await expect(leverageTrade.connect(user1).listMarket(btcFeed.target, 10, 500, 10))
+        .to.emit(leverageTrade, "MarketListed");
+
+      // a new admin takes over and the deployer steps down
+      await leverageTrade.grantRole(admin, user1.address);
+      await leverageTrade.renounceRole(admin, owner.address);
+      await expect(leverageTrade.setTreasury(owner.address))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.connect(user1).revokeRole(riskManager, owner.address))
+        .to.emit(leverageTrade, "RoleRevoked");
+      await expect(leverageTrade.delistMarket(1))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should withdraw fees to the treasury", async function () {
+      const { leverageTrade, tokenB, owner, user1, user2 } = await loadFixture(setupWithPosition);
+      const feeReserve = await leverageTrade.feeReserve();
+      expect(await leverageTrade.treasury()).to.equal(owner.address);
+
+      await expect(leverageTrade.connect(user1).setTreasury(user1.address))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidAddress");
+      await expect(leverageTrade.setTreasury(user2.address))
+        .to.emit(leverageTrade, "TreasuryUpdated")
+        .withArgs(user2.address);
+
+      await expect(leverageTrade.connect(user1).withdrawFees(1))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.withdrawFees(feeReserve + 1n))
+        .to.be.revertedWithCustomError(leverageTrade, "InsufficientBalance")
+        .withArgs(feeReserve + 1n, feeReserve);
+
+      const balance = await tokenB.balanceOf(user2.address);
+      await expect(leverageTrade.withdrawFees(feeReserve))
+        .to.emit(leverageTrade, "FeesWithdrawn")
+        .withArgs(user2.address, feeReserve);
+      expect(await tokenB.balanceOf(user2.address)).to.equal(balance + feeReserve);
+      expect(await leverageTrade.feeReserve()).to.equal(0);
+    });
+  });
+
+  // Test suite for the guardian pause and the price circuit breaker
+  describe("Pause and Circuit Breaker", function () {
+    it("Should stop opens but let users exit while paused", async function () {
+      const { leverageTrade, tokenB, priceFeed, owner, user1, user2 } = await loadFixture(setupWithPosition);
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("50"));
+      await leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), false, LEVERAGE);
+
+      await expect(leverageTrade.connect(user1).pause())
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.pause()).to.emit(leverageTrade, "Paused").withArgs(owner.address);
+
+      await expect(leverageTrade.connect(user1).openPosition(0, ethers.parseEther("10"), true, LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "EnforcedPause");
+      await expect(leverageTrade.connect(user1).increasePosition(1, ethers.parseEther("10"), LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "EnforcedPause");
+      await expect(leverageTrade.connect(user1).placeLimitOrder(0, ethers.parseEther("10"), true, LEVERAGE, 1))
+        .to.be.revertedWithCustomError(leverageTrade, "EnforcedPause");
+
+      // margin changes, decreases and closes go on
+      await expect(leverageTrade.connect(user1).addMargin(1, ethers.parseEther("10")))
+        .to.emit(leverageTrade, "MarginAdded");
+      await expect(leverageTrade.connect(user1).removeMargin(1, ethers.parseEther("10")))
+        .to.emit(leverageTrade, "MarginRemoved");
+      const { size } = await leverageTrade.getPosition(1);
+      await expect(leverageTrade.connect(user1).decreasePosition(1, size / 2n))
+        .to.emit(leverageTrade, "PositionDecreased");
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(leverageTrade, "PositionClosed");
+
+      // and so do liquidations
+      await priceFeed.updateAnswer(2200 * 1e8);
+      await expect(leverageTrade.connect(user1).liquidate(2))
+        .to.emit(leverageTrade, "PositionLiquidated");
+    });
+
+    it("Should fill close orders but not limit orders while paused", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      await leverageTrade.connect(user1).placeCloseOrder(1, 1, ethers.parseEther("1950")); // stop-loss
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("51"));
+      await leverageTrade.connect(user2).placeLimitOrder(0, ethers.parseEther("50"), true, LEVERAGE, ethers.parseEther("1950"));
+      await leverageTrade.pause();
+
+      await priceFeed.updateAnswer(1900 * 1e8);
+      await expect(leverageTrade.executeOrder(2))
+        .to.be.revertedWithCustomError(leverageTrade, "EnforcedPause");
+      await expect(leverageTrade.executeOrder(1))
+        .to.emit(leverageTrade, "PositionClosed");
+      await expect(leverageTrade.connect(user2).cancelOrder(2))
+        .to.emit(leverageTrade, "OrderCancelled");
+    });
+
+    it("Should pause on a price jump until the admin unpauses", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      expect(await leverageTrade.lastPrices(priceFeed.target)).to.equal(ethers.parseEther("2000"));
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("50"));
+      const balance = await tokenB.balanceOf(user2.address);
+
+      // +25% is over the 20% max jump: opens revert and leave the last price
+      await priceFeed.updateAnswer(2500 * 1e8);
+      await expect(leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), true, LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "PriceJumped")
+        .withArgs(priceFeed.target, ethers.parseEther("2000"), ethers.parseEther("2500"));
+      await expect(leverageTrade.connect(user1).increasePosition(1, ethers.parseEther("10"), LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "PriceJumped");
+      expect(await leverageTrade.lastPrices(priceFeed.target)).to.equal(ethers.parseEther("2000"));
+      expect(await leverageTrade.paused()).to.be.false;
+
+      // a keeper records the jump, which pauses the contract
+      await expect(leverageTrade.connect(user2).checkPrice(0))
+        .to.emit(leverageTrade, "CircuitBreakerTripped")
+        .withArgs(priceFeed.target, ethers.parseEther("2000"), ethers.parseEther("2500"));
+      expect(await leverageTrade.paused()).to.be.true;
+      await expect(leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), true, LEVERAGE))
+        .to.be.revertedWithCustomError(leverageTrade, "EnforcedPause");
+      expect(await tokenB.balanceOf(user2.address)).to.equal(balance);
+      expect(await leverageTrade.nextPositionId()).to.equal(2);
+
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(leverageTrade, "PositionClosed");
+
+      await expect(leverageTrade.connect(user1).unpause())
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(leverageTrade.unpause()).to.emit(leverageTrade, "Unpaused");
+      await expect(leverageTrade.connect(user2).openPosition(0, ethers.parseEther("50"), true, LEVERAGE))
+        .to.emit(leverageTrade, "PositionOpened");
+    });
+
+    it("Should revert limit fills on a price jump but pause through a close order", async function () {
+      const { leverageTrade, tokenB, priceFeed, user1, user2 } = await loadFixture(setupWithPosition);
+      await leverageTrade.connect(user1).placeCloseOrder(1, 1, ethers.parseEther("1500")); // stop-loss
+      await tokenB.connect(user2).approve(leverageTrade.target, ethers.parseEther("51"));
+      await leverageTrade.connect(user2).placeLimitOrder(0, ethers.parseEther("50"), true, LEVERAGE, ethers.parseEther("1500"));
+
+      // -30% triggers both orders
+      await priceFeed.updateAnswer(1400 * 1e8);
+      await expect(leverageTrade.executeOrder(2))
+        .to.be.revertedWithCustomError(leverageTrade, "PriceJumped")
+        .withArgs(priceFeed.target, ethers.parseEther("2000"), ethers.parseEther("1400"));
+      await expect(leverageTrade.executeOrder(1))
+        .to.emit(leverageTrade, "CircuitBreakerTripped")
+        .and.to.emit(leverageTrade, "PositionClosed");
+      expect(await leverageTrade.paused()).to.be.true;
+      // the price is recorded now, a second check does not trip again
+      expect(await leverageTrade.checkPrice.staticCall(0)).to.be.false;
+    });
+
+    it("Should only let the risk manager set the max price jump", async function () {
+      const { leverageTrade, priceFeed, user1 } = await loadFixture(setupWithPosition);
+
+      await expect(leverageTrade.setMaxPriceJump(5001))
+        .to.be.revertedWithCustomError(leverageTrade, "InvalidPriceJump")
+        .withArgs(5001);
+      await expect(leverageTrade.connect(user1).setMaxPriceJump(0))
+        .to.be.revertedWithCustomError(leverageTrade, "AccessControlUnauthorizedAccount");
+      await expect(applyChange(leverageTrade, "setMaxPriceJump", [0], [priceFeed]))
+        .to.emit(leverageTrade, "MaxPriceJumpUpdated")
+        .withArgs(0);
+
+      // the breaker is off
+      await priceFeed.updateAnswer(3000 * 1e8);
+      await expect(leverageTrade.connect(user1).closePosition(1))
+        .to.emit(leverageTrade, "PositionClosed")
+        .and.not.to.emit(leverageTrade, "CircuitBreakerTripped");
+      expect(await leverageTrade.paused()).to.be.false;
+    });
+  });
+});
+
+describe("LiquidityMining", function () {
+  const REWARD_PER_SECOND = ethers.parseEther("1");
+  const STAKE = ethers.parseEther("100");
+
+  // pool 0 stakes TokenA for 75% of the emissions, pool 1 TokenB for 25%
+  async function deployContracts() {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const rewardToken = await ethers.deployContract("GovernanceToken");
+    const tokenA = await ethers.deployContract("TokenA");
+    const tokenB = await ethers.deployContract("TokenB");
+    const liquidityMining = await ethers.deployContract("LiquidityMining", [rewardToken.target, REWARD_PER_SECOND]);
+    await liquidityMining.addPool(tokenA.target, 300);
+    await liquidityMining.addPool(tokenB.target, 100);
+
+    for (const user of [user1, user2]) {
+      for (const token of [tokenA, tokenB]) {
+        await token.transfer(user.address, ethers.parseEther("1000"));
+        await token.connect(user).approve(liquidityMining.target, ethers.MaxUint256);
+      }
+    }
+    await rewardToken.approve(liquidityMining.target, ethers.MaxUint256);
+    return { liquidityMining, rewardToken, tokenA, tokenB, owner, user1, user2 };
+  }
+
+  // run the next transaction `seconds` after `start`
+  async function at(start, seconds) {
+    await time.setNextBlockTimestamp(start + seconds);
+  }
+
+  it("Should split emissions by allocation points and stake", async function () {
+    const { liquidityMining, tokenA, user1, user2 } = await loadFixture(deployContracts);
+    const start = (await time.latest()) + 10;
+
+    await at(start, 0);
+    await expect(liquidityMining.connect(user1).deposit(0, STAKE))
+      .to.emit(liquidityMining, "Deposited")
+      .withArgs(user1.address, 0, STAKE);
+    await at(start, 10);
+    await liquidityMining.connect(user2).deposit(0, STAKE * 3n);
+    await at(start, 30);
+    await time.advanceBlock();
+
+    // 10s alone at 0.75/s, then 20s with a quarter of the pool
+    expect(await liquidityMining.pendingRewards(0, user1.address)).to.equal(ethers.parseEther("11.25"));
+    expect(await liquidityMining.pendingRewards(0, user2.address)).to.equal(ethers.parseEther("11.25"));
+    expect(await liquidityMining.pendingRewards(1, user1.address)).to.equal(0);
+    expect((await liquidityMining.pools(0)).totalStaked).to.equal(STAKE * 4n);
+    expect(await tokenA.balanceOf(liquidityMining.target)).to.equal(STAKE * 4n);
+  });
+
+  it("Should keep rewards claimable across withdrawals and harvest them", async function () {
+    const { liquidityMining, rewardToken, tokenB, user1 } = await loadFixture(deployContracts);
+    await liquidityMining.fundRewards(ethers.parseEther("1000"));
+    const start = (await time.latest()) + 10;
+
+    await at(start, 0);
+    await liquidityMining.connect(user1).deposit(1, STAKE);
+    await at(start, 10);
+    await expect(liquidityMining.connect(user1).withdraw(1, STAKE / 2n))
+      .to.emit(liquidityMining, "Withdrawn")
+      .withArgs(user1.address, 1, STAKE / 2n);
+    expect(await tokenB.balanceOf(user1.address)).to.equal(ethers.parseEther("950"));
+
+    // 10s at 0.25/s before the withdrawal and 10s after, still the only staker
+    await at(start, 20);
+    await expect(liquidityMining.connect(user1).harvest(1))
+      .to.emit(liquidityMining, "Harvested")
+      .withArgs(user1.address, 1, ethers.parseEther("5"));
+    expect(await rewardToken.balanceOf(user1.address)).to.equal(ethers.parseEther("5"));
+    expect(await liquidityMining.pendingRewards(1, user1.address)).to.equal(0);
+
+    await expect(liquidityMining.connect(user1).withdraw(1, STAKE))
+      .to.be.revertedWithCustomError(liquidityMining, "InsufficientStake")
+      .withArgs(STAKE, STAKE / 2n);
+    await expect(liquidityMining.connect(user1).deposit(1, 0))
+      .to.be.revertedWithCustomError(liquidityMining, "InvalidAmount");
+    await expect(liquidityMining.connect(user1).deposit(2, STAKE))
+      .to.be.revertedWithCustomError(liquidityMining, "InvalidPool")
+      .withArgs(2);
+  });
+
+  it("Should owe rewards the contract cannot pay until it is funded", async function () {
+    const { liquidityMining, rewardToken, user1 } = await loadFixture(deployContracts);
+    await liquidityMining.fundRewards(ethers.parseEther("5"));
+    const start = (await time.latest()) + 10;
+
+    await at(start, 0);
+    await liquidityMining.connect(user1).deposit(0, STAKE);
+    await at(start, 10);
+    await liquidityMining.connect(user1).withdraw(0, STAKE);
+
+    // 7.5 earned, 5 funded
+    await liquidityMining.connect(user1).harvest(0);
+    expect(await rewardToken.balanceOf(user1.address)).to.equal(ethers.parseEther("5"));
+    expect(await liquidityMining.pendingRewards(0, user1.address)).to.equal(ethers.parseEther("2.5"));
+    expect(await liquidityMining.connect(user1).harvest.staticCall(0)).to.equal(0);
+
+    await expect(liquidityMining.fundRewards(ethers.parseEther("10")))
+      .to.emit(liquidityMining, "RewardsFunded");
+    await liquidityMining.connect(user1).harvest(0);
+    expect(await rewardToken.balanceOf(user1.address)).to.equal(ethers.parseEther("7.5"));
+    expect(await rewardToken.balanceOf(liquidityMining.target)).to.equal(ethers.parseEther("7.5"));
+  });
+
+  it("Should return the stake without rewards on emergency withdraw, also while paused", async function () {
+    const { liquidityMining, tokenA, user1 } = await loadFixture(deployContracts);
+    await liquidityMining.fundRewards(ethers.parseEther("1000"));
+    await liquidityMining.connect(user1).deposit(0, STAKE);
+    await time.increase(100);
+
+    await liquidityMining.pause();
+    await expect(liquidityMining.connect(user1).deposit(0, STAKE))
+      .to.be.revertedWithCustomError(liquidityMining, "EnforcedPause");
+    await expect(liquidityMining.connect(user1).emergencyWithdraw(0))
+      .to.emit(liquidityMining, "EmergencyWithdrawn")
+      .withArgs(user1.address, 0, STAKE);
+
+    expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+    expect(await liquidityMining.pendingRewards(0, user1.address)).to.equal(0);
+    expect((await liquidityMining.pools(0)).totalStaked).to.equal(0);
+    await expect(liquidityMining.connect(user1).emergencyWithdraw(0))
+      .to.be.revertedWithCustomError(liquidityMining, "InvalidAmount");
+  });
+
+  it("Should let the risk manager add pools and change emissions after the timelock", async function () {
+    const { liquidityMining, rewardToken, tokenA, owner, user1 } = await loadFixture(deployContracts);
+    const tokenC = await ethers.deployContract("TokenA");
+    await tokenC.approve(liquidityMining.target, STAKE);
+
+    await expect(liquidityMining.connect(user1).addPool(tokenC.target, 100))
+      .to.be.revertedWithCustomError(liquidityMining, "AccessControlUnauthorizedAccount");
+    await expect(liquidityMining.addPool(tokenA.target, 100))
+      .to.be.revertedWithCustomError(liquidityMining, "PoolExists")
+      .withArgs(tokenA.target);
+    await expect(liquidityMining.addPool(rewardToken.target, 100))
+      .to.be.revertedWithCustomError(liquidityMining, "InvalidAddress");
+    await expect(liquidityMining.addPool(tokenC.target, 100))
+      .to.emit(liquidityMining, "PoolAdded")
+      .withArgs(2, tokenC.target, 100);
+    expect(await liquidityMining.poolCount()).to.equal(3);
+    expect(await liquidityMining.totalAllocPoint()).to.equal(500);
+
+    await expect(liquidityMining.connect(user1).setAllocPoint(2, 0))
+      .to.be.revertedWithCustomError(liquidityMining, "AccessControlUnauthorizedAccount");
+    await expect(liquidityMining.setAllocPoint(3, 0))
+      .to.be.revertedWithCustomError(liquidityMining, "InvalidPool");
+
+    // rewards accrued before a change keep the old rate
+    await liquidityMining.deposit(2, STAKE);
+    await applyChange(liquidityMining, "setAllocPoint", [2, 0]);
+    const earned = await liquidityMining.pendingRewards(2, owner.address);
+    expect(earned).to.be.greaterThan(0);
+    expect(await liquidityMining.totalAllocPoint()).to.equal(400);
+    await time.increase(100);
+    expect(await liquidityMining.pendingRewards(2, owner.address)).to.equal(earned);
+
+    await expect(applyChange(liquidityMining, "setRewardPerSecond", [ethers.parseEther("2")]))
+      .to.emit(liquidityMining, "RewardPerSecondUpdated")
+      .withArgs(ethers.parseEther("2"));
+    expect(await liquidityMining.rewardPerSecond()).to.equal(ethers.parseEther("2"));
+  });
+});
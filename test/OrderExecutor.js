@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { OrderExecutor } = require("../scripts/lib/executor");
+
+describe("OrderExecutor", function () {
+  const ETH_PRICE = 2000n * 10n ** 8n;
+  const LEVERAGE = 10;
+  const MARGIN = ethers.parseEther("100");
+  const EXECUTION_FEE = ethers.parseEther("1");
+
+  async function deployWithOrders() {
+    const [owner, trader, executor] = await ethers.getSigners();
+    const platform = await ignition.deploy(DefiAppModule, {
+      parameters: { PriceFeedModule: { initialPrice: ETH_PRICE } }
+    });
+    const { tokenB, leverageTrade } = platform;
+    await tokenB.transfer(trader.address, ethers.parseEther("1000"));
+
+    // trader holds a 10x long with a stop-loss at $1800, and a limit long at $1900
+    await tokenB.connect(trader).approve(leverageTrade.target, ethers.parseEther("1000"));
+    await leverageTrade.connect(trader).openPosition(0, MARGIN, true, LEVERAGE);
+    await leverageTrade.connect(trader).placeCloseOrder(1, 1, ethers.parseEther("1800"));
+    await leverageTrade.connect(trader).placeLimitOrder(0, MARGIN, true, LEVERAGE, ethers.parseEther("1900"));
+
+    return { ...platform, owner, trader, executor };
+  }
+
+  function createExecutor(fixture, options = {}) {
+    return new OrderExecutor({
+      leverageTrade: fixture.leverageTrade,
+      signer: fixture.executor,
+      log: () => {},
+      ...options
+    });
+  }
+
+  it("Should index open orders from events", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const executor = createExecutor(fixture);
+
+    expect(await executor.poll()).to.deep.equal([]);
+
+    expect(executor.priceFeeds.map((feed) => feed.target)).to.deep.equal([fixture.priceFeed.target]);
+    expect(executor.orders.get(1n)).to.deep.include({ type: "stop-loss", positionId: 1n, isLong: true });
+    expect(executor.orders.get(2n)).to.deep.include({ type: "limit", marketId: 0n, user: fixture.trader.address });
+  });
+
+  it("Should drop cancelled orders and the orders of closed positions", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const { leverageTrade, trader } = fixture;
+    const executor = createExecutor(fixture);
+    await executor.poll();
+
+    await leverageTrade.connect(trader).closePosition(1);
+    await leverageTrade.connect(trader).cancelOrder(2);
+    await executor.poll();
+
+    expect(executor.orders.size).to.equal(0);
+  });
+
+  it("Should only report executions in dry-run mode", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const executor = createExecutor(fixture, { dryRun: true });
+
+    await fixture.priceFeed.updateAnswer(1900n * 10n ** 8n);
+    const results = await executor.poll();
+
+    expect(results.map(({ type, id }) => [type, id])).to.deep.equal([["limit", 2n]]);
+    expect(results[0].txHash).to.be.null;
+    expect((await fixture.leverageTrade.orders(2)).owner).to.equal(fixture.trader.address);
+  });
+
+  it("Should skip an order whose check reverts and go on with the others", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const executor = createExecutor(fixture, { dryRun: true });
+    const skipped = [];
+    executor.on("skipped", (event) => skipped.push(event));
+    await executor.poll();
+
+    // an order the contract does not know, checked first
+    executor.orders = new Map([[99n, { ...executor.orders.get(2n) }], ...executor.orders]);
+    await fixture.priceFeed.updateAnswer(1900n * 10n ** 8n);
+    const results = await executor.checkAll();
+
+    expect(results.map(({ type, id }) => [type, id])).to.deep.equal([["limit", 2n]]);
+    expect(skipped.map(({ id }) => id)).to.deep.equal([99n]);
+    expect(skipped[0].reason).to.match(/^cannot be checked/);
+  });
+
+  it("Should skip executions below the minimum profit", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const executor = createExecutor(fixture, { minProfit: EXECUTION_FEE });
+    const skipped = [];
+    executor.on("skipped", (event) => skipped.push(event));
+
+    await fixture.priceFeed.updateAnswer(1900n * 10n ** 8n);
+
+    expect(await executor.poll()).to.deep.equal([]);
+    expect(skipped.map(({ reason }) => reason)).to.deep.equal(["unprofitable"]);
+  });
+
+  it("Should execute triggered orders after a price drop", async function () {
+    const fixture = await loadFixture(deployWithOrders);
+    const { leverageTrade, tokenB, priceFeed, trader, executor: executorAccount } = fixture;
+    const executor = createExecutor(fixture);
+    await executor.start();
+
+    const executions = [];
+    const done = new Promise((resolve, reject) => {
+      executor.on("error", reject);
+      executor.on("execution", (result) => {
+        executions.push(result);
+        if (executions.length === 2) resolve();
+      });
+    });
+
+    const balance = await tokenB.balanceOf(executorAccount.address);
+    try {
+      // fills the limit long at $1900 and the stop-loss at $1800
+      await priceFeed.updateAnswer(1800n * 10n ** 8n);
+      await done;
+    } finally {
+      await executor.stop();
+    }
+
+    expect(executions.map(({ type }) => type).sort()).to.deep.equal(["limit", "stop-loss"]);
+    expect(await leverageTrade.getUserPositions(trader.address)).to.deep.equal([2n]);
+    expect(await leverageTrade.userOrderCount(trader.address)).to.equal(0);
+    expect(await tokenB.balanceOf(executorAccount.address)).to.equal(balance + 2n * EXECUTION_FEE);
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const LiquidityMiningModule = require("../ignition/modules/LiquidityMining");
+const { findStakers, getPendingRewards } = require("../scripts/lib/rewards");
+
+describe("Pending rewards", function () {
+  const LIQUIDITY = ethers.parseEther("100");
+
+  // a SwapPool LP and an NFTLoan lender stake in pools 0 and 1
+  async function deployWithStakers() {
+    const [owner, provider, lender] = await ethers.getSigners();
+    const platform = await ignition.deploy(LiquidityMiningModule);
+    const { tokenA, tokenB, swapPool, nftLoan, liquidityMining } = platform;
+
+    await tokenA.transfer(provider.address, LIQUIDITY);
+    await tokenB.transfer(provider.address, LIQUIDITY);
+    await tokenA.connect(provider).approve(swapPool.target, LIQUIDITY);
+    await tokenB.connect(provider).approve(swapPool.target, LIQUIDITY);
+    await swapPool.connect(provider).addLiquidity(LIQUIDITY, LIQUIDITY, 0);
+    const lpTokens = await swapPool.balanceOf(provider.address);
+    await swapPool.connect(provider).approve(liquidityMining.target, lpTokens);
+    await liquidityMining.connect(provider).deposit(0, lpTokens);
+
+    await tokenB.transfer(lender.address, LIQUIDITY);
+    await tokenB.connect(lender).approve(nftLoan.target, LIQUIDITY);
+    await nftLoan.connect(lender).supply(LIQUIDITY);
+    const shares = await nftLoan.balanceOf(lender.address);
+    await nftLoan.connect(lender).approve(liquidityMining.target, shares);
+    await liquidityMining.connect(lender).deposit(1, shares);
+
+    return { ...platform, owner, provider, lender, lpTokens, shares };
+  }
+
+  it("Should add the SwapPool, NFTLoan and TradingVault pools and fund them", async function () {
+    const { liquidityMining, governanceToken, swapPool, nftLoan, tradingVault } = await loadFixture(deployWithStakers);
+
+    expect(await liquidityMining.rewardToken()).to.equal(governanceToken.target);
+    expect(await liquidityMining.rewardPerSecond()).to.equal(ethers.parseEther("0.05"));
+    expect((await liquidityMining.pools(0)).stakingToken).to.equal(swapPool.target);
+    expect((await liquidityMining.pools(1)).stakingToken).to.equal(nftLoan.target);
+    expect((await liquidityMining.pools(2)).stakingToken).to.equal(tradingVault.target);
+    expect(await liquidityMining.totalAllocPoint()).to.equal(100);
+    expect(await governanceToken.balanceOf(liquidityMining.target)).to.equal(ethers.parseEther("100000"));
+  });
+
+  it("Should report the stake and pending rewards of every staker", async function () {
+    const { liquidityMining, swapPool, nftLoan, provider, lender, lpTokens, shares } = await loadFixture(deployWithStakers);
+    await time.increase(1000);
+
+    const stakers = await findStakers(liquidityMining);
+    expect(stakers).to.have.members([provider.address, lender.address]);
+
+    const rewards = await getPendingRewards(liquidityMining, stakers);
+    expect(rewards.map(({ account, poolId, stakingToken, staked }) => [account, poolId, stakingToken, staked])).to.deep.equal([
+      [provider.address, 0, swapPool.target, lpTokens],
+      [lender.address, 1, nftLoan.target, shares]
+    ]);
+    for (const { account, poolId, pending } of rewards) {
+      expect(pending).to.be.greaterThan(0);
+      expect(pending).to.equal(await liquidityMining.pendingRewards(poolId, account));
+    }
+    // half of the emissions go to the LPs, a quarter to the lenders, who staked a few seconds later
+    expect(rewards[0].pending).to.be.closeTo(rewards[1].pending * 2n, ethers.parseEther("0.5"));
+  });
+});
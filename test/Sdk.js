@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { DefiSdk, ProtocolError, decodeError, math } = require("../sdk");
+
+describe("SDK", function () {
+  const MARGIN = ethers.parseEther("100");
+
+  async function deployWithSdk() {
+    const [owner, trader] = await ethers.getSigners();
+    const platform = await ignition.deploy(DefiAppModule);
+    const { tokenA, tokenB, swapPool, nftLoan } = platform;
+
+    await tokenB.transfer(trader.address, ethers.parseEther("10000"));
+    await tokenA.transfer(trader.address, ethers.parseEther("20"));
+    await tokenA.approve(swapPool.target, ethers.parseEther("100"));
+    await tokenB.approve(swapPool.target, ethers.parseEther("200000"));
+    await swapPool.addLiquidity(ethers.parseEther("100"), ethers.parseEther("200000"), 0);
+    await tokenB.approve(nftLoan.target, ethers.parseEther("5000"));
+    await nftLoan.supply(ethers.parseEther("5000"));
+
+    return { ...platform, owner, trader, sdk: new DefiSdk(platform, trader) };
+  }
+
+  describe("trade", function () {
+    it("Should preview the fee and size of an open and approve the margin", async function () {
+      const { sdk, leverageTrade, trader } = await loadFixture(deployWithSdk);
+      const preview = await sdk.trade.preview({ margin: MARGIN, leverage: 10, isLong: true });
+
+      const { positionId } = await sdk.trade.open({ margin: MARGIN, leverage: 10, isLong: true });
+      const position = await leverageTrade.getPosition(positionId);
+
+      expect(positionId).to.equal(1);
+      expect(preview.fee).to.equal(MARGIN - position.margin);
+      expect(preview.netMargin).to.equal(position.margin);
+      expect(preview.size).to.equal(position.size);
+      expect(preview.price).to.equal(position.openPrice);
+      expect(await leverageTrade.getUserPositions(trader.address)).to.deep.equal([positionId]);
+    });
+
+    it("Should match the contract's equity and close payout after a price move", async function () {
+      const { sdk, leverageTrade, priceFeed, tokenB, trader } = await loadFixture(deployWithSdk);
+      const { positionId } = await sdk.trade.open({ margin: MARGIN, leverage: 5, isLong: false });
+      await sdk.trade.open({ margin: MARGIN, leverage: 10, isLong: true }); // skews funding
+      await time.increase(3 * 3600);
+      await priceFeed.updateAnswer(1950n * 10n ** 8n);
+
+      const position = await sdk.trade.position(positionId);
+      const onChain = await leverageTrade.getPosition(positionId);
+      expect(onChain.borrowFee).to.be.greaterThan(0);
+      expect(position.equity).to.equal(onChain.equity);
+
+      // the close settles one more second of fees than the preview
+      const preview = await sdk.trade.previewClose(positionId);
+      const before = await tokenB.balanceOf(trader.address);
+      await sdk.trade.close(positionId);
+      const payout = (await tokenB.balanceOf(trader.address)) - before;
+      expect(payout).to.be.closeTo(preview.payout, ethers.parseEther("0.001"));
+      expect(preview.fee).to.equal((position.size * 10n) / 10000n);
+    });
+
+    it("Should put the liquidation price where the contract starts to liquidate", async function () {
+      const { sdk, leverageTrade, priceFeed } = await loadFixture(deployWithSdk);
+      const { positionId } = await sdk.trade.open({ margin: MARGIN, leverage: 10, isLong: true });
+      const { liquidationPrice } = await sdk.trade.position(positionId);
+
+      // 8-decimal feed answers 0.1% above and just below the liquidation price, fees accrue in between
+      const answer = liquidationPrice / 10n ** 10n;
+      await priceFeed.updateAnswer((answer * 1001n) / 1000n);
+      expect(await leverageTrade.isLiquidatable(positionId)).to.be.false;
+      await priceFeed.updateAnswer(answer - 1n);
+      expect(await leverageTrade.isLiquidatable(positionId)).to.be.true;
+    });
+
+    it("Should decode custom errors into messages", async function () {
+      const { sdk } = await loadFixture(deployWithSdk);
+
+      const allowance = sdk.trade.open({ margin: ethers.parseEther("200"), leverage: 10, approve: false });
+      await expect(allowance).to.be.rejectedWith(
+        ProtocolError,
+        "The allowance is 0.0 TokenB but 200.0 is needed, approve the protocol first"
+      );
+      const error = await allowance.catch((e) => e);
+      expect(error.errorName).to.equal("InsufficientAllowance");
+      expect(error.args).to.deep.equal([ethers.parseEther("200"), 0n]);
+
+      const leverage = sdk.trade.open({ margin: MARGIN, leverage: 100, isLong: true });
+      await expect(leverage).to.be.rejectedWith(ProtocolError, "Leverage 100x is outside the range of the market");
+
+      // a Hardhat node over JSON-RPC wraps the revert data
+      const data = sdk.trade.leverageTrade.interface.encodeErrorResult("InvalidLeverage", [100]);
+      const decoded = decodeError({ data: { message: "VM Exception", data } }, sdk.trade.interfaces);
+      expect(decoded.errorName).to.equal("InvalidLeverage");
+    });
+  });
+
+  describe("loans", function () {
+    it("Should deposit and borrow the previewed limit", async function () {
+      const { sdk, nftCollateral, nftLoan, tokenB, trader } = await loadFixture(deployWithSdk);
+      await nftCollateral.mint(trader.address);
+      const preview = await sdk.loans.preview({ collection: nftCollateral.target, tokenId: 1 });
+
+      // 50% LTV of the 2000 floor price
+      expect(preview.limit).to.equal(ethers.parseEther("1000"));
+      const before = await tokenB.balanceOf(trader.address);
+      const { loanId } = await sdk.loans.borrow({ collection: nftCollateral.target, tokenId: 1, amount: preview.available });
+      expect(await nftCollateral.ownerOf(1)).to.equal(nftLoan.target);
+      expect((await tokenB.balanceOf(trader.address)) - before).to.equal(preview.limit);
+
+      const after = await sdk.loans.preview({ loanId });
+      expect(after.debt).to.equal(await nftLoan.debtOf(loanId));
+      expect(after.available).to.equal(await nftLoan.maxBorrow(loanId));
+      expect(after.healthFactor).to.equal(await nftLoan.healthFactor(loanId));
+
+      await expect(sdk.loans.borrow({ loanId, amount: ethers.parseEther("1") }))
+        .to.be.rejectedWith(ProtocolError, "TokenB can be borrowed");
+      await sdk.loans.repay({ loanId, amount: ethers.parseEther("100") });
+      expect(await nftLoan.debtOf(loanId)).to.be.lessThan(after.debt);
+    });
+
+    it("Should preview the health factor of a planned borrow", async function () {
+      const { sdk, nftCollateral, nftLoan, trader } = await loadFixture(deployWithSdk);
+      await nftCollateral.mint(trader.address);
+      const amount = ethers.parseEther("600");
+      const preview = await sdk.loans.preview({ collection: nftCollateral.target, tokenId: 1, amount });
+
+      const { loanId } = await sdk.loans.borrow({ collection: nftCollateral.target, tokenId: 1, amount });
+      expect(preview.healthFactor).to.equal(await nftLoan.healthFactor(loanId));
+    });
+  });
+
+  describe("pool", function () {
+    it("Should quote swaps like the pool and swap within the slippage", async function () {
+      const { sdk, swapPool, tokenA, tokenB, trader } = await loadFixture(deployWithSdk);
+      const amountIn = ethers.parseEther("10");
+
+      const quote = await sdk.pool.quote({ tokenIn: tokenA.target, amountIn });
+      expect(quote.amountOut).to.equal(await swapPool.getAmountOut(tokenA.target, amountIn));
+      expect(quote.minAmountOut).to.equal(math.withSlippage(quote.amountOut, 50n));
+      expect(quote.priceImpact).to.be.greaterThan(30); // the 0.3% fee plus the price move
+
+      const wanted = ethers.parseEther("5");
+      expect(await sdk.pool.quoteIn({ tokenIn: tokenB.target, amountOut: wanted }))
+        .to.equal(await swapPool.getAmountIn(tokenB.target, wanted));
+
+      const before = await tokenB.balanceOf(trader.address);
+      const { amountOut } = await sdk.pool.swap({ tokenIn: tokenA.target, amountIn });
+      expect(amountOut).to.equal(quote.amountOut);
+      expect((await tokenB.balanceOf(trader.address)) - before).to.equal(quote.amountOut);
+    });
+
+    it("Should quote the deposits and LP tokens of adding liquidity", async function () {
+      const { sdk, swapPool, trader } = await loadFixture(deployWithSdk);
+      const amountA = ethers.parseEther("2");
+      const amountB = ethers.parseEther("5000");
+
+      const quote = await sdk.pool.quoteAddLiquidity({ amountA, amountB });
+      expect(quote.depositedA).to.equal(amountA);
+      expect(quote.depositedB).to.equal(ethers.parseEther("4000"));
+
+      await sdk.pool.addLiquidity({ amountA, amountB });
+      expect(await swapPool.balanceOf(trader.address)).to.equal(quote.liquidity);
+
+      // the first deposit of an empty pool
+      expect(math.previewAddLiquidity(amountA, amountB, 0n, 0n, 0n).liquidity).to.equal(ethers.parseEther("100") - 1000n);
+    });
+
+    it("Should decode token errors raised inside a swap", async function () {
+      const { sdk, tokenA } = await loadFixture(deployWithSdk);
+
+      await expect(sdk.pool.swap({ tokenIn: tokenA.target, amountIn: ethers.parseEther("40") }))
+        .to.be.rejectedWith(ProtocolError, "The balance is 20.0 but 40.0 is needed");
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadScenario, randomWalk, crash } = require("../scripts/lib/scenarios");
+const { EconomicSimulator } = require("../scripts/lib/simulator");
+const { renderHtml, renderJson } = require("../scripts/lib/report");
+
+describe("Economic simulator", function () {
+  const AGENTS = { traders: 4, borrowers: 2 };
+
+  describe("Scenarios", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "scenarios-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function write(name, content) {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    }
+
+    it("Should load a CSV export with its interval and a generated JSON path", function () {
+      const csv = loadScenario(write("eth.csv", "Time,Open,Close\n2024-01-01T00:00:00Z,1,2000\n2024-01-01T00:15:00Z,1,1990.5\n"));
+      expect(csv).to.deep.equal({ name: "eth", interval: 900, prices: [2000, 1990.5] });
+
+      const json = loadScenario(write("walk.json", JSON.stringify({ interval: 60, generate: { type: "randomWalk", start: 100, steps: 5 } })));
+      expect(json.name).to.equal("walk");
+      expect(json.interval).to.equal(60);
+      expect(json.prices).to.deep.equal(randomWalk({ start: 100, steps: 5 }));
+    });
+
+    it("Should reject files without usable prices", function () {
+      expect(() => loadScenario(write("a.csv", "timestamp,volume\n1,2\n"))).to.throw('has no "price" or "close" column');
+      expect(() => loadScenario(write("b.csv", "price\n2000\n-1\n"))).to.throw("has an invalid price at row 2");
+      expect(() => loadScenario(write("c.json", '{ "prices": [2000] }'))).to.throw("needs at least two prices");
+      expect(() => loadScenario(write("d.json", '{ "generate": { "type": "pump" } }'))).to.throw('Unknown price generator "pump"');
+    });
+
+    it("Should generate the same path for the same seed", function () {
+      expect(randomWalk({ start: 2000, steps: 20, seed: 3 })).to.deep.equal(randomWalk({ start: 2000, steps: 20, seed: 3 }));
+      expect(randomWalk({ start: 2000, steps: 20, seed: 3 })).to.not.deep.equal(randomWalk({ start: 2000, steps: 20, seed: 4 }));
+
+      const prices = crash({ start: 2000, steps: 10, at: 4, drop: 0.5, over: 2, volatility: 0 });
+      expect(prices.slice(0, 4)).to.deep.equal([2000, 2000, 2000, 2000]);
+      expect(prices[4]).to.equal(1500);
+      expect(prices[10]).to.equal(1000);
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should liquidate positions and loans through a crash and rewind the chain", async function () {
+      const blockNumber = await hre.ethers.provider.getBlockNumber();
+      const simulator = new EconomicSimulator({ hre, agents: AGENTS });
+      const prices = crash({ start: 2000, steps: 24, at: 8, drop: 0.6, over: 3, seed: 5 });
+
+      const result = await simulator.run({ name: "crash", interval: 3600, prices });
+
+      expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(result.steps).to.equal(24);
+      expect(result.series).to.have.lengthOf(25);
+      expect(result.price.min).to.be.below(900);
+      expect(result.activity.positionsOpened).to.be.greaterThan(0);
+      expect(result.activity.loansOpened).to.be.greaterThan(0);
+      expect(result.liquidations.positions).to.be.greaterThan(0);
+      expect(result.liquidations.loans).to.be.greaterThan(0);
+      // the crash steps move the price by more than the 20% the breakers allow
+      expect(result.activity.circuitBreakerTrips).to.be.greaterThan(0);
+      expect(result.lpPnl.swapPool.pnl).to.be.below(0);
+      expect(result.feeReserve.start).to.equal(10000);
+    });
+
+    it("Should end a flat path without liquidations or bad debt", async function () {
+      const simulator = new EconomicSimulator({ hre, agents: AGENTS });
+      const result = await simulator.run({ name: "flat", interval: 3600, prices: Array(13).fill(2000) });
+
+      expect(result.liquidations).to.deep.equal({ positions: 0, loans: 0, unprofitableLoans: 0 });
+      expect(result.badDebt).to.deep.equal({ leverageTrade: 0, nftLoan: 0, nftLoanPeak: 0 });
+      expect(result.activity.swaps).to.equal(0);
+      expect(result.activity.circuitBreakerTrips).to.equal(0);
+      // lenders earn interest on a flat path
+      expect(result.lpPnl.nftLoan.pnl).to.be.greaterThan(0);
+    });
+
+    it("Should apply the parameters under test", async function () {
+      expect(() => new EconomicSimulator({ hre, params: { loanToValue: 80, liquidationThreshold: 130 } })).to.throw(
+        "would be liquidatable"
+      );
+
+      const params = { maintenanceMargin: 1000, loanToValue: 40, maxPriceJump: 0 };
+      const simulator = new EconomicSimulator({ hre, params, agents: { traders: 2, borrowers: 1 } });
+      const result = await simulator.run({ name: "drop", interval: 3600, prices: [2000, 1000, 1000] });
+
+      expect(result.params).to.include(params);
+      // a 50% drop with the breaker off
+      expect(result.activity.circuitBreakerTrips).to.equal(0);
+    });
+  });
+
+  describe("Report", function () {
+    it("Should render the results as JSON and HTML", async function () {
+      const simulator = new EconomicSimulator({ hre, params: { loanToValue: 40 }, agents: { traders: 2, borrowers: 1 } });
+      const result = await simulator.run({ name: "<dip>", interval: 3600, prices: [2000, 1900, 2000] });
+
+      expect(JSON.parse(renderJson([result])).results[0].scenario).to.equal("<dip>");
+      const html = renderHtml([result]);
+      expect(html).to.include("&lt;dip&gt;");
+      expect(html).to.include("loanToValue=40");
+      expect(html).to.include("<polyline");
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const DefiAppModule = require("../ignition/modules/DefiApp");
+const { saveManifest } = require("../scripts/lib/deployments");
+
+const { ethers, ignition, artifacts, network } = hre;
+
+// contracts of the DefiApp module by manifest key
+const CONTRACT_NAMES = {
+  tokenA: "TokenA",
+  tokenB: "TokenB",
+  priceFeed: "MockV3Aggregator",
+  leverageTrade: "LeverageTrade",
+  tradingVault: "TradingVault",
+  nftCollateral: "NFTCollateral",
+  nftLoan: "NFTLoan",
+  swapPool: "SwapPool"
+};
+
+describe("Hardhat tasks", function () {
+  let previousDir;
+  let consoleLog;
+  let output;
+
+  beforeEach(function () {
+    previousDir = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    output = [];
+    consoleLog = console.log;
+    console.log = (line) => output.push(line);
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(process.env.DEPLOYMENTS_DIR, { recursive: true, force: true });
+    if (previousDir === undefined) delete process.env.DEPLOYMENTS_DIR;
+    else process.env.DEPLOYMENTS_DIR = previousDir;
+  });
+
+  async function deployPlatform() {
+    const signers = await ethers.getSigners();
+    const platform = await ignition.deploy(DefiAppModule);
+    return { ...platform, signers };
+  }
+
+  // the platform with a manifest in the temporary deployments directory, as scripts/deploy.js leaves it
+  async function deployWithManifest() {
+    const fixture = await loadFixture(deployPlatform);
+    const contracts = {};
+    for (const [key, contractName] of Object.entries(CONTRACT_NAMES)) {
+      const { abi } = await artifacts.readArtifact(contractName);
+      contracts[key] = { contractName, address: fixture[key].target, abi };
+    }
+    saveManifest(network.name, { network: network.name, chainId: 31337, contracts });
+    return fixture;
+  }
+
+  it("Should open, show and close a position of another account", async function () {
+    const { leverageTrade, tokenB, signers } = await deployWithManifest();
+    const trader = signers[1];
+
+    await hre.run("token:transfer", { token: "B", to: "1", amount: "1000" });
+    expect(await tokenB.balanceOf(trader.address)).to.equal(ethers.parseEther("1000"));
+
+    const positionId = await hre.run("trade:open", { margin: "100", leverage: 10, account: 1 });
+    expect(positionId).to.equal(1n);
+    expect((await leverageTrade.positions(1)).owner).to.equal(trader.address);
+    expect(output).to.include("Opened position 1");
+
+    const [position] = await hre.run("trade:status", { account: 1 });
+    expect(position.id).to.equal(1n);
+    expect(position.size).to.equal((await leverageTrade.positions(1)).size);
+    expect(position.liquidatable).to.be.false;
+
+    await hre.run("price:set", { price: "2100" });
+    const { profit, loss } = await hre.run("trade:close", { id: 1, account: 1 });
+    expect(profit).to.be.greaterThan(0n);
+    expect(loss).to.equal(0n);
+    expect(await leverageTrade.userPositionCount(trader.address)).to.equal(0);
+
+    const status = await hre.run("reserve:status");
+    expect(status.feeReserve).to.equal(await leverageTrade.feeReserve());
+    expect(status.insuranceFund).to.equal(await leverageTrade.insuranceFund());
+  });
+
+  it("Should mint, borrow against, repay and liquidate NFTs", async function () {
+    const { nftCollateral, nftLoan, signers } = await deployWithManifest();
+    const [, , borrower, liquidator] = signers;
+
+    await hre.run("loan:supply", { amount: "5000" });
+    expect(await hre.run("nft:mint", { to: "2" })).to.equal(1n);
+    expect(await hre.run("nft:mint", { to: borrower.address })).to.equal(2n);
+
+    expect(await hre.run("loan:borrow", { tokenId: 1, amount: "500", account: 2 })).to.equal(1n);
+    expect(await hre.run("loan:borrow", { loan: 1, amount: "100", account: 2 })).to.equal(1n);
+    expect((await nftLoan.loans(1)).amount).to.equal(ethers.parseEther("600"));
+    // interest is repaid first
+    const debt = await hre.run("loan:repay", { loan: 1, amount: "100", account: 2 });
+    expect(debt).to.equal(await nftLoan.debtOf(1));
+    expect(debt).to.be.closeTo(ethers.parseEther("500"), ethers.parseEther("0.01"));
+
+    // the whole debt, interest included, returns the NFT
+    await hre.run("token:transfer", { token: "B", to: "2", amount: "10" });
+    await hre.run("loan:repay", { loan: 1, account: 2 });
+    expect(await nftCollateral.ownerOf(1)).to.equal(borrower.address);
+
+    // 1000 TokenB on a 2000 TokenB NFT is below the 120% threshold after a 42.5% crash
+    await hre.run("loan:borrow", { tokenId: 2, amount: "1000", account: 2 });
+    await hre.run("price:set", { price: "1150" });
+    await hre.run("token:transfer", { token: "B", to: "3", amount: "2000" });
+    expect(await hre.run("loan:liquidate", { loan: 2, account: 3 })).to.equal(2n);
+    expect(await nftCollateral.ownerOf(2)).to.equal(liquidator.address);
+  });
+
+  it("Should record a price jump and fail an open with the decoded error", async function () {
+    const { leverageTrade, nftLoan } = await deployWithManifest();
+    await hre.run("token:transfer", { token: "B", to: "1", amount: "1000" });
+    expect(await hre.run("price:check", {})).to.deep.equal({ leverageTrade: false, nftLoan: false });
+
+    await hre.run("price:set", { price: "2500" });
+    await expect(hre.run("trade:open", { margin: "100", leverage: 10, account: 1 })).to.be.rejectedWith(
+      "The price moved from 2000.0 to 2500.0 since the last read"
+    );
+    expect(await hre.run("price:check", {})).to.deep.equal({ leverageTrade: true, nftLoan: true });
+    expect(await leverageTrade.paused()).to.be.true;
+    expect(await nftLoan.paused()).to.be.true;
+  });
+
+  it("Should mint as an owner that is not a configured account", async function () {
+    const { nftCollateral } = await deployWithManifest();
+    // scripts/deploy.js hands the mint rights to the timelock
+    const timelock = ethers.Wallet.createRandom().address;
+    await nftCollateral.transferOwnership(timelock);
+
+    expect(await hre.run("nft:mint", { to: "1" })).to.equal(1n);
+    expect(await nftCollateral.owner()).to.equal(timelock);
+  });
+
+  it("Should add liquidity, quote and swap on the pool", async function () {
+    const { swapPool, tokenA, signers } = await deployWithManifest();
+
+    await expect(hre.run("pool:quote", { tokenIn: "A", amount: "1" })).to.be.rejectedWith("The pool has no liquidity");
+
+    // the first deposit mints the square root of the product, less the locked minimum
+    const liquidity = await hre.run("pool:add", { amountA: "10", amountB: "20000" });
+    expect(liquidity).to.equal(await swapPool.balanceOf(signers[0].address));
+
+    const quote = await hre.run("pool:quote", { tokenIn: "A", amount: "1" });
+    expect(quote.amountOut).to.equal(await swapPool.getAmountOut(tokenA.target, ethers.parseEther("1")));
+    expect(await hre.run("pool:swap", { tokenIn: "A", amount: "1" })).to.equal(quote.amountOut);
+    expect(await hre.run("pool:add", { amountA: "1", amountB: "2200" })).to.be.greaterThan(0n);
+  });
+
+  it("Should fail with the decoded custom error and a readable message", async function () {
+    await expect(hre.run("reserve:status")).to.be.rejectedWith(`No deployment manifest for network "${network.name}"`);
+    await deployWithManifest();
+
+    await expect(hre.run("trade:open", { margin: "100", leverage: 100 })).to.be.rejectedWith(
+      "InvalidLeverage: Leverage 100x is outside the range of the market"
+    );
+    await expect(hre.run("trade:close", { id: 7 })).to.be.rejectedWith("NoPosition: The position does not exist or is closed");
+    await expect(hre.run("loan:liquidate", { loan: 1 })).to.be.rejectedWith("The transaction reverted with NoActiveLoan");
+    await expect(hre.run("trade:open", { margin: "ten", leverage: 10 })).to.be.rejectedWith('--margin "ten" is not an amount');
+    await expect(hre.run("pool:swap", { tokenIn: "C", amount: "1" })).to.be.rejectedWith("--token-in must be A or B");
+    await expect(hre.run("loan:borrow", { amount: "1" })).to.be.rejectedWith("Pass either --token-id or --loan");
+    await expect(hre.run("trade:status", { account: 99 })).to.be.rejectedWith("Account 99 does not exist");
+  });
+});
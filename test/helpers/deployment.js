@@ -0,0 +1,19 @@
+const { ethers, ignition, network } = require("hardhat");
+const { hasDeployment, getContracts } = require("../../scripts/lib/deployments");
+const DefiAppModule = require("../../ignition/modules/DefiApp");
+
+/**
+ * Get the platform contracts for the network the tests run on. Attaches to the
+ * manifest written by scripts/deploy.js when there is one (e.g. `--network localhost`),
+ * otherwise deploys a fresh platform with Ignition.
+ * @param {object} [parameters] Ignition parameters used when deploying
+ */
+async function getPlatform(parameters = {}) {
+  if (network.name !== "hardhat" && hasDeployment(network.name)) {
+    const [signer] = await ethers.getSigners();
+    return getContracts(network.name, signer);
+  }
+  return ignition.deploy(DefiAppModule, { parameters });
+}
+
+module.exports = { getPlatform };
@@ -0,0 +1,12 @@
+const { createRandom } = require("../../scripts/lib/random");
+
+/**
+ * Seeds of the fuzz runs, FUZZ_SEED replays a single one
+ * @param {number} runs Number of seeds when FUZZ_SEED is not set
+ */
+function fuzzSeeds(runs) {
+  if (process.env.FUZZ_SEED) return [Number(process.env.FUZZ_SEED)];
+  return Array.from({ length: runs }, (_, i) => i + 1);
+}
+
+module.exports = { createRandom, fuzzSeeds };
@@ -0,0 +1,21 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Call a timelocked setter, wait out the timelock and apply the change.
+ * Time moves forward by the timelock delay, so the given price feeds republish
+ * their latest answer to stay fresh.
+ * @param {import("ethers").Contract} contract Contract with ProtocolAccess
+ * @param {string} method Setter name
+ * @param {Array} args Setter arguments
+ * @param {Array<import("ethers").Contract>} [feeds] MockV3Aggregator feeds to refresh
+ */
+async function applyChange(contract, method, args, feeds = []) {
+  await contract[method](...args);
+  await time.increase(await contract.timelockDelay());
+  for (const feed of feeds) {
+    await feed.updateAnswer(await feed.latestAnswer());
+  }
+  return contract.executeChange(contract.interface.encodeFunctionData(method, args));
+}
+
+module.exports = { applyChange };